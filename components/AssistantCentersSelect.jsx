@@ -0,0 +1,88 @@
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../config';
+
+// Checkbox list of centers assigned to an assistant.
+// Leaving every box unchecked keeps the assistant's view unrestricted.
+export default function AssistantCentersSelect({ selectedCenters = [], onCentersChange }) {
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: centers = [], isLoading } = useQuery({
+    queryKey: ['centers'],
+    queryFn: async () => {
+      const response = await axios.get(`${getApiBaseUrl()}/api/centers`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.centers;
+    },
+    enabled: !!token
+  });
+
+  const toggleCenter = (name) => {
+    if (selectedCenters.includes(name)) {
+      onCentersChange(selectedCenters.filter(center => center !== name));
+    } else {
+      onCentersChange([...selectedCenters, name]);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="centers-hint">Loading centers...</div>;
+  }
+
+  return (
+    <div>
+      <div className="centers-list">
+        {centers.map(center => (
+          <label
+            key={center.id}
+            className={`center-chip ${selectedCenters.includes(center.name) ? 'selected' : ''}`}
+          >
+            <input
+              type="checkbox"
+              checked={selectedCenters.includes(center.name)}
+              onChange={() => toggleCenter(center.name)}
+            />
+            {center.name}
+          </label>
+        ))}
+      </div>
+      <small className="centers-hint">
+        {selectedCenters.length === 0
+          ? 'No centers selected - this account will not see any students (admins always see every center).'
+          : `Only students registered at ${selectedCenters.join(', ')} will be visible.`}
+      </small>
+      <style jsx>{`
+        .centers-list {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+        .center-chip {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 8px 14px;
+          border: 2px solid #e9ecef;
+          border-radius: 20px;
+          cursor: pointer;
+          color: #495057;
+          font-weight: 500;
+          background: #ffffff;
+          transition: all 0.2s ease;
+        }
+        .center-chip.selected {
+          border-color: #1FA8DC;
+          background: #e8f6fc;
+          color: #1FA8DC;
+        }
+        .centers-hint {
+          color: #6c757d;
+          font-size: 0.85rem;
+          margin-top: 6px;
+          display: block;
+        }
+      `}</style>
+    </div>
+  );
+}
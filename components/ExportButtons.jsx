@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { downloadFile, getDownloadError } from '../lib/download';
+
+// CSV / Excel download buttons for one of the /api/exports endpoints.
+// `params` should carry the filters currently applied on the page.
+export default function ExportButtons({ path, params = {}, disabled = false }) {
+  const [downloading, setDownloading] = useState(null);
+  const [error, setError] = useState('');
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const download = async (format) => {
+    setDownloading(format);
+    setError('');
+    try {
+      await downloadFile(path, { ...params, format }, token, `export.${format}`);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError(await getDownloadError(err, 'Export failed, please try again'));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="export-buttons">
+      <button className="export-btn" onClick={() => download('xlsx')} disabled={disabled || !!downloading}>
+        {downloading === 'xlsx' ? 'Exporting...' : '📊 Excel'}
+      </button>
+      <button className="export-btn" onClick={() => download('csv')} disabled={disabled || !!downloading}>
+        {downloading === 'csv' ? 'Exporting...' : '📄 CSV'}
+      </button>
+      {error && <span className="export-error">{error}</span>}
+      <style jsx>{`
+        .export-buttons {
+          display: flex;
+          gap: 8px;
+          align-items: center;
+          flex-wrap: wrap;
+        }
+        .export-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+          background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+        }
+        .export-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+        .export-error {
+          color: #dc3545;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../config';
+import { setSelectedTerm } from '../lib/terms';
+
+// Term switcher shared by the dashboard, history and student info pages.
+// The choice is remembered (see lib/terms) so every page opens on the same term.
+export default function TermSelect({ selectedTerm = '', onTermChange }) {
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: terms = [], isLoading } = useQuery({
+    queryKey: ['terms'],
+    queryFn: async () => {
+      const response = await axios.get(`${getApiBaseUrl()}/api/terms`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.terms;
+    },
+    enabled: !!token
+  });
+
+  const handleChange = (e) => {
+    const termId = e.target.value;
+    setSelectedTerm(termId);
+    if (onTermChange) onTermChange(termId);
+  };
+
+  return (
+    <div className="term-select">
+      <select value={selectedTerm} onChange={handleChange} disabled={isLoading}>
+        {isLoading && <option value="">Loading terms...</option>}
+        {terms.map(term => (
+          <option key={term.id} value={term.current ? '' : String(term.id)}>
+            {term.current ? `${term.name} (current)` : `${term.name} (read-only)`}
+          </option>
+        ))}
+      </select>
+      {selectedTerm && (
+        <small className="term-hint">Viewing a closed term - records can not be changed.</small>
+      )}
+      <style jsx>{`
+        .term-select {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+        select {
+          width: 100%;
+          padding: 12px 16px;
+          border: 2px solid #e9ecef;
+          border-radius: 10px;
+          font-size: 1rem;
+          background: #ffffff;
+          color: #000000;
+        }
+        .term-hint {
+          color: #e0a800;
+          font-weight: 600;
+          font-size: 0.85rem;
+        }
+      `}</style>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// Called by Next.js once when a server process starts (not for each request).
+// The message worker only starts in the process run with MESSAGE_WORKER=on, so run
+// exactly one such instance; see lib/server/messaging/worker.js.
+// The archive purge runs in every process, unless ARCHIVE_PURGE_DAYS=0; see
+// lib/server/archive.js.
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+  const { ensureMessageWorker } = await import('./lib/server/messaging/worker');
+  const { ensureArchivePurge } = await import('./lib/server/archive');
+  ensureMessageWorker();
+  ensureArchivePurge();
+}
@@ -0,0 +1,35 @@
+import axios from 'axios';
+import { getApiBaseUrl } from '../config';
+
+// Download a file served by an authenticated API route, keeping the
+// file name from the server's Content-Disposition header
+export async function downloadFile(path, params, token, fallbackName) {
+  const response = await axios.get(`${getApiBaseUrl()}${path}`, {
+    params,
+    headers: { Authorization: `Bearer ${token}` },
+    responseType: 'blob'
+  });
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Error responses of blob requests arrive as a Blob too
+export async function getDownloadError(err, fallback) {
+  const data = err.response && err.response.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).error || fallback;
+    } catch {
+      return fallback;
+    }
+  }
+  return fallback;
+}
@@ -0,0 +1,59 @@
+// Homework grades
+// A week's homework is stored as `weeks[i].homework = { level, score, note }`, or null when
+// nothing was recorded. `score` (a number) and `note` (e.g. "copied", "forgot notebook")
+// are optional. Older documents held `hwDone: true/false`; homeworkFromDone maps those.
+
+export const HOMEWORK_LEVELS = ['not_done', 'partial', 'complete', 'excellent'];
+
+export const HOMEWORK_LEVEL_LABELS = {
+  not_done: 'Not done',
+  partial: 'Partial',
+  complete: 'Complete',
+  excellent: 'Excellent'
+};
+
+export const HOMEWORK_LEVEL_ICONS = {
+  not_done: '❌',
+  partial: '🟡',
+  complete: '✅',
+  excellent: '🌟'
+};
+
+// Levels counted as "homework done" by rates and session counts
+export const DONE_LEVELS = ['complete', 'excellent'];
+
+export const MAX_HOMEWORK_NOTE_LENGTH = 200;
+
+export function validateHomework({ level, score, note }) {
+  if (!HOMEWORK_LEVELS.includes(level)) return `Level must be one of: ${HOMEWORK_LEVELS.join(', ')}`;
+  if (score !== null && score !== undefined) {
+    if (typeof score !== 'number' || !isFinite(score)) return 'Score must be a number';
+    if (score < 0) return 'Score cannot be negative';
+  }
+  if (note !== null && note !== undefined) {
+    if (typeof note !== 'string') return 'Note must be text';
+    if (note.length > MAX_HOMEWORK_NOTE_LENGTH) return `Note can be at most ${MAX_HOMEWORK_NOTE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// true was "done", false on an attended week was "not done", anything else was never recorded
+export function homeworkFromDone(hwDone, attended) {
+  if (hwDone) return { level: 'complete', score: null, note: null };
+  return attended ? { level: 'not_done', score: null, note: null } : null;
+}
+
+export const isHomeworkDone = (homework) => !!homework && DONE_LEVELS.includes(homework.level);
+
+export function formatHomeworkLevel(homework) {
+  return homework ? HOMEWORK_LEVEL_LABELS[homework.level] || homework.level : null;
+}
+
+// "Partial (6) - forgot notebook"
+export function formatHomework(homework) {
+  if (!homework) return null;
+  let text = formatHomeworkLevel(homework);
+  if (homework.score !== null && homework.score !== undefined) text += ` (${homework.score})`;
+  if (homework.note) text += ` - ${homework.note}`;
+  return text;
+}
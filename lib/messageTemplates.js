@@ -0,0 +1,205 @@
+import { formatQuiz } from './quiz';
+import { HOMEWORK_LEVEL_LABELS, isHomeworkDone } from './homework';
+
+// WhatsApp message templates, shared by the server (sending) and the template
+// editor (live preview).
+//
+// Placeholders are written as {name}. Sections are shown only when a condition
+// holds: {#attended}...{/attended}, or only when it does not: {^attended}...{/attended}.
+
+export const TEMPLATE_TYPES = ['weekly_report', 'absence_notice', 'payment_reminder'];
+
+export const TEMPLATE_TYPE_LABELS = {
+  weekly_report: 'Weekly Report',
+  absence_notice: 'Absence Notice',
+  payment_reminder: 'Payment Reminder'
+};
+
+export const TEMPLATE_LANGUAGES = ['en', 'ar'];
+
+export const TEMPLATE_LANGUAGE_LABELS = {
+  en: 'English',
+  ar: 'العربية'
+};
+
+export const PLACEHOLDERS = {
+  name: 'Student name',
+  id: 'Student ID',
+  age: 'Student age',
+  grade: 'Grade',
+  school: 'School',
+  week: 'Week number',
+  center: 'Center attended (or main center)',
+  date: 'Attendance date (or session date when absent)',
+  hw: 'Homework level (and score)',
+  hwNote: 'Homework note',
+  paid: 'Session payment status',
+  quiz: 'Quiz degree'
+};
+
+export const SECTIONS = {
+  attended: 'Student attended the week',
+  hwDone: 'Homework complete or excellent',
+  hwNote: 'The homework has a note',
+  paid: 'Session paid',
+  quiz: 'Quiz degree recorded',
+  date: 'A date is known'
+};
+
+const LABELS = {
+  en: { yes: 'Yes', no: 'No', done: 'Done', notDone: 'Not Done', na: 'N/A', homework: HOMEWORK_LEVEL_LABELS },
+  ar: {
+    yes: 'نعم',
+    no: 'لا',
+    done: 'تم',
+    notDone: 'لم يتم',
+    na: 'غير متاح',
+    homework: { not_done: 'لم يتم', partial: 'جزئي', complete: 'مكتمل', excellent: 'ممتاز' }
+  }
+};
+
+// "Partial (6)", or "Not Done" when no homework was recorded
+function homeworkValue(homework, labels) {
+  if (!homework) return labels.notDone;
+  const level = labels.homework[homework.level] || homework.level;
+  return homework.score !== null && homework.score !== undefined ? `${level} (${homework.score})` : level;
+}
+
+export const DEFAULT_TEMPLATES = {
+  weekly_report: {
+    en: `TopPhysics academy:
+
+• Name: {name}
+• Age: {age}
+• Grade: {grade}
+• School: {school}
+• Attended: {#attended}{date}{/attended}{^attended}No{/attended}{#attended}
+• Homework: {hw}{#hwNote} - {hwNote}{/hwNote}
+• Paid Session: {paid}
+• Quiz Degree: {quiz}{/attended}
+
+Thanks for choosing us 😊❤`,
+    ar: `أكاديمية TopPhysics:
+
+• الاسم: {name}
+• السن: {age}
+• الصف: {grade}
+• المدرسة: {school}
+• الحضور: {#attended}{date}{/attended}{^attended}لم يحضر{/attended}{#attended}
+• الواجب: {hw}{#hwNote} - {hwNote}{/hwNote}
+• دفع الحصة: {paid}
+• درجة الامتحان: {quiz}{/attended}
+
+شكراً لاختياركم لنا 😊❤`
+  },
+  absence_notice: {
+    en: `TopPhysics academy:
+
+{name} did not attend the week {week} session{#date} on {date}{/date} at {center}.
+Please contact us if there is anything we can help with.`,
+    ar: `أكاديمية TopPhysics:
+
+لم يحضر {name} حصة الأسبوع {week}{#date} بتاريخ {date}{/date} في {center}.
+برجاء التواصل معنا إذا احتجتم أي مساعدة.`
+  },
+  payment_reminder: {
+    en: `TopPhysics academy:
+
+This is a reminder that the week {week} session for {name} has not been paid yet.
+Thanks for choosing us 😊❤`,
+    ar: `أكاديمية TopPhysics:
+
+نود تذكيركم بأن حصة الأسبوع {week} الخاصة بـ {name} لم يتم دفعها بعد.
+شكراً لاختياركم لنا 😊❤`
+  }
+};
+
+export function getDefaultTemplate(type, language) {
+  const templates = DEFAULT_TEMPLATES[type];
+  if (!templates) return null;
+  return templates[language] || templates.en;
+}
+
+// Values and section flags for one student-week.
+// `extra` can provide values that are not stored on the student (e.g. sessionDate).
+export function buildTemplateContext(student, weekData, language = 'en', extra = {}) {
+  const labels = LABELS[language] || LABELS.en;
+  const week = weekData || {};
+  const attended = !!week.attended;
+  const date = attended ? week.lastAttendance : extra.sessionDate;
+
+  return {
+    values: {
+      name: student.name || '',
+      id: student.id !== undefined ? String(student.id) : '',
+      age: student.age || labels.na,
+      grade: student.grade || labels.na,
+      school: student.school || labels.na,
+      week: week.week !== undefined ? String(week.week) : '',
+      center: (attended && week.lastAttendanceCenter) || extra.center || student.main_center || labels.na,
+      date: date || '',
+      hw: homeworkValue(week.homework, labels),
+      hwNote: (week.homework && week.homework.note) || '',
+      paid: week.paidSession ? labels.yes : labels.no,
+      quiz: formatQuiz(week.quiz) || '0/0'
+    },
+    flags: {
+      attended,
+      hwDone: isHomeworkDone(week.homework),
+      hwNote: !!(week.homework && week.homework.note),
+      paid: !!week.paidSession,
+      quiz: !!week.quiz,
+      date: !!date
+    }
+  };
+}
+
+const SECTION_PATTERN = /\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export function renderTemplate(body, context) {
+  let previous;
+  let text = body;
+  // Repeat so that sections nested inside other sections are resolved too
+  do {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (match, kind, flag, content) => {
+      const enabled = !!context.flags[flag];
+      return (kind === '#' ? enabled : !enabled) ? content : '';
+    });
+  } while (text !== previous);
+
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) => (
+    Object.prototype.hasOwnProperty.call(context.values, key) ? context.values[key] : match
+  ));
+}
+
+// Returns a list of problems (empty when the template is valid)
+export function validateTemplate(body) {
+  const errors = [];
+  if (typeof body !== 'string' || !body.trim()) {
+    return ['Template text is required'];
+  }
+
+  const open = [];
+  const tagPattern = /\{([#^/])?(\w+)\}/g;
+  let match;
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, kind, key] = match;
+    if (!kind) {
+      if (!PLACEHOLDERS[key]) errors.push(`Unknown placeholder {${key}}`);
+    } else if (kind === '/') {
+      if (open[open.length - 1] !== key) {
+        errors.push(`Unexpected {/${key}}`);
+      } else {
+        open.pop();
+      }
+    } else {
+      if (!SECTIONS[key]) errors.push(`Unknown section {${kind}${key}}`);
+      open.push(key);
+    }
+  }
+  open.forEach(key => errors.push(`Section {${key}} is not closed with {/${key}}`));
+
+  return errors;
+}
@@ -0,0 +1,218 @@
+import axios from 'axios';
+import { getApiBaseUrl } from '../config';
+
+// Offline scanning (browser only)
+// While the centre's connection is down the scan page keeps working from IndexedDB:
+//   `queue`     { seq, studentId, studentName, action, week, body, expected, queuedAt }
+//               changes in the order they were made; `expected` is the value the page
+//               showed before the change, so the server can spot edits made meanwhile
+//   `students`  the last known copy of each student the page has loaded, plus the
+//               selected centre's roster, kept up to date with the queued changes
+//   `conflicts` queued changes the server resolved against another assistant's edit,
+//               or refused, kept until the assistant dismisses them
+// syncQueue replays the queue in order through the usual endpoints (see
+// lib/server/offlineSync.js for how conflicts are resolved).
+
+const DB_NAME = 'scan-offline';
+const DB_VERSION = 1;
+
+export const OFFLINE_ACTIONS = {
+  attend: 'attend',
+  hw: 'hw',
+  paid: 'paid',
+  quiz: 'quiz_degree'
+};
+
+export const OFFLINE_ACTION_LABELS = {
+  attend: 'Attendance',
+  hw: 'Homework',
+  paid: 'Payment',
+  quiz: 'Quiz'
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        db.createObjectStore('students', { keyPath: 'id' });
+        db.createObjectStore('conflicts', { keyPath: 'seq' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `work(store)` in one transaction and resolve with the value of its last request
+async function withStore(name, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = work(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// No response at all means the request never reached the server
+export const isNetworkError = (error) => !!error && !error.response;
+
+// ---- Student cache ----
+
+export function cacheStudents(students) {
+  const cachedAt = new Date().toISOString();
+  return withStore('students', 'readwrite', store => {
+    let request = null;
+    students.forEach(student => {
+      request = store.put({ ...student, cachedAt });
+    });
+    return request;
+  });
+}
+
+export async function getCachedStudent(id) {
+  const student = await withStore('students', 'readonly', store => store.get(parseInt(id)));
+  return student || null;
+}
+
+// Download the centre's students so they can be scanned without a connection
+export async function cacheCenterRoster(center, token) {
+  const response = await axios.get(`${getApiBaseUrl()}/api/students`, {
+    params: { center },
+    headers: { Authorization: `Bearer ${token}` }
+  });
+  const students = response.data.students || response.data;
+  await cacheStudents(students);
+  return students.length;
+}
+
+// Same week changes the endpoints make, so the page shows queued changes offline
+function applyToWeek(week, action, body) {
+  if (action === 'attend') {
+    if (body.attended) {
+      return { ...week, attended: true, lastAttendance: body.lastAttendance, lastAttendanceCenter: body.lastAttendanceCenter };
+    }
+    return { ...week, attended: false, lastAttendance: null, lastAttendanceCenter: null, homework: null, paidSession: false, quiz: null, message_state: false };
+  }
+  if (action === 'hw') {
+    return { ...week, homework: body.level ? { level: body.level, score: body.score ?? null, note: body.note ?? null } : null };
+  }
+  if (action === 'paid') return { ...week, paidSession: !!body.paidSession };
+  if (action === 'quiz') {
+    const outOf = body.outOf ?? (week.quiz ? week.quiz.outOf : null);
+    return { ...week, quiz: body.score === null || body.score === '' ? null : { score: Number(body.score), outOf } };
+  }
+  return week;
+}
+
+async function applyToCachedStudent(change) {
+  const student = await getCachedStudent(change.studentId);
+  if (!student || !student.weeks || !student.weeks[change.week - 1]) return student;
+  const weeks = student.weeks.map((week, index) => (index === change.week - 1 ? applyToWeek(week, change.action, change.body) : week));
+  const updated = { ...student, weeks };
+  await withStore('students', 'readwrite', store => store.put(updated));
+  return updated;
+}
+
+// ---- Queue ----
+
+// Queue one change; resolves with the cached student updated to show it
+export async function queueChange({ studentId, studentName, action, week, body, expected }) {
+  if (!OFFLINE_ACTIONS[action]) throw new Error(`Unknown offline action: ${action}`);
+  const change = {
+    studentId: parseInt(studentId),
+    studentName: studentName || null,
+    action,
+    week,
+    body,
+    expected: expected === undefined ? null : expected,
+    queuedAt: new Date().toISOString()
+  };
+  await withStore('queue', 'readwrite', store => store.add(change));
+  return applyToCachedStudent(change);
+}
+
+export function listQueue() {
+  return withStore('queue', 'readonly', store => store.getAll());
+}
+
+export function listConflicts() {
+  return withStore('conflicts', 'readonly', store => store.getAll());
+}
+
+export function clearConflicts() {
+  return withStore('conflicts', 'readwrite', store => store.clear());
+}
+
+async function settle(change, outcome) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(['queue', 'conflicts'], 'readwrite');
+    transaction.objectStore('queue').delete(change.seq);
+    if (outcome) {
+      transaction.objectStore('conflicts').put({ ...change, ...outcome, resolvedAt: new Date().toISOString() });
+    }
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+let syncing = null;
+
+// Send the queued changes oldest first. Stops at the first network failure or server
+// error so the order is kept; the rest is sent on the next call.
+// Resolves with { sent, conflicts, remaining, offline }.
+export function syncQueue(token) {
+  if (!syncing) {
+    syncing = runSync(token).finally(() => {
+      syncing = null;
+    });
+  }
+  return syncing;
+}
+
+async function runSync(token) {
+  const queue = (await listQueue()).sort((a, b) => a.seq - b.seq);
+  const result = { sent: 0, conflicts: 0, remaining: queue.length, offline: false };
+
+  for (const change of queue) {
+    try {
+      const response = await axios.post(
+        `${getApiBaseUrl()}/api/students/${change.studentId}/${OFFLINE_ACTIONS[change.action]}`,
+        { ...change.body, queuedAt: change.queuedAt, expected: change.expected },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      const conflict = response.data && response.data.conflict;
+      await settle(change, conflict ? { resolution: 'overwritten', message: 'Applied over a change made meanwhile', conflict } : null);
+      if (conflict) result.conflicts++;
+      result.sent++;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        result.offline = true;
+        break;
+      }
+      const status = error.response.status;
+      if (status >= 500 || status === 401) break;
+      // Kept server value, closed cash session, unknown student...: nothing to retry
+      const details = error.response.data && error.response.data.details;
+      await settle(change, {
+        resolution: details && details.conflict ? 'kept' : 'rejected',
+        message: (error.response.data && error.response.data.error) || `Request failed (${status})`,
+        conflict: details && details.conflict ? details.conflict : null
+      });
+      result.conflicts++;
+    }
+    result.remaining--;
+  }
+  return result;
+}
@@ -0,0 +1,92 @@
+// Role-based permissions shared by the API routes and the dashboard pages.
+// A role is granted a fixed list of named permissions; routes and pages ask
+// for a permission instead of checking role names directly.
+
+export const ROLES = ['admin', 'supervisor', 'assistant', 'viewer'];
+
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  supervisor: 'Supervisor',
+  assistant: 'Assistant',
+  viewer: 'Viewer (read-only)'
+};
+
+const VIEW_PERMISSIONS = [
+  'students.view',
+  'centers.view',
+  'calendar.view',
+  'history.view'
+];
+
+const ASSISTANT_PERMISSIONS = [
+  ...VIEW_PERMISSIONS,
+  'students.create',
+  'students.edit',
+  'attendance.mark',
+  'messages.send',
+  'payments.view',
+  'payments.record'
+];
+
+const SUPERVISOR_PERMISSIONS = [
+  ...ASSISTANT_PERMISSIONS,
+  'students.delete',
+  'students.reset',
+  'centers.manage',
+  'quizzes.manage',
+  'payments.void',
+  'cash.close'
+];
+
+export const ROLE_PERMISSIONS = {
+  admin: [
+    ...SUPERVISOR_PERMISSIONS,
+    'students.resetAll',
+    'students.restore',
+    'snapshots.manage',
+    'centers.all',
+    'calendar.manage',
+    'templates.manage',
+    'pricing.manage',
+    'payments.unlock',
+    'assistants.manage'
+  ],
+  supervisor: SUPERVISOR_PERMISSIONS,
+  assistant: ASSISTANT_PERMISSIONS,
+  viewer: VIEW_PERMISSIONS
+};
+
+export function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return !!permissions && permissions.includes(permission);
+}
+
+// Permission needed to open each protected page (pages not listed only need a login)
+export const PAGE_PERMISSIONS = {
+  '/dashboard/add_student': 'students.create',
+  '/dashboard/import_students': 'students.create',
+  '/dashboard/report_cards': 'students.view',
+  '/dashboard/edit_student': 'students.edit',
+  '/dashboard/delete_student': 'students.delete',
+  '/dashboard/archived_students': 'students.restore',
+  '/dashboard/snapshots': 'snapshots.manage',
+  '/dashboard/scan_page': 'attendance.mark',
+  '/dashboard/messages': 'messages.send',
+  '/dashboard/payments': 'payments.view',
+  '/dashboard/arrears': 'payments.view',
+  '/dashboard/pricing': 'pricing.manage',
+  '/dashboard/cash': 'payments.view',
+  '/dashboard/course_calendar': 'calendar.manage',
+  '/dashboard/quizzes': 'quizzes.manage',
+  '/dashboard/message_templates': 'templates.manage',
+  '/manage_assistants': 'assistants.manage',
+  '/manage_assistants/add_assistant': 'assistants.manage',
+  '/manage_assistants/edit_assistant': 'assistants.manage',
+  '/manage_assistants/delete_assistant': 'assistants.manage',
+  '/manage_assistants/all_assistants': 'assistants.manage'
+};
+
+export function canAccessPage(role, pathname) {
+  const permission = PAGE_PERMISSIONS[pathname];
+  return !permission || hasPermission(role, permission);
+}
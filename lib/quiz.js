@@ -0,0 +1,37 @@
+// Quiz results
+// A week's quiz is stored as `weeks[i].quiz = { score, outOf }` (numbers) or null when
+// no quiz was recorded. Older documents held a free-text `quizDegree` such as "7 / 10";
+// parseQuizDegree reads those and formatQuiz produces the same display text.
+
+export function validateQuiz(score, outOf) {
+  if (typeof score !== 'number' || !isFinite(score)) return 'Score must be a number';
+  if (typeof outOf !== 'number' || !isFinite(outOf)) return 'Out of must be a number';
+  if (score < 0) return 'Score cannot be negative';
+  if (outOf <= 0) return 'Out of must be greater than zero';
+  if (score > outOf) return 'Score cannot be greater than out of';
+  return null;
+}
+
+// Read a legacy "x / y" string, returns null when it is not a valid score
+export function parseQuizDegree(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const score = parseFloat(match[1]);
+  const outOf = parseFloat(match[2]);
+  return validateQuiz(score, outOf) ? null : { score, outOf };
+}
+
+export function formatQuiz(quiz) {
+  return quiz ? `${quiz.score} / ${quiz.outOf}` : null;
+}
+
+export function getQuizPercentage(quiz) {
+  return quiz ? Math.round((quiz.score / quiz.outOf) * 1000) / 10 : null;
+}
+
+// Whether a score reaches the pass mark of the week's quiz (null when there is none)
+export function isQuizPassed(quiz, passMark) {
+  if (!quiz || passMark === null || passMark === undefined) return null;
+  return quiz.score >= passMark;
+}
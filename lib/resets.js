@@ -0,0 +1,9 @@
+// Phrases that have to be typed to confirm destructive operations.
+// The API compares them exactly, the pages show them to the user.
+
+export const RESET_ALL_PHRASE = 'RESET ALL STUDENTS';
+export const RESTORE_SNAPSHOT_PHRASE = 'RESTORE SNAPSHOT';
+
+export function getStudentResetPhrase(studentId) {
+  return `RESET STUDENT ${studentId}`;
+}
@@ -0,0 +1,188 @@
+import { getQuizPercentage } from '../quiz';
+import { HOMEWORK_LEVELS, isHomeworkDone } from '../homework';
+import { getCalendar, getLastRecordedWeek } from './courseCalendar';
+import { activeStudent } from './archive';
+import { gradeFilter } from './matching';
+import { getStudentEnrolments, isClosedTerm, toTermResponse } from './terms';
+
+// Per-student performance figures, computed from the stored `weeks` array.
+// Only weeks that have already been held count, so future weeks are not absences.
+
+const TREND_THRESHOLD = 1; // percentage points per quiz
+
+function toRate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : null;
+}
+
+// { not_done, partial, complete, excellent } counts; weeks without a grade are left out
+function countHomeworkLevels(weeks) {
+  const counts = Object.fromEntries(HOMEWORK_LEVELS.map(level => [level, 0]));
+  weeks.forEach(week => {
+    if (week.homework && week.homework.level in counts) counts[week.homework.level]++;
+  });
+  return counts;
+}
+
+// Last week that has taken place: from the calendar dates when the grade has them,
+// otherwise the last week anyone in the grade has data for
+export async function getHeldWeekCount(db, grade, now = new Date()) {
+  const calendar = await getCalendar(db, grade);
+  if (calendar && calendar.sessions.some(session => session.date)) {
+    const today = now.toISOString().slice(0, 10);
+    return calendar.sessions
+      .filter(session => session.date && session.date <= today)
+      .reduce((last, session) => Math.max(last, session.week), 0);
+  }
+  return getLastRecordedWeek(db, gradeFilter(grade));
+}
+
+// Average quiz percentage of every student of the grade, best first
+export async function getGradeQuizRanking(db, grade) {
+  return db.collection('students').aggregate([
+    { $match: activeStudent({ grade }) },
+    { $unwind: '$weeks' },
+    { $match: { 'weeks.quiz': { $ne: null } } },
+    { $group: {
+      _id: '$id',
+      average: { $avg: { $multiply: [{ $divide: ['$weeks.quiz.score', '$weeks.quiz.outOf'] }, 100] } }
+    } },
+    { $sort: { average: -1 } }
+  ]).toArray();
+}
+
+// Runs of consecutive missed weeks
+export function getAbsenceStreaks(weeks) {
+  const streaks = [];
+  let current = null;
+  weeks.forEach(week => {
+    if (!week.attended) {
+      if (current) {
+        current.to = week.week;
+        current.length++;
+      } else {
+        current = { from: week.week, to: week.week, length: 1 };
+        streaks.push(current);
+      }
+    } else {
+      current = null;
+    }
+  });
+  return streaks;
+}
+
+// Least-squares slope of the quiz percentages, in points per quiz
+export function getQuizTrend(points) {
+  if (points.length < 2) return { slope: null, direction: null };
+  const n = points.length;
+  const meanX = (n - 1) / 2;
+  const meanY = points.reduce((sum, p) => sum + p.percentage, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((point, index) => {
+    numerator += (index - meanX) * (point.percentage - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+  const slope = Math.round((numerator / denominator) * 10) / 10;
+  const direction = slope > TREND_THRESHOLD ? 'improving' : slope < -TREND_THRESHOLD ? 'declining' : 'steady';
+  return { slope, direction };
+}
+
+export function computeStudentAnalytics(student, heldWeekCount) {
+  const allWeeks = student.weeks || [];
+  // A student's own data proves a week was held even if the calendar says otherwise
+  const lastOwnWeek = allWeeks.reduce((last, week) => (week.attended ? Math.max(last, week.week) : last), 0);
+  const held = Math.min(Math.max(heldWeekCount, lastOwnWeek), allWeeks.length);
+  const weeks = allWeeks.slice(0, held);
+  const attendedWeeks = weeks.filter(week => week.attended);
+
+  const quizPoints = weeks
+    .filter(week => week.quiz)
+    .map(week => ({ week: week.week, score: week.quiz.score, outOf: week.quiz.outOf, percentage: getQuizPercentage(week.quiz) }));
+  const averagePercentage = quizPoints.length > 0
+    ? Math.round((quizPoints.reduce((sum, p) => sum + p.percentage, 0) / quizPoints.length) * 10) / 10
+    : null;
+
+  const streaks = getAbsenceStreaks(weeks);
+  const lastStreak = streaks[streaks.length - 1];
+  const arrearsWeeks = attendedWeeks.filter(week => !week.paidSession).map(week => week.week);
+
+  return {
+    heldWeeks: held,
+    attendance: {
+      attended: attendedWeeks.length,
+      held,
+      rate: toRate(attendedWeeks.length, held),
+      missedWeeks: weeks.filter(week => !week.attended).map(week => week.week)
+    },
+    homework: {
+      done: attendedWeeks.filter(week => isHomeworkDone(week.homework)).length,
+      attended: attendedWeeks.length,
+      rate: toRate(attendedWeeks.filter(week => isHomeworkDone(week.homework)).length, attendedWeeks.length),
+      levels: countHomeworkLevels(attendedWeeks)
+    },
+    payments: {
+      paid: attendedWeeks.length - arrearsWeeks.length,
+      attended: attendedWeeks.length,
+      arrearsCount: arrearsWeeks.length,
+      arrearsWeeks
+    },
+    quizzes: {
+      taken: quizPoints.length,
+      averagePercentage,
+      ...getQuizTrend(quizPoints),
+      points: quizPoints
+    },
+    absences: {
+      current: lastStreak && lastStreak.to === held ? lastStreak.length : 0,
+      longest: streaks.reduce((longest, streak) => Math.max(longest, streak.length), 0),
+      streaks: streaks.filter(streak => streak.length > 1)
+    }
+  };
+}
+
+export async function getStudentAnalytics(db, student) {
+  const heldWeekCount = await getHeldWeekCount(db, student.grade);
+  const analytics = computeStudentAnalytics(student, heldWeekCount);
+
+  let rank = null;
+  if (analytics.quizzes.averagePercentage !== null) {
+    const ranking = await getGradeQuizRanking(db, student.grade);
+    const own = ranking.find(entry => entry._id === student.id);
+    if (own) {
+      rank = {
+        position: ranking.filter(entry => entry.average > own.average).length + 1,
+        outOf: ranking.length
+      };
+    }
+  }
+
+  return {
+    studentId: student.id,
+    name: student.name,
+    grade: student.grade,
+    main_center: student.main_center,
+    ...analytics,
+    rank
+  };
+}
+
+// Headline figures of every term a student was enrolled in, newest first, to compare
+// a returning student year over year. A closed term counts the weeks its grade recorded.
+export async function getStudentTermComparison(db, studentId) {
+  const enrolments = await getStudentEnrolments(db, studentId);
+  return Promise.all(enrolments.map(async ({ term, enrolment }) => {
+    const heldWeekCount = isClosedTerm(term)
+      ? await getLastRecordedWeek(db, { termId: term.id, ...gradeFilter(enrolment.grade) }, 'student_terms')
+      : await getHeldWeekCount(db, enrolment.grade);
+    const analytics = computeStudentAnalytics(enrolment, heldWeekCount);
+    return {
+      term: toTermResponse(term),
+      grade: enrolment.grade,
+      main_center: enrolment.main_center,
+      attendance: analytics.attendance,
+      homework: analytics.homework,
+      payments: { paid: analytics.payments.paid, arrearsCount: analytics.payments.arrearsCount },
+      quizzes: { taken: analytics.quizzes.taken, averagePercentage: analytics.quizzes.averagePercentage }
+    };
+  }));
+}
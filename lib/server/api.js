@@ -0,0 +1,66 @@
+import { getDb } from './db';
+import { authenticate } from './auth';
+import { ApiError, sendError } from './errors';
+import { hasPermission } from '../permissions';
+
+export { ApiError, sendError };
+
+// Base wrapper for API routes: provides the pooled db and turns thrown errors
+// into the shared JSON error format. Handlers are called as handler(req, res, { db }).
+// `methods` (optional) restricts the allowed HTTP methods.
+export function withApi(handler, { methods } = {}) {
+  return async function apiRoute(req, res) {
+    if (methods && !methods.includes(req.method)) {
+      res.setHeader('Allow', methods);
+      return sendError(res, 405, 'Method not allowed');
+    }
+    try {
+      const db = await getDb();
+      return await handler(req, res, { db });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return sendError(res, error.status, error.message, error.details);
+      }
+      console.error(`❌ API error in ${req.method} ${req.url}:`, error);
+      return sendError(res, 500, 'Internal server error');
+    }
+  };
+}
+
+// Requires a valid Bearer token; the decoded token is passed as `user`
+export function withAuth(handler, options) {
+  return withApi(async (req, res, context) => {
+    const user = authenticate(req);
+    return handler(req, res, { ...context, user });
+  }, options);
+}
+
+// Requires a valid token whose role is one of `roles`
+export function withRole(roles, handler, options) {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  return withAuth(async (req, res, context) => {
+    if (!allowed.includes(context.user.role)) {
+      const roleNames = allowed.map(role => role.charAt(0).toUpperCase() + role.slice(1) + 's');
+      throw new ApiError(403, `Forbidden: ${roleNames.join(' or ')} only`);
+    }
+    return handler(req, res, context);
+  }, options);
+}
+
+// Throws a 403 unless the user's role grants `permission`
+export function requirePermission(user, permission) {
+  if (!hasPermission(user.role, permission)) {
+    throw new ApiError(403, `Forbidden: missing permission ${permission}`);
+  }
+}
+
+// Requires a valid token whose role grants a permission. `permissions` is either
+// one permission for every method or a map of HTTP method to permission.
+export function withPermission(permissions, handler, options = {}) {
+  const methods = options.methods || (typeof permissions === 'string' ? undefined : Object.keys(permissions));
+  return withAuth(async (req, res, context) => {
+    const permission = typeof permissions === 'string' ? permissions : permissions[req.method];
+    requirePermission(context.user, permission);
+    return handler(req, res, context);
+  }, { ...options, methods });
+}
@@ -0,0 +1,86 @@
+import { getConfigValue } from './config';
+import { getDb } from './db';
+
+// Archived (soft deleted) students
+// Deleting a student only sets { deletedAt, deletedBy, deletedByName } on the document.
+// Archived students are left out of every list and lookup (see activeStudent) until
+// an admin restores them; after ARCHIVE_PURGE_DAYS they are removed for good.
+// A purge period of 0 keeps archived students forever.
+// Every server process checks for expired students once an hour (instrumentation.js
+// starts it, whatever MESSAGE_WORKER is set to); the purge is safe to run from several
+// instances at once.
+
+export const PURGE_AFTER_DAYS = parseInt(getConfigValue('ARCHIVE_PURGE_DAYS', '30'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Matches documents without deletedAt as well as deletedAt: null
+export const NOT_ARCHIVED = { deletedAt: null };
+
+export function activeStudent(filter = {}) {
+  return { ...filter, ...NOT_ARCHIVED };
+}
+
+export function getPurgeDate(deletedAt) {
+  return PURGE_AFTER_DAYS > 0 ? new Date(new Date(deletedAt).getTime() + PURGE_AFTER_DAYS * DAY_MS) : null;
+}
+
+// Returns false when there is no active student with this id
+export async function archiveStudent(db, user, studentId) {
+  const result = await db.collection('students').updateOne(
+    activeStudent({ id: studentId }),
+    { $set: { deletedAt: new Date(), deletedBy: user.assistant_id, deletedByName: user.name || null } }
+  );
+  return result.matchedCount > 0;
+}
+
+// Returns false when there is no archived student with this id
+export async function restoreStudent(db, studentId) {
+  const result = await db.collection('students').updateOne(
+    { id: studentId, deletedAt: { $ne: null } },
+    { $unset: { deletedAt: '', deletedBy: '', deletedByName: '' } }
+  );
+  return result.matchedCount > 0;
+}
+
+export async function getArchivedStudents(db, scopeFilter = {}) {
+  const students = await db.collection('students')
+    .find(
+      { $and: [scopeFilter, { deletedAt: { $ne: null } }] },
+      { projection: { _id: 0, id: 1, name: 1, grade: 1, school: 1, phone: 1, main_center: 1, deletedAt: 1, deletedBy: 1, deletedByName: 1 } }
+    )
+    .sort({ deletedAt: -1 })
+    .toArray();
+  return students.map(student => ({ ...student, purgeAt: getPurgeDate(student.deletedAt) }));
+}
+
+// Hard delete students archived longer than the purge period
+export async function purgeArchivedStudents(db, now = new Date()) {
+  if (PURGE_AFTER_DAYS <= 0) return 0;
+  const cutoff = new Date(now.getTime() - PURGE_AFTER_DAYS * DAY_MS);
+  const expired = await db.collection('students')
+    .find({ deletedAt: { $ne: null, $lte: cutoff } }, { projection: { id: 1 } })
+    .toArray();
+  if (expired.length === 0) return 0;
+
+  const result = await db.collection('students').deleteMany({ id: { $in: expired.map(student => student.id) }, deletedAt: { $lte: cutoff } });
+  console.log(`🧹 Purged ${result.deletedCount} students archived before ${cutoff.toISOString()}: ${expired.map(student => student.id).join(', ')}`);
+  return result.deletedCount;
+}
+
+async function runPurge() {
+  try {
+    await purgeArchivedStudents(await getDb());
+  } catch (error) {
+    console.error('❌ Archive purge error:', error);
+  }
+}
+
+// Purge now and then hourly; kept on `global` so hot reloads do not start another timer
+export function ensureArchivePurge() {
+  if (PURGE_AFTER_DAYS <= 0 || global._archivePurgeTimer) return;
+  console.log(`🧹 Purging students archived for more than ${PURGE_AFTER_DAYS} days every hour`);
+  global._archivePurgeTimer = setInterval(runPurge, PURGE_INTERVAL_MS);
+  runPurge();
+}
@@ -0,0 +1,62 @@
+// Append-only attendance event log
+// Every change to a student's week (attendance, homework, payment, quiz, message)
+// is written to the `attendance_events` collection and never updated or deleted (only
+// renaming a centre rewrites the stored centre name, see lib/server/centers.js):
+// { studentId, week, center, action, value, previousValue, actor, actorName, createdAt }
+// `paid` events from the scan page toggle also carry the cash `amount` collected
+// (or given back), which the cash reconciliation adds up.
+
+export const ATTENDANCE_ACTIONS = ['attend', 'unattend', 'hw', 'paid', 'quiz', 'message'];
+
+export async function recordAttendanceEvent(db, user, { studentId, week, center, action, value, previousValue, amount }) {
+  if (!ATTENDANCE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown attendance action: ${action}`);
+  }
+
+  const event = {
+    studentId,
+    week,
+    center: center || null,
+    action,
+    value: value === undefined ? null : value,
+    previousValue: previousValue === undefined ? null : previousValue,
+    actor: user ? user.assistant_id : null,
+    actorName: user ? user.name || null : null,
+    createdAt: new Date()
+  };
+  if (amount !== undefined) event.amount = amount;
+
+  await db.collection('attendance_events').insertOne(event);
+  return event;
+}
+
+// Reduce the attend/unattend events of one student-week (sorted oldest first)
+// into the attendance record shown by the history page.
+export function summarizeAttendance(events) {
+  let summary = null;
+
+  events.forEach(event => {
+    if (event.action === 'attend') {
+      summary = {
+        status: 'attended',
+        center: event.center,
+        markedBy: event.actor,
+        markedByName: event.actorName,
+        markedAt: event.createdAt,
+        undoneBy: null,
+        undoneByName: null,
+        undoneAt: null
+      };
+    } else if (event.action === 'unattend' && summary) {
+      summary = {
+        ...summary,
+        status: 'undone',
+        undoneBy: event.actor,
+        undoneByName: event.actorName,
+        undoneAt: event.createdAt
+      };
+    }
+  });
+
+  return summary;
+}
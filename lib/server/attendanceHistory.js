@@ -0,0 +1,157 @@
+import { summarizeAttendance } from './attendanceEvents';
+import { isCenterInScope } from './centerScope';
+import { formatQuiz } from '../quiz';
+import { isHomeworkDone } from '../homework';
+import { findEnrolments, termEventFilter } from './terms';
+
+// Attendance history: one entry per student with a record per week that has
+// attendance events (or a legacy `history` record), as shown on history.jsx.
+// `scope` is the user's centre scope from getCenterScope, `term` the term to read
+// (see resolveTerm); week data of a closed term comes from its enrolments.
+export async function getAttendanceHistory(db, scope, term) {
+  // Attendance events are the source of truth, oldest first so they replay in order
+  const events = await db.collection('attendance_events').find(termEventFilter(term)).sort({ createdAt: 1 }).toArray();
+  console.log('📊 Found', events.length, 'attendance events');
+  
+  // Group events per student and week
+  const eventGroups = new Map();
+  events.forEach(event => {
+    const key = `${event.studentId}-${event.week}`;
+    if (!eventGroups.has(key)) {
+      eventGroups.set(key, { studentId: event.studentId, week: event.week, events: [] });
+    }
+    eventGroups.get(key).events.push(event);
+  });
+  
+  // Records written before the event log existed only carry studentId and week
+  const legacyRecords = term.includesLegacyHistory ? await db.collection('history').find().toArray() : [];
+  legacyRecords.forEach(record => {
+    const key = `${record.studentId}-${record.week}`;
+    if (!eventGroups.has(key)) {
+      eventGroups.set(key, { studentId: record.studentId, week: record.week, events: [] });
+    }
+  });
+  
+  // Get the students referenced by the log
+  const studentIds = [...new Set([...eventGroups.values()].map(group => group.studentId))];
+  const students = await findEnrolments(db, term, { id: { $in: studentIds } }).toArray();
+  console.log('👥 Found', students.length, 'students');
+  
+  // Create a map of students by ID for quick lookup
+  const studentMap = new Map();
+  students.forEach(student => {
+    studentMap.set(student.id, student);
+  });
+  
+  const studentHistoryMap = new Map();
+  
+  eventGroups.forEach(group => {
+    const student = studentMap.get(group.studentId);
+    if (!student) {
+      console.warn(`Student ${group.studentId} not found for attendance events`);
+      return;
+    }
+    
+    // Get the specific week data from student's weeks array
+    const weekIndex = group.week - 1; // Convert week number to array index
+    const weekData = student.weeks && student.weeks[weekIndex] ? student.weeks[weekIndex] : null;
+    
+    let attendance = summarizeAttendance(group.events);
+    if (!attendance) {
+      // No attend event logged (legacy data) - fall back to the stored week
+      if (!weekData || !weekData.attended) return;
+      attendance = {
+        status: 'attended',
+        center: weekData.lastAttendanceCenter,
+        markedBy: null,
+        markedByName: null,
+        markedAt: null,
+        undoneBy: null,
+        undoneByName: null,
+        undoneAt: null
+      };
+    }
+    
+    // Scoped assistants only see attendance taken at their centres
+    if (!isCenterInScope(scope, attendance.center)) return;
+    
+    const attended = attendance.status === 'attended';
+    const enrichedRecord = {
+      studentId: group.studentId,
+      week: group.week,
+      status: attendance.status,
+      main_center: student.main_center || 'n/a',
+      center: (attended && weekData && weekData.lastAttendanceCenter) || attendance.center || 'n/a',
+      attendanceDate: (attended && weekData && weekData.lastAttendance) || 'n/a',
+      markedBy: attendance.markedBy,
+      markedByName: attendance.markedByName,
+      markedAt: attendance.markedAt,
+      undoneBy: attendance.undoneBy,
+      undoneByName: attendance.undoneByName,
+      undoneAt: attendance.undoneAt,
+      homework: attended && weekData ? weekData.homework || null : null,
+      hwDone: attended && weekData ? isHomeworkDone(weekData.homework) : false,
+      paidSession: attended && weekData ? weekData.paidSession || false : false,
+      quiz: attended && weekData ? weekData.quiz || null : null,
+      quizDegree: attended && weekData ? formatQuiz(weekData.quiz) : null,
+      message_state: attended && weekData ? weekData.message_state || false : false,
+      events: group.events.map(event => ({
+        action: event.action,
+        value: event.value,
+        previousValue: event.previousValue,
+        center: event.center,
+        actor: event.actor,
+        actorName: event.actorName,
+        createdAt: event.createdAt
+      }))
+    };
+    
+    // Group by student
+    if (!studentHistoryMap.has(group.studentId)) {
+      studentHistoryMap.set(group.studentId, {
+        id: student.id,
+        name: student.name,
+        grade: student.grade,
+        school: student.school,
+        phone: student.phone,
+        parentsPhone: student.parentsPhone,
+        historyRecords: []
+      });
+    }
+    
+    studentHistoryMap.get(group.studentId).historyRecords.push(enrichedRecord);
+  });
+  
+  // Keep each student's records in week order
+  studentHistoryMap.forEach(entry => {
+    entry.historyRecords.sort((a, b) => a.week - b.week);
+  });
+  
+  // Convert map to array and sort by student ID
+  const result = Array.from(studentHistoryMap.values()).sort((a, b) => a.id - b.id);
+  
+  return result;
+}
+
+// Same filters as history.jsx: grade (the student's current one), centre and
+// week of the record, a search on id/name/school, and undone attendance hidden
+// unless `showUndone` is set
+export function filterAttendanceHistory(history, { grade, center, week, q, showUndone }) {
+  const term = (q || '').trim().toLowerCase();
+  return history
+    .filter(student => !grade || (student.grade || '').toLowerCase() === grade.toLowerCase())
+    .map(student => ({
+      ...student,
+      historyRecords: student.historyRecords.filter(record =>
+        (showUndone || record.status !== 'undone') &&
+        (!center || (record.center && record.center.toLowerCase() === center.toLowerCase())) &&
+        (!week || record.week === week)
+      )
+    }))
+    .filter(student => student.historyRecords.length > 0)
+    .filter(student => !term ||
+      student.id.toString().includes(term) ||
+      (student.name && student.name.toLowerCase().includes(term)) ||
+      (student.school && student.school.toLowerCase().includes(term))
+    );
+}
@@ -0,0 +1,27 @@
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from './config';
+import { ApiError } from './errors';
+
+export const TOKEN_EXPIRY = '2h';
+
+export function signToken(assistant) {
+  return jwt.sign(
+    { assistant_id: assistant.id, name: assistant.name, role: assistant.role },
+    JWT_SECRET,
+    { expiresIn: TOKEN_EXPIRY }
+  );
+}
+
+// Decode the Bearer token of a request, throwing a 401 ApiError when it is missing or invalid
+export function authenticate(req) {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith('Bearer ')) {
+    throw new ApiError(401, 'Unauthorized - No Bearer token');
+  }
+  try {
+    const token = auth.split(' ')[1];
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new ApiError(401, 'Invalid token - ' + error.message);
+  }
+}
@@ -0,0 +1,195 @@
+import { hasPermission } from '../permissions';
+import { ApiError } from './errors';
+
+// Cash reconciliation
+// Cash comes in two ways: cash receipts of the payments ledger (the scan page payment
+// toggle records one too), and toggles made before that, whose `paid` attendance event
+// carries the amount collected or handed back. Both record the assistant who took the
+// money and the centre.
+// A cash session is one centre on one day (UTC dates, like the rest of the app). Closing
+// it stores what was counted per assistant in `cash_sessions`:
+//   { date, center, assistants: [{ assistantId, name, expected, counted, difference }],
+//     expected, counted, difference, note, closedBy, closedByName, closedAt }
+// Once closed, payment changes that belong to that session are refused unless the role
+// has `payments.unlock`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const sessionDate = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+export function parseSessionDate(value) {
+  if (value === undefined || value === null || value === '') return sessionDate();
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new ApiError(400, 'date must be in YYYY-MM-DD format');
+  }
+  return value;
+}
+
+function dayRange(date) {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  return { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+}
+
+// Throws a 409 when the cash session of `date` at `center` is closed
+export async function requireSessionOpen(db, user, { date = new Date(), center }) {
+  if (hasPermission(user.role, 'payments.unlock')) return;
+  const day = sessionDate(date);
+  const closed = await db.collection('cash_sessions').findOne({ date: day, center: center || null });
+  if (closed) {
+    throw new ApiError(409, `The ${center || 'n/a'} session of ${day} was closed by ${closed.closedByName || closed.closedBy}; only an admin can change its payments`);
+  }
+}
+
+// Expected cash per centre and assistant for one day, from toggles and cash receipts
+async function collectExpected(db, date, centerFilter) {
+  const range = dayRange(date);
+  const toggles = await db.collection('attendance_events').aggregate([
+    { $match: { action: 'paid', createdAt: range, amount: { $exists: true }, ...centerFilter } },
+    { $sort: { createdAt: 1 } },
+    { $group: {
+      _id: { center: '$center', assistantId: '$actor' },
+      name: { $last: '$actorName' },
+      toggles: { $sum: { $cond: [{ $and: ['$value', { $ne: ['$amount', null] }] }, 1, 0] } },
+      collected: { $sum: { $cond: ['$value', { $ifNull: ['$amount', 0] }, 0] } },
+      refunded: { $sum: { $cond: ['$value', 0, { $ifNull: ['$amount', 0] }] } },
+      unpriced: { $sum: { $cond: [{ $and: ['$value', { $eq: ['$amount', null] }] }, 1, 0] } }
+    } }
+  ]).toArray();
+  const receipts = await db.collection('payments').aggregate([
+    { $match: { method: 'cash', voidedAt: null, createdAt: range, ...centerFilter } },
+    { $sort: { createdAt: 1 } },
+    { $group: {
+      _id: { center: '$center', assistantId: '$receivedBy' },
+      name: { $last: '$receivedByName' },
+      receipts: { $sum: 1 },
+      receiptAmount: { $sum: '$amount' }
+    } }
+  ]).toArray();
+
+  const rows = new Map();
+  const rowFor = (group) => {
+    const key = `${group._id.center}|${group._id.assistantId}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        center: group._id.center || null,
+        assistantId: group._id.assistantId,
+        name: group.name || null,
+        toggles: 0,
+        toggleAmount: 0,
+        unpriced: 0,
+        receipts: 0,
+        receiptAmount: 0
+      });
+    }
+    return rows.get(key);
+  };
+  toggles.forEach(group => {
+    const row = rowFor(group);
+    row.toggles = group.toggles;
+    row.toggleAmount = roundMoney(group.collected - group.refunded);
+    row.unpriced = group.unpriced;
+  });
+  receipts.forEach(group => {
+    const row = rowFor(group);
+    row.name = row.name || group.name || null;
+    row.receipts = group.receipts;
+    row.receiptAmount = roundMoney(group.receiptAmount);
+  });
+  rows.forEach(row => {
+    row.expected = roundMoney(row.toggleAmount + row.receiptAmount);
+  });
+  return [...rows.values()];
+}
+
+// Expected cash for a day grouped by centre, with the count of closed sessions.
+// `scope` is the user's centre scope (null for every centre).
+export async function getCashReport(db, { date, center, scope }) {
+  const centers = center ? [center] : scope;
+  const centerFilter = centers ? { center: { $in: centers } } : {};
+  const expected = await collectExpected(db, date, centerFilter);
+  const closedSessions = await db.collection('cash_sessions')
+    .find({ date, ...centerFilter }, { projection: { _id: 0 } })
+    .toArray();
+
+  const byCenter = new Map();
+  const entryFor = (name) => {
+    if (!byCenter.has(name)) byCenter.set(name, { center: name, assistants: [], expected: 0, closed: null });
+    return byCenter.get(name);
+  };
+  expected.forEach(row => {
+    const { center: rowCenter, ...assistant } = row;
+    const entry = entryFor(rowCenter);
+    entry.assistants.push(assistant);
+    entry.expected = roundMoney(entry.expected + row.expected);
+  });
+  closedSessions.forEach(session => {
+    entryFor(session.center).closed = session;
+  });
+
+  return {
+    date,
+    centers: [...byCenter.values()]
+      .map(entry => ({ ...entry, assistants: entry.assistants.sort((a, b) => b.expected - a.expected) }))
+      .sort((a, b) => String(a.center).localeCompare(String(b.center)))
+  };
+}
+
+// Store the counted cash of one centre's session and lock it. `counted` maps each
+// assistant id of the session to the cash they handed over.
+export async function closeCashSession(db, user, { date, center, counted, note }) {
+  if (!center) throw new ApiError(400, 'center is required');
+  if (date > sessionDate()) throw new ApiError(400, 'A session in the future can not be closed');
+  if (!counted || typeof counted !== 'object' || Array.isArray(counted)) {
+    throw new ApiError(400, 'counted must map each assistant id to the cash counted');
+  }
+
+  const report = await getCashReport(db, { date, center });
+  const entry = report.centers.find(item => item.center === center) || { assistants: [], expected: 0 };
+  const assistants = entry.assistants.map(assistant => {
+    const value = counted[assistant.assistantId];
+    const amount = Number(value);
+    if (value === undefined || value === null || value === '' || !isFinite(amount) || amount < 0) {
+      throw new ApiError(400, `Counted cash is required for ${assistant.name || assistant.assistantId}`);
+    }
+    return {
+      assistantId: assistant.assistantId,
+      name: assistant.name,
+      expected: assistant.expected,
+      counted: roundMoney(amount),
+      difference: roundMoney(amount - assistant.expected)
+    };
+  });
+  const total = roundMoney(assistants.reduce((sum, assistant) => sum + assistant.counted, 0));
+
+  const session = {
+    date,
+    center,
+    assistants,
+    expected: entry.expected,
+    counted: total,
+    difference: roundMoney(total - entry.expected),
+    note: typeof note === 'string' && note.trim() ? note.trim() : null,
+    closedBy: user.assistant_id,
+    closedByName: user.name || null,
+    closedAt: new Date()
+  };
+  try {
+    await db.collection('cash_sessions').insertOne(session);
+  } catch (error) {
+    if (error.code === 11000) throw new ApiError(409, `The ${center} session of ${date} is already closed`);
+    throw error;
+  }
+
+  const flag = session.difference === 0 ? 'balanced' : `off by ${session.difference}`;
+  console.log(`💵 Cash session ${center} ${date} closed by ${user.assistant_id}: ${session.counted} counted, ${flag}`);
+  const { _id, ...response } = session;
+  return response;
+}
+
+export async function reopenCashSession(db, user, { date, center }) {
+  const result = await db.collection('cash_sessions').deleteOne({ date, center });
+  if (result.deletedCount === 0) throw new ApiError(404, 'Cash session not found');
+  console.log(`🔓 Cash session ${center} ${date} reopened by ${user.assistant_id}`);
+}
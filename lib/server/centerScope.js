@@ -0,0 +1,63 @@
+import { hasPermission } from '../permissions';
+import { ApiError } from './errors';
+
+// Centre scoping for assistants.
+// Roles with `centers.all` (admins) see every centre. Everyone else only sees the
+// centres listed on their assistant document ({ centers: [name, ...] }). Accounts
+// with no centres assigned see nothing until an admin assigns some.
+
+// Returns null for a global view, otherwise the list of centre names the user may access
+// (possibly empty)
+export async function getCenterScope(db, user) {
+  if (user.role === 'admin' || hasPermission(user.role, 'centers.all')) return null;
+  const assistant = await db.collection('assistants').findOne(
+    { id: user.assistant_id },
+    { projection: { centers: 1 } }
+  );
+  return assistant && Array.isArray(assistant.centers) ? assistant.centers : [];
+}
+
+export function isCenterInScope(scope, center) {
+  return !scope || scope.includes(center);
+}
+
+// Throws a 403 when `center` is outside the user's scope
+export function requireCenterInScope(scope, center) {
+  if (!isCenterInScope(scope, center)) {
+    throw new ApiError(403, `Forbidden: you are not assigned to center ${center || 'n/a'}`);
+  }
+}
+
+// Same rule as studentScopeFilter, for a student already loaded
+export function isStudentInScope(scope, student) {
+  return !scope || scope.includes(student.main_center);
+}
+
+// Editing one week is also allowed at the centre the student attended it in, so a
+// visiting student can be graded where they sat the session
+export function isStudentWeekInScope(scope, student, weekIndex) {
+  if (isStudentInScope(scope, student)) return true;
+  const week = student.weeks && student.weeks[weekIndex];
+  return !!week && !!week.lastAttendanceCenter && scope.includes(week.lastAttendanceCenter);
+}
+
+// Students registered at one of the centres
+export function studentScopeFilter(scope) {
+  if (!scope) return {};
+  return { main_center: { $in: scope } };
+}
+
+// Validate a centres list sent for an assistant against the centres collection
+export async function normalizeAssistantCenters(db, centers) {
+  if (centers === undefined || centers === null) return [];
+  if (!Array.isArray(centers) || centers.some(center => typeof center !== 'string')) {
+    throw new ApiError(400, 'centers must be a list of center names');
+  }
+  const names = [...new Set(centers.map(center => center.trim()).filter(Boolean))];
+  const known = await db.collection('centers').find({ name: { $in: names } }).toArray();
+  const unknown = names.filter(name => !known.some(center => center.name === name));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown center(s): ${unknown.join(', ')}`);
+  }
+  return names;
+}
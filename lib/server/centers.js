@@ -0,0 +1,58 @@
+// Centres are referenced by name everywhere (students, prices, calendars, cash and
+// message records), so renaming one rewrites every stored copy of the old name.
+// The attendance event log is the one exception to its never-updated rule: its centre
+// names are rewritten too, because cash reconciliation matches toggle events to cash
+// sessions by centre name.
+// Returns the number of documents changed per collection.
+export async function renameCenter(db, oldName, newName) {
+  const changes = {};
+  const run = async (label, promise) => {
+    const result = await promise;
+    changes[label] = (changes[label] || 0) + result.modifiedCount;
+  };
+
+  // Students of the open term and enrolments of closed terms, which are still scoped by
+  // main centre and reported by attendance centre. Week fields drive session stats, the
+  // week edit scope and cash reconciliation.
+  for (const collectionName of ['students', 'student_terms']) {
+    const collection = db.collection(collectionName);
+    await run(collectionName, collection.updateMany(
+      { main_center: oldName },
+      { $set: { main_center: newName } }
+    ));
+    await run(collectionName, collection.updateMany(
+      { 'weeks.lastAttendanceCenter': oldName },
+      { $set: { 'weeks.$[w].lastAttendanceCenter': newName } },
+      { arrayFilters: [{ 'w.lastAttendanceCenter': oldName }] }
+    ));
+    await run(collectionName, collection.updateMany(
+      { 'weeks.paidCenter': oldName },
+      { $set: { 'weeks.$[w].paidCenter': newName } },
+      { arrayFilters: [{ 'w.paidCenter': oldName }] }
+    ));
+  }
+  await run('assistants', db.collection('assistants').updateMany(
+    { centers: oldName },
+    { $set: { 'centers.$': newName } }
+  ));
+  await run('prices', db.collection('prices').updateMany(
+    { center: oldName },
+    { $set: { center: newName } }
+  ));
+  // Rewritten in code because calendars saved before schedules existed have none
+  const calendars = await db.collection('course_calendars').find({ 'sessions.schedule.center': oldName }).toArray();
+  for (const calendar of calendars) {
+    const sessions = calendar.sessions.map(session => ({
+      ...session,
+      schedule: (session.schedule || []).map(entry => (entry.center === oldName ? { ...entry, center: newName } : entry))
+    }));
+    await run('course_calendars', db.collection('course_calendars').updateOne({ _id: calendar._id }, { $set: { sessions } }));
+  }
+  for (const collectionName of ['cash_sessions', 'payments', 'attendance_events', 'message_queue', 'message_batches', 'absence_notifications']) {
+    await run(collectionName, db.collection(collectionName).updateMany(
+      { center: oldName },
+      { $set: { center: newName } }
+    ));
+  }
+  return changes;
+}
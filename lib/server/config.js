@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+
+// Load environment variables from env.config (one level above the Next.js app)
+function loadEnvConfig() {
+  try {
+    const envPath = path.join(process.cwd(), '..', 'env.config');
+    const envContent = fs.readFileSync(envPath, 'utf8');
+    const envVars = {};
+    
+    envContent.split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed && !trimmed.startsWith('#')) {
+        const index = trimmed.indexOf('=');
+        if (index !== -1) {
+          const key = trimmed.substring(0, index).trim();
+          let value = trimmed.substring(index + 1).trim();
+          value = value.replace(/^"|"$/g, ''); // strip quotes
+          envVars[key] = value;
+        }
+      }
+    });
+    
+    return envVars;
+  } catch (error) {
+    console.log('⚠️  Could not read env.config, using process.env as fallback');
+    return {};
+  }
+}
+
+const envConfig = loadEnvConfig();
+
+// env.config wins over process.env, which wins over the development defaults
+export function getConfigValue(key, fallback) {
+  if (envConfig[key] !== undefined && envConfig[key] !== '') return envConfig[key];
+  if (process.env[key] !== undefined && process.env[key] !== '') return process.env[key];
+  return fallback;
+}
+
+export const JWT_SECRET = getConfigValue('JWT_SECRET', 'topphysics_secret');
+export const MONGO_URI = getConfigValue('MONGO_URI', 'mongodb://localhost:27017/topphysics');
+export const DB_NAME = getConfigValue('DB_NAME', 'topphysics');
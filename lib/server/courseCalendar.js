@@ -0,0 +1,172 @@
+import { ApiError } from './errors';
+import { gradeFilter } from './matching';
+
+// Course calendar helpers
+// Each grade has one calendar document in the `course_calendars` collection:
+// { grade, sessions: [{ week, date, topic, type, schedule: [{ center, date, startTime, endTime }] }] }
+// `grade` is stored normalized like student grades (see lib/server/matching.js) and looked up
+// with gradeFilter, so "1st Secondary" from the grade picker finds the students' "1st secondary".
+// The number of sessions decides how many entries every student's `weeks` array holds.
+
+// Grades without a calendar keep the original 20-week layout
+export const DEFAULT_SESSION_COUNT = 20;
+
+export const SESSION_TYPES = ['lesson', 'revision'];
+
+// Empty week entry, same shape the students collection has always used
+export function createEmptyWeek(weekNumber) {
+  return {
+    week: weekNumber,
+    attended: false,
+    lastAttendance: null,
+    lastAttendanceCenter: null,
+    homework: null,
+    paidSession: false,
+    quiz: null,
+    message_state: false
+  };
+}
+
+// Index into the student's `weeks` of a week number sent by a client (week 1 when missing).
+// Throws a 400 unless it is a whole number within the student's weeks.
+export function parseWeekIndex(student, week) {
+  const weekNumber = week === undefined || week === null ? 1 : Number(week);
+  const count = Array.isArray(student.weeks) ? student.weeks.length : 0;
+  if (!Number.isInteger(weekNumber) || weekNumber < 1 || weekNumber > count) {
+    throw new ApiError(400, `Week ${week} is out of range`);
+  }
+  return weekNumber - 1;
+}
+
+export function buildWeeks(count) {
+  const weeks = [];
+  for (let i = 1; i <= count; i++) {
+    weeks.push(createEmptyWeek(i));
+  }
+  return weeks;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const isText = (value) => value === undefined || value === null || typeof value === 'string';
+
+// Validate the sessions sent by the client and renumber them by position.
+// Sessions already in the calendar come back with their stored `week`; the first
+// `lockedWeeks` of them must keep their place, because students' `weeks` entries are
+// matched to sessions by position.
+// Throws an Error with a user-facing message when something is invalid.
+export function normalizeSessions(sessions, lockedWeeks = 0) {
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    throw new Error('At least one session is required');
+  }
+
+  return sessions.map((session, index) => {
+    const week = index + 1;
+    if (!session || typeof session !== 'object') {
+      throw new Error(`Session ${week}: invalid session`);
+    }
+    if (week <= lockedWeeks && parseInt(session.week) !== week) {
+      throw new Error(`Session ${week}: students already have data up to week ${lockedWeeks}, so sessions up to that week can not be inserted, removed or moved`);
+    }
+    if (!isText(session.date) || !isText(session.topic) || !isText(session.type)) {
+      throw new Error(`Session ${week}: date, topic and type must be text`);
+    }
+    const date = session.date || null;
+    if (date && !DATE_PATTERN.test(date)) {
+      throw new Error(`Session ${week}: date must be in YYYY-MM-DD format`);
+    }
+
+    const type = session.type || 'lesson';
+    if (!SESSION_TYPES.includes(type)) {
+      throw new Error(`Session ${week}: unknown session type "${type}"`);
+    }
+
+    if (session.schedule !== undefined && session.schedule !== null && !Array.isArray(session.schedule)) {
+      throw new Error(`Session ${week}: schedule must be a list`);
+    }
+    const schedule = (session.schedule || []).map(entry => {
+      if (!entry || typeof entry !== 'object' || typeof entry.center !== 'string' || !entry.center.trim()) {
+        throw new Error(`Session ${week}: every schedule entry needs a center`);
+      }
+      if (!isText(entry.date) || !isText(entry.startTime) || !isText(entry.endTime)) {
+        throw new Error(`Session ${week}: schedule date and times for ${entry.center} must be text`);
+      }
+      if (entry.date && !DATE_PATTERN.test(entry.date)) {
+        throw new Error(`Session ${week}: schedule date for ${entry.center} must be in YYYY-MM-DD format`);
+      }
+      if ((entry.startTime && !TIME_PATTERN.test(entry.startTime)) || (entry.endTime && !TIME_PATTERN.test(entry.endTime))) {
+        throw new Error(`Session ${week}: schedule times for ${entry.center} must be in HH:MM format`);
+      }
+      return {
+        center: entry.center.trim(),
+        date: entry.date || date,
+        startTime: entry.startTime || null,
+        endTime: entry.endTime || null
+      };
+    });
+
+    return {
+      week,
+      date,
+      topic: session.topic ? session.topic.trim() : '',
+      type,
+      schedule
+    };
+  });
+}
+
+export async function getCalendar(db, grade) {
+  if (!grade) return null;
+  return db.collection('course_calendars').findOne(gradeFilter(grade));
+}
+
+export async function getSessionCount(db, grade) {
+  const calendar = await getCalendar(db, grade);
+  return calendar && calendar.sessions.length > 0 ? calendar.sessions.length : DEFAULT_SESSION_COUNT;
+}
+
+// Highest week number that already holds data for any student matching the filter.
+// Used to refuse shrinking a calendar below weeks that have been recorded.
+// `collectionName` can point at the enrolments of closed terms (student_terms).
+export async function getLastRecordedWeek(db, filter, collectionName = 'students') {
+  const result = await db.collection(collectionName).aggregate([
+    { $match: filter },
+    { $unwind: '$weeks' },
+    { $match: { $or: [
+      { 'weeks.attended': true },
+      { 'weeks.homework': { $ne: null } },
+      { 'weeks.paidSession': true },
+      { 'weeks.quiz': { $ne: null } }
+    ] } },
+    { $group: { _id: null, lastWeek: { $max: '$weeks.week' } } }
+  ]).toArray();
+  return result.length > 0 ? result[0].lastWeek : 0;
+}
+
+// Extend or trim the weeks array of every student matching the filter so it
+// holds exactly `count` entries. Existing week data is never touched.
+export async function syncStudentWeeks(db, filter, count) {
+  const students = db.collection('students');
+
+  const extended = await students.updateMany(
+    { ...filter, [`weeks.${count - 1}`]: { $exists: false } },
+    [{
+      $set: {
+        weeks: {
+          $concatArrays: [
+            { $ifNull: ['$weeks', []] },
+            { $slice: [{ $literal: buildWeeks(count) }, { $size: { $ifNull: ['$weeks', []] } }, count] }
+          ]
+        }
+      }
+    }]
+  );
+
+  const trimmed = await students.updateMany(
+    { ...filter, [`weeks.${count}`]: { $exists: true } },
+    [{ $set: { weeks: { $slice: ['$weeks', count] } } }]
+  );
+
+  return { extended: extended.modifiedCount, trimmed: trimmed.modifiedCount };
+}
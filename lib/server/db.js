@@ -0,0 +1,33 @@
+import { MongoClient } from 'mongodb';
+import { MONGO_URI, DB_NAME } from './config';
+import { runMigrations } from './migrations';
+
+// One pooled MongoClient per server process. It is kept on `global` so that
+// hot reloads in development reuse the same pool instead of opening new ones.
+let clientPromise = global._mongoClientPromise;
+
+function getClient() {
+  if (!clientPromise) {
+    console.log('🔗 Using Mongo URI:', MONGO_URI);
+    clientPromise = MongoClient.connect(MONGO_URI).catch(error => {
+      // Let the next request retry instead of caching a failed connection
+      clientPromise = null;
+      global._mongoClientPromise = null;
+      throw error;
+    });
+    global._mongoClientPromise = clientPromise;
+  }
+  return clientPromise;
+}
+
+export async function getDb() {
+  const client = await getClient();
+  const db = client.db(DB_NAME);
+  await runMigrations(db);
+  return db;
+}
+
+// The client itself, for work that needs a session (transactions)
+export async function getMongoClient() {
+  return getClient();
+}
@@ -0,0 +1,17 @@
+// Error carrying an HTTP status. Anything thrown from an API handler that is not
+// an ApiError is reported as a 500 without leaking its message to the client.
+export class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Every API error response has the same shape: { error, details? }
+export function sendError(res, status, message, details) {
+  const body = { error: message };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
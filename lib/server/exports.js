@@ -0,0 +1,81 @@
+import * as XLSX from 'xlsx';
+import { formatQuiz } from '../quiz';
+import { formatHomeworkLevel } from '../homework';
+import { ApiError } from './errors';
+
+// Spreadsheet exports
+// Every export is a list of column definitions { header, value(row) } applied to
+// rows, sent as CSV or XLSX. Student tables use one column per week for
+// attended, homework (level, score, note), paid and quiz so the sheet can be summed in Excel.
+// Needs `xlsx` in the app's package.json dependencies (also used by the import page).
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export function parseExportFormat(query) {
+  const format = (query.format || 'xlsx').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+const homeworkField = (week, field) => {
+  const value = week && week.homework ? week.homework[field] : null;
+  return value === null || value === undefined ? '' : value;
+};
+
+export const STUDENT_COLUMNS = [
+  { header: 'ID', value: s => s.id },
+  { header: 'Name', value: s => s.name },
+  { header: 'Grade', value: s => s.grade },
+  { header: 'School', value: s => s.school || '' },
+  { header: 'Age', value: s => s.age || '' },
+  { header: 'Phone', value: s => s.phone || '' },
+  { header: "Parent's Phone", value: s => s.parentsPhone || s.parents_phone || '' },
+  { header: 'Main Center', value: s => s.main_center || '' }
+];
+
+// Week columns read from `weekOf(row, weekNumber)`, which returns the stored week or null
+export function weekColumns(weekNumbers, weekOf = (s, week) => (s.weeks || [])[week - 1] || null) {
+  return weekNumbers.flatMap(week => {
+    const label = `W${String(week).padStart(2, '0')}`;
+    return [
+      { header: `${label} Attended`, value: s => yesNo(weekOf(s, week) && weekOf(s, week).attended) },
+      { header: `${label} HW`, value: s => (weekOf(s, week) && formatHomeworkLevel(weekOf(s, week).homework)) || '' },
+      { header: `${label} HW Score`, value: s => homeworkField(weekOf(s, week), 'score') },
+      { header: `${label} HW Note`, value: s => homeworkField(weekOf(s, week), 'note') },
+      { header: `${label} Paid`, value: s => yesNo(weekOf(s, week) && weekOf(s, week).paidSession) },
+      { header: `${label} Quiz`, value: s => (weekOf(s, week) && formatQuiz(weekOf(s, week).quiz)) || '' }
+    ];
+  });
+}
+
+// Week numbers 1..n for the longest weeks array among the rows
+export function allWeekNumbers(students) {
+  const count = students.reduce((max, student) => Math.max(max, (student.weeks || []).length), 0);
+  return Array.from({ length: count }, (_, index) => index + 1);
+}
+
+const safeFilename = (name) => name.replace(/[^a-zA-Z0-9_-]+/g, '_');
+
+export function sendSpreadsheet(res, { format, filename, sheetName = 'Export', columns, rows }) {
+  const table = [columns.map(column => column.header), ...rows.map(row => columns.map(column => column.value(row)))];
+  const sheet = XLSX.utils.aoa_to_sheet(table);
+  const name = `${safeFilename(filename)}.${format}`;
+
+  let body;
+  if (format === 'csv') {
+    // The BOM makes Excel open the file as UTF-8 (Arabic names)
+    body = Buffer.from(`\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`, 'utf8');
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  } else {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+    body = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  }
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+  res.status(200).send(body);
+}
@@ -0,0 +1,54 @@
+// Numeric ids for students and centres
+// Ids come from the `counters` collection ({ _id: name, seq }), incremented atomically so
+// two requests never get the same id. A unique index on `id` backs this up: when an
+// insert still hits a duplicate key (for example a counter behind a restored backup)
+// the counter is moved past the highest id in use and the insert is retried.
+
+export const ID_COLLECTIONS = ['students', 'centers'];
+
+const MAX_ATTEMPTS = 5;
+
+export const isDuplicateKeyError = (error) => !!error && error.code === 11000;
+
+async function getMaxId(db, collectionName, options = {}) {
+  const last = await db.collection(collectionName).findOne({}, { ...options, sort: { id: -1 }, projection: { id: 1 } });
+  return last && typeof last.id === 'number' ? last.id : 0;
+}
+
+// Make sure the counter is not behind the ids already stored
+export async function syncCounter(db, collectionName, options = {}) {
+  const maxId = await getMaxId(db, collectionName, options);
+  await db.collection('counters').updateOne(
+    { _id: collectionName },
+    { $max: { seq: maxId } },
+    { ...options, upsert: true }
+  );
+}
+
+// Reserve `count` consecutive ids, returns the first one
+export async function reserveIds(db, collectionName, count = 1, options = {}) {
+  const result = await db.collection('counters').findOneAndUpdate(
+    { _id: collectionName },
+    { $inc: { seq: count } },
+    { ...options, upsert: true, returnDocument: 'after' }
+  );
+  // Same driver difference as claimNextMessage (document or { value })
+  const counter = result && result.value !== undefined ? result.value : result;
+  return counter.seq - count + 1;
+}
+
+// Insert `document` with the next id, retrying on duplicate ids. Returns the stored document.
+export async function insertWithNextId(db, collectionName, document) {
+  for (let attempt = 1; ; attempt++) {
+    const id = await reserveIds(db, collectionName);
+    const stored = { id, ...document };
+    try {
+      await db.collection(collectionName).insertOne(stored);
+      return stored;
+    } catch (error) {
+      if (!isDuplicateKeyError(error) || !error.keyPattern || !error.keyPattern.id || attempt >= MAX_ATTEMPTS) throw error;
+      console.warn(`⚠️ ${collectionName} id ${id} already taken, retrying (attempt ${attempt})`);
+      await syncCounter(db, collectionName);
+    }
+  }
+}
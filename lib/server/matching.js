@@ -0,0 +1,24 @@
+// How student queries compare grades and centres typed by users with stored values.
+// Grades ignore case and dots ("Sec. 1" === "sec 1"), the way session_info.jsx always
+// did, because older documents still hold the dotted form. Centres ignore case.
+
+export const normalizeGrade = (grade) => (grade || '').toLowerCase().replace(/\./g, '');
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const STORED_GRADE = { $replaceAll: { input: { $toLower: { $ifNull: ['$grade', ''] } }, find: '.', replacement: '' } };
+
+// Filter (find or $match) on the stored `grade`
+export function gradeFilter(grade) {
+  return { $expr: { $eq: [STORED_GRADE, normalizeGrade(grade)] } };
+}
+
+// Filter on the stored `grade` being none of the given grades
+export function otherGradesFilter(grades) {
+  return { $expr: { $not: [{ $in: [STORED_GRADE, grades.map(normalizeGrade)] }] } };
+}
+
+// Filter (find or $match) on the stored `main_center`
+export function mainCenterFilter(center) {
+  return { main_center: { $regex: `^${escapeRegex(center)}$`, $options: 'i' } };
+}
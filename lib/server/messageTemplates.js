@@ -0,0 +1,34 @@
+import { TEMPLATE_TYPES, TEMPLATE_LANGUAGES, getDefaultTemplate } from '../messageTemplates';
+
+// Admin-edited templates live in `message_templates`
+// { type, language, body, updatedAt, updatedBy, updatedByName }.
+// A type/language pair without a stored document uses the built-in default.
+
+export function isValidTemplateKey(type, language) {
+  return TEMPLATE_TYPES.includes(type) && TEMPLATE_LANGUAGES.includes(language);
+}
+
+export async function getTemplateBody(db, type, language = 'en') {
+  const stored = await db.collection('message_templates').findOne({ type, language });
+  return stored ? stored.body : getDefaultTemplate(type, language);
+}
+
+// Every type/language pair, stored or default
+export async function listTemplates(db) {
+  const stored = await db.collection('message_templates').find().toArray();
+  const templates = [];
+  TEMPLATE_TYPES.forEach(type => {
+    TEMPLATE_LANGUAGES.forEach(language => {
+      const doc = stored.find(t => t.type === type && t.language === language);
+      templates.push({
+        type,
+        language,
+        body: doc ? doc.body : getDefaultTemplate(type, language),
+        isDefault: !doc,
+        updatedAt: doc ? doc.updatedAt : null,
+        updatedByName: doc ? doc.updatedByName : null
+      });
+    });
+  });
+  return templates;
+}
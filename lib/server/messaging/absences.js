@@ -0,0 +1,153 @@
+import { getConfigValue } from '../config';
+import { getCalendar } from '../courseCalendar';
+import { getCurrentTerm } from '../terms';
+import { getSessionStudents } from './batches';
+import { queueParentReport } from './parentReport';
+
+// Absence notifications
+// Once the attendance window of a session closes (schedule endTime in the course
+// calendar plus a grace period), every student of the centre who is not marked as
+// attended gets an absence notice. The automatic sweep is off unless the config sets
+// ABSENCE_NOTIFICATIONS=on (with ABSENCE_GRACE_MINUTES and ABSENCE_LOOKBACK_DAYS to
+// tune it); notices can always be sent by hand from session_info.jsx. Each notice is recorded in `absence_notifications`
+// { termId, studentId, week, grade, center, sessionDate, status, reason, messageId,
+//   trigger, createdBy, createdAt } with a unique { termId, studentId, week } index, so a
+// student is never notified twice for the same week of a term.
+
+const GRACE_MINUTES = parseInt(getConfigValue('ABSENCE_GRACE_MINUTES', '30'));
+// Only sessions that closed recently are swept, so enabling the feature does not
+// message parents about the whole term at once
+const LOOKBACK_DAYS = parseInt(getConfigValue('ABSENCE_LOOKBACK_DAYS', '2'));
+
+export const SYSTEM_USER = { assistant_id: 'system', name: 'Absence notifier' };
+
+let indexesReady = false;
+async function ensureIndexes(db) {
+  if (indexesReady) return;
+  await db.collection('absence_notifications').createIndex({ termId: 1, studentId: 1, week: 1 }, { unique: true });
+  indexesReady = true;
+}
+
+// When attendance for a schedule entry stops being accepted
+export function getWindowClose(entry) {
+  if (!entry.date) return null;
+  const close = new Date(`${entry.date}T${entry.endTime || '23:59'}:00`);
+  if (isNaN(close.getTime())) return null;
+  return new Date(close.getTime() + GRACE_MINUTES * 60 * 1000);
+}
+
+// Sessions (grade + week + centre) whose window closed within the lookback period
+export async function getClosedSessions(db, now = new Date()) {
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const calendars = await db.collection('course_calendars').find().toArray();
+  const sessions = [];
+  calendars.forEach(calendar => {
+    calendar.sessions.forEach(session => {
+      (session.schedule || []).forEach(entry => {
+        const closesAt = getWindowClose(entry);
+        if (closesAt && closesAt <= now && closesAt > since) {
+          sessions.push({ grade: calendar.grade, week: session.week, center: entry.center, sessionDate: entry.date, closesAt });
+        }
+      });
+    });
+  });
+  return sessions;
+}
+
+// Scheduled date and window of a session at one centre, when the calendar has them
+export async function getSessionSchedule(db, { grade, week, center }) {
+  if (!grade) return null;
+  const calendar = await getCalendar(db, grade);
+  const session = calendar && calendar.sessions[week - 1];
+  if (!session) return null;
+  const entry = (session.schedule || []).find(e => e.center === center);
+  return {
+    sessionDate: (entry && entry.date) || session.date || null,
+    closesAt: entry ? getWindowClose(entry) : null
+  };
+}
+
+// Students of the centre who missed the week, with their notification if one was sent
+export async function getAbsenceList(db, { center, grade, week }) {
+  const students = await getSessionStudents(db, { center, grade, week });
+  const absentees = students.filter(student => !student.weeks[week - 1].attended);
+  const term = await getCurrentTerm(db);
+  const notifications = await db.collection('absence_notifications')
+    .find({ termId: term.id, week, studentId: { $in: absentees.map(student => student.id) } })
+    .toArray();
+  const notificationMap = new Map(notifications.map(n => [n.studentId, n]));
+  return absentees.map(student => ({ student, notification: notificationMap.get(student.id) || null }));
+}
+
+// Notify every absentee of a session that has not been notified yet
+export async function sendAbsenceNotifications(db, user, { center, grade, week, sessionDate, language = 'en', trigger = 'manual' }) {
+  await ensureIndexes(db);
+  const list = await getAbsenceList(db, { center, grade, week });
+  const term = await getCurrentTerm(db);
+  const summary = { queued: 0, skipped: 0, alreadyNotified: 0 };
+
+  for (const { student, notification } of list) {
+    if (notification) {
+      summary.alreadyNotified++;
+      continue;
+    }
+
+    // Claim the student-week first; a concurrent sweep loses on the unique index
+    const record = {
+      termId: term.id,
+      studentId: student.id,
+      week,
+      grade: student.grade,
+      center,
+      sessionDate: sessionDate || null,
+      status: 'claimed',
+      reason: null,
+      messageId: null,
+      trigger,
+      createdBy: user.assistant_id,
+      createdAt: new Date()
+    };
+    try {
+      await db.collection('absence_notifications').insertOne(record);
+    } catch (error) {
+      if (error.code === 11000) {
+        summary.alreadyNotified++;
+        continue;
+      }
+      throw error;
+    }
+
+    const result = await queueParentReport(db, user, student, week, {
+      type: 'absence_notice',
+      language,
+      extra: { sessionDate, center }
+    });
+    const queued = !!result.message && !result.skipped;
+    await db.collection('absence_notifications').updateOne(
+      { termId: term.id, studentId: student.id, week },
+      {
+        $set: {
+          status: queued ? 'queued' : 'skipped',
+          reason: result.skipped || null,
+          messageId: result.message ? result.message._id : null
+        }
+      }
+    );
+    if (queued) summary.queued++;
+    else summary.skipped++;
+  }
+
+  return summary;
+}
+
+// Called periodically by the message worker, only when enabled
+export async function sweepAbsences(db) {
+  if (getConfigValue('ABSENCE_NOTIFICATIONS', 'off') !== 'on') return;
+  const sessions = await getClosedSessions(db);
+  for (const session of sessions) {
+    const summary = await sendAbsenceNotifications(db, SYSTEM_USER, { ...session, trigger: 'auto' });
+    if (summary.queued > 0) {
+      console.log(`📭 Absence notices for ${session.center} ${session.grade} week ${session.week}:`, summary);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { randomUUID } from 'crypto';
+import { queueParentReport } from './parentReport';
+import { activeStudent } from '../archive';
+import { getCurrentTerm } from '../terms';
+import { normalizeGrade } from '../matching';
+
+// Bulk weekly reports for one session (center + week, optionally one grade).
+// Each run is stored in `message_batches`
+// { batchId, termId, center, grade, week, language, entries, createdBy, createdByName, createdAt }
+// where entries are { studentId, name, attended, messageId, skipped }. Students whose
+// week is already messaged are skipped, so running a session again only sends what is left.
+
+// Students who attended the session at the center, and students of the center who missed it
+export async function getSessionStudents(db, { center, grade, week }) {
+  const weekIndex = week - 1;
+  const students = await db.collection('students').find(activeStudent({
+    $or: [
+      { [`weeks.${weekIndex}.lastAttendanceCenter`]: center },
+      { main_center: center }
+    ]
+  })).sort({ id: 1 }).toArray();
+
+  return students.filter(student => {
+    if (grade && normalizeGrade(student.grade) !== normalizeGrade(grade)) return false;
+    const weekData = student.weeks && student.weeks[weekIndex];
+    if (!weekData) return false;
+    if (weekData.attended) return weekData.lastAttendanceCenter === center;
+    return student.main_center === center;
+  });
+}
+
+export async function createSessionBatch(db, user, { center, grade, week, language }) {
+  const weekIndex = week - 1;
+  const students = await getSessionStudents(db, { center, grade, week });
+  const batchId = randomUUID();
+
+  const entries = [];
+  for (const student of students) {
+    const weekData = student.weeks[weekIndex];
+    const entry = { studentId: student.id, name: student.name, attended: !!weekData.attended, messageId: null, skipped: null };
+    if (weekData.message_state) {
+      entry.skipped = 'Already messaged';
+    } else {
+      const result = await queueParentReport(db, user, student, week, { batchId, language });
+      entry.messageId = result.message ? result.message._id : null;
+      entry.skipped = result.skipped || null;
+    }
+    entries.push(entry);
+  }
+
+  const batch = {
+    batchId,
+    termId: (await getCurrentTerm(db)).id,
+    center,
+    grade: grade || null,
+    week,
+    language,
+    entries,
+    createdBy: user.assistant_id,
+    createdByName: user.name || null,
+    createdAt: new Date()
+  };
+  await db.collection('message_batches').insertOne(batch);
+  return batch;
+}
+
+// Latest batch of the session in the open term
+export async function findLatestSessionBatch(db, { center, grade, week }) {
+  const term = await getCurrentTerm(db);
+  return db.collection('message_batches').findOne(
+    { termId: term.id, center, grade: grade || null, week },
+    { sort: { createdAt: -1 } }
+  );
+}
+
+// Per-student outcome of a batch: sent / failed / queued / sending / skipped
+export async function getBatchOutcome(db, batch) {
+  const messageIds = batch.entries.filter(entry => entry.messageId).map(entry => entry.messageId);
+  const messages = await db.collection('message_queue')
+    .find({ _id: { $in: messageIds } }, { projection: { status: 1, attempts: 1, lastError: 1, sentAt: 1 } })
+    .toArray();
+  const messageMap = new Map(messages.map(message => [String(message._id), message]));
+
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0, skipped: 0 };
+  const outcomes = batch.entries.map(entry => {
+    const message = entry.messageId ? messageMap.get(String(entry.messageId)) : null;
+    const status = message ? message.status : 'skipped';
+    counts[status]++;
+    return {
+      studentId: entry.studentId,
+      name: entry.name,
+      attended: entry.attended,
+      status,
+      reason: message ? message.lastError : entry.skipped,
+      attempts: message ? message.attempts : 0,
+      sentAt: message ? message.sentAt : null
+    };
+  });
+
+  return {
+    batchId: batch.batchId,
+    center: batch.center,
+    grade: batch.grade,
+    week: batch.week,
+    createdByName: batch.createdByName,
+    createdAt: batch.createdAt,
+    done: counts.queued + counts.sending === 0,
+    counts,
+    outcomes
+  };
+}
@@ -0,0 +1,12 @@
+export {
+  MESSAGE_STATUSES,
+  enqueueMessage,
+  findPendingMessage,
+  retryMessage,
+  countMessagesByStatus
+} from './queue';
+export { wakeMessageWorker, ensureMessageWorker, isMessageWorkerRunning } from './worker';
+export { getAbsenceList, sendAbsenceNotifications, getClosedSessions, getSessionSchedule } from './absences';
+export { getTransport } from './transports';
+export { formatParentPhone, getReportWeek, buildParentMessage, queueParentReport } from './parentReport';
+export { getSessionStudents, createSessionBatch, findLatestSessionBatch, getBatchOutcome } from './batches';
@@ -0,0 +1,58 @@
+import { buildTemplateContext, renderTemplate } from '../../messageTemplates';
+import { getTemplateBody } from '../messageTemplates';
+import { getCurrentTerm } from '../terms';
+import { enqueueMessage, findPendingMessage } from './queue';
+
+// Messages sent to parents about one student-week, rendered from the message templates
+
+const EMPTY_WEEK = { attended: false, lastAttendance: null, lastAttendanceCenter: null, homework: null, paidSession: false, quiz: null, message_state: false };
+
+// Parent numbers are stored locally (01xxxxxxxxx); WhatsApp needs the country code
+export function formatParentPhone(parentsPhone) {
+  let parentNumber = parentsPhone ? parentsPhone.replace(/[^0-9]/g, '') : null;
+  if (parentNumber && !parentNumber.startsWith('2')) {
+    parentNumber = '2' + parentNumber;
+  }
+  return parentNumber || null;
+}
+
+// The week a report is about: the requested week, or the last attended week (week 1 if none)
+export function getReportWeek(student, requestedWeek) {
+  const weeks = student.weeks || [];
+  if (requestedWeek) {
+    return weeks[requestedWeek - 1] || { ...EMPTY_WEEK, week: requestedWeek };
+  }
+  return weeks.find(w => w.attended) || weeks[0] || { ...EMPTY_WEEK, week: 1 };
+}
+
+export async function buildParentMessage(db, student, weekData, { type = 'weekly_report', language = 'en', extra } = {}) {
+  const body = await getTemplateBody(db, type, language);
+  return renderTemplate(body, buildTemplateContext(student, weekData, language, extra));
+}
+
+// Queue a parent message for one student-week. Resolves to { message } when queued or
+// { skipped: reason } when there is nothing to send.
+// options: { batchId, type, language, extra } (extra is passed to the template context)
+export async function queueParentReport(db, user, student, requestedWeek, options = {}) {
+  const { batchId, type = 'weekly_report' } = options;
+  const phone = formatParentPhone(student.parentsPhone);
+  if (!phone) return { skipped: 'No parent number available' };
+
+  const weekData = getReportWeek(student, requestedWeek);
+  const week = weekData.week || requestedWeek || 1;
+  const { id: termId } = await getCurrentTerm(db);
+  const pending = await findPendingMessage(db, { kind: type, termId, studentId: student.id, week });
+  if (pending) return { skipped: 'Already queued', message: pending };
+
+  const message = await enqueueMessage(db, user, {
+    kind: type,
+    termId,
+    studentId: student.id,
+    week,
+    center: weekData.lastAttendanceCenter || student.main_center,
+    phone,
+    message: await buildParentMessage(db, student, weekData, options),
+    batchId
+  });
+  return { message };
+}
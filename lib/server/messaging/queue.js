@@ -0,0 +1,136 @@
+// Persistent outbound WhatsApp queue (`message_queue` collection)
+// `kind` is the message template type (weekly_report, absence_notice, ...)
+// { kind, termId, studentId, week, center, phone, message, status, attempts, maxAttempts,
+//   nextAttemptAt, lockedAt, lastError, batchId, createdBy, createdByName,
+//   createdAt, updatedAt, sentAt }
+// Messages move queued -> sending -> sent, or back to queued with a backoff delay
+// after a failed attempt, and end as failed once maxAttempts is reached.
+
+export const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+export const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+// A message stuck in `sending` this long belonged to a worker that died mid-send
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+export async function enqueueMessage(db, user, { kind, termId, studentId, week, center, phone, message, batchId }) {
+  const now = new Date();
+  const doc = {
+    kind,
+    termId: termId || null,
+    studentId,
+    week: week || null,
+    center: center || null,
+    phone,
+    message,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    lockedAt: null,
+    lastError: null,
+    batchId: batchId || null,
+    createdBy: user ? user.assistant_id : null,
+    createdByName: user ? user.name || null : null,
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+  const result = await db.collection('message_queue').insertOne(doc);
+  return { ...doc, _id: result.insertedId };
+}
+
+// A student-week already waiting in the queue should not be queued twice (week numbers
+// restart every term)
+export async function findPendingMessage(db, { kind, termId, studentId, week }) {
+  return db.collection('message_queue').findOne({
+    kind,
+    termId: termId || null,
+    studentId,
+    week: week || null,
+    status: { $in: ['queued', 'sending'] }
+  });
+}
+
+// Atomically take the next due message and mark it as sending
+export async function claimNextMessage(db) {
+  const now = new Date();
+  const result = await db.collection('message_queue').findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_SENDING_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'sending', lockedAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+  // The driver returns the document directly from v6 and wrapped in { value } before
+  return result && result.value !== undefined ? result.value : result;
+}
+
+export async function markMessageSent(db, message, transportResult) {
+  const now = new Date();
+  await db.collection('message_queue').updateOne(
+    { _id: message._id },
+    {
+      $set: {
+        status: 'sent',
+        lockedAt: null,
+        lastError: null,
+        transportResult: transportResult || null,
+        sentAt: now,
+        updatedAt: now
+      }
+    }
+  );
+}
+
+// Schedule a retry, or give up once the message has used all its attempts
+export async function markMessageFailed(db, message, error) {
+  const now = new Date();
+  const exhausted = message.attempts >= (message.maxAttempts || MAX_ATTEMPTS);
+  await db.collection('message_queue').updateOne(
+    { _id: message._id },
+    {
+      $set: {
+        status: exhausted ? 'failed' : 'queued',
+        lockedAt: null,
+        lastError: error,
+        nextAttemptAt: exhausted ? null : new Date(now.getTime() + getRetryDelay(message.attempts)),
+        updatedAt: now
+      }
+    }
+  );
+  return exhausted ? 'failed' : 'queued';
+}
+
+// Put a failed message back in the queue with a fresh set of attempts
+export async function retryMessage(db, messageId) {
+  const now = new Date();
+  const result = await db.collection('message_queue').updateOne(
+    { _id: messageId, status: 'failed' },
+    { $set: { status: 'queued', attempts: 0, nextAttemptAt: now, lastError: null, updatedAt: now } }
+  );
+  return result.matchedCount > 0;
+}
+
+export async function countMessagesByStatus(db, filter) {
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0 };
+  const groups = await db.collection('message_queue').aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]).toArray();
+  groups.forEach(group => {
+    counts[group._id] = group.count;
+  });
+  return counts;
+}
@@ -0,0 +1,123 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { getConfigValue } from '../config';
+
+// A transport delivers one WhatsApp message: send(phone, message) resolves to
+// { success: true, ... } or { success: false, error }, and rejects only when the
+// transport itself could not run. The queue worker treats both failures the same way.
+
+// Sends through backend/whatsapp.py (Selenium), one process per message
+export const pythonTransport = {
+  name: 'python',
+  send(phoneNumber, message) {
+    return new Promise((resolve, reject) => {
+      const pythonScript = path.join(process.cwd(), '..', 'backend', 'whatsapp.py');
+
+      // Prepare command line arguments
+      const args = [
+        pythonScript,
+        '--phone', phoneNumber,
+        '--message', message,
+        '--quiet'
+      ];
+
+      console.log(`🐍 Executing Python script: python ${pythonScript} --phone ${phoneNumber}`);
+      console.log(`💬 Message length: ${message.length} characters`);
+
+      // Check if Python script exists
+      if (!fs.existsSync(pythonScript)) {
+        console.error(`❌ Python script not found at: ${pythonScript}`);
+        reject(new Error(`Python script not found at: ${pythonScript}`));
+        return;
+      }
+
+      const pythonProcess = spawn('python', args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        cwd: path.dirname(pythonScript) // Set working directory to script location
+      });
+
+      // Set a timeout to prevent hanging
+      const timeout = setTimeout(() => {
+        console.error('❌ Python process timed out after 60 seconds');
+        pythonProcess.kill('SIGTERM');
+        reject(new Error('Python process timed out after 60 seconds'));
+      }, 60000); // 60 seconds timeout
+
+      let stdout = '';
+      let stderr = '';
+
+      pythonProcess.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      pythonProcess.stderr.on('data', (data) => {
+        stderr += data.toString();
+        console.log(`🐍 Python stderr: ${data.toString().trim()}`);
+      });
+
+      pythonProcess.on('close', (code) => {
+        clearTimeout(timeout); // Clear the timeout
+        console.log(`🐍 Python process exited with code: ${code}`);
+
+        if (code === 0) {
+          try {
+            resolve(JSON.parse(stdout.trim()));
+          } catch (error) {
+            console.error(`❌ Failed to parse Python output: ${stdout}`);
+            reject(new Error(`Failed to parse Python output: ${stdout}`));
+          }
+        } else {
+          console.error(`❌ Python script failed with code ${code}: ${stderr}`);
+          reject(new Error(`Python script failed with code ${code}: ${stderr}`));
+        }
+      });
+
+      pythonProcess.on('error', (error) => {
+        clearTimeout(timeout); // Clear the timeout
+        console.error(`❌ Failed to start Python process: ${error.message}`);
+        reject(new Error(`Failed to start Python process: ${error.message}`));
+      });
+    });
+  }
+};
+
+// Local transport for development and testing: logs the message instead of sending it.
+// Numbers ending in "000" fail so retries and failures can be exercised.
+export const stubTransport = {
+  name: 'stub',
+  async send(phoneNumber, message) {
+    console.log(`📨 [stub] WhatsApp to ${phoneNumber}:\n${message}`);
+    if (phoneNumber.endsWith('000')) {
+      return { success: false, error: 'Stub transport: simulated failure' };
+    }
+    return { success: true, transport: 'stub' };
+  }
+};
+
+const TRANSPORTS = {
+  python: pythonTransport,
+  stub: stubTransport
+};
+
+// Selected with WHATSAPP_TRANSPORT in env.config (python by default)
+export function getTransport() {
+  const name = getConfigValue('WHATSAPP_TRANSPORT', 'python');
+  const transport = TRANSPORTS[name];
+  if (!transport) {
+    throw new Error(`Unknown WhatsApp transport: ${name}`);
+  }
+  return transport;
+}
+
+// Turn a raw transport error into a message that is safe to show in the dashboard
+export function describeTransportError(error) {
+  if (!error) return 'Error to send message';
+  if (error.includes('Invalid phone number') || error.includes('Send button not found')) {
+    return 'Invalid phone number or WhatsApp not available';
+  }
+  if (error.includes('Failed to parse') || error.includes('Failed to start')) {
+    return 'System temporarily unavailable';
+  }
+  return error;
+}
@@ -0,0 +1,149 @@
+import { getDb } from '../db';
+import { getConfigValue } from '../config';
+import { recordAttendanceEvent } from '../attendanceEvents';
+import { getTransport, describeTransportError } from './transports';
+import { claimNextMessage, markMessageSent, markMessageFailed } from './queue';
+import { sweepAbsences } from './absences';
+
+// The worker (message queue, absence sweep) runs in one process only:
+// instrumentation.js starts it when the server is started with MESSAGE_WORKER=on.
+// Other instances and serverless functions just queue messages for it. The worker
+// records a heartbeat in `worker_status` on every poll, so any instance can tell the
+// user when nothing is sending the queued messages (isMessageWorkerRunning).
+const WORKER_ENABLED = getConfigValue('MESSAGE_WORKER', 'off') === 'on';
+
+const POLL_INTERVAL_MS = 5000;
+// Without a heartbeat for this long the worker is reported as not running
+const HEARTBEAT_TIMEOUT_MS = 60 * 1000;
+const HEARTBEAT_ID = 'message_worker';
+const ABSENCE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Pause between two messages so WhatsApp does not flag the account during bulk sends
+const SEND_INTERVAL_MS = parseInt(getConfigValue('WHATSAPP_SEND_INTERVAL_MS', '3000'));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Once a weekly report is delivered, flag the week as messaged on the student
+// and log it under the assistant who queued it
+async function onWeeklyReportSent(db, message) {
+  if (!message.week) return;
+  const weekIndex = message.week - 1;
+  const student = await db.collection('students').findOne({ id: message.studentId });
+  if (!student || !student.weeks || !student.weeks[weekIndex]) return;
+
+  await db.collection('students').updateOne(
+    { id: message.studentId },
+    { $set: { [`weeks.${weekIndex}.message_state`]: true } }
+  );
+  await recordAttendanceEvent(db, { assistant_id: message.createdBy, name: message.createdByName }, {
+    studentId: message.studentId,
+    week: message.week,
+    center: student.weeks[weekIndex].lastAttendanceCenter,
+    action: 'message',
+    value: true,
+    previousValue: !!student.weeks[weekIndex].message_state
+  });
+}
+
+async function deliver(db, transport, message) {
+  let result;
+  try {
+    result = await transport.send(message.phone, message.message);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (result && result.success) {
+    await markMessageSent(db, message, result);
+    if (message.kind === 'weekly_report') {
+      await onWeeklyReportSent(db, message);
+    }
+    console.log(`✅ Message ${message._id} sent to ${message.phone}`);
+  } else {
+    const error = describeTransportError(result && result.error);
+    const status = await markMessageFailed(db, message, error);
+    console.log(`❌ Message ${message._id} attempt ${message.attempts} failed (${error}), now ${status}`);
+  }
+}
+
+// Send every due message, one at a time so the WhatsApp session is never shared
+async function drainQueue() {
+  const db = await getDb();
+  const transport = getTransport();
+  let message = await claimNextMessage(db);
+  while (message) {
+    await deliver(db, transport, message);
+    await sleep(SEND_INTERVAL_MS);
+    message = await claimNextMessage(db);
+  }
+}
+
+// One worker per server process, kept on `global` so hot reloads do not start another
+function getWorker() {
+  if (!global._messageWorker) {
+    global._messageWorker = { timer: null, running: false, rerun: false, lastAbsenceSweep: 0 };
+  }
+  return global._messageWorker;
+}
+
+async function runWorker() {
+  const worker = getWorker();
+  if (worker.running) {
+    // Already draining; go round once more when done to pick up new messages
+    worker.rerun = true;
+    return;
+  }
+  worker.running = true;
+  try {
+    // Queue absence notices for sessions whose attendance window has closed
+    if (Date.now() - worker.lastAbsenceSweep >= ABSENCE_SWEEP_INTERVAL_MS) {
+      worker.lastAbsenceSweep = Date.now();
+      await sweepAbsences(await getDb());
+    }
+    do {
+      worker.rerun = false;
+      await drainQueue();
+    } while (worker.rerun);
+  } catch (error) {
+    console.error('❌ Message worker error:', error);
+  } finally {
+    worker.running = false;
+  }
+}
+
+async function recordHeartbeat() {
+  const db = await getDb();
+  await db.collection('worker_status').updateOne(
+    { _id: HEARTBEAT_ID },
+    { $set: { lastSeenAt: new Date(), pid: process.pid } },
+    { upsert: true }
+  );
+}
+
+// Heartbeat first, so a long drain does not make the worker look stopped
+function poll() {
+  recordHeartbeat().catch(error => console.error('❌ Message worker heartbeat error:', error));
+  runWorker();
+}
+
+// Start polling the queue; no-op when already started or not enabled for this process
+export function ensureMessageWorker() {
+  if (!WORKER_ENABLED) return;
+  const worker = getWorker();
+  if (!worker.timer) {
+    console.log('📬 Starting WhatsApp message worker');
+    worker.timer = setInterval(poll, POLL_INTERVAL_MS);
+    poll();
+  }
+}
+
+// Whether some process has polled the queue recently
+export async function isMessageWorkerRunning(db) {
+  const status = await db.collection('worker_status').findOne({ _id: HEARTBEAT_ID });
+  return !!status && Date.now() - new Date(status.lastSeenAt).getTime() < HEARTBEAT_TIMEOUT_MS;
+}
+
+// Drain the queue right away after queueing, when this process runs the worker;
+// otherwise the worker process picks the messages up on its next poll
+export function wakeMessageWorker() {
+  if (getWorker().timer) runWorker();
+}
@@ -0,0 +1,31 @@
+import { parseQuizDegree } from '../../quiz';
+
+// Replace the free-text `weeks[i].quizDegree` ("7 / 10") with `weeks[i].quiz` ({ score, outOf }).
+// Values that cannot be read are kept in `weeks[i].quizLegacy` so nothing is lost.
+export default {
+  id: '001_structured_quiz_scores',
+  async up(db) {
+    const students = db.collection('students');
+    const cursor = students.find({ 'weeks.quizDegree': { $exists: true } });
+    let converted = 0;
+    let unreadable = 0;
+
+    for await (const student of cursor) {
+      const weeks = student.weeks.map(week => {
+        if (!('quizDegree' in week)) return week;
+        const { quizDegree, ...rest } = week;
+        const quiz = parseQuizDegree(quizDegree);
+        if (quiz) converted++;
+        if (!quiz && quizDegree !== null && quizDegree !== '') {
+          unreadable++;
+          console.log(`⚠️  Student ${student.id} week ${week.week}: unreadable quiz "${quizDegree}"`);
+          return { ...rest, quiz: null, quizLegacy: String(quizDegree) };
+        }
+        return { ...rest, quiz };
+      });
+      await students.updateOne({ _id: student._id }, { $set: { weeks } });
+    }
+
+    return { converted, unreadable };
+  }
+};
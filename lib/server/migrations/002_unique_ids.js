@@ -0,0 +1,45 @@
+import { ID_COLLECTIONS, reserveIds, syncCounter } from '../ids';
+
+async function findDuplicateIds(db, collectionName) {
+  return db.collection(collectionName).aggregate([
+    { $group: { _id: '$id', docs: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ]).toArray();
+}
+
+// Seed the id counters and add unique indexes on `id`. Ids handed out twice by the
+// old max(id) + 1 logic are fixed first: the oldest document keeps the id and the
+// others get new ones (their QR codes have to be printed again).
+// Assistant ids are chosen by admins, so duplicates there are only reported.
+export default {
+  id: '002_unique_ids',
+  async up(db) {
+    const result = { renumbered: [], skippedIndexes: [] };
+
+    for (const collectionName of ID_COLLECTIONS) {
+      await syncCounter(db, collectionName);
+      const duplicates = await findDuplicateIds(db, collectionName);
+      for (const duplicate of duplicates) {
+        const [, ...others] = duplicate.docs.sort((a, b) => String(a).localeCompare(String(b)));
+        for (const _id of others) {
+          const id = await reserveIds(db, collectionName);
+          await db.collection(collectionName).updateOne({ _id }, { $set: { id } });
+          console.log(`⚠️  ${collectionName}: duplicate id ${duplicate._id} renumbered to ${id}`);
+          result.renumbered.push({ collection: collectionName, from: duplicate._id, to: id });
+        }
+      }
+      await db.collection(collectionName).createIndex({ id: 1 }, { unique: true });
+    }
+
+    const assistantDuplicates = await findDuplicateIds(db, 'assistants');
+    if (assistantDuplicates.length > 0) {
+      const ids = assistantDuplicates.map(duplicate => duplicate._id);
+      console.log(`⚠️  assistants: duplicate ids ${ids.join(', ')}, unique index not created`);
+      result.skippedIndexes.push({ collection: 'assistants', duplicateIds: ids });
+    } else {
+      await db.collection('assistants').createIndex({ id: 1 }, { unique: true });
+    }
+
+    return result;
+  }
+};
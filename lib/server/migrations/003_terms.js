@@ -0,0 +1,14 @@
+import { getCurrentTerm } from '../terms';
+
+// Open the first term (which also covers the legacy `history` records) and index the
+// per-term enrolments copied when a term is closed.
+export default {
+  id: '003_terms',
+  async up(db) {
+    await db.collection('terms').createIndex({ id: 1 }, { unique: true });
+    const term = await getCurrentTerm(db);
+    await db.collection('student_terms').createIndex({ termId: 1, id: 1 }, { unique: true });
+    await db.collection('student_terms').createIndex({ id: 1 });
+    return { currentTermId: term.id };
+  }
+};
@@ -0,0 +1,10 @@
+// Indexes for the payments ledger: receipt numbers are unique, prices have one row
+// per grade and centre, and receipts are looked up per student.
+export default {
+  id: '004_payments',
+  async up(db) {
+    await db.collection('payments').createIndex({ receiptNumber: 1 }, { unique: true });
+    await db.collection('payments').createIndex({ studentId: 1, termId: 1 });
+    await db.collection('prices').createIndex({ grade: 1, center: 1 }, { unique: true });
+  }
+};
@@ -0,0 +1,10 @@
+// Indexes for the cash reconciliation: one closed session per centre and day, and the
+// day's toggles and receipts are looked up by date.
+export default {
+  id: '005_cash_sessions',
+  async up(db) {
+    await db.collection('cash_sessions').createIndex({ date: 1, center: 1 }, { unique: true });
+    await db.collection('attendance_events').createIndex({ action: 1, createdAt: 1 });
+    await db.collection('payments').createIndex({ createdAt: 1 });
+  }
+};
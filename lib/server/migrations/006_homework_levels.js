@@ -0,0 +1,39 @@
+import { homeworkFromDone } from '../../homework';
+
+// Replace `weeks[i].hwDone` (true/false) with `weeks[i].homework` ({ level, score, note }):
+// done becomes "complete", not done on an attended week becomes "not_done" and weeks that
+// were never attended get no homework. Closed-term enrolments and reset snapshots are
+// converted too, so a restore does not bring the boolean back.
+function convertWeeks(weeks) {
+  let converted = 0;
+  const result = weeks.map(week => {
+    if (!('hwDone' in week)) return week;
+    const { hwDone, ...rest } = week;
+    converted++;
+    return { ...rest, homework: homeworkFromDone(hwDone, week.attended) };
+  });
+  return { weeks: result, converted };
+}
+
+async function convertCollection(collection, weeksPath) {
+  const cursor = collection.find({ [`${weeksPath}.hwDone`]: { $exists: true } });
+  let converted = 0;
+  for await (const doc of cursor) {
+    const weeks = weeksPath.split('.').reduce((value, key) => value[key], doc);
+    const result = convertWeeks(weeks);
+    converted += result.converted;
+    await collection.updateOne({ _id: doc._id }, { $set: { [weeksPath]: result.weeks } });
+  }
+  return converted;
+}
+
+export default {
+  id: '006_homework_levels',
+  async up(db) {
+    return {
+      students: await convertCollection(db.collection('students'), 'weeks'),
+      studentTerms: await convertCollection(db.collection('student_terms'), 'weeks'),
+      snapshots: await convertCollection(db.collection('snapshot_students'), 'student.weeks')
+    };
+  }
+};
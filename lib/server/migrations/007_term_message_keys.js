@@ -0,0 +1,36 @@
+import { getCurrentTerm, termEventFilter } from '../terms';
+
+const TERM_KEYED = ['absence_notifications', 'message_batches', 'message_queue'];
+
+// Week numbers restart every term, so absence notices, session batches and the queue's
+// duplicate check are keyed by term as well. Existing records get the term whose
+// [startedAt, endedAt) holds their createdAt, and the old { studentId, week } unique
+// index is replaced by { termId, studentId, week }.
+export default {
+  id: '007_term_message_keys',
+  async up(db) {
+    await getCurrentTerm(db);
+    const terms = await db.collection('terms').find().toArray();
+    const result = {};
+
+    for (const collectionName of TERM_KEYED) {
+      result[collectionName] = 0;
+      for (const term of terms) {
+        const update = await db.collection(collectionName).updateMany(
+          { termId: { $exists: false }, ...termEventFilter(term) },
+          { $set: { termId: term.id } }
+        );
+        result[collectionName] += update.modifiedCount;
+      }
+    }
+
+    const notifications = db.collection('absence_notifications');
+    const indexes = await notifications.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'studentId_1_week_1')) {
+      await notifications.dropIndex('studentId_1_week_1');
+    }
+    await notifications.createIndex({ termId: 1, studentId: 1, week: 1 }, { unique: true });
+    await db.collection('message_batches').createIndex({ termId: 1, center: 1, week: 1, createdAt: -1 });
+    return result;
+  }
+};
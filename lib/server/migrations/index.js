@@ -0,0 +1,45 @@
+import structuredQuizScores from './001_structured_quiz_scores';
+import uniqueIds from './002_unique_ids';
+import terms from './003_terms';
+import payments from './004_payments';
+import cashSessions from './005_cash_sessions';
+import homeworkLevels from './006_homework_levels';
+import termMessageKeys from './007_term_message_keys';
+
+// Data migrations, applied in order once per database. Applied ids are recorded in
+// the `migrations` collection: { _id, appliedAt }
+// Every migration must be safe to run again, in case a process stops half way.
+const MIGRATIONS = [
+  structuredQuizScores,
+  uniqueIds,
+  terms,
+  payments,
+  cashSessions,
+  homeworkLevels,
+  termMessageKeys
+];
+
+async function applyPending(db) {
+  const applied = await db.collection('migrations').find().toArray();
+  const appliedIds = new Set(applied.map(m => m._id));
+
+  for (const migration of MIGRATIONS) {
+    if (appliedIds.has(migration.id)) continue;
+    console.log(`🛠️  Running migration ${migration.id}`);
+    const result = await migration.up(db);
+    await db.collection('migrations').insertOne({ _id: migration.id, appliedAt: new Date(), result: result || null });
+    console.log(`✅ Migration ${migration.id} done`, result || '');
+  }
+}
+
+// Runs once per server process, kept on `global` like the Mongo client
+export function runMigrations(db) {
+  if (!global._migrationsPromise) {
+    global._migrationsPromise = applyPending(db).catch(error => {
+      // Retry on the next request instead of serving with a half-migrated database
+      global._migrationsPromise = null;
+      throw error;
+    });
+  }
+  return global._migrationsPromise;
+}
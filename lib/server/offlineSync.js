@@ -0,0 +1,40 @@
+import { ApiError } from './errors';
+
+// Changes the scan page queued while offline are replayed through the normal endpoints
+// with two extra body fields: `queuedAt` (when the assistant made the change, ISO string)
+// and `expected` (the value the page showed before it). When the stored value no longer
+// matches `expected`, another assistant changed it in the meantime and the later of the
+// two changes wins. The other change is dated from the attendance event log.
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// Returns null when there is nothing to resolve, { resolution: 'overwritten', ... } when
+// the queued change is newer and may be applied, and throws a 409 carrying
+// { conflict: { resolution: 'kept', ... } } when the stored value is newer.
+export async function resolveQueuedChange(db, body, { studentId, week, actions, current }) {
+  if (!body || !body.queuedAt || !('expected' in body)) return null;
+  if (sameValue(body.expected, current)) return null;
+
+  const queuedAt = new Date(body.queuedAt);
+  if (isNaN(queuedAt.getTime())) throw new ApiError(400, 'queuedAt must be a date');
+
+  const latest = await db.collection('attendance_events')
+    .find({ studentId, week, action: { $in: actions } })
+    .sort({ createdAt: -1 })
+    .limit(1)
+    .next();
+  const conflict = {
+    current,
+    changedBy: latest ? latest.actorName || latest.actor : null,
+    changedAt: latest ? latest.createdAt : null,
+    queuedAt
+  };
+
+  if (latest && latest.createdAt > queuedAt) {
+    throw new ApiError(409, `Week ${week} was changed by ${conflict.changedBy || 'another assistant'} after this offline change; their value was kept`, {
+      conflict: { ...conflict, resolution: 'kept' }
+    });
+  }
+  console.log(`🔀 Offline change for student ${studentId} week ${week} (${actions.join('/')}) overwrote a change by ${conflict.changedBy || 'unknown'}`);
+  return { ...conflict, resolution: 'overwritten' };
+}
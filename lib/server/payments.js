@@ -0,0 +1,420 @@
+import { ApiError } from './errors';
+import { NOT_ARCHIVED } from './archive';
+import { getConfigValue } from './config';
+import { recordAttendanceEvent } from './attendanceEvents';
+import { reserveIds } from './ids';
+import { requireSessionOpen } from './cash';
+import { getCurrentTerm } from './terms';
+import { gradeFilter, normalizeGrade } from './matching';
+
+// Payments ledger
+// `prices`: one row per grade, optionally narrowed to a centre (center: null is the grade default):
+//   { grade, center, sessionPrice, packagePrice, packageWeeks, siblingDiscountPercent, updatedBy, updatedAt }
+//   `grade` is stored normalized like student grades and looked up with gradeFilter.
+// `payments`: one entry per receipt, never deleted - a mistake is voided instead:
+//   { receiptNumber, studentId, termId, type, weeks, center, unitPrice, listPrice, siblingDiscount,
+//     discount, discountReason, amount, method, source, note, receivedBy, receivedByName, createdAt,
+//     voidedAt, voidedBy, voidedByName, voidReason }
+// Receipt numbers come from the `receipts` counter, so they are sequential and never reused.
+// A payment sets `paidSession` on the weeks it covers and voiding clears it again; analytics,
+// report cards and arrears keep reading that same flag. A week already marked paid can not
+// be paid again.
+// The scan page toggle goes through here too (markPaid / unmarkPaid): marking a week paid
+// records a one-week cash receipt with source 'scan' at the scanning centre, and unmarking
+// it voids that receipt. Weeks toggled before the toggle wrote receipts carry their cash in
+// paidAmount / paidAt / paidCenter on the week instead.
+
+export const CURRENCY = getConfigValue('CURRENCY', 'EGP');
+
+export const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'wallet'];
+export const PAYMENT_TYPES = ['session', 'package'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export function parseAmount(value, name, { required = true } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new ApiError(400, `${name} is required`);
+    return null;
+  }
+  const amount = Number(value);
+  if (!isFinite(amount) || amount < 0) throw new ApiError(400, `${name} must be a positive amount`);
+  return roundMoney(amount);
+}
+
+// ---- Pricing ----
+
+export function normalizePrice(body) {
+  const grade = typeof body.grade === 'string' ? normalizeGrade(body.grade.trim()) : '';
+  if (!grade) throw new ApiError(400, 'grade is required');
+  const center = typeof body.center === 'string' && body.center.trim() ? body.center.trim() : null;
+
+  const packagePrice = parseAmount(body.packagePrice, 'packagePrice', { required: false });
+  const packageWeeks = packagePrice === null ? null : parseInt(body.packageWeeks);
+  if (packagePrice !== null && (!packageWeeks || packageWeeks < 1)) {
+    throw new ApiError(400, 'packageWeeks must be at least 1 when a package price is set');
+  }
+  const siblingDiscountPercent = parseAmount(body.siblingDiscountPercent, 'siblingDiscountPercent', { required: false }) || 0;
+  if (siblingDiscountPercent > 100) throw new ApiError(400, 'siblingDiscountPercent can not be more than 100');
+
+  return {
+    grade,
+    center,
+    sessionPrice: parseAmount(body.sessionPrice, 'sessionPrice'),
+    packagePrice,
+    packageWeeks,
+    siblingDiscountPercent
+  };
+}
+
+export async function listPrices(db) {
+  return db.collection('prices')
+    .find({}, { projection: { _id: 0 } })
+    .sort({ grade: 1, center: 1 })
+    .toArray();
+}
+
+export async function savePrice(db, user, price) {
+  await db.collection('prices').updateOne(
+    { ...gradeFilter(price.grade), center: price.center },
+    { $set: { ...price, updatedBy: user.assistant_id, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+export async function deletePrice(db, grade, center) {
+  const result = await db.collection('prices').deleteOne({ ...gradeFilter(grade), center: center || null });
+  return result.deletedCount > 0;
+}
+
+// The centre's price for the grade, falling back to the grade default
+export async function getPrice(db, grade, center) {
+  const prices = await db.collection('prices').find({ ...gradeFilter(grade), center: { $in: [center || null, null] } }).toArray();
+  return prices.find(price => price.center && price.center === center) || prices.find(price => !price.center) || null;
+}
+
+// ---- Ledger ----
+
+// Other active students registered with the same parent's phone
+export async function findSiblings(db, student) {
+  if (!student.parentsPhone) return [];
+  return db.collection('students')
+    .find({ ...NOT_ARCHIVED, parentsPhone: student.parentsPhone, id: { $ne: student.id } }, { projection: { _id: 0, id: 1, name: 1 } })
+    .toArray();
+}
+
+function parseWeeks(student, { type, weeks, fromWeek }, price) {
+  const weekCount = (student.weeks || []).length;
+  let numbers;
+  if (type === 'package') {
+    if (!price.packagePrice) throw new ApiError(400, `No package price is set for ${student.grade}`);
+    const first = parseInt(fromWeek);
+    if (!first || first < 1) throw new ApiError(400, 'fromWeek is required for a package');
+    numbers = [];
+    // A package that runs past the end of the calendar is refused rather than charged in full
+    for (let week = first; week < first + price.packageWeeks; week++) numbers.push(week);
+  } else {
+    numbers = [...new Set((Array.isArray(weeks) ? weeks : []).map(week => parseInt(week)))].sort((a, b) => a - b);
+    if (numbers.length === 0 || numbers.some(isNaN)) throw new ApiError(400, 'weeks must list the week numbers paid for');
+  }
+  const outside = numbers.filter(week => week < 1 || week > weekCount);
+  if (numbers.length === 0 || outside.length > 0) {
+    throw new ApiError(400, `Week(s) ${outside.join(', ') || fromWeek} are not in ${student.name}'s calendar (weeks 1-${weekCount})`);
+  }
+  return numbers;
+}
+
+// Amount due for a payment, before anything is saved
+export async function quotePayment(db, student, body) {
+  const type = body.type || 'session';
+  if (!PAYMENT_TYPES.includes(type)) throw new ApiError(400, `type must be one of: ${PAYMENT_TYPES.join(', ')}`);
+
+  const center = student.main_center || null;
+  const price = await getPrice(db, student.grade, center);
+  if (!price) throw new ApiError(400, `No price is set for ${student.grade}${center ? ` at ${center}` : ''}`);
+
+  const weeks = parseWeeks(student, { type, weeks: body.weeks, fromWeek: body.fromWeek }, price);
+  const unitPrice = type === 'package' ? null : price.sessionPrice;
+  const listPrice = type === 'package' ? price.packagePrice : roundMoney(price.sessionPrice * weeks.length);
+
+  const siblings = await findSiblings(db, student);
+  const siblingDiscount = siblings.length > 0 && price.siblingDiscountPercent > 0
+    ? roundMoney(listPrice * price.siblingDiscountPercent / 100)
+    : 0;
+
+  const discount = parseAmount(body.discount, 'discount', { required: false }) || 0;
+  if (discount > listPrice - siblingDiscount) throw new ApiError(400, 'discount can not be more than the price');
+  const discountReason = typeof body.discountReason === 'string' ? body.discountReason.trim() : '';
+  if (discount > 0 && !discountReason) throw new ApiError(400, 'A reason is required for a discount');
+
+  return {
+    type,
+    weeks,
+    center,
+    unitPrice,
+    listPrice,
+    siblingDiscount,
+    siblings,
+    discount,
+    discountReason: discount > 0 ? discountReason : null,
+    amount: roundMoney(listPrice - siblingDiscount - discount)
+  };
+}
+
+// Receipts of the current term already covering any of `weeks`
+export async function findCoveringPayments(db, studentId, termId, weeks) {
+  return db.collection('payments')
+    .find({ studentId, termId, voidedAt: null, weeks: { $in: weeks } })
+    .toArray();
+}
+
+// Mark the weeks paid in one conditional update, so two receipts (or a receipt and the
+// scan page toggle) racing for the same week can not both win.
+// Returns false when one of the weeks was already paid.
+async function claimWeeks(db, student, weeks) {
+  const filter = { ...NOT_ARCHIVED, id: student.id };
+  const update = {};
+  weeks.forEach(week => {
+    filter[`weeks.${week - 1}.paidSession`] = { $ne: true };
+    update[`weeks.${week - 1}.paidSession`] = true;
+  });
+  const result = await db.collection('students').updateOne(filter, { $set: update });
+  return result.matchedCount > 0;
+}
+
+// Clear paidSession on the weeks of a voided receipt
+async function releaseWeeks(db, student, weeks) {
+  const update = {};
+  weeks.forEach(week => {
+    update[`weeks.${week - 1}.paidSession`] = false;
+  });
+  await db.collection('students').updateOne({ id: student.id }, { $set: update });
+}
+
+// The same event the scan page toggle records, for every week that changed
+async function recordPaidEvents(db, user, student, weeks, paid) {
+  for (const week of weeks) {
+    const previousWeek = student.weeks && student.weeks[week - 1];
+    if (previousWeek && !!previousWeek.paidSession === paid) continue;
+    await recordAttendanceEvent(db, user, {
+      studentId: student.id,
+      week,
+      center: previousWeek ? previousWeek.lastAttendanceCenter : null,
+      action: 'paid',
+      value: paid,
+      previousValue: previousWeek ? !!previousWeek.paidSession : null
+    });
+  }
+}
+
+// options.center is the centre the money is taken at (default: the student's centre)
+export async function recordPayment(db, user, student, body, { center, source = 'payments' } = {}) {
+  const quote = await quotePayment(db, student, body);
+  const cashCenter = center || quote.center;
+  if (!PAYMENT_METHODS.includes(body.method)) {
+    throw new ApiError(400, `method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  // The amount typed in is checked against the price, so a typo can not become a receipt
+  const amount = parseAmount(body.amount, 'amount');
+  if (amount !== quote.amount) {
+    throw new ApiError(400, `Amount due is ${quote.amount} ${CURRENCY}, ${amount} was entered`);
+  }
+
+  await requireSessionOpen(db, user, { center: cashCenter });
+
+  const term = await getCurrentTerm(db);
+  const covering = await findCoveringPayments(db, student.id, term.id, quote.weeks);
+  if (covering.length > 0) {
+    const weeks = quote.weeks.filter(week => covering.some(payment => payment.weeks.includes(week)));
+    throw new ApiError(409, `Week(s) ${weeks.join(', ')} already paid on receipt #${covering[0].receiptNumber}`);
+  }
+  const togglePaid = quote.weeks.filter(week => student.weeks[week - 1] && student.weeks[week - 1].paidSession);
+  if (togglePaid.length > 0) {
+    throw new ApiError(409, `Week(s) ${togglePaid.join(', ')} already marked paid from the scan page`);
+  }
+
+  // Claimed before the receipt number is taken, so a lost race leaves no gap in the numbering
+  if (!await claimWeeks(db, student, quote.weeks)) {
+    throw new ApiError(409, 'One of these weeks was just marked paid, reload and try again');
+  }
+
+  const { siblings, ...entry } = quote;
+  const payment = {
+    receiptNumber: await reserveIds(db, 'receipts'),
+    studentId: student.id,
+    termId: term.id,
+    ...entry,
+    center: cashCenter,
+    method: body.method,
+    source,
+    note: typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null,
+    receivedBy: user.assistant_id,
+    receivedByName: user.name || null,
+    createdAt: new Date(),
+    voidedAt: null,
+    voidedBy: null,
+    voidedByName: null,
+    voidReason: null
+  };
+  try {
+    await db.collection('payments').insertOne(payment);
+  } catch (error) {
+    await releaseWeeks(db, student, payment.weeks);
+    throw error;
+  }
+  await recordPaidEvents(db, user, student, payment.weeks, true);
+
+  console.log(`💰 Receipt #${payment.receiptNumber}: ${payment.amount} ${CURRENCY} from student ${student.id} for week(s) ${payment.weeks.join(', ')}`);
+  return payment;
+}
+
+export async function voidPayment(db, user, receiptNumber, reason) {
+  if (!reason || !reason.trim()) throw new ApiError(400, 'A reason is required to void a receipt');
+  const payment = await db.collection('payments').findOne({ receiptNumber });
+  if (!payment) throw new ApiError(404, 'Receipt not found');
+  if (payment.voidedAt) throw new ApiError(409, `Receipt #${receiptNumber} is already void`);
+
+  const term = await getCurrentTerm(db);
+  if (payment.termId !== term.id) throw new ApiError(409, 'Receipts of a closed term can not be voided');
+  await requireSessionOpen(db, user, { date: payment.createdAt, center: payment.center });
+
+  const result = await db.collection('payments').updateOne(
+    { receiptNumber, voidedAt: null },
+    { $set: { voidedAt: new Date(), voidedBy: user.assistant_id, voidedByName: user.name || null, voidReason: reason.trim() } }
+  );
+  if (result.matchedCount === 0) throw new ApiError(409, `Receipt #${receiptNumber} is already void`);
+
+  // Weeks another receipt still covers stay paid
+  const student = await db.collection('students').findOne({ id: payment.studentId });
+  if (student) {
+    const covering = await findCoveringPayments(db, student.id, term.id, payment.weeks);
+    const unpaid = payment.weeks.filter(week => !covering.some(other => other.weeks.includes(week)));
+    if (unpaid.length > 0) {
+      await releaseWeeks(db, student, unpaid);
+      await recordPaidEvents(db, user, student, unpaid, false);
+    }
+  }
+  console.log(`🚫 Receipt #${receiptNumber} voided by ${user.assistant_id}: ${reason.trim()}`);
+}
+
+// Scan page toggle on: a cash receipt for the week at the session price
+export async function markPaid(db, user, student, week, { center, amount }) {
+  const body = { type: 'session', weeks: [week], method: 'cash', note: 'Marked paid on the scan page' };
+  const quote = await quotePayment(db, student, body);
+  body.amount = amount === undefined || amount === null || amount === '' ? quote.amount : amount;
+  return recordPayment(db, user, student, body, { center, source: 'scan' });
+}
+
+// Scan page toggle off: the week's scan receipt is voided. Receipts taken on the payments
+// page are only voided there. A week toggled before receipts hands its cash back in the
+// session of `center`. Resolves with { amount, receiptNumber } of what was undone.
+export async function unmarkPaid(db, user, student, week, { center }) {
+  const term = await getCurrentTerm(db);
+  const [receipt] = await findCoveringPayments(db, student.id, term.id, [week]);
+  if (receipt) {
+    if (receipt.source !== 'scan') {
+      throw new ApiError(409, `Week ${week} is paid on receipt #${receipt.receiptNumber}, void the receipt instead`);
+    }
+    await voidPayment(db, user, receipt.receiptNumber, 'Unmarked paid on the scan page');
+    return { amount: receipt.amount, receiptNumber: receipt.receiptNumber };
+  }
+
+  const previousWeek = student.weeks[week - 1];
+  await requireSessionOpen(db, user, { center });
+  if (previousWeek.paidAt) {
+    await requireSessionOpen(db, user, { date: previousWeek.paidAt, center: previousWeek.paidCenter });
+  }
+  const weekIndex = week - 1;
+  await db.collection('students').updateOne({ id: student.id }, { $set: {
+    [`weeks.${weekIndex}.paidSession`]: false,
+    [`weeks.${weekIndex}.paidAmount`]: null,
+    [`weeks.${weekIndex}.paidBy`]: null,
+    [`weeks.${weekIndex}.paidByName`]: null,
+    [`weeks.${weekIndex}.paidAt`]: null,
+    [`weeks.${weekIndex}.paidCenter`]: null
+  } });
+  // Cash taken with the toggle is handed back; the event carries it for cash reconciliation
+  const amount = previousWeek.paidAt ? (previousWeek.paidAmount === undefined ? null : previousWeek.paidAmount) : undefined;
+  await recordAttendanceEvent(db, user, {
+    studentId: student.id,
+    week,
+    center,
+    action: 'paid',
+    value: false,
+    previousValue: true,
+    amount
+  });
+  return { amount: amount === undefined ? null : amount, receiptNumber: null };
+}
+
+export async function getPayment(db, receiptNumber) {
+  return db.collection('payments').findOne({ receiptNumber }, { projection: { _id: 0 } });
+}
+
+// Every receipt of the student, newest first
+export async function getStudentPayments(db, studentId) {
+  return db.collection('payments')
+    .find({ studentId }, { projection: { _id: 0 } })
+    .sort({ receiptNumber: -1 })
+    .toArray();
+}
+
+// ---- Arrears ----
+
+// Attended weeks of the open term not marked paid, valued at the session price before
+// discounts. Students without a price for their grade are listed with amountDue: null.
+export async function getArrearsReport(db, scopeFilter, { grade, center } = {}) {
+  const filter = { $and: [
+    NOT_ARCHIVED,
+    scopeFilter,
+    { weeks: { $elemMatch: { attended: true, paidSession: { $ne: true } } } }
+  ] };
+  if (grade) filter.$and.push(gradeFilter(grade));
+  if (center) filter.$and.push({ main_center: center });
+
+  const students = await db.collection('students')
+    .find(filter, { projection: { _id: 0, id: 1, name: 1, grade: 1, main_center: 1, phone: 1, parentsPhone: 1, weeks: 1 } })
+    .sort({ id: 1 })
+    .toArray();
+
+  const prices = new Map();
+  const rows = [];
+  for (const student of students) {
+    const key = `${student.grade}|${student.main_center}`;
+    if (!prices.has(key)) prices.set(key, await getPrice(db, student.grade, student.main_center));
+    const price = prices.get(key);
+    const weeks = student.weeks.filter(week => week.attended && !week.paidSession).map(week => week.week);
+    rows.push({
+      id: student.id,
+      name: student.name,
+      grade: student.grade,
+      main_center: student.main_center,
+      phone: student.phone,
+      parentsPhone: student.parentsPhone,
+      weeks,
+      sessionPrice: price ? price.sessionPrice : null,
+      amountDue: price ? roundMoney(price.sessionPrice * weeks.length) : null
+    });
+  }
+
+  const centers = new Map();
+  rows.forEach(row => {
+    const name = row.main_center || 'n/a';
+    if (!centers.has(name)) centers.set(name, { center: name, students: 0, sessions: 0, amountDue: 0, unpriced: 0 });
+    const entry = centers.get(name);
+    entry.students++;
+    entry.sessions += row.weeks.length;
+    if (row.amountDue === null) entry.unpriced++;
+    else entry.amountDue = roundMoney(entry.amountDue + row.amountDue);
+  });
+
+  return {
+    currency: CURRENCY,
+    students: rows,
+    centers: [...centers.values()].sort((a, b) => b.amountDue - a.amountDue),
+    total: {
+      students: rows.length,
+      sessions: rows.reduce((sum, row) => sum + row.weeks.length, 0),
+      amountDue: roundMoney(rows.reduce((sum, row) => sum + (row.amountDue || 0), 0))
+    }
+  };
+}
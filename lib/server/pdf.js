@@ -0,0 +1,31 @@
+import PDFDocument from 'pdfkit';
+import { getConfigValue } from './config';
+
+// PDF helpers shared by report cards and payment receipts.
+// Needs `pdfkit` in the app's package.json dependencies.
+// The built-in PDF fonts have no Arabic glyphs; point REPORT_FONT_PATH at a TTF that does.
+const FONT_PATH = getConfigValue('REPORT_FONT_PATH', '');
+
+export const REGULAR_FONT = FONT_PATH ? 'Report' : 'Helvetica';
+export const BOLD_FONT = FONT_PATH ? 'Report' : 'Helvetica-Bold';
+
+// Renders the pages `draw(doc)` adds into a Buffer
+export function renderPdf(options, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (FONT_PATH) doc.registerFont('Report', FONT_PATH);
+    draw(doc);
+    doc.end();
+  });
+}
+
+export function sendPdf(res, filename, buffer) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^a-zA-Z0-9_.-]+/g, '_')}"`);
+  res.status(200).send(buffer);
+}
@@ -0,0 +1,84 @@
+import { ApiError } from './errors';
+import { gradeFilter, normalizeGrade } from './matching';
+
+// Quiz catalogue
+// One document per grade and week in the `quizzes` collection:
+// { grade, week, title, maxScore, passMark, updatedAt, updatedBy }
+// `grade` is stored normalized like student grades and looked up with gradeFilter.
+// When a week has a quiz, scores are always recorded out of its maxScore.
+
+export function normalizeQuizzes(quizzes, sessionCount) {
+  if (!Array.isArray(quizzes)) {
+    throw new ApiError(400, 'quizzes must be a list');
+  }
+
+  const seen = new Set();
+  return quizzes.map(quiz => {
+    if (!quiz || typeof quiz !== 'object') {
+      throw new ApiError(400, 'Every quiz must be an object');
+    }
+    const week = parseInt(quiz.week);
+    if (isNaN(week) || week < 1 || week > sessionCount) {
+      throw new ApiError(400, `Week must be between 1 and ${sessionCount}`);
+    }
+    if (seen.has(week)) {
+      throw new ApiError(400, `Week ${week}: only one quiz per week`);
+    }
+    seen.add(week);
+
+    const maxScore = Number(quiz.maxScore);
+    if (!isFinite(maxScore) || maxScore <= 0) {
+      throw new ApiError(400, `Week ${week}: maximum score must be greater than zero`);
+    }
+    let passMark = null;
+    if (quiz.passMark !== null && quiz.passMark !== undefined && quiz.passMark !== '') {
+      passMark = Number(quiz.passMark);
+      if (!isFinite(passMark) || passMark < 0 || passMark > maxScore) {
+        throw new ApiError(400, `Week ${week}: pass mark must be between 0 and the maximum score`);
+      }
+    }
+
+    if (quiz.title !== undefined && quiz.title !== null && typeof quiz.title !== 'string') {
+      throw new ApiError(400, `Week ${week}: title must be text`);
+    }
+
+    return {
+      week,
+      title: quiz.title ? quiz.title.trim() : '',
+      maxScore,
+      passMark
+    };
+  }).sort((a, b) => a.week - b.week);
+}
+
+export async function getQuizzes(db, grade) {
+  if (!grade) return [];
+  return db.collection('quizzes')
+    .find(gradeFilter(grade), { projection: { _id: 0 } })
+    .sort({ week: 1 })
+    .toArray();
+}
+
+export async function getQuiz(db, grade, week) {
+  if (!grade) return null;
+  return db.collection('quizzes').findOne({ ...gradeFilter(grade), week }, { projection: { _id: 0 } });
+}
+
+// Replace the grade's catalogue with the given (normalized) quizzes. Quizzes saved under
+// the grade picker's label are rewritten under the normalized grade.
+export async function saveQuizzes(db, user, grade, quizzes) {
+  const collection = db.collection('quizzes');
+  await collection.deleteMany({ ...gradeFilter(grade), week: { $nin: quizzes.map(quiz => quiz.week) } });
+  if (quizzes.length > 0) {
+    await collection.bulkWrite(quizzes.map(quiz => ({
+      updateOne: {
+        filter: { ...gradeFilter(grade), week: quiz.week },
+        update: {
+          $set: { ...quiz, grade: normalizeGrade(grade), updatedAt: new Date(), updatedBy: user.assistant_id }
+        },
+        upsert: true
+      }
+    })));
+  }
+  return getQuizzes(db, grade);
+}
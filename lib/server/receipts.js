@@ -0,0 +1,64 @@
+import { BOLD_FONT, REGULAR_FONT, renderPdf } from './pdf';
+import { CURRENCY } from './payments';
+
+// Printable payment receipts, one A5 page per receipt from the `payments` ledger
+
+const COLORS = { primary: '#1FA8DC', text: '#212529', muted: '#6c757d', bad: '#dc3545', line: '#dee2e6' };
+
+const METHOD_LABELS = { cash: 'Cash', card: 'Card', transfer: 'Bank transfer', wallet: 'Mobile wallet' };
+
+const money = (amount) => `${amount.toFixed(2)} ${CURRENCY}`;
+
+function describeWeeks(payment) {
+  const weeks = payment.weeks;
+  const list = weeks.length > 1 && weeks[weeks.length - 1] - weeks[0] === weeks.length - 1
+    ? `weeks ${weeks[0]}-${weeks[weeks.length - 1]}`
+    : `week${weeks.length > 1 ? 's' : ''} ${weeks.join(', ')}`;
+  return payment.type === 'package' ? `Package, ${list}` : `${weeks.length} session(s), ${list}`;
+}
+
+function drawReceipt(doc, { payment, student, termName }) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const line = (label, value, { bold = false, color = COLORS.text } = {}) => {
+    const y = doc.y;
+    doc.font(REGULAR_FONT).fillColor(COLORS.muted).fontSize(10).text(label, left, y, { width: 130 });
+    doc.font(bold ? BOLD_FONT : REGULAR_FONT).fillColor(color).text(value, left + 130, y, { width: width - 130 });
+    doc.x = left;
+    doc.moveDown(0.3);
+  };
+
+  doc.font(BOLD_FONT).fillColor(COLORS.primary).fontSize(18).text('Payment Receipt', { align: 'center' });
+  doc.font(REGULAR_FONT).fillColor(COLORS.muted).fontSize(11)
+    .text(`No. ${String(payment.receiptNumber).padStart(6, '0')}`, { align: 'center' });
+  doc.moveDown();
+
+  line('Date', new Date(payment.createdAt).toLocaleString('en-GB'));
+  line('Student', `#${payment.studentId}  ${student ? student.name : ''}`);
+  if (student) line('Grade / center', `${student.grade || 'N/A'} / ${payment.center || student.main_center || 'N/A'}`);
+  if (termName) line('Term', termName);
+  line('For', describeWeeks(payment));
+  doc.moveDown(0.5);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor(COLORS.line).stroke();
+  doc.moveDown(0.5);
+
+  if (payment.unitPrice !== null) line('Session price', money(payment.unitPrice));
+  line('Price', money(payment.listPrice));
+  if (payment.siblingDiscount > 0) line('Sibling discount', `- ${money(payment.siblingDiscount)}`);
+  if (payment.discount > 0) line('Discount', `- ${money(payment.discount)} (${payment.discountReason})`);
+  line('Amount paid', money(payment.amount), { bold: true });
+  line('Method', METHOD_LABELS[payment.method] || payment.method);
+  line('Received by', payment.receivedByName || payment.receivedBy || 'N/A');
+  if (payment.note) line('Note', payment.note);
+
+  if (payment.voidedAt) {
+    doc.moveDown();
+    doc.font(BOLD_FONT).fillColor(COLORS.bad).fontSize(16).text('VOID', { align: 'center' });
+    doc.font(REGULAR_FONT).fontSize(10)
+      .text(`${new Date(payment.voidedAt).toLocaleString('en-GB')} by ${payment.voidedByName || payment.voidedBy}: ${payment.voidReason}`, { align: 'center' });
+  }
+}
+
+export function renderReceipt(receipt) {
+  return renderPdf({ size: 'A5', margin: 40 }, doc => drawReceipt(doc, receipt));
+}
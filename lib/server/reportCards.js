@@ -0,0 +1,192 @@
+import { formatQuiz, getQuizPercentage } from '../quiz';
+import { formatHomework } from '../homework';
+import { BOLD_FONT, REGULAR_FONT, renderPdf } from './pdf';
+import { computeStudentAnalytics, getHeldWeekCount } from './analytics';
+import { getQuizzes } from './quizzes';
+import { getCalendar } from './courseCalendar';
+import { toStudentProfile } from './studentProfile';
+
+// Monthly report cards
+// A report card is rendered from the student profile GET /api/students/[id] returns,
+// for the weeks held in the month, plus the teacher comment saved for the month in
+// `report_comments` { studentId, month: "YYYY-MM", comment, updatedBy, updatedAt }.
+// A week falls in the month it was attended on, or for an absence the month the course
+// calendar scheduled it at the student's centre. Weeks with neither date are left out.
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+export function currentMonth(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+export function isValidMonth(month) {
+  return MONTH_PATTERN.test(month || '');
+}
+
+function formatMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+export async function getReportComment(db, studentId, month) {
+  const entry = await db.collection('report_comments').findOne({ studentId, month });
+  return entry ? entry.comment : '';
+}
+
+export async function saveReportComment(db, user, studentId, month, comment) {
+  await db.collection('report_comments').updateOne(
+    { studentId, month },
+    { $set: { comment, updatedBy: user.assistant_id, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// "YYYY-MM" of a week: the scan page records attendance as "DD/MM/YYYY in Centre"
+function getWeekMonth(week, calendar, center) {
+  const attendedOn = week.attended && week.lastAttendance && week.lastAttendance.match(/(\d{2})[-/](\d{2})[-/](\d{4})/);
+  if (attendedOn) return `${attendedOn[3]}-${attendedOn[2]}`;
+  const session = calendar && calendar.sessions[week.week - 1];
+  if (!session) return null;
+  const entry = (session.schedule || []).find(e => e.center === center);
+  const date = (entry && entry.date) || session.date;
+  return date ? date.slice(0, 7) : null;
+}
+
+// Everything one card shows. `cache` shares held weeks, calendars and quiz catalogues
+// between students of the same grade in batch mode.
+export async function getReportCardData(db, student, month, cache = new Map()) {
+  if (!cache.has(student.grade)) {
+    cache.set(student.grade, {
+      heldWeeks: await getHeldWeekCount(db, student.grade),
+      calendar: await getCalendar(db, student.grade),
+      quizzes: await getQuizzes(db, student.grade)
+    });
+  }
+  const { heldWeeks, calendar, quizzes } = cache.get(student.grade);
+  const profile = toStudentProfile(student);
+  const { heldWeeks: heldCount } = computeStudentAnalytics(profile, heldWeeks);
+  const monthWeeks = profile.weeks
+    .slice(0, heldCount)
+    .filter(week => getWeekMonth(week, calendar, student.main_center) === month);
+  // Every month week counts as held, whatever the calendar says
+  const analytics = computeStudentAnalytics({ ...profile, weeks: monthWeeks }, monthWeeks.length);
+  const quizTitles = new Map(quizzes.map(quiz => [quiz.week, quiz.title]));
+
+  return {
+    profile,
+    month,
+    analytics,
+    weeks: monthWeeks.map(week => ({
+      ...week,
+      quizTitle: quizTitles.get(week.week) || ''
+    })),
+    comment: await getReportComment(db, student.id, month)
+  };
+}
+
+const COLORS = { primary: '#1FA8DC', text: '#212529', muted: '#6c757d', good: '#28a745', bad: '#dc3545', line: '#dee2e6' };
+
+const TABLE_COLUMNS = [
+  { header: 'Week', width: 50 },
+  { header: 'Attendance', width: 115 },
+  { header: 'Homework', width: 130 },
+  { header: 'Quiz', width: 125 },
+  { header: 'Payment', width: 75 }
+];
+
+function weekCells(week) {
+  const quiz = week.quiz
+    ? `${formatQuiz(week.quiz)} (${getQuizPercentage(week.quiz)}%)`
+    : week.quizTitle ? 'Not taken' : '-';
+  return [
+    String(week.week).padStart(2, '0'),
+    week.attended ? `Attended${week.lastAttendanceCenter ? ` (${week.lastAttendanceCenter})` : ''}` : 'Absent',
+    week.attended ? formatHomework(week.homework) || 'Not done' : '-',
+    quiz,
+    week.attended ? (week.paidSession ? 'Paid' : 'Unpaid') : '-'
+  ];
+}
+
+function drawTable(doc, weeks) {
+  const left = doc.page.margins.left;
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+    const y = doc.y;
+    const width = TABLE_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    if (fill) doc.rect(left, y - 3, width, 18).fill(fill);
+    doc.fillColor(COLORS.text).fontSize(9);
+    if (bold) doc.font(BOLD_FONT);
+    let x = left;
+    cells.forEach((cell, index) => {
+      doc.text(cell, x + 4, y, { width: TABLE_COLUMNS[index].width - 8, lineBreak: false, ellipsis: true });
+      x += TABLE_COLUMNS[index].width;
+    });
+    if (bold) doc.font(REGULAR_FONT);
+    doc.moveTo(left, y + 15).lineTo(left + width, y + 15).strokeColor(COLORS.line).stroke();
+    doc.x = left;
+    doc.y = y + 18;
+  };
+
+  drawRow(TABLE_COLUMNS.map(column => column.header), { bold: true, fill: '#f1f3f5' });
+  weeks.forEach(week => drawRow(weekCells(week)));
+}
+
+function renderCard(doc, { profile, month, analytics, weeks, comment }) {
+  const left = doc.page.margins.left;
+  const rate = (value) => (value === null ? 'N/A' : `${value}%`);
+
+  doc.fillColor(COLORS.primary).fontSize(20).text('Student Report Card', { align: 'center' });
+  doc.fillColor(COLORS.muted).fontSize(11).text(formatMonth(month), { align: 'center' });
+  doc.moveDown();
+
+  doc.fillColor(COLORS.text).fontSize(13).text(`#${profile.id}  ${profile.name}`);
+  doc.fontSize(10).fillColor(COLORS.muted)
+    .text(`Grade: ${profile.grade || 'N/A'}    School: ${profile.school || 'N/A'}    Main center: ${profile.main_center || 'N/A'}`)
+    .text(`Student phone: ${profile.phone || 'N/A'}    Parent's phone: ${profile.parents_phone || 'N/A'}`);
+  doc.moveDown();
+
+  // Summary
+  const { attendance, homework, quizzes, payments } = analytics;
+  const summary = [
+    ['Attendance', `${attendance.attended} / ${attendance.held} weeks (${rate(attendance.rate)})`],
+    ['Homework', `${homework.done} / ${homework.attended} attended weeks complete or better (${rate(homework.rate)})`],
+    ['Quiz average', quizzes.taken > 0 ? `${rate(quizzes.averagePercentage)} over ${quizzes.taken} quiz(zes)` : 'No quizzes taken'],
+    ['Payments', payments.arrearsCount > 0 ? `${payments.arrearsCount} unpaid session(s): weeks ${payments.arrearsWeeks.join(', ')}` : 'All attended sessions paid']
+  ];
+  summary.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor(COLORS.muted).fontSize(10).text(label, left, y, { width: 100 });
+    doc.fillColor(label === 'Payments' && payments.arrearsCount > 0 ? COLORS.bad : COLORS.text).text(value, left + 100, y);
+  });
+  doc.x = left;
+  doc.moveDown();
+
+  if (weeks.length === 0) {
+    doc.fillColor(COLORS.muted).fontSize(10).text('No sessions held this month.');
+  } else {
+    drawTable(doc, weeks);
+  }
+  doc.moveDown();
+
+  // Teacher comment, with room to write by hand when none was saved
+  doc.fillColor(COLORS.text).fontSize(11).text("Teacher's comment");
+  const boxTop = doc.y + 4;
+  doc.rect(left, boxTop, 495, 70).strokeColor(COLORS.line).stroke();
+  if (comment) {
+    doc.fillColor(COLORS.text).fontSize(10).text(comment, left + 8, boxTop + 8, { width: 479, height: 58, ellipsis: true });
+  }
+  doc.x = left;
+  doc.y = boxTop + 80;
+}
+
+// One card per student, each starting on a new page, merged into one PDF
+export function renderReportCards(cards) {
+  return renderPdf({ size: 'A4', margin: 50, autoFirstPage: false }, doc => {
+    cards.forEach(card => {
+      doc.addPage();
+      doc.font(REGULAR_FONT);
+      renderCard(doc, card);
+    });
+    if (cards.length === 0) doc.addPage().text('No students.');
+  });
+}
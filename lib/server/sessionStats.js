@@ -0,0 +1,147 @@
+import { formatQuiz } from '../quiz';
+import { NOT_ARCHIVED } from './archive';
+import { DONE_LEVELS, HOMEWORK_LEVELS } from '../homework';
+import { gradeFilter } from './matching';
+
+// Session statistics for session_info.jsx, computed in Mongo instead of the browser.
+// A session is a centre + grade, and optionally one week; without a week a student
+// counts as attended when they attended the centre in any week.
+// Grades and centres are matched as in matching.js.
+
+const lower = (expression) => ({ $toLower: { $ifNull: [expression, ''] } });
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const homeworkLevel = { $ifNull: ['$w.homework.level', null] };
+
+// Fields the session tables show, flattened from the session's week
+const ROW_PROJECTION = {
+  _id: 0,
+  id: 1,
+  name: 1,
+  grade: 1,
+  phone: 1,
+  parents_phone: '$parentsPhone',
+  center: 1,
+  main_center: 1,
+  school: 1,
+  age: 1,
+  attended_the_session: { $ifNull: ['$w.attended', false] },
+  lastAttendance: '$w.lastAttendance',
+  lastAttendanceCenter: '$w.lastAttendanceCenter',
+  homework: { $ifNull: ['$w.homework', null] },
+  hwDone: { $in: [homeworkLevel, DONE_LEVELS] },
+  paidSession: { $ifNull: ['$w.paidSession', false] },
+  quiz: { $ifNull: ['$w.quiz', null] },
+  message_state: { $ifNull: ['$w.message_state', false] },
+  currentWeekNumber: '$w.week'
+};
+
+function buildPipeline({ center, grade, week }) {
+  const centerLower = center.toLowerCase();
+  const weeks = { $ifNull: ['$weeks', []] };
+  const attendedHere = (weekData) => ({
+    $and: [{ $eq: [`${weekData}.attended`, true] }, { $eq: [lower(`${weekData}.lastAttendanceCenter`), centerLower] }]
+  });
+
+  // The week shown for each student: the selected one, or without a week the
+  // current one (first attended, or week 1)
+  const sessionWeek = week
+    ? { $arrayElemAt: [weeks, week - 1] }
+    : { $ifNull: [
+      { $arrayElemAt: [{ $filter: { input: weeks, cond: { $eq: ['$$this.attended', true] } } }, 0] },
+      { $arrayElemAt: [weeks, 0] }
+    ] };
+
+  const flags = week
+    ? {
+      attendedHere: attendedHere('$w'),
+      attendedAny: { $eq: ['$w.attended', true] }
+    }
+    : {
+      attendedHere: { $anyElementTrue: [{ $map: { input: weeks, as: 'wk', in: attendedHere('$$wk') } }] },
+      attendedAny: { $anyElementTrue: [{ $map: { input: weeks, as: 'wk', in: { $eq: ['$$wk.attended', true] } } }] }
+    };
+
+  return [
+    { $match: { ...NOT_ARCHIVED, ...gradeFilter(grade) } },
+    { $addFields: { w: sessionWeek } },
+    { $addFields: { ...flags, isMain: { $eq: [lower('$main_center'), centerLower] } } },
+    { $facet: {
+      counts: [
+        { $group: {
+          _id: null,
+          mainCenterTotal: countIf('$isMain'),
+          mainCenterAttended: countIf({ $and: ['$isMain', '$attendedHere'] }),
+          otherCenterAttended: countIf({ $and: [{ $not: ['$isMain'] }, '$attendedHere'] }),
+          mainCenterNotAttended: countIf({ $and: ['$isMain', { $not: ['$attendedAny'] }] }),
+          hwDone: countIf({ $and: ['$attendedHere', { $in: [homeworkLevel, DONE_LEVELS] }] }),
+          ...Object.fromEntries(HOMEWORK_LEVELS.map(level => [
+            `hw_${level}`,
+            countIf({ $and: ['$attendedHere', { $eq: [homeworkLevel, level] }] })
+          ])),
+          paid: countIf({ $and: ['$attendedHere', { $eq: ['$w.paidSession', true] }] }),
+          quizTaken: countIf({ $and: ['$attendedHere', { $ne: [{ $ifNull: ['$w.quiz', null] }, null] }] })
+        } }
+      ],
+      // Where the grade's main-centre students went instead
+      attendedElsewhere: [
+        { $match: { isMain: true, attendedAny: true, attendedHere: false } },
+        { $group: { _id: '$w.lastAttendanceCenter', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ],
+      attended: [
+        { $match: { attendedHere: true } },
+        { $sort: { id: 1 } },
+        { $project: ROW_PROJECTION }
+      ],
+      notAttended: [
+        { $match: { isMain: true, attendedAny: false } },
+        { $sort: { id: 1 } },
+        { $project: ROW_PROJECTION }
+      ]
+    } }
+  ];
+}
+
+const EMPTY_COUNTS = {
+  mainCenterTotal: 0,
+  mainCenterAttended: 0,
+  otherCenterAttended: 0,
+  mainCenterNotAttended: 0,
+  hwDone: 0,
+  paid: 0,
+  quizTaken: 0,
+  ...Object.fromEntries(HOMEWORK_LEVELS.map(level => [`hw_${level}`, 0]))
+};
+
+const withQuizDegree = (row) => ({ ...row, quizDegree: formatQuiz(row.quiz) });
+
+export async function getSessionStats(db, { center, grade, week }) {
+  const [result] = await db.collection('students').aggregate(buildPipeline({ center, grade, week })).toArray();
+  const { _id, ...grouped } = result.counts[0] || { _id: null, ...EMPTY_COUNTS };
+  const totalAttended = grouped.mainCenterAttended + grouped.otherCenterAttended;
+
+  // Attendees per homework level; `ungraded` attended without a homework grade
+  const counts = {};
+  const hwLevels = {};
+  Object.entries(grouped).forEach(([key, value]) => {
+    if (key.startsWith('hw_')) hwLevels[key.slice(3)] = value;
+    else counts[key] = value;
+  });
+  hwLevels.ungraded = totalAttended - HOMEWORK_LEVELS.reduce((sum, level) => sum + hwLevels[level], 0);
+
+  return {
+    center,
+    grade,
+    week: week || null,
+    counts: {
+      ...counts,
+      totalAttended,
+      hwNotDone: totalAttended - counts.hwDone,
+      hwLevels,
+      notPaid: totalAttended - counts.paid
+    },
+    attendedElsewhere: result.attendedElsewhere.map(entry => ({ center: entry._id, count: entry.count })),
+    attended: result.attended.map(withQuizDegree),
+    notAttended: result.notAttended.map(withQuizDegree)
+  };
+}
@@ -0,0 +1,116 @@
+import { ObjectId } from 'mongodb';
+import { ApiError } from './errors';
+import { NOT_ARCHIVED } from './archive';
+import { getCurrentTerm, getTermAt } from './terms';
+
+// Student snapshots
+// Before a reset rewrites students' weeks, the affected documents are copied as they
+// were. `snapshots` holds one entry per reset:
+//   { kind, termId, restoreTermId, termName, studentIds, count, createdBy, createdByName,
+//     createdAt, restoredAt, restoredBy }
+// and `snapshot_students` the copies: { snapshotId, student }. The copies live in
+// their own collection so a whole school fits without hitting the document size limit.
+// Only snapshots of the open term can be restored, and only their weeks are put back.
+// A reset-all snapshot is taken just before its term closes; `restoreTermId` marks it
+// restorable into the term the reset opened, so the reset can be undone.
+
+export const SNAPSHOT_KINDS = ['reset-all', 'reset-student', 'pre-restore'];
+
+// Throws a 400 unless the typed phrase matches exactly
+export function requireConfirmation(typed, phrase) {
+  if (typed !== phrase) {
+    throw new ApiError(400, `Type "${phrase}" to confirm`);
+  }
+}
+
+// Copy the students matching `filter`, returns the snapshot entry
+export async function createSnapshot(db, user, { kind, termName, filter }) {
+  const students = await db.collection('students').find(filter).toArray();
+  const term = await getCurrentTerm(db);
+  const snapshot = {
+    kind,
+    termId: term.id,
+    termName: termName || null,
+    studentIds: students.map(student => student.id),
+    count: students.length,
+    createdBy: user.assistant_id,
+    createdByName: user.name || null,
+    createdAt: new Date(),
+    restoredAt: null,
+    restoredBy: null
+  };
+  const { insertedId } = await db.collection('snapshots').insertOne(snapshot);
+  if (students.length > 0) {
+    await db.collection('snapshot_students').insertMany(
+      students.map(student => ({ snapshotId: insertedId, student })),
+      { ordered: false }
+    );
+  }
+  console.log(`📸 Snapshot ${insertedId} (${kind}) of ${students.length} students by ${user.assistant_id}`);
+  return { ...snapshot, _id: insertedId };
+}
+
+// Link a snapshot to the term its weeks can be restored into
+export async function setSnapshotRestoreTerm(db, snapshotId, termId) {
+  await db.collection('snapshots').updateOne({ _id: snapshotId }, { $set: { restoreTermId: termId } });
+}
+
+// Snapshots taken before terms were recorded on them belong to the term open at the time
+async function getSnapshotTermId(db, snapshot) {
+  if (snapshot.restoreTermId !== undefined) return snapshot.restoreTermId;
+  if (snapshot.termId !== undefined) return snapshot.termId;
+  const term = await getTermAt(db, snapshot.createdAt);
+  return term ? term.id : null;
+}
+
+export async function listSnapshots(db) {
+  const current = await getCurrentTerm(db);
+  const snapshots = await db.collection('snapshots')
+    .find({}, { projection: { studentIds: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return Promise.all(snapshots.map(async snapshot => ({
+    ...snapshot,
+    restorable: await getSnapshotTermId(db, snapshot) === current.id
+  })));
+}
+
+function parseSnapshotId(snapshotId) {
+  if (!ObjectId.isValid(snapshotId)) throw new ApiError(404, 'Snapshot not found');
+  return new ObjectId(snapshotId);
+}
+
+// Put the weeks of every student of the snapshot back as they were. Profile edits made
+// since then are kept, and archived or purged students are left alone. The current
+// state of those students is snapshotted first so a restore can be undone too.
+export async function restoreSnapshot(db, user, snapshotId) {
+  const _id = parseSnapshotId(snapshotId);
+  const snapshot = await db.collection('snapshots').findOne({ _id });
+  if (!snapshot) throw new ApiError(404, 'Snapshot not found');
+  // A closed term's weeks would land in the open term; that term stays readable from student_terms
+  const current = await getCurrentTerm(db);
+  if (await getSnapshotTermId(db, snapshot) !== current.id) {
+    throw new ApiError(409, `This snapshot belongs to a closed term (${snapshot.termName || 'unnamed'}); its data is kept read-only in that term`);
+  }
+
+  const backup = await createSnapshot(db, user, {
+    kind: 'pre-restore',
+    termName: snapshot.termName,
+    filter: { id: { $in: snapshot.studentIds } }
+  });
+
+  const copies = await db.collection('snapshot_students').find({ snapshotId: _id }).toArray();
+  let restored = 0;
+  if (copies.length > 0) {
+    const result = await db.collection('students').bulkWrite(copies.map(({ student }) => ({
+      updateOne: { filter: { ...NOT_ARCHIVED, _id: student._id }, update: { $set: { weeks: student.weeks || [] } } }
+    })), { ordered: false });
+    restored = result.matchedCount;
+  }
+  await db.collection('snapshots').updateOne(
+    { _id },
+    { $set: { restoredAt: new Date(), restoredBy: user.assistant_id } }
+  );
+  console.log(`♻️ Snapshot ${_id} restored (${restored} of ${copies.length} students) by ${user.assistant_id}, backup ${backup._id}`);
+  return { restored, skipped: copies.length - restored, backupId: backup._id };
+}
@@ -0,0 +1,140 @@
+import { normalizePhone, normalizeStudentInput, validateStudentInput } from '../studentValidation';
+import { getMongoClient } from './db';
+import { isDuplicateKeyError, reserveIds, syncCounter } from './ids';
+import { buildWeeks, getSessionCount } from './courseCalendar';
+import { getCenterScope, isCenterInScope } from './centerScope';
+
+// Bulk student import
+// The import page parses the spreadsheet in the browser and sends the mapped rows
+// ({ name, grade, phone, parents_phone, main_center, age, school }). Every row goes
+// through the same rules as POST /api/students; rows whose student phone is already
+// registered (or appears earlier in the file) are reported as duplicates and skipped.
+// Parent phones are not checked since siblings share them.
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// Validate every row and flag duplicates, nothing is written
+export async function previewImport(db, user, rows) {
+  const scope = await getCenterScope(db, user);
+  const centers = await db.collection('centers').find({}, { projection: { name: 1 } }).toArray();
+  const centerNames = new Set(centers.map(center => center.name));
+
+  // Stored phones predate normalisation, so compare them normalised
+  const existing = await db.collection('students')
+    .find({}, { projection: { id: 1, phone: 1, deletedAt: 1 } })
+    .toArray();
+  const existingPhones = new Map();
+  existing.forEach(student => {
+    const phone = normalizePhone(student.phone);
+    if (phone) existingPhones.set(phone, student);
+  });
+
+  const filePhones = new Map();
+  const results = rows.map((row, index) => {
+    const student = normalizeStudentInput(row || {});
+    const errors = validateStudentInput(student);
+    if (student.main_center && !centerNames.has(student.main_center)) {
+      errors.push(`Unknown center "${student.main_center}"`);
+    } else if (student.main_center && !isCenterInScope(scope, student.main_center)) {
+      errors.push(`You are not assigned to center ${student.main_center}`);
+    }
+
+    let duplicate = null;
+    if (student.phone && existingPhones.has(student.phone)) {
+      const match = existingPhones.get(student.phone);
+      // An archived match is better restored than imported again
+      duplicate = { type: match.deletedAt ? 'archived' : 'existing', studentId: match.id };
+    } else if (student.phone && filePhones.has(student.phone)) {
+      duplicate = { type: 'file', row: filePhones.get(student.phone) };
+    } else if (student.phone) {
+      filePhones.set(student.phone, index + 1);
+    }
+
+    return {
+      row: index + 1,
+      student,
+      errors,
+      duplicate,
+      status: errors.length > 0 ? 'invalid' : duplicate ? 'duplicate' : 'ok'
+    };
+  });
+
+  const summary = {
+    total: results.length,
+    ok: results.filter(r => r.status === 'ok').length,
+    invalid: results.filter(r => r.status === 'invalid').length,
+    duplicate: results.filter(r => r.status === 'duplicate').length
+  };
+  return { rows: results, summary };
+}
+
+// Reserve one block of consecutive ids from the counter and insert the rows together
+async function insertStudents(db, students, session) {
+  const options = session ? { session } : {};
+  await syncCounter(db, 'students', options);
+  const firstId = await reserveIds(db, 'students', students.length, options);
+  const documents = students.map((student, index) => ({ id: firstId + index, ...student }));
+  await db.collection('students').insertMany(documents, { ...options, ordered: true });
+  return documents;
+}
+
+// Standalone servers reject transactions (IllegalOperation)
+const isTransactionUnsupported = (error) =>
+  error && (error.code === 20 || /Transaction numbers are only allowed/.test(error.message || ''));
+
+// Re-validate on the server and insert the importable rows in one batch
+export async function commitImport(db, user, rows) {
+  const preview = await previewImport(db, user, rows);
+  const importable = preview.rows.filter(r => r.status === 'ok');
+  if (importable.length === 0) return { ...preview, inserted: [] };
+
+  // One weeks layout per grade, from the grade's course calendar
+  const sessionCounts = new Map();
+  for (const { student } of importable) {
+    if (!sessionCounts.has(student.grade)) {
+      sessionCounts.set(student.grade, await getSessionCount(db, student.grade));
+    }
+  }
+  const students = importable.map(({ student }) => ({
+    name: student.name,
+    age: student.age,
+    grade: student.grade,
+    school: student.school,
+    phone: student.phone,
+    parentsPhone: student.parents_phone,
+    main_center: student.main_center,
+    weeks: buildWeeks(sessionCounts.get(student.grade))
+  }));
+
+  const client = await getMongoClient();
+  const session = client.startSession();
+  let documents;
+  try {
+    // A duplicate id aborts the whole transaction, so the batch can simply be retried
+    for (let attempt = 1; !documents; attempt++) {
+      try {
+        await session.withTransaction(async () => {
+          documents = await insertStudents(db, students, session);
+        });
+      } catch (error) {
+        documents = null;
+        if (!isDuplicateKeyError(error) || attempt >= 3) throw error;
+        console.warn(`⚠️ Duplicate student id during import, retrying (attempt ${attempt})`);
+      }
+    }
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    console.warn('⚠️ Transactions are not supported by this MongoDB server, importing without one');
+    documents = await insertStudents(db, students, null);
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`📥 ${user.assistant_id} imported ${documents.length} students (ids ${documents[0].id}-${documents[documents.length - 1].id})`);
+  const idsByRow = new Map(importable.map((r, index) => [r.row, documents[index].id]));
+  return {
+    rows: preview.rows.map(r => (idsByRow.has(r.row) ? { ...r, status: 'imported', studentId: idsByRow.get(r.row) } : r)),
+    summary: { ...preview.summary, imported: documents.length },
+    inserted: documents.map(student => student.id)
+  };
+}
@@ -0,0 +1,166 @@
+import { formatQuiz } from '../quiz';
+import { isHomeworkDone } from '../homework';
+import { ApiError } from './errors';
+import { NOT_ARCHIVED } from './archive';
+import { escapeRegex, gradeFilter, mainCenterFilter } from './matching';
+
+// Query parameters of GET /api/students:
+//   page, pageSize   paginate (the response becomes { students, total, page, pageSize, totalPages })
+//   sort             one of SORT_FIELDS, prefixed with "-" for descending (default "id")
+//   q                digits match the ID exactly; text searches name, school and phone numbers
+//   grade, center    filter on grade and main centre
+//   fields           comma separated response fields (default: all, including weeks)
+// Without `page` the whole filtered list is returned as a plain array, as before.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+const SORT_FIELDS = {
+  id: 'id',
+  name: 'name',
+  grade: 'grade',
+  school: 'school',
+  age: 'age',
+  main_center: 'main_center'
+};
+
+// Response fields and the stored fields each one is read from
+const STUDENT_FIELDS = {
+  id: ['id'],
+  name: ['name'],
+  grade: ['grade'],
+  phone: ['phone'],
+  parents_phone: ['parentsPhone'],
+  center: ['center'],
+  main_center: ['main_center'],
+  school: ['school'],
+  age: ['age'],
+  attended_the_session: ['currentWeek'],
+  lastAttendance: ['currentWeek'],
+  lastAttendanceCenter: ['currentWeek'],
+  attendanceWeek: ['currentWeek'],
+  homework: ['currentWeek'],
+  hwDone: ['currentWeek'],
+  paidSession: ['currentWeek'],
+  quiz: ['currentWeek'],
+  quizDegree: ['currentWeek'],
+  message_state: ['currentWeek'],
+  weeks: ['weeks']
+};
+
+function parsePositiveInt(value, name) {
+  const number = parseInt(value);
+  if (isNaN(number) || number < 1) throw new ApiError(400, `${name} must be a positive number`);
+  return number;
+}
+
+export function parseStudentListQuery(query) {
+  const and = [];
+
+  const q = (query.q || '').trim();
+  if (q) {
+    if (/^\d+$/.test(q)) {
+      and.push({ $or: [{ id: parseInt(q) }, { phone: { $regex: escapeRegex(q) } }, { parentsPhone: { $regex: escapeRegex(q) } }] });
+    } else {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      and.push({ $or: [{ name: pattern }, { school: pattern }, { phone: pattern }, { parentsPhone: pattern }] });
+    }
+  }
+
+  if (query.grade) and.push(gradeFilter(query.grade));
+  if (query.center) and.push(mainCenterFilter(query.center));
+
+  const sortParam = query.sort || 'id';
+  const descending = sortParam.startsWith('-');
+  const sortField = SORT_FIELDS[descending ? sortParam.slice(1) : sortParam];
+  if (!sortField) {
+    throw new ApiError(400, `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const sort = { [sortField]: descending ? -1 : 1 };
+  if (sortField !== 'id') sort.id = 1;
+
+  let fields = Object.keys(STUDENT_FIELDS);
+  if (query.fields) {
+    fields = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !STUDENT_FIELDS[field]);
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Unknown fields: ${unknown.join(', ')}`);
+    }
+  }
+
+  const paginated = query.page !== undefined;
+  const page = paginated ? parsePositiveInt(query.page, 'page') : 1;
+  const pageSize = paginated
+    ? Math.min(query.pageSize !== undefined ? parsePositiveInt(query.pageSize, 'pageSize') : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    : null;
+
+  return { filter: and.length > 0 ? { $and: and } : {}, sort, fields, paginated, page, pageSize };
+}
+
+// Current week: the first attended week, or week 1 if none
+const CURRENT_WEEK = {
+  $ifNull: [
+    { $arrayElemAt: [{ $filter: { input: { $ifNull: ['$weeks', []] }, cond: { $eq: ['$$this.attended', true] } } }, 0] },
+    { $ifNull: [
+      { $arrayElemAt: [{ $ifNull: ['$weeks', []] }, 0] },
+      { $literal: { week: 1, attended: false, lastAttendance: null, lastAttendanceCenter: null, homework: null, paidSession: false, quiz: null, message_state: false } }
+    ] }
+  ]
+};
+
+function toResponse(student, fields) {
+  const week = student.currentWeek || {};
+  const values = {
+    id: student.id,
+    name: student.name,
+    grade: student.grade,
+    phone: student.phone,
+    parents_phone: student.parentsPhone,
+    center: student.center,
+    main_center: student.main_center,
+    school: student.school || null,
+    age: student.age || null,
+    attended_the_session: week.attended,
+    lastAttendance: week.lastAttendance,
+    lastAttendanceCenter: week.lastAttendanceCenter,
+    attendanceWeek: `week ${String(week.week).padStart(2, '0')}`,
+    homework: week.homework || null,
+    hwDone: isHomeworkDone(week.homework),
+    paidSession: week.paidSession,
+    quiz: week.quiz || null,
+    quizDegree: formatQuiz(week.quiz),
+    message_state: week.message_state,
+    weeks: student.weeks || []
+  };
+  const response = {};
+  fields.forEach(field => {
+    response[field] = values[field];
+  });
+  return response;
+}
+
+// `source` lists another collection of student-shaped documents, such as the
+// enrolments of a closed term (see enrolmentSource)
+export async function listStudents(db, scopeFilter, { filter, sort, fields, paginated, page, pageSize }, source = { collection: 'students', filter: NOT_ARCHIVED }) {
+  const stored = new Set(fields.flatMap(field => STUDENT_FIELDS[field]));
+  const projection = { _id: 0 };
+  stored.forEach(field => {
+    projection[field] = 1;
+  });
+
+  const listStages = [];
+  if (paginated) listStages.push({ $skip: (page - 1) * pageSize }, { $limit: pageSize });
+  if (stored.has('currentWeek')) listStages.push({ $addFields: { currentWeek: CURRENT_WEEK } });
+  listStages.push({ $project: projection });
+
+  // Students are streamed as separate documents (a $facet output is one document, capped
+  // at 16MB), and only a page needs a separate count
+  const match = { $and: [source.filter, scopeFilter, filter] };
+  const collection = db.collection(source.collection);
+  const [students, count] = await Promise.all([
+    collection.aggregate([{ $match: match }, { $sort: sort }, ...listStages]).toArray(),
+    paginated ? collection.countDocuments(match) : null
+  ]);
+
+  return { students: students.map(student => toResponse(student, fields)), total: paginated ? count : students.length };
+}
@@ -0,0 +1,44 @@
+import { formatQuiz } from '../quiz';
+import { isHomeworkDone } from '../homework';
+
+// Student as returned by GET /api/students/[id]: profile, the current week flattened
+// (last attended week or week 1) and the full weeks array
+export function toStudentProfile(student) {
+  const currentWeek = student.weeks ? 
+    student.weeks.find(w => w.attended) || student.weeks[0] : 
+    { week: 1, attended: false, lastAttendance: null, lastAttendanceCenter: null, homework: null, paidSession: false, quiz: null, message_state: false };
+  
+  let lastAttendance = currentWeek.lastAttendance;
+  if (currentWeek.lastAttendance && currentWeek.lastAttendanceCenter) {
+    // Try to parse the date part and reformat
+    const dateMatch = currentWeek.lastAttendance.match(/(\d{2})[-/](\d{2})[-/](\d{4})/);
+    let dateStr = currentWeek.lastAttendance;
+    if (dateMatch) {
+      dateStr = `${dateMatch[1]}/${dateMatch[2]}/${dateMatch[3]}`;
+    }
+    lastAttendance = `${dateStr} in ${currentWeek.lastAttendanceCenter}`;
+  }
+  
+  return {
+    id: student.id,
+    name: student.name,
+    grade: student.grade,
+    phone: student.phone,
+    parents_phone: student.parentsPhone,
+    center: student.center,
+    main_center: student.main_center,
+    attended_the_session: currentWeek.attended,
+    lastAttendance: lastAttendance,
+    lastAttendanceCenter: currentWeek.lastAttendanceCenter,
+    attendanceWeek: `week ${String(currentWeek.week).padStart(2, '0')}`,
+    homework: currentWeek.homework || null,
+    hwDone: isHomeworkDone(currentWeek.homework),
+    paidSession: currentWeek.paidSession,
+    school: student.school || null,
+    age: student.age || null,
+    quiz: currentWeek.quiz || null,
+    quizDegree: formatQuiz(currentWeek.quiz),
+    message_state: currentWeek.message_state,
+    weeks: student.weeks || [] // Include the full weeks array
+  };
+}
@@ -0,0 +1,162 @@
+import { ApiError } from './errors';
+import { NOT_ARCHIVED } from './archive';
+import { insertWithNextId } from './ids';
+
+// Terms (academic periods)
+// `terms`: { id, name, startedAt, endedAt, closedBy, includesLegacyHistory }. Exactly one
+// term is open (endedAt: null). The open term's enrolment is the student document itself,
+// so attendance, homework, payments and quizzes keep writing to `students.weeks`.
+// Closing a term copies every active student into `student_terms`:
+//   { id, termId, name, grade, school, age, phone, parentsPhone, center, main_center, weeks, closedAt }
+// `id` is the student id, so the list and centre scope filters work on both collections.
+// Closed terms are read-only: no write endpoint accepts a term.
+// Attendance events carry no term, they belong to the term whose [startedAt, endedAt)
+// holds their createdAt. Legacy `history` records predate terms and belong to the first one.
+
+export const DEFAULT_TERM_NAME = 'Current term';
+
+const ENROLMENT_FIELDS = ['id', 'name', 'grade', 'school', 'age', 'phone', 'parentsPhone', 'center', 'main_center', 'weeks'];
+
+const COPY_BATCH_SIZE = 500;
+
+export function normalizeTermName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, 100) : '';
+}
+
+export const isClosedTerm = (term) => !!term.endedAt;
+
+export function toTermResponse(term) {
+  return {
+    id: term.id,
+    name: term.name,
+    startedAt: term.startedAt,
+    endedAt: term.endedAt,
+    current: !isClosedTerm(term)
+  };
+}
+
+// The open term, created on first use for databases that never had one
+export async function getCurrentTerm(db) {
+  const current = await db.collection('terms').findOne({ endedAt: null });
+  if (current) return current;
+  const hasTerms = await db.collection('terms').countDocuments({}, { limit: 1 }) > 0;
+  return insertWithNextId(db, 'terms', {
+    name: DEFAULT_TERM_NAME,
+    startedAt: new Date(0),
+    endedAt: null,
+    closedBy: null,
+    includesLegacyHistory: !hasTerms
+  });
+}
+
+export async function listTerms(db) {
+  await getCurrentTerm(db);
+  const terms = await db.collection('terms').find().sort({ startedAt: -1 }).toArray();
+  return terms.map(toTermResponse);
+}
+
+// `term` query parameter: empty for the open term, otherwise a term id
+export async function resolveTerm(db, termParam) {
+  if (termParam === undefined || termParam === null || termParam === '') return getCurrentTerm(db);
+  const term = await db.collection('terms').findOne({ id: parseInt(termParam) });
+  if (!term) throw new ApiError(404, 'Term not found');
+  return term;
+}
+
+// Where a term's enrolments are stored
+export function enrolmentSource(term) {
+  return isClosedTerm(term)
+    ? { collection: 'student_terms', filter: { termId: term.id } }
+    : { collection: 'students', filter: NOT_ARCHIVED };
+}
+
+export async function findEnrolment(db, term, studentId) {
+  const source = enrolmentSource(term);
+  return db.collection(source.collection).findOne({ ...source.filter, id: studentId });
+}
+
+export function findEnrolments(db, term, filter = {}) {
+  const source = enrolmentSource(term);
+  return db.collection(source.collection).find({ $and: [source.filter, filter] });
+}
+
+// The term that was open at `date`
+export async function getTermAt(db, date) {
+  await getCurrentTerm(db);
+  return db.collection('terms').findOne({
+    startedAt: { $lte: date },
+    $or: [{ endedAt: null }, { endedAt: { $gt: date } }]
+  });
+}
+
+// Attendance events recorded while the term was open
+export function termEventFilter(term) {
+  const createdAt = { $gte: term.startedAt };
+  if (term.endedAt) createdAt.$lt = term.endedAt;
+  return { createdAt };
+}
+
+// Every enrolment of one student, newest term first. The open term comes from the
+// student document when the student is still active.
+export async function getStudentEnrolments(db, studentId) {
+  const current = await getCurrentTerm(db);
+  const terms = await db.collection('terms').find().sort({ startedAt: -1 }).toArray();
+  const closed = await db.collection('student_terms').find({ id: studentId }).toArray();
+  const student = await db.collection('students').findOne({ ...NOT_ARCHIVED, id: studentId });
+
+  return terms
+    .map(term => ({
+      term,
+      enrolment: term.id === current.id ? student : closed.find(entry => entry.termId === term.id)
+    }))
+    .filter(entry => entry.enrolment);
+}
+
+// Copy every active student into `student_terms` for the open term, mark it ended and
+// open the next one. Copies are upserts, so a close that failed half way can be re-run.
+export async function closeCurrentTerm(db, user, { name, nextName }) {
+  const term = await getCurrentTerm(db);
+  const closedAt = new Date();
+  const projection = { _id: 0 };
+  ENROLMENT_FIELDS.forEach(field => {
+    projection[field] = 1;
+  });
+
+  let copied = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await db.collection('student_terms').bulkWrite(batch.map(student => ({
+      replaceOne: {
+        filter: { termId: term.id, id: student.id },
+        replacement: { ...student, termId: term.id, closedAt },
+        upsert: true
+      }
+    })), { ordered: false });
+    copied += batch.length;
+    batch = [];
+  };
+  for await (const student of db.collection('students').find(NOT_ARCHIVED, { projection })) {
+    batch.push(student);
+    if (batch.length >= COPY_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const closed = await db.collection('terms').updateOne(
+    { id: term.id, endedAt: null },
+    { $set: { name: name || term.name, endedAt: closedAt, closedBy: user.assistant_id } }
+  );
+  if (closed.matchedCount === 0) {
+    throw new ApiError(409, 'The term was closed by someone else, please reload');
+  }
+
+  const next = await insertWithNextId(db, 'terms', {
+    name: nextName,
+    startedAt: closedAt,
+    endedAt: null,
+    closedBy: null,
+    includesLegacyHistory: false
+  });
+  console.log(`📚 Term ${term.id} closed with ${copied} enrolments by ${user.assistant_id}, term ${next.id} "${nextName}" opened`);
+  return { closedTermId: term.id, nextTerm: next, enrolments: copied };
+}
@@ -0,0 +1,60 @@
+// Student field rules shared by the add/import pages and POST /api/students,
+// so a student the browser accepts is never rejected by the server and vice versa.
+
+export const STUDENT_INPUT_FIELDS = ['name', 'grade', 'phone', 'parents_phone', 'main_center', 'age', 'school'];
+
+export const STUDENT_FIELD_LABELS = {
+  name: 'Name',
+  grade: 'Grade',
+  phone: 'Student phone',
+  parents_phone: "Parent's phone",
+  main_center: 'Main center',
+  age: 'Age',
+  school: 'School'
+};
+
+const PHONE_PATTERN = /^\d{11}$/;
+
+// Keep digits only; spreadsheets often drop the leading zero of 01xxxxxxxxx numbers
+export function normalizePhone(value) {
+  if (value === null || value === undefined) return '';
+  const digits = String(value).replace(/\D/g, '');
+  return /^1\d{9}$/.test(digits) ? `0${digits}` : digits;
+}
+
+const trimmed = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+// Grades are stored lower case without dots ("Sec. 1" -> "sec 1")
+export function normalizeStudentInput(input) {
+  const age = trimmed(input.age);
+  return {
+    name: trimmed(input.name),
+    grade: trimmed(input.grade).toLowerCase().replace(/\./g, ''),
+    phone: normalizePhone(input.phone),
+    parents_phone: normalizePhone(input.parents_phone),
+    main_center: trimmed(input.main_center),
+    age: age === '' ? null : Number(age),
+    school: trimmed(input.school)
+  };
+}
+
+// Returns a list of error messages, empty when the student is valid
+export function validateStudentInput(student) {
+  const errors = [];
+  ['name', 'grade', 'main_center', 'school'].forEach(field => {
+    if (!student[field]) errors.push(`${STUDENT_FIELD_LABELS[field]} is required`);
+  });
+  if (!PHONE_PATTERN.test(student.phone)) {
+    errors.push('Student phone number must be exactly 11 digits');
+  }
+  if (!PHONE_PATTERN.test(student.parents_phone)) {
+    errors.push("Parent's phone number must be exactly 11 digits");
+  }
+  if (student.phone && student.phone === student.parents_phone) {
+    errors.push('Student phone number cannot be the same as parent phone number');
+  }
+  if (student.age !== null && (!Number.isInteger(student.age) || student.age < 5 || student.age > 100)) {
+    errors.push('Age must be a whole number between 5 and 100');
+  }
+  return errors;
+}
@@ -0,0 +1,17 @@
+// Term picked with the term switcher, remembered for the browser session.
+// An empty value means the open term; closed terms are shown read-only.
+
+const SELECTED_TERM_KEY = 'selectedTerm';
+
+export function getSelectedTerm() {
+  if (typeof window === 'undefined') return '';
+  return sessionStorage.getItem(SELECTED_TERM_KEY) || '';
+}
+
+export function setSelectedTerm(termId) {
+  if (termId) {
+    sessionStorage.setItem(SELECTED_TERM_KEY, String(termId));
+  } else {
+    sessionStorage.removeItem(SELECTED_TERM_KEY);
+  }
+}
@@ -0,0 +1,35 @@
+import axios from 'axios';
+import { useQuery } from '@tanstack/react-query';
+import { getApiBaseUrl } from '../config';
+
+// Week picker options ("week 01", "week 02", ...) follow the course calendar, so a grade
+// with more sessions than the default can be recorded and browsed past week 20.
+
+const FALLBACK_WEEK_COUNT = 20;
+
+export const formatWeek = (week) => `week ${String(week).padStart(2, '0')}`;
+
+export function getWeekOptions(count) {
+  return Array.from({ length: count || FALLBACK_WEEK_COUNT }, (_, index) => formatWeek(index + 1));
+}
+
+// Sessions of the grade's calendar; without a grade, the longest calendar so every
+// grade's weeks can be picked. Grades without a calendar use the default count.
+async function fetchWeekCount(grade) {
+  const headers = { Authorization: `Bearer ${sessionStorage.getItem('token')}` };
+  if (grade) {
+    const response = await axios.get(`${getApiBaseUrl()}/api/calendar/${encodeURIComponent(grade)}`, { headers });
+    return response.data.calendar.sessions.length || response.data.defaultSessionCount;
+  }
+  const response = await axios.get(`${getApiBaseUrl()}/api/calendar`, { headers });
+  return Math.max(response.data.defaultSessionCount, ...response.data.calendars.map(calendar => calendar.sessions.length));
+}
+
+export function useWeekOptions(grade) {
+  const { data: count } = useQuery({
+    queryKey: ['week-count', grade || null],
+    queryFn: () => fetchWeekCount(grade),
+    enabled: typeof window !== 'undefined' && !!sessionStorage.getItem('token')
+  });
+  return getWeekOptions(count);
+}
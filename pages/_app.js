@@ -11,6 +11,7 @@ import { getApiBaseUrl } from "../config";
 import axios from "axios";
 import Image from "next/image";
 import ErrorBoundary from "../components/ErrorBoundary";
+import { PAGE_PERMISSIONS, canAccessPage } from "../lib/permissions";
 
 // PWA Service Worker Registration handled by next-pwa
 
@@ -200,14 +201,8 @@ export default function App({ Component, pageProps }) {
   // Define public pages using useMemo to prevent recreation on every render
   const publicPages = useMemo(() => ["/", "/404", "/contact_developer"], []);
   
-  // Define admin-only pages
-  const adminPages = useMemo(() => [
-    "/manage_assistants", 
-    "/manage_assistants/add_assistant", 
-    "/manage_assistants/edit_assistant", 
-    "/manage_assistants/delete_assistant", 
-    "/manage_assistants/all_assistants"
-  ], []);
+  // Pages that need a specific permission (see lib/permissions.js)
+  const restrictedPages = useMemo(() => Object.keys(PAGE_PERMISSIONS), []);
 
   useEffect(() => {
     const checkAuth = async () => {
@@ -228,8 +223,8 @@ export default function App({ Component, pageProps }) {
         if (response.status === 200) {
           setIsAuthenticated(true);
           
-          // Check if user is trying to access admin pages but is not admin
-          if (adminPages.includes(router.pathname) && response.data.role !== 'admin') {
+          // Check if user is trying to access a page their role is not allowed to open
+          if (!canAccessPage(response.data.role, router.pathname)) {
             setShowAccessDenied(true);
             // Redirect to dashboard after showing preloader
             setTimeout(() => {
@@ -252,7 +247,7 @@ export default function App({ Component, pageProps }) {
     };
 
     checkAuth();
-  }, [router.pathname, adminPages, router]);
+  }, [router.pathname, router]);
 
   // Handle route changes for main preloader
   useEffect(() => {
@@ -298,18 +293,18 @@ export default function App({ Component, pageProps }) {
     }
   }, [isLoading, isAuthenticated, router.pathname, publicPages, router]);
 
-  // Check admin access for current route
+  // Check permission for current route
   useEffect(() => {
-    const checkAdminAccess = async () => {
-      // Only check if user is authenticated and trying to access admin pages
-      if (isAuthenticated && adminPages.includes(router.pathname)) {
+    const checkPageAccess = async () => {
+      // Only check if user is authenticated and trying to access restricted pages
+      if (isAuthenticated && restrictedPages.includes(router.pathname)) {
         try {
           const token = sessionStorage.getItem("token");
           const response = await axios.get(`${getApiBaseUrl()}/api/auth/me`, {
             headers: { Authorization: `Bearer ${token}` }
           });
           
-          if (response.data.role !== 'admin') {
+          if (!canAccessPage(response.data.role, router.pathname)) {
             setShowAccessDenied(true);
             // Redirect to dashboard after showing preloader
             setTimeout(() => {
@@ -318,7 +313,7 @@ export default function App({ Component, pageProps }) {
             }, 1000);
           }
         } catch (error) {
-          console.error("❌ Error checking admin access:", error);
+          console.error("❌ Error checking page access:", error);
           // If token validation fails, redirect to login
           sessionStorage.removeItem("token");
           setIsAuthenticated(false);
@@ -326,11 +321,11 @@ export default function App({ Component, pageProps }) {
       }
     };
 
-    // Only check admin access when route changes to an admin page
-    if (isAuthenticated && adminPages.includes(router.pathname)) {
-      checkAdminAccess();
+    // Only check access when route changes to a restricted page
+    if (isAuthenticated && restrictedPages.includes(router.pathname)) {
+      checkPageAccess();
     }
-  }, [router.pathname, isAuthenticated, adminPages, router]);
+  }, [router.pathname, isAuthenticated, restrictedPages, router]);
 
   // Reset Access Denied state when authentication changes
   useEffect(() => {
@@ -389,7 +384,7 @@ export default function App({ Component, pageProps }) {
     return <RedirectToLoginPreloader />;
   }
 
-  // Show access denied preloader if redirecting due to admin access denied
+  // Show access denied preloader if redirecting due to missing permission
   if (showAccessDenied) {
     return <AccessDeniedPreloader />;
   }
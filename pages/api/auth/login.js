@@ -1,72 +1,22 @@
-import { MongoClient } from 'mongodb';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withApi } from '../../../lib/server/api';
+import { signToken } from '../../../lib/server/auth';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
-
-console.log('🔗 Using Mongo URI:', MONGO_URI);
-
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+async function handler(req, res, { db }) {
   const { assistant_id, password } = req.body;
   if (!assistant_id || !password) {
     return res.status(400).json({ error: 'assistant_id and password required' });
   }
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    const assistant = await db.collection('assistants').findOne({ id: assistant_id });
-    if (!assistant) {
-      return res.status(401).json({ error: 'user_not_found' });
-    }
-    const valid = await bcrypt.compare(password, assistant.password);
-    if (!valid) {
-      return res.status(401).json({ error: 'wrong_password' });
-    }
-    const token = jwt.sign(
-      { assistant_id: assistant.id, name: assistant.name, role: assistant.role },
-      JWT_SECRET,
-      { expiresIn: '2h' }
-    );
-    res.json({ token });
-  } catch (err) {
-    res.status(500).json({ error: 'Internal server error' });
-  } finally {
-    if (client) await client.close();
+  const assistant = await db.collection('assistants').findOne({ id: assistant_id });
+  if (!assistant) {
+    return res.status(401).json({ error: 'user_not_found' });
+  }
+  const valid = await bcrypt.compare(password, assistant.password);
+  if (!valid) {
+    return res.status(401).json({ error: 'wrong_password' });
   }
-} 
\ No newline at end of file
+  const token = signToken(assistant);
+  res.json({ token });
+}
+
+export default withApi(handler, { methods: ['POST'] });
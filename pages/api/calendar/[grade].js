@@ -0,0 +1,59 @@
+import { withPermission } from '../../../lib/server/api';
+import {
+  DEFAULT_SESSION_COUNT,
+  getCalendar,
+  getLastRecordedWeek,
+  normalizeSessions,
+  syncStudentWeeks
+} from '../../../lib/server/courseCalendar';
+import { gradeFilter, normalizeGrade } from '../../../lib/server/matching';
+
+async function handler(req, res, { db, user }) {
+  const grade = normalizeGrade(req.query.grade);
+  if (req.method === 'GET') {
+    // Get the calendar for one grade (empty when none has been set up yet)
+    const calendar = await getCalendar(db, grade);
+    res.json({
+      calendar: calendar || { grade, sessions: [] },
+      defaultSessionCount: DEFAULT_SESSION_COUNT
+    });
+  } else if (req.method === 'PUT') {
+    // Sessions that already hold attendance data can not be moved, and without a stored
+    // calendar the students' weeks follow the default layout, so nothing can shift
+    const lastRecordedWeek = await getLastRecordedWeek(db, gradeFilter(grade));
+    const calendar = await getCalendar(db, grade);
+    const lockedWeeks = calendar ? Math.min(lastRecordedWeek, calendar.sessions.length) : 0;
+
+    let sessions;
+    try {
+      sessions = normalizeSessions(req.body.sessions, lockedWeeks);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    // Refuse to drop sessions that already hold attendance data
+    if (sessions.length < lastRecordedWeek) {
+      return res.status(409).json({ 
+        error: `Cannot shrink the calendar to ${sessions.length} sessions. Students in ${grade} already have data up to week ${lastRecordedWeek}.` 
+      });
+    }
+    
+    // Calendars saved before grades were normalized are rewritten under the normalized grade
+    await db.collection('course_calendars').updateOne(
+      gradeFilter(grade),
+      { 
+        $set: { grade, sessions, updatedAt: new Date(), updatedBy: user.assistant_id },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+    
+    // Migrate existing students of this grade to the new number of weeks
+    const migration = await syncStudentWeeks(db, gradeFilter(grade), sessions.length);
+    console.log(`📅 Calendar for ${grade} saved with ${sessions.length} sessions:`, migration);
+    
+    res.json({ success: true, calendar: { grade, sessions }, migration });
+  }
+}
+
+export default withPermission({ GET: 'calendar.view', PUT: 'calendar.manage' }, handler);
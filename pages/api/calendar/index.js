@@ -0,0 +1,10 @@
+import { withPermission } from '../../../lib/server/api';
+import { DEFAULT_SESSION_COUNT } from '../../../lib/server/courseCalendar';
+
+async function handler(req, res, { db, user }) {
+  // Get every grade's course calendar
+  const calendars = await db.collection('course_calendars').find().sort({ grade: 1 }).toArray();
+  res.json({ calendars, defaultSessionCount: DEFAULT_SESSION_COUNT });
+}
+
+export default withPermission('calendar.view', handler, { methods: ['GET'] });
@@ -0,0 +1,31 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, requireCenterInScope } from '../../../lib/server/centerScope';
+import { closeCashSession, getCashReport, parseSessionDate, reopenCashSession } from '../../../lib/server/cash';
+import { CURRENCY } from '../../../lib/server/payments';
+
+async function handler(req, res, { db, user }) {
+  const scope = await getCenterScope(db, user);
+
+  if (req.method === 'GET') {
+    // Expected cash per centre and assistant for a day (today by default)
+    const date = parseSessionDate(req.query.date);
+    const { center } = req.query;
+    if (center) requireCenterInScope(scope, center);
+    const report = await getCashReport(db, { date, center, scope });
+    res.json({ currency: CURRENCY, ...report });
+  } else if (req.method === 'POST') {
+    // Close a session with the cash counted per assistant
+    const { center, counted, note } = req.body;
+    const date = parseSessionDate(req.body.date);
+    requireCenterInScope(scope, center);
+    const session = await closeCashSession(db, user, { date, center, counted, note });
+    res.status(201).json({ session });
+  } else if (req.method === 'DELETE') {
+    const { center } = req.query;
+    const date = parseSessionDate(req.query.date);
+    await reopenCashSession(db, user, { date, center });
+    res.json({ success: true });
+  }
+}
+
+export default withPermission({ GET: 'payments.view', POST: 'cash.close', DELETE: 'payments.unlock' }, handler);
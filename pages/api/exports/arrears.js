@@ -0,0 +1,29 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, studentScopeFilter } from '../../../lib/server/centerScope';
+import { getArrearsReport } from '../../../lib/server/payments';
+import { STUDENT_COLUMNS, parseExportFormat, sendSpreadsheet } from '../../../lib/server/exports';
+
+async function handler(req, res, { db, user }) {
+  // Same filters as the arrears page
+  const format = parseExportFormat(req.query);
+  const scope = await getCenterScope(db, user);
+  const { grade, center } = req.query;
+  const report = await getArrearsReport(db, studentScopeFilter(scope), { grade, center });
+
+  console.log(`📤 Exporting arrears for ${report.students.length} students as ${format}`);
+  sendSpreadsheet(res, {
+    format,
+    filename: `arrears${grade ? `-${grade}` : ''}${center ? `-${center}` : ''}`,
+    sheetName: 'Arrears',
+    columns: [
+      ...STUDENT_COLUMNS.filter(column => !['School', 'Age'].includes(column.header)),
+      { header: 'Unpaid Weeks', value: s => s.weeks.join(', ') },
+      { header: 'Sessions', value: s => s.weeks.length },
+      { header: `Session Price (${report.currency})`, value: s => (s.sessionPrice === null ? '' : s.sessionPrice) },
+      { header: `Amount Due (${report.currency})`, value: s => (s.amountDue === null ? '' : s.amountDue) }
+    ],
+    rows: report.students
+  });
+}
+
+export default withPermission('payments.view', handler, { methods: ['GET'] });
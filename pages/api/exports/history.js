@@ -0,0 +1,39 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope } from '../../../lib/server/centerScope';
+import { filterAttendanceHistory, getAttendanceHistory } from '../../../lib/server/attendanceHistory';
+import { isClosedTerm, resolveTerm } from '../../../lib/server/terms';
+import { STUDENT_COLUMNS, parseExportFormat, sendSpreadsheet, weekColumns } from '../../../lib/server/exports';
+
+async function handler(req, res, { db, user }) {
+  // Same filters as the history page
+  const format = parseExportFormat(req.query);
+  const week = req.query.week ? parseInt(req.query.week) : null;
+  const scope = await getCenterScope(db, user);
+  const term = await resolveTerm(db, req.query.term);
+  const history = filterAttendanceHistory(await getAttendanceHistory(db, scope, term), {
+    grade: req.query.grade,
+    center: req.query.center,
+    week,
+    q: req.query.q,
+    showUndone: req.query.showUndone === 'true'
+  });
+
+  // Only the weeks that have records; undone attendance shows as not attended
+  const weekNumbers = [...new Set(history.flatMap(student => student.historyRecords.map(record => record.week)))]
+    .sort((a, b) => a - b);
+  const weekOf = (student, weekNumber) => {
+    const record = student.historyRecords.find(r => r.week === weekNumber);
+    return record ? { ...record, attended: record.status === 'attended' } : null;
+  };
+
+  console.log(`📤 Exporting history for ${history.length} students as ${format}`);
+  sendSpreadsheet(res, {
+    format,
+    filename: `attendance-history${isClosedTerm(term) ? `-${term.name}` : ''}`,
+    sheetName: 'History',
+    columns: [...STUDENT_COLUMNS, ...weekColumns(weekNumbers, weekOf)],
+    rows: history
+  });
+}
+
+export default withPermission('history.view', handler, { methods: ['GET'] });
@@ -0,0 +1,47 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, requireCenterInScope } from '../../../lib/server/centerScope';
+import { getSessionStats } from '../../../lib/server/sessionStats';
+import { STUDENT_COLUMNS, allWeekNumbers, parseExportFormat, sendSpreadsheet, weekColumns } from '../../../lib/server/exports';
+import { activeStudent } from '../../../lib/server/archive';
+
+async function handler(req, res, { db, user }) {
+  const format = parseExportFormat(req.query);
+  const { center, grade } = req.query;
+  if (!center || !grade) {
+    return res.status(400).json({ error: 'center and grade are required' });
+  }
+
+  let week = null;
+  if (req.query.week) {
+    week = parseInt(req.query.week);
+    if (isNaN(week) || week < 1) return res.status(400).json({ error: 'Invalid week' });
+  }
+
+  requireCenterInScope(await getCenterScope(db, user), center);
+  const stats = await getSessionStats(db, { center, grade, week });
+
+  // Attendees first, then the centre's students who missed the session
+  const status = new Map([
+    ...stats.attended.map(row => [row.id, 'Attended']),
+    ...stats.notAttended.map(row => [row.id, 'Absent'])
+  ]);
+  const ids = [...status.keys()];
+  const students = await db.collection('students').find(activeStudent({ id: { $in: ids } })).toArray();
+  const studentMap = new Map(students.map(student => [student.id, student]));
+  const rows = ids.map(id => studentMap.get(id)).filter(Boolean);
+
+  console.log(`📤 Exporting session ${center} ${grade} week ${week || 'all'} (${rows.length} students) as ${format}`);
+  sendSpreadsheet(res, {
+    format,
+    filename: `session-${center}-${grade}${week ? `-week-${week}` : ''}`,
+    sheetName: 'Session',
+    columns: [
+      ...STUDENT_COLUMNS,
+      { header: 'Session Status', value: s => status.get(s.id) },
+      ...weekColumns(week ? [week] : allWeekNumbers(rows))
+    ],
+    rows
+  });
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
@@ -0,0 +1,29 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, studentScopeFilter } from '../../../lib/server/centerScope';
+import { listStudents, parseStudentListQuery } from '../../../lib/server/studentList';
+import { enrolmentSource, isClosedTerm, resolveTerm } from '../../../lib/server/terms';
+import { STUDENT_COLUMNS, allWeekNumbers, parseExportFormat, sendSpreadsheet, weekColumns } from '../../../lib/server/exports';
+
+const EXPORT_FIELDS = 'id,name,grade,school,age,phone,parents_phone,main_center,weeks';
+
+async function handler(req, res, { db, user }) {
+  // All students matching the list filters (q, grade, center, sort), without pagination.
+  // ?term=<id> exports the enrolments of a closed term.
+  const format = parseExportFormat(req.query);
+  const { page, pageSize, term: termParam, ...query } = req.query;
+  const options = parseStudentListQuery({ ...query, fields: EXPORT_FIELDS });
+  const scope = await getCenterScope(db, user);
+  const term = await resolveTerm(db, termParam);
+  const { students } = await listStudents(db, studentScopeFilter(scope), options, enrolmentSource(term));
+
+  console.log(`📤 Exporting ${students.length} students as ${format}`);
+  sendSpreadsheet(res, {
+    format,
+    filename: `students${isClosedTerm(term) ? `-${term.name}` : ''}${req.query.grade ? `-${req.query.grade}` : ''}${req.query.center ? `-${req.query.center}` : ''}`,
+    sheetName: 'Students',
+    columns: [...STUDENT_COLUMNS, ...weekColumns(allWeekNumbers(students))],
+    rows: students
+  });
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
@@ -0,0 +1,29 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+import { STUDENT_COLUMNS, allWeekNumbers, parseExportFormat, sendSpreadsheet, weekColumns } from '../../../../lib/server/exports';
+import { findEnrolment, isClosedTerm, resolveTerm } from '../../../../lib/server/terms';
+
+async function handler(req, res, { db, user }) {
+  // One student's report, every week of their calendar (of a closed term with ?term=<id>)
+  const format = parseExportFormat(req.query);
+  const student_id = parseInt(req.query.id);
+  const term = await resolveTerm(db, req.query.term);
+  const student = await findEnrolment(db, term, student_id);
+  if (!student) {
+    return res.status(404).json({ error: isClosedTerm(term) ? `Student was not enrolled in ${term.name}` : 'Student not found' });
+  }
+
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+
+  sendSpreadsheet(res, {
+    format,
+    filename: `student-${student.id}-report${isClosedTerm(term) ? `-${term.name}` : ''}`,
+    sheetName: 'Report',
+    columns: [...STUDENT_COLUMNS, ...weekColumns(allWeekNumbers([student]))],
+    rows: [student]
+  });
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
@@ -0,0 +1,38 @@
+import { withPermission } from '../../../lib/server/api';
+import { isValidTemplateKey } from '../../../lib/server/messageTemplates';
+import { getDefaultTemplate, validateTemplate } from '../../../lib/messageTemplates';
+
+async function handler(req, res, { db, user }) {
+  const { type } = req.query;
+  const language = req.method === 'PUT' ? req.body.language : req.query.language;
+  if (!isValidTemplateKey(type, language)) {
+    return res.status(400).json({ error: 'Unknown template type or language' });
+  }
+
+  if (req.method === 'PUT') {
+    // Save the edited template
+    const { body } = req.body;
+    const errors = validateTemplate(body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+
+    const now = new Date();
+    await db.collection('message_templates').updateOne(
+      { type, language },
+      {
+        $set: { body, updatedAt: now, updatedBy: user.assistant_id, updatedByName: user.name || null },
+        $setOnInsert: { type, language, createdAt: now }
+      },
+      { upsert: true }
+    );
+    res.json({ success: true, template: { type, language, body, isDefault: false, updatedAt: now, updatedByName: user.name || null } });
+
+  } else if (req.method === 'DELETE') {
+    // Go back to the built-in default
+    await db.collection('message_templates').deleteOne({ type, language });
+    res.json({ success: true, template: { type, language, body: getDefaultTemplate(type, language), isDefault: true } });
+  }
+}
+
+export default withPermission('templates.manage', handler, { methods: ['PUT', 'DELETE'] });
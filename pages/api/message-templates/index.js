@@ -0,0 +1,11 @@
+import { withPermission } from '../../../lib/server/api';
+import { listTemplates } from '../../../lib/server/messageTemplates';
+import { PLACEHOLDERS, SECTIONS } from '../../../lib/messageTemplates';
+
+async function handler(req, res, { db }) {
+  // Every template type in every language, with the placeholders they can use
+  const templates = await listTemplates(db);
+  res.json({ templates, placeholders: PLACEHOLDERS, sections: SECTIONS });
+}
+
+export default withPermission('messages.send', handler, { methods: ['GET'] });
@@ -0,0 +1,35 @@
+import { ObjectId } from 'mongodb';
+import { withPermission } from '../../../../lib/server/api';
+import { retryMessage, wakeMessageWorker } from '../../../../lib/server/messaging';
+import { getCenterScope, isStudentInScope, requireCenterInScope } from '../../../../lib/server/centerScope';
+
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  const message = await db.collection('message_queue').findOne({ _id: new ObjectId(id) }, { projection: { studentId: 1, center: 1 } });
+  if (!message) return res.status(404).json({ error: 'Failed message not found' });
+  // Scoped by the student's centre, or the centre the message was sent for once the student is gone
+  const scope = await getCenterScope(db, user);
+  const student = await db.collection('students').findOne({ id: message.studentId }, { projection: { main_center: 1 } });
+  if (student) {
+    if (!isStudentInScope(scope, student)) {
+      return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+    }
+  } else {
+    requireCenterInScope(scope, message.center);
+  }
+
+  // Only failed messages can be retried; queued ones are retried automatically
+  const retried = await retryMessage(db, new ObjectId(id));
+  if (!retried) {
+    return res.status(404).json({ error: 'Failed message not found' });
+  }
+
+  wakeMessageWorker();
+  res.json({ success: true });
+}
+
+export default withPermission('messages.send', handler, { methods: ['POST'] });
@@ -0,0 +1,59 @@
+import { withPermission } from '../../../lib/server/api';
+import {
+  getAbsenceList,
+  getSessionSchedule,
+  isMessageWorkerRunning,
+  sendAbsenceNotifications,
+  wakeMessageWorker
+} from '../../../lib/server/messaging';
+import { getCenterScope, requireCenterInScope } from '../../../lib/server/centerScope';
+import { isValidTemplateKey } from '../../../lib/server/messageTemplates';
+
+async function handler(req, res, { db, user }) {
+  const params = req.method === 'POST' ? req.body : req.query;
+  const { center, grade } = params;
+  const week = parseInt(params.week);
+  if (!center || isNaN(week) || week < 1) {
+    return res.status(400).json({ error: 'center and week are required' });
+  }
+  requireCenterInScope(await getCenterScope(db, user), center);
+  const schedule = await getSessionSchedule(db, { grade, week, center });
+
+  if (req.method === 'GET') {
+    // Absence list for the session and who has already been notified
+    const list = await getAbsenceList(db, { center, grade, week });
+    res.json({
+      sessionDate: schedule ? schedule.sessionDate : null,
+      windowClosesAt: schedule ? schedule.closesAt : null,
+      absentees: list.map(({ student, notification }) => ({
+        id: student.id,
+        name: student.name,
+        grade: student.grade,
+        notified: !!notification,
+        status: notification ? notification.status : null,
+        reason: notification ? notification.reason : null,
+        trigger: notification ? notification.trigger : null,
+        notifiedAt: notification ? notification.createdAt : null
+      }))
+    });
+
+  } else if (req.method === 'POST') {
+    // Notify the absentees now instead of waiting for the window to close
+    const { language = 'en' } = req.body;
+    if (!isValidTemplateKey('absence_notice', language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    const summary = await sendAbsenceNotifications(db, user, {
+      center,
+      grade,
+      week,
+      sessionDate: schedule ? schedule.sessionDate : null,
+      language,
+      trigger: 'manual'
+    });
+    if (summary.queued > 0) wakeMessageWorker();
+    res.json({ success: true, ...summary, workerRunning: await isMessageWorkerRunning(db) });
+  }
+}
+
+export default withPermission('messages.send', handler, { methods: ['GET', 'POST'] });
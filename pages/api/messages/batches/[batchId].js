@@ -0,0 +1,15 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getBatchOutcome } from '../../../../lib/server/messaging';
+import { getCenterScope, requireCenterInScope } from '../../../../lib/server/centerScope';
+
+async function handler(req, res, { db, user }) {
+  // Progress and per-student outcome of one batch
+  const { batchId } = req.query;
+  const batch = await db.collection('message_batches').findOne({ batchId });
+  if (!batch) return res.status(404).json({ error: 'Batch not found' });
+  requireCenterInScope(await getCenterScope(db, user), batch.center);
+
+  res.json({ batch: await getBatchOutcome(db, batch) });
+}
+
+export default withPermission('messages.send', handler, { methods: ['GET'] });
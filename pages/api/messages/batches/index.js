@@ -0,0 +1,42 @@
+import { withPermission } from '../../../../lib/server/api';
+import {
+  createSessionBatch,
+  findLatestSessionBatch,
+  getBatchOutcome,
+  isMessageWorkerRunning,
+  wakeMessageWorker
+} from '../../../../lib/server/messaging';
+import { getCenterScope, requireCenterInScope } from '../../../../lib/server/centerScope';
+import { isValidTemplateKey } from '../../../../lib/server/messageTemplates';
+
+async function handler(req, res, { db, user }) {
+  const params = req.method === 'POST' ? req.body : req.query;
+  const { center, grade } = params;
+  const week = parseInt(params.week);
+  if (!center || isNaN(week) || week < 1) {
+    return res.status(400).json({ error: 'center and week are required' });
+  }
+  requireCenterInScope(await getCenterScope(db, user), center);
+
+  if (req.method === 'GET') {
+    // Latest batch for the session, so the page can pick up where it left off
+    const batch = await findLatestSessionBatch(db, { center, grade, week });
+    res.json({ batch: batch ? await getBatchOutcome(db, batch) : null, workerRunning: await isMessageWorkerRunning(db) });
+
+  } else if (req.method === 'POST') {
+    // Queue weekly reports for every student of the session not messaged yet
+    const { language = 'en' } = req.body;
+    if (!isValidTemplateKey('weekly_report', language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+
+    const batch = await createSessionBatch(db, user, { center, grade, week, language });
+    wakeMessageWorker();
+
+    const outcome = await getBatchOutcome(db, batch);
+    console.log(`📬 Batch ${batch.batchId}: ${batch.entries.length} students for ${center} week ${week}`, outcome.counts);
+    res.json({ success: true, batch: outcome, workerRunning: await isMessageWorkerRunning(db) });
+  }
+}
+
+export default withPermission('messages.send', handler, { methods: ['GET', 'POST'] });
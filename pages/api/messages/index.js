@@ -0,0 +1,42 @@
+import { withPermission } from '../../../lib/server/api';
+import { countMessagesByStatus, isMessageWorkerRunning, MESSAGE_STATUSES } from '../../../lib/server/messaging';
+import { getCenterScope } from '../../../lib/server/centerScope';
+
+async function handler(req, res, { db, user }) {
+  // Queue contents and progress, optionally for one batch or status
+  const { batchId, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+
+  if (status && !MESSAGE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MESSAGE_STATUSES.join(', ')}` });
+  }
+
+  const baseFilter = {};
+  if (batchId) baseFilter.batchId = batchId;
+  const scope = await getCenterScope(db, user);
+  if (scope) baseFilter.center = { $in: scope };
+  const filter = status ? { ...baseFilter, status } : baseFilter;
+
+  const messages = await db.collection('message_queue')
+    .find(filter, { projection: { message: 0, transportResult: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+
+  // Attach student names for display
+  const studentIds = [...new Set(messages.map(message => message.studentId))];
+  const students = await db.collection('students')
+    .find({ id: { $in: studentIds } }, { projection: { id: 1, name: 1 } })
+    .toArray();
+  const names = new Map(students.map(student => [student.id, student.name]));
+
+  const counts = await countMessagesByStatus(db, baseFilter);
+
+  res.json({
+    counts,
+    workerRunning: await isMessageWorkerRunning(db),
+    messages: messages.map(message => ({ ...message, studentName: names.get(message.studentId) || null }))
+  });
+}
+
+export default withPermission('messages.send', handler, { methods: ['GET'] });
@@ -0,0 +1,29 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getCenterScope, isStudentInScope, requireCenterInScope } from '../../../../lib/server/centerScope';
+import { getPayment } from '../../../../lib/server/payments';
+import { renderReceipt } from '../../../../lib/server/receipts';
+import { sendPdf } from '../../../../lib/server/pdf';
+
+async function handler(req, res, { db, user }) {
+  const receiptNumber = parseInt(req.query.receipt);
+  const payment = await getPayment(db, receiptNumber);
+  if (!payment) return res.status(404).json({ error: 'Receipt not found' });
+  
+  // Archived students keep their receipts, so no activeStudent filter here
+  const student = await db.collection('students').findOne({ id: payment.studentId });
+  // Scoped by the student's centre, or the centre the receipt was taken at once the student is gone
+  const scope = await getCenterScope(db, user);
+  if (student) {
+    if (!isStudentInScope(scope, student)) {
+      return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+    }
+  } else {
+    requireCenterInScope(scope, payment.center);
+  }
+  const term = await db.collection('terms').findOne({ id: payment.termId });
+  
+  const pdf = await renderReceipt({ payment, student, termName: term ? term.name : null });
+  sendPdf(res, `receipt-${payment.receiptNumber}.pdf`, pdf);
+}
+
+export default withPermission('payments.view', handler, { methods: ['GET'] });
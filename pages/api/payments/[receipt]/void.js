@@ -0,0 +1,24 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getCenterScope, isStudentInScope, requireCenterInScope } from '../../../../lib/server/centerScope';
+import { getPayment, voidPayment } from '../../../../lib/server/payments';
+
+async function handler(req, res, { db, user }) {
+  const receiptNumber = parseInt(req.query.receipt);
+  const payment = await getPayment(db, receiptNumber);
+  if (!payment) return res.status(404).json({ error: 'Receipt not found' });
+  const student = await db.collection('students').findOne({ id: payment.studentId });
+  // Scoped by the student's centre, or the centre the receipt was taken at once the student is gone
+  const scope = await getCenterScope(db, user);
+  if (student) {
+    if (!isStudentInScope(scope, student)) {
+      return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+    }
+  } else {
+    requireCenterInScope(scope, payment.center);
+  }
+  // The receipt stays in the ledger marked void; its weeks go back to unpaid
+  await voidPayment(db, user, receiptNumber, req.body.reason);
+  res.json({ success: true });
+}
+
+export default withPermission('payments.void', handler, { methods: ['POST'] });
@@ -0,0 +1,12 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, studentScopeFilter } from '../../../lib/server/centerScope';
+import { getArrearsReport } from '../../../lib/server/payments';
+
+async function handler(req, res, { db, user }) {
+  // Unpaid attended sessions of the open term, per student and per centre
+  const scope = await getCenterScope(db, user);
+  const { grade, center } = req.query;
+  res.json(await getArrearsReport(db, studentScopeFilter(scope), { grade, center }));
+}
+
+export default withPermission('payments.view', handler, { methods: ['GET'] });
@@ -0,0 +1,21 @@
+import { withPermission } from '../../../lib/server/api';
+import { CURRENCY, deletePrice, listPrices, normalizePrice, savePrice } from '../../../lib/server/payments';
+
+async function handler(req, res, { db, user }) {
+  if (req.method === 'GET') {
+    res.json({ currency: CURRENCY, prices: await listPrices(db) });
+  } else if (req.method === 'PUT') {
+    // Create or replace the price of a grade (at one centre when `center` is set)
+    const price = normalizePrice(req.body);
+    await savePrice(db, user, price);
+    console.log(`💲 Price for ${price.grade}${price.center ? ` at ${price.center}` : ''} set by ${user.assistant_id}`);
+    res.json({ success: true, price });
+  } else if (req.method === 'DELETE') {
+    const { grade, center } = req.query;
+    const deleted = await deletePrice(db, grade, center);
+    if (!deleted) return res.status(404).json({ error: 'Price not found' });
+    res.json({ success: true });
+  }
+}
+
+export default withPermission({ GET: 'payments.view', PUT: 'pricing.manage', DELETE: 'pricing.manage' }, handler);
@@ -0,0 +1,20 @@
+import { withPermission } from '../../../lib/server/api';
+import { getSessionCount } from '../../../lib/server/courseCalendar';
+import { getQuizzes, normalizeQuizzes, saveQuizzes } from '../../../lib/server/quizzes';
+
+async function handler(req, res, { db, user }) {
+  const { grade } = req.query;
+  const sessionCount = await getSessionCount(db, grade);
+  if (req.method === 'GET') {
+    // Quiz catalogue of one grade, with the number of weeks it can cover
+    res.json({ grade, sessionCount, quizzes: await getQuizzes(db, grade) });
+  } else if (req.method === 'PUT') {
+    // Throws a 400 ApiError for invalid input
+    const quizzes = normalizeQuizzes(req.body.quizzes, sessionCount);
+    const saved = await saveQuizzes(db, user, grade, quizzes);
+    console.log(`📝 Quiz catalogue for ${grade} saved with ${saved.length} quizzes`);
+    res.json({ success: true, grade, sessionCount, quizzes: saved });
+  }
+}
+
+export default withPermission({ GET: 'calendar.view', PUT: 'quizzes.manage' }, handler);
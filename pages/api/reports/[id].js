@@ -0,0 +1,24 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, isStudentInScope } from '../../../lib/server/centerScope';
+import { currentMonth, getReportCardData, isValidMonth, renderReportCards } from '../../../lib/server/reportCards';
+import { sendPdf } from '../../../lib/server/pdf';
+import { activeStudent } from '../../../lib/server/archive';
+
+async function handler(req, res, { db, user }) {
+  // PDF report card of one student for ?month=YYYY-MM (default: this month)
+  const month = req.query.month || currentMonth();
+  if (!isValidMonth(month)) return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+
+  const student_id = parseInt(req.query.id);
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+
+  const pdf = await renderReportCards([await getReportCardData(db, student, month)]);
+  console.log(`🖨️ Report card for student ${student.id} (${month})`);
+  sendPdf(res, `report-card-${student.id}-${month}.pdf`, pdf);
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
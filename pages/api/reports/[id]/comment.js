@@ -0,0 +1,35 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+import { currentMonth, getReportComment, isValidMonth, saveReportComment } from '../../../../lib/server/reportCards';
+import { activeStudent } from '../../../../lib/server/archive';
+
+const MAX_COMMENT_LENGTH = 1000;
+
+async function handler(req, res, { db, user }) {
+  const student_id = parseInt(req.query.id);
+  const month = (req.method === 'PUT' ? req.body.month : req.query.month) || currentMonth();
+  if (!isValidMonth(month)) return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+
+  const student = await db.collection('students').findOne(
+    activeStudent({ id: student_id }),
+    { projection: { id: 1, main_center: 1 } }
+  );
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+
+  if (req.method === 'GET') {
+    res.json({ studentId: student_id, month, comment: await getReportComment(db, student_id, month) });
+  } else if (req.method === 'PUT') {
+    // Teacher comment printed on the month's report card
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+    await saveReportComment(db, user, student_id, month, comment);
+    res.json({ success: true, studentId: student_id, month, comment });
+  }
+}
+
+export default withPermission({ GET: 'students.view', PUT: 'students.edit' }, handler);
@@ -0,0 +1,34 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, requireCenterInScope, studentScopeFilter } from '../../../lib/server/centerScope';
+import { currentMonth, getReportCardData, isValidMonth, renderReportCards } from '../../../lib/server/reportCards';
+import { sendPdf } from '../../../lib/server/pdf';
+import { NOT_ARCHIVED } from '../../../lib/server/archive';
+import { gradeFilter, mainCenterFilter } from '../../../lib/server/matching';
+
+async function handler(req, res, { db, user }) {
+  // One merged PDF for every student of a grade and/or main centre, in id order
+  const { grade, center } = req.query;
+  const month = req.query.month || currentMonth();
+  if (!grade && !center) return res.status(400).json({ error: 'grade or center is required' });
+  if (!isValidMonth(month)) return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+
+  const scope = await getCenterScope(db, user);
+  if (center) requireCenterInScope(scope, center);
+
+  const filter = [studentScopeFilter(scope), NOT_ARCHIVED];
+  if (grade) filter.push(gradeFilter(grade));
+  if (center) filter.push(mainCenterFilter(center));
+  const students = await db.collection('students').find({ $and: filter }).sort({ id: 1 }).toArray();
+  if (students.length === 0) return res.status(404).json({ error: 'No students match the selected grade and center' });
+
+  const cache = new Map();
+  const cards = [];
+  for (const student of students) {
+    cards.push(await getReportCardData(db, student, month, cache));
+  }
+  const pdf = await renderReportCards(cards);
+  console.log(`🖨️ ${cards.length} report cards for ${grade || 'all grades'} / ${center || 'all centers'} (${month})`);
+  sendPdf(res, `report-cards-${grade || 'all'}-${center || 'all'}-${month}.pdf`, pdf);
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
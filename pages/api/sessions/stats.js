@@ -0,0 +1,22 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, requireCenterInScope } from '../../../lib/server/centerScope';
+import { getSessionStats } from '../../../lib/server/sessionStats';
+
+async function handler(req, res, { db, user }) {
+  const { center, grade } = req.query;
+  if (!center || !grade) {
+    return res.status(400).json({ error: 'center and grade are required' });
+  }
+  
+  // Week is optional; without it the stats cover every week
+  let week = null;
+  if (req.query.week) {
+    week = parseInt(req.query.week);
+    if (isNaN(week) || week < 1) return res.status(400).json({ error: 'Invalid week' });
+  }
+  
+  requireCenterInScope(await getCenterScope(db, user), center);
+  res.json(await getSessionStats(db, { center, grade, week }));
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
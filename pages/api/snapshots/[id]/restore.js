@@ -0,0 +1,11 @@
+import { withPermission } from '../../../../lib/server/api';
+import { requireConfirmation, restoreSnapshot } from '../../../../lib/server/snapshots';
+import { RESTORE_SNAPSHOT_PHRASE } from '../../../../lib/resets';
+
+async function handler(req, res, { db, user }) {
+  requireConfirmation(req.body.confirm, RESTORE_SNAPSHOT_PHRASE);
+  const result = await restoreSnapshot(db, user, req.query.id);
+  res.json({ success: true, ...result });
+}
+
+export default withPermission('snapshots.manage', handler, { methods: ['POST'] });
@@ -0,0 +1,9 @@
+import { withPermission } from '../../../lib/server/api';
+import { listSnapshots } from '../../../lib/server/snapshots';
+
+async function handler(req, res, { db }) {
+  // Snapshots taken before resets, newest first
+  res.json({ snapshots: await listSnapshots(db) });
+}
+
+export default withPermission('snapshots.manage', handler, { methods: ['GET'] });
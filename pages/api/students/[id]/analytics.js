@@ -0,0 +1,19 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getStudentAnalytics } from '../../../../lib/server/analytics';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  const student_id = parseInt(id);
+  
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+  
+  res.json(await getStudentAnalytics(db, student));
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
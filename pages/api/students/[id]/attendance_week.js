@@ -1,96 +1,30 @@
-import { MongoClient } from 'mongodb';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withPermission } from '../../../../lib/server/api';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
-
-console.log('🔗 Using Mongo URI:', MONGO_URI);
-
-async function authMiddleware(req) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) {
-    throw new Error('Unauthorized - No Bearer token');
-  }
-  try {
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid token - ' + error.message);
-  }
-}
-
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
+async function handler(req, res, { db, user }) {
   const { id } = req.query;
   const student_id = parseInt(id);
   const { attendanceWeek } = req.body;
   if (attendanceWeek === undefined) return res.status(400).json({ error: 'attendanceWeek required' });
   
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    
-    // Verify authentication
-    const user = await authMiddleware(req);
-    
-    // Get the current student data to check if they are attended
-    const student = await db.collection('students').findOne({ id: student_id });
-    if (!student) return res.status(404).json({ error: 'Student not found' });
-    
-    const result = await db.collection('students').updateOne(
-      { id: student_id },
-      { $set: { attendanceWeek } }
-    );
-    
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
-    
-    // Note: History data is now sourced directly from students collection
-    
-    res.json({ success: true });
-  } catch (error) {
-    if (error.message.includes('Unauthorized') || error.message.includes('Invalid token')) {
-      res.status(401).json({ error: error.message });
-    } else {
-      console.error('Error updating attendance week:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  } finally {
-    if (client) await client.close();
+  // Get the current student data to check if they are attended
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
   }
-} 
\ No newline at end of file
+  
+  const result = await db.collection('students').updateOne(
+    { id: student_id },
+    { $set: { attendanceWeek } }
+  );
+  
+  if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
+  
+  // Note: History data is now sourced directly from students collection
+  
+  res.json({ success: true });
+}
+
+export default withPermission('attendance.mark', handler, { methods: ['POST'] });
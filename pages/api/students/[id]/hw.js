@@ -1,98 +1,66 @@
-import { MongoClient } from 'mongodb';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withPermission } from '../../../../lib/server/api';
+import { recordAttendanceEvent } from '../../../../lib/server/attendanceEvents';
+import { parseWeekIndex } from '../../../../lib/server/courseCalendar';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentWeekInScope } from '../../../../lib/server/centerScope';
+import { resolveQueuedChange } from '../../../../lib/server/offlineSync';
+import { homeworkFromDone, validateHomework } from '../../../../lib/homework';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  const student_id = parseInt(id);
+  const { level, score, note, hwDone, week } = req.body;
 
-console.log('🔗 Using Mongo URI:', MONGO_URI);
+  // Get the current student data
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
 
-async function authMiddleware(req) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) {
-    throw new Error('Unauthorized - No Bearer token');
+  // Determine which week to update
+  const weekIndex = parseWeekIndex(student, week);
+  const weekNumber = weekIndex + 1;
+  const previousWeek = student.weeks && student.weeks[weekIndex];
+  if (!isStudentWeekInScope(await getCenterScope(db, user), student, weekIndex)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
   }
-  try {
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid token - ' + error.message);
+  const conflict = await resolveQueuedChange(db, req.body, {
+    studentId: student_id,
+    week: weekNumber,
+    actions: ['hw'],
+    current: previousWeek ? previousWeek.homework || null : null
+  });
+
+  // A null level clears the week's homework; clients that still send hwDone get the mapped level
+  let homework = null;
+  if (level === undefined && hwDone !== undefined) {
+    homework = homeworkFromDone(!!hwDone, true);
+  } else if (level !== null && level !== undefined && level !== '') {
+    homework = {
+      level,
+      score: score === null || score === undefined || score === '' ? null : Number(score),
+      note: typeof note === 'string' && note.trim() ? note.trim() : null
+    };
+    const validationError = validateHomework(homework);
+    if (validationError) return res.status(400).json({ error: validationError });
   }
+
+  // Update the specific week in the weeks array
+  const result = await db.collection('students').updateOne(
+    { id: student_id },
+    { $set: { [`weeks.${weekIndex}.homework`]: homework } }
+  );
+
+  if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
+
+  await recordAttendanceEvent(db, user, {
+    studentId: student_id,
+    week: weekNumber,
+    center: previousWeek ? previousWeek.lastAttendanceCenter : null,
+    action: 'hw',
+    value: homework,
+    previousValue: previousWeek ? previousWeek.homework || null : null
+  });
+
+  res.json({ success: true, homework, ...(conflict && { conflict }) });
 }
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
-  const { id } = req.query;
-  const student_id = parseInt(id);
-  const { hwDone, week } = req.body;
-  
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    
-    // Verify authentication
-    const user = await authMiddleware(req);
-    
-    // Get the current student data
-    const student = await db.collection('students').findOne({ id: student_id });
-    if (!student) return res.status(404).json({ error: 'Student not found' });
-    
-    // Determine which week to update
-    const weekNumber = week || 1;
-    const weekIndex = weekNumber - 1; // Convert to array index
-    
-    // Update the specific week in the weeks array
-    const result = await db.collection('students').updateOne(
-      { id: student_id },
-      { $set: { [`weeks.${weekIndex}.hwDone`]: !!hwDone } }
-    );
-    
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
-    
-    res.json({ success: true });
-  } catch (error) {
-    if (error.message.includes('Unauthorized') || error.message.includes('Invalid token')) {
-      res.status(401).json({ error: error.message });
-    } else {
-      console.error('Error updating homework:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  } finally {
-    if (client) await client.close();
-  }
-} 
\ No newline at end of file
+export default withPermission('attendance.mark', handler, { methods: ['POST'] });
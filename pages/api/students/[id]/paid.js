@@ -1,98 +1,49 @@
-import { MongoClient } from 'mongodb';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withPermission } from '../../../../lib/server/api';
+import { parseWeekIndex } from '../../../../lib/server/courseCalendar';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentWeekInScope } from '../../../../lib/server/centerScope';
+import { resolveQueuedChange } from '../../../../lib/server/offlineSync';
+import { markPaid, unmarkPaid } from '../../../../lib/server/payments';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  const student_id = parseInt(id);
+  const { paidSession, week } = req.body;
 
-console.log('🔗 Using Mongo URI:', MONGO_URI);
+  // Get the current student data
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
 
-async function authMiddleware(req) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) {
-    throw new Error('Unauthorized - No Bearer token');
+  // Determine which week to update
+  const weekIndex = parseWeekIndex(student, week);
+  const weekNumber = weekIndex + 1;
+  const previousWeek = student.weeks && student.weeks[weekIndex];
+  if (!isStudentWeekInScope(await getCenterScope(db, user), student, weekIndex)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
   }
-  try {
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid token - ' + error.message);
+  const wasPaid = previousWeek ? !!previousWeek.paidSession : false;
+  // The cash session the money belongs to: the scanning centre, else where the week was
+  // attended, else the student's own centre
+  const center = req.body.center || (previousWeek && previousWeek.lastAttendanceCenter) || student.main_center;
+  if (!center) return res.status(400).json({ error: 'center is required to record a payment' });
+  const conflict = await resolveQueuedChange(db, req.body, {
+    studentId: student_id,
+    week: weekNumber,
+    actions: ['paid'],
+    current: wasPaid
+  });
+
+  // The toggle goes through the payments ledger, so every paid week has its receipt
+  // (throws a 409 for a week paid meanwhile or a closed cash session)
+  let amount = null;
+  let receiptNumber = null;
+  if (paidSession && !wasPaid) {
+    ({ amount, receiptNumber } = await markPaid(db, user, student, weekNumber, { center, amount: req.body.amount }));
+  } else if (!paidSession && wasPaid) {
+    ({ amount, receiptNumber } = await unmarkPaid(db, user, student, weekNumber, { center }));
   }
+
+  res.json({ success: true, amount, receiptNumber, ...(conflict && { conflict }) });
 }
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
-  const { id } = req.query;
-  const student_id = parseInt(id);
-  const { paidSession, week } = req.body;
-  
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    
-    // Verify authentication
-    const user = await authMiddleware(req);
-    
-    // Get the current student data
-    const student = await db.collection('students').findOne({ id: student_id });
-    if (!student) return res.status(404).json({ error: 'Student not found' });
-    
-    // Determine which week to update
-    const weekNumber = week || 1;
-    const weekIndex = weekNumber - 1; // Convert to array index
-    
-    // Update the specific week in the weeks array
-    const result = await db.collection('students').updateOne(
-      { id: student_id },
-      { $set: { [`weeks.${weekIndex}.paidSession`]: !!paidSession } }
-    );
-    
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
-    
-    res.json({ success: true });
-  } catch (error) {
-    if (error.message.includes('Unauthorized') || error.message.includes('Invalid token')) {
-      res.status(401).json({ error: error.message });
-    } else {
-      console.error('Error updating payment:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  } finally {
-    if (client) await client.close();
-  }
-} 
\ No newline at end of file
+export default withPermission('attendance.mark', handler, { methods: ['POST'] });
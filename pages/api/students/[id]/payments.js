@@ -0,0 +1,37 @@
+import { withPermission } from '../../../../lib/server/api';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+import { CURRENCY, PAYMENT_METHODS, findSiblings, getPrice, getStudentPayments, quotePayment, recordPayment } from '../../../../lib/server/payments';
+
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  const student_id = parseInt(id);
+  
+  const student = await db.collection('students').findOne(activeStudent({ id: student_id }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+  
+  if (req.method === 'GET') {
+    // Receipts, the price that applies and the weeks still unpaid
+    res.json({
+      currency: CURRENCY,
+      methods: PAYMENT_METHODS,
+      price: await getPrice(db, student.grade, student.main_center),
+      siblings: await findSiblings(db, student),
+      weeks: (student.weeks || []).map(week => ({ week: week.week, attended: !!week.attended, paidSession: !!week.paidSession })),
+      payments: await getStudentPayments(db, student_id)
+    });
+  } else if (req.method === 'POST') {
+    // dryRun returns the amount due without saving, like the student import
+    if (req.body.dryRun) {
+      const { siblings, ...quote } = await quotePayment(db, student, req.body);
+      return res.json({ dryRun: true, currency: CURRENCY, quote: { ...quote, siblingCount: siblings.length } });
+    }
+    const payment = await recordPayment(db, user, student, req.body);
+    res.status(201).json({ success: true, currency: CURRENCY, payment });
+  }
+}
+
+export default withPermission({ GET: 'payments.view', POST: 'payments.record' }, handler);
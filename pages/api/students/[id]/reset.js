@@ -1,106 +1,39 @@
-import { MongoClient } from 'mongodb';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withPermission } from '../../../../lib/server/api';
+import { buildWeeks, getSessionCount } from '../../../../lib/server/courseCalendar';
+import { activeStudent } from '../../../../lib/server/archive';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+import { createSnapshot, requireConfirmation } from '../../../../lib/server/snapshots';
+import { getCurrentTerm, normalizeTermName } from '../../../../lib/server/terms';
+import { getStudentResetPhrase } from '../../../../lib/resets';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
-
-console.log('🔗 Using Mongo URI:', MONGO_URI);
-
-async function authMiddleware(req) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) {
-    throw new Error('Unauthorized - No Bearer token');
-  }
-  try {
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid token - ' + error.message);
-  }
-}
-
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-  
+async function handler(req, res, { db, user }) {
   const { id } = req.query;
   const studentId = parseInt(id);
   
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    
-    // Verify authentication
-    const user = await authMiddleware(req);
-    
-    // Check if student exists
-    const student = await db.collection('students').findOne({ id: studentId });
-    if (!student) return res.status(404).json({ error: 'Student not found' });
-    
-    // Create reset weeks array
-    const resetWeeks = [];
-    for (let i = 1; i <= 20; i++) {
-      resetWeeks.push({
-        week: i,
-        attended: false,
-        lastAttendance: null,
-        lastAttendanceCenter: null,
-        hwDone: false,
-        paidSession: false,
-        quizDegree: null,
-        message_state: false
-      });
-    }
-    
-    const result = await db.collection('students').updateOne(
-      { id: studentId },
-      { $set: { weeks: resetWeeks } }
-    );
-    
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
-    res.json({ success: true, message: 'Student data reset successfully' });
-  } catch (error) {
-    if (error.message.includes('Unauthorized') || error.message.includes('Invalid token')) {
-      res.status(401).json({ error: error.message });
-    } else {
-      console.error('Error resetting student data:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  } finally {
-    if (client) await client.close();
+  // Check if student exists
+  const student = await db.collection('students').findOne(activeStudent({ id: studentId }));
+  if (!student) return res.status(404).json({ error: 'Student not found' });
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
   }
-} 
\ No newline at end of file
+  
+  requireConfirmation(req.body.confirm, getStudentResetPhrase(studentId));
+  const snapshot = await createSnapshot(db, user, {
+    kind: 'reset-student',
+    termName: normalizeTermName(req.body.termName) || (await getCurrentTerm(db)).name,
+    filter: { id: studentId }
+  });
+  
+  // Create reset weeks array sized by the student's course calendar
+  const resetWeeks = buildWeeks(await getSessionCount(db, student.grade));
+  
+  const result = await db.collection('students').updateOne(
+    { id: studentId },
+    { $set: { weeks: resetWeeks } }
+  );
+  
+  if (result.matchedCount === 0) return res.status(404).json({ error: 'Student not found' });
+  res.json({ success: true, snapshotId: snapshot._id, message: 'Student data reset successfully' });
+}
+
+export default withPermission('students.reset', handler, { methods: ['POST'] });
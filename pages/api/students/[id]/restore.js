@@ -0,0 +1,12 @@
+import { withPermission } from '../../../../lib/server/api';
+import { restoreStudent } from '../../../../lib/server/archive';
+
+async function handler(req, res, { db, user }) {
+  const student_id = parseInt(req.query.id);
+  const restored = await restoreStudent(db, student_id);
+  if (!restored) return res.status(404).json({ error: 'Archived student not found' });
+  console.log(`♻️ Student ${student_id} restored by ${user.assistant_id}`);
+  res.json({ success: true });
+}
+
+export default withPermission('students.restore', handler, { methods: ['POST'] });
@@ -0,0 +1,20 @@
+import { withPermission } from '../../../../lib/server/api';
+import { getStudentTermComparison } from '../../../../lib/server/analytics';
+import { getCenterScope, isStudentInScope } from '../../../../lib/server/centerScope';
+
+async function handler(req, res, { db, user }) {
+  const { id } = req.query;
+  const student_id = parseInt(id);
+  
+  const terms = await getStudentTermComparison(db, student_id);
+  if (terms.length === 0) return res.status(404).json({ error: 'Student not found' });
+  // Terms are newest first; the latest enrolment says where the student belongs now
+  const student = terms[0];
+  if (!isStudentInScope(await getCenterScope(db, user), student)) {
+    return res.status(403).json({ error: `Forbidden: you are not assigned to center ${student.main_center || 'n/a'}` });
+  }
+  
+  res.json({ studentId: student_id, terms });
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
@@ -0,0 +1,12 @@
+import { withPermission } from '../../../lib/server/api';
+import { getCenterScope, studentScopeFilter } from '../../../lib/server/centerScope';
+import { PURGE_AFTER_DAYS, getArchivedStudents } from '../../../lib/server/archive';
+
+async function handler(req, res, { db, user }) {
+  // Archived students, most recently deleted first
+  const scope = await getCenterScope(db, user);
+  const students = await getArchivedStudents(db, studentScopeFilter(scope));
+  res.json({ purgeAfterDays: PURGE_AFTER_DAYS, students });
+}
+
+export default withPermission('students.restore', handler, { methods: ['GET'] });
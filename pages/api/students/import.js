@@ -0,0 +1,27 @@
+import { withPermission, ApiError } from '../../../lib/server/api';
+import { MAX_IMPORT_ROWS, commitImport, previewImport } from '../../../lib/server/studentImport';
+
+// Spreadsheets of a few thousand rows exceed the default 1mb body limit
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '5mb' }
+  }
+};
+
+async function handler(req, res, { db, user }) {
+  // Import mapped spreadsheet rows; with dryRun only the validation report is returned
+  const { rows, dryRun } = req.body;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ApiError(400, 'rows must be a non-empty list');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+  }
+
+  if (dryRun) {
+    return res.json({ dryRun: true, ...(await previewImport(db, user, rows)) });
+  }
+  res.json({ dryRun: false, ...(await commitImport(db, user, rows)) });
+}
+
+export default withPermission('students.create', handler, { methods: ['POST'] });
@@ -1,101 +1,53 @@
-import { MongoClient } from 'mongodb';
-import jwt from 'jsonwebtoken';
-import fs from 'fs';
-import path from 'path';
+import { withPermission } from '../../../lib/server/api';
+import { buildWeeks, DEFAULT_SESSION_COUNT } from '../../../lib/server/courseCalendar';
+import { NOT_ARCHIVED } from '../../../lib/server/archive';
+import { gradeFilter, otherGradesFilter } from '../../../lib/server/matching';
+import { createSnapshot, requireConfirmation, setSnapshotRestoreTerm } from '../../../lib/server/snapshots';
+import { closeCurrentTerm, getCurrentTerm, normalizeTermName } from '../../../lib/server/terms';
+import { RESET_ALL_PHRASE } from '../../../lib/resets';
 
-// Load environment variables from env.config
-function loadEnvConfig() {
-  try {
-    const envPath = path.join(process.cwd(), '..', 'env.config');
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const envVars = {};
-    
-    envContent.split('\n').forEach(line => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        const index = trimmed.indexOf('=');
-        if (index !== -1) {
-          const key = trimmed.substring(0, index).trim();
-          let value = trimmed.substring(index + 1).trim();
-          value = value.replace(/^"|"$/g, ''); // strip quotes
-          envVars[key] = value;
-        }
-      }
-    });
-    
-    return envVars;
-  } catch (error) {
-    console.log('⚠️  Could not read env.config, using process.env as fallback');
-    return {};
-  }
-}
-
-const envConfig = loadEnvConfig();
-const JWT_SECRET = envConfig.JWT_SECRET || process.env.JWT_SECRET || 'topphysics_secret';
-const MONGO_URI = envConfig.MONGO_URI || process.env.MONGO_URI || 'mongodb://localhost:27017/topphysics';
-const DB_NAME = envConfig.DB_NAME || process.env.DB_NAME || 'topphysics';
-
-console.log('🔗 Using Mongo URI:', MONGO_URI);
-
-async function authMiddleware(req) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Bearer ')) {
-    throw new Error('Unauthorized - No Bearer token');
-  }
-  try {
-    const token = auth.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
-    return decoded;
-  } catch (error) {
-    throw new Error('Invalid token - ' + error.message);
-  }
-}
-
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+// Starts a new term: last term's enrolments are kept in student_terms (read-only)
+// and every student starts the new term with empty weeks
+async function handler(req, res, { db, user }) {
+  requireConfirmation(req.body.confirm, RESET_ALL_PHRASE);
+  const nextTermName = normalizeTermName(req.body.nextTermName);
+  if (!nextTermName) {
+    return res.status(400).json({ error: 'Name of the new term is required' });
   }
+  const termName = normalizeTermName(req.body.termName) || (await getCurrentTerm(db)).name;
+  
+  // Keep a copy of the term being cleared; archived students keep their weeks untouched
+  const snapshot = await createSnapshot(db, user, { kind: 'reset-all', termName, filter: NOT_ARCHIVED });
+  const { closedTermId, nextTerm } = await closeCurrentTerm(db, user, { name: termName, nextName: nextTermName });
+  // The reset can be undone from the new term
+  await setSnapshotRestoreTerm(db, snapshot._id, nextTerm.id);
   
-  let client;
-  try {
-    client = await MongoClient.connect(MONGO_URI);
-    const db = client.db(DB_NAME);
-    
-    // Verify authentication
-    const user = await authMiddleware(req);
-    
-    // Create reset weeks array
-    const resetWeeks = [];
-    for (let i = 1; i <= 20; i++) {
-      resetWeeks.push({
-        week: i,
-        attended: false,
-        lastAttendance: null,
-        lastAttendanceCenter: null,
-        hwDone: false,
-        paidSession: false,
-        quizDegree: null,
-        message_state: false
-      });
-    }
-    
+  // Reset each grade to the length of its course calendar
+  const calendars = await db.collection('course_calendars').find().toArray();
+  let modifiedCount = 0;
+  
+  for (const calendar of calendars) {
     const result = await db.collection('students').updateMany(
-      {},
-      { $set: { weeks: resetWeeks } }
+      { ...NOT_ARCHIVED, ...gradeFilter(calendar.grade) },
+      { $set: { weeks: buildWeeks(calendar.sessions.length) } }
     );
-    
-    res.json({ 
-      success: true, 
-      message: `Reset data for ${result.modifiedCount} students successfully` 
-    });
-  } catch (error) {
-    if (error.message.includes('Unauthorized') || error.message.includes('Invalid token')) {
-      res.status(401).json({ error: error.message });
-    } else {
-      console.error('Error resetting all students data:', error);
-      res.status(500).json({ error: 'Internal server error' });
-    }
-  } finally {
-    if (client) await client.close();
+    modifiedCount += result.modifiedCount;
   }
-} 
\ No newline at end of file
+  
+  // Grades without a calendar keep the default length
+  const result = await db.collection('students').updateMany(
+    { ...NOT_ARCHIVED, ...otherGradesFilter(calendars.map(calendar => calendar.grade)) },
+    { $set: { weeks: buildWeeks(DEFAULT_SESSION_COUNT) } }
+  );
+  modifiedCount += result.modifiedCount;
+  
+  res.json({ 
+    success: true, 
+    snapshotId: snapshot._id,
+    closedTermId,
+    termId: nextTerm.id,
+    message: `Term "${termName}" closed, ${modifiedCount} students start "${nextTermName}"` 
+  });
+}
+
+export default withPermission('students.resetAll', handler, { methods: ['POST'] });
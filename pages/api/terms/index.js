@@ -0,0 +1,9 @@
+import { withPermission } from '../../../lib/server/api';
+import { listTerms } from '../../../lib/server/terms';
+
+async function handler(req, res, { db }) {
+  // Every term, newest first; the open one has current: true
+  res.json({ terms: await listTerms(db) });
+}
+
+export default withPermission('students.view', handler, { methods: ['GET'] });
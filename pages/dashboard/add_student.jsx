@@ -5,6 +5,7 @@ import CenterSelect from "../../components/CenterSelect";
 import GradeSelect from '../../components/GradeSelect';
 import Title from '../../components/Title';
 import { useCreateStudent } from '../../lib/api/students';
+import { normalizeStudentInput, validateStudentInput } from '../../lib/studentValidation';
 
 
 export default function AddStudent() {
@@ -86,36 +87,14 @@ export default function AddStudent() {
     setError("");
     setSuccess(false);
     
-    // Validate phone numbers
-    const studentPhone = form.phone;
-    const parentPhone = form.parentsPhone;
-    
-    // Check if phone numbers are exactly 11 digits
-    if (studentPhone.length !== 11) {
-      setError("Student phone number must be exactly 11 digits");
-      return;
-    }
-    
-    if (parentPhone.length !== 11) {
-      setError("Parent's phone number must be exactly 11 digits");
+    // Same rules as the server (phones, required fields, grade clean-up)
+    const payload = normalizeStudentInput({ ...form, parents_phone: form.parentsPhone });
+    const validationErrors = validateStudentInput(payload);
+    if (validationErrors.length > 0) {
+      setError(validationErrors[0]);
       return;
     }
     
-    // Check if student phone number is the same as parent phone number
-    if (studentPhone === parentPhone) {
-      setError("Student phone number cannot be the same as parent phone number");
-      return;
-    }
-    
-    // Map parentsPhone to parents_phone for backend - preserve leading zeros by storing as strings
-    const payload = { ...form, parents_phone: parentPhone };
-    // Handle age - set to null if empty, otherwise convert to number
-    payload.age = form.age && form.age.trim() !== '' ? Number(form.age) : null;
-    payload.phone = studentPhone; // Keep as string to preserve leading zeros exactly
-    let gradeClean = payload.grade.toLowerCase().replace(/\./g, '');
-    payload.grade = gradeClean;
-    delete payload.parentsPhone;
-    
     createStudentMutation.mutate(payload, {
       onSuccess: (data) => {
         setSuccess(true);
@@ -8,8 +8,25 @@ import { Table, ScrollArea } from '@mantine/core';
 import { IconArrowRight, IconSearch } from '@tabler/icons-react';
 import { ActionIcon, TextInput, useMantineTheme } from '@mantine/core';
 import styles from '../../styles/TableScrollArea.module.css';
-import { useStudents } from '../../lib/api/students';
 import LoadingSkeleton from '../../components/LoadingSkeleton';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import ExportButtons from '../../components/ExportButtons';
+
+const PAGE_SIZE = 50;
+const LIST_FIELDS = 'id,name,grade,school,phone,parents_phone,main_center';
+
+// API functions
+const studentsAPI = {
+  getStudentsPage: async (params, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/students`, {
+      params: { ...params, pageSize: PAGE_SIZE, fields: LIST_FIELDS },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
 
 export function InputWithButton(props) {
   const theme = useMantineTheme();
@@ -17,7 +34,7 @@ export function InputWithButton(props) {
     <TextInput
       radius="xl"
       size="md"
-                  placeholder="Search by ID, Name or School"
+      placeholder="Search by ID, Name, School or Phone"
       rightSectionWidth={42}
       leftSection={<IconSearch size={18} stroke={1.5} />}
       rightSection={
@@ -35,19 +52,51 @@ export default function AllStudents() {
   const containerRef = useRef(null);
   const [selectedGrade, setSelectedGrade] = useState("");
   const [selectedCenter, setSelectedCenter] = useState("");
-  const [filteredStudents, setFilteredStudents] = useState([]);
   const [openDropdown, setOpenDropdown] = useState(null); // 'grade', 'center', or null
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState("id");
   const [isMobile, setIsMobile] = useState(false);
 
-  // React Query hook for fetching students with enhanced real-time updates
-  const { data: students = [], isLoading, error, refetch } = useStudents({
-    // Enhanced real-time settings
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  // Wait for typing to pause before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Any filter change starts again from the first page
+  useEffect(() => {
+    setPage(1);
+  }, [debouncedSearch, selectedGrade, selectedCenter, sort]);
+
+  // One page of students, filtered and sorted on the server
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['students-page', page, sort, debouncedSearch, selectedGrade, selectedCenter],
+    queryFn: () => studentsAPI.getStudentsPage({
+      page,
+      sort,
+      q: debouncedSearch || undefined,
+      grade: selectedGrade || undefined,
+      center: selectedCenter || undefined
+    }, token),
+    enabled: !!token,
+    placeholderData: keepPreviousData,
     refetchInterval: 10 * 1000, // Refetch every 10 seconds for real-time updates
-    refetchIntervalInBackground: true, // Continue when tab is not active
     refetchOnWindowFocus: true, // Immediate update when switching back to tab
-    staleTime: 30 * 1000, // Consider data stale after 30 seconds
   });
+  const filteredStudents = data ? data.students : [];
+  const total = data ? data.total : 0;
+  const totalPages = data ? Math.max(data.totalPages, 1) : 1;
+
+  // Click a column header to sort by it, again to reverse
+  const toggleSort = (key) => {
+    setSort(sort === key ? `-${key}` : key);
+  };
+  const sortIndicator = (key) => (sort === key ? ' ▲' : sort === `-${key}` ? ' ▼' : '');
 
   // Load remembered filter values from sessionStorage
   useEffect(() => {
@@ -62,13 +111,6 @@ export default function AllStudents() {
     }
   }, []);
 
-  useEffect(() => {
-    if (error) {
-      const timer = setTimeout(() => setError(""), 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error]);
-
   useEffect(() => {
     const token = sessionStorage.getItem("token");
     if (!token) {
@@ -89,10 +131,6 @@ export default function AllStudents() {
     };
   }, [router]);
 
-  useEffect(() => {
-    filterStudents();
-  }, [students, selectedGrade, selectedCenter, searchTerm]);
-
   // Handle click outside to close dropdowns
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -106,49 +144,6 @@ export default function AllStudents() {
     };
   }, []);
 
-  // Auto-refresh students data every 5 seconds
-  useEffect(() => {
-    const interval = setInterval(() => {
-      refetch();
-    }, 5000);
-    
-    return () => clearInterval(interval);
-  }, [refetch]);
-
-  const filterStudents = () => {
-    // Ensure students is always an array
-    if (!Array.isArray(students)) {
-      setFilteredStudents([]);
-      return;
-    }
-    
-    let filtered = students;
-    if (selectedGrade) filtered = filtered.filter(student => 
-      student.grade && student.grade.toLowerCase() === selectedGrade.toLowerCase()
-    );
-    if (selectedCenter) filtered = filtered.filter(student => 
-      student.main_center && student.main_center.toLowerCase() === selectedCenter.toLowerCase()
-    );
-    if (searchTerm.trim() !== "") {
-      const term = searchTerm.trim().toLowerCase();
-      if (/^\d+$/.test(term)) {
-        // Only digits: exact match for ID
-        filtered = filtered.filter(student => student.id.toString() === term);
-      } else {
-        // Otherwise: search in name (includes) or school (includes)
-        filtered = filtered.filter(student =>
-          (student.name && student.name.toLowerCase().includes(term)) ||
-          (student.school && student.school.toLowerCase().includes(term))
-        );
-      }
-    }
-    setFilteredStudents(filtered);
-  };
-
-
-
-
-
   if (isLoading) {
     return (
       <div style={{ 
@@ -221,7 +216,19 @@ export default function AllStudents() {
         </div>
         <div className="history-container">
           <div className="history-title">
-            All Students ({filteredStudents.length} records)
+            All Students ({total} records)
+          </div>
+          <div style={{ marginBottom: 16 }}>
+            <ExportButtons
+              path="/api/exports/students"
+              params={{
+                sort,
+                q: debouncedSearch || undefined,
+                grade: selectedGrade || undefined,
+                center: selectedCenter || undefined
+              }}
+              disabled={total === 0}
+            />
           </div>
           {error && (
             <div style={{
@@ -236,7 +243,7 @@ export default function AllStudents() {
               fontSize: '1.1rem',
               boxShadow: '0 4px 16px rgba(220, 53, 69, 0.08)'
             }}>
-              {error.message || "Failed to fetch students data"}
+              {error.response?.data?.error || error.message || "Failed to fetch students data"}
             </div>
           )}
           {filteredStudents.length === 0 ? (
@@ -251,13 +258,13 @@ export default function AllStudents() {
               <Table striped highlightOnHover withTableBorder withColumnBorders style={{ minWidth: '950px' }}>
                 <Table.Thead style={{ position: 'sticky', top: 0, backgroundColor: '#f8f9fa', zIndex: 10 }}>
                   <Table.Tr>
-                    <Table.Th style={{ width: '80px', minWidth: '80px', textAlign: 'center' }}>ID</Table.Th>
-                    <Table.Th style={{ width: '150px', minWidth: '150px', textAlign: 'center' }}>Name</Table.Th>
-                    <Table.Th style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>Grade</Table.Th>
-                    <Table.Th style={{ width: '150px', minWidth: '150px', textAlign: 'center' }}>School</Table.Th>
+                    <Table.Th style={{ width: '80px', minWidth: '80px', textAlign: 'center', cursor: 'pointer' }} onClick={() => toggleSort('id')}>ID{sortIndicator('id')}</Table.Th>
+                    <Table.Th style={{ width: '150px', minWidth: '150px', textAlign: 'center', cursor: 'pointer' }} onClick={() => toggleSort('name')}>Name{sortIndicator('name')}</Table.Th>
+                    <Table.Th style={{ width: '120px', minWidth: '120px', textAlign: 'center', cursor: 'pointer' }} onClick={() => toggleSort('grade')}>Grade{sortIndicator('grade')}</Table.Th>
+                    <Table.Th style={{ width: '150px', minWidth: '150px', textAlign: 'center', cursor: 'pointer' }} onClick={() => toggleSort('school')}>School{sortIndicator('school')}</Table.Th>
                     <Table.Th style={{ width: '140px', minWidth: '140px', textAlign: 'center' }}>Student Phone</Table.Th>
                     <Table.Th style={{ width: '140px', minWidth: '140px', textAlign: 'center' }}>Parent Phone</Table.Th>
-                    <Table.Th style={{ width: '130px', minWidth: '130px', textAlign: 'center' }}>Center</Table.Th>
+                    <Table.Th style={{ width: '130px', minWidth: '130px', textAlign: 'center', cursor: 'pointer' }} onClick={() => toggleSort('main_center')}>Center{sortIndicator('main_center')}</Table.Th>
                   </Table.Tr>
                 </Table.Thead>
                 <Table.Tbody>
@@ -276,6 +283,17 @@ export default function AllStudents() {
               </Table>
             </ScrollArea>
           )}
+          {totalPages > 1 && (
+            <div className="pagination">
+              <button className="page-btn" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+                ← Previous
+              </button>
+              <span>Page {page} of {totalPages}</span>
+              <button className="page-btn" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>
+                Next →
+              </button>
+            </div>
+          )}
         </div>
         <style jsx>{`
           .filters-container {
@@ -322,6 +340,28 @@ export default function AllStudents() {
             font-style: italic;
             padding: 40px 20px;
           }
+          .pagination {
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            gap: 16px;
+            margin-top: 16px;
+            color: #495057;
+            font-weight: 600;
+          }
+          .page-btn {
+            padding: 8px 16px;
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            font-weight: 600;
+          }
+          .page-btn:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+          }
           .phone-number {
             font-family: monospace;
             font-size: 0.9rem;
@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+
+// API functions
+const archiveAPI = {
+  getArchived: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/archived`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  restore: async (id, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/students/${id}/restore`, {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : 'Never';
+}
+
+export default function ArchivedStudents() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['archived-students'],
+    queryFn: () => archiveAPI.getArchived(token),
+    enabled: !!token
+  });
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const restoreMutation = useMutation({
+    mutationFn: (student) => archiveAPI.restore(student.id, token),
+    onSuccess: (_, student) => {
+      queryClient.invalidateQueries({ queryKey: ['archived-students'] });
+      queryClient.invalidateQueries({ queryKey: ['students'] });
+      setSuccess(`${student.name} (ID ${student.id}) restored.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to restore student');
+    }
+  });
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const term = searchTerm.trim().toLowerCase();
+  const students = (data ? data.students : []).filter(student => !term ||
+    String(student.id).includes(term) ||
+    (student.name && student.name.toLowerCase().includes(term)) ||
+    (student.phone && student.phone.includes(term))
+  );
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>🗄️ Archived Students</Title>
+
+        <div className="archive-container">
+          <div className="hint">
+            {data && data.purgeAfterDays > 0
+              ? `Deleted students are kept here for ${data.purgeAfterDays} days before they are removed for good.`
+              : 'Deleted students are kept here until they are restored.'}
+          </div>
+          <input
+            className="form-input"
+            placeholder="Search by ID, name or phone"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+
+          {error && <div className="error-message">❌ {error}</div>}
+          {success && <div className="success-message">✅ {success}</div>}
+
+          {isLoading ? (
+            <div className="hint">Loading archived students...</div>
+          ) : students.length === 0 ? (
+            <div className="hint">No archived students.</div>
+          ) : (
+            <div className="table-wrapper">
+              <table className="archive-table">
+                <thead>
+                  <tr>
+                    <th>ID</th>
+                    <th>Name</th>
+                    <th>Grade</th>
+                    <th>Main Center</th>
+                    <th>Deleted</th>
+                    <th>Deleted By</th>
+                    <th>Removed On</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {students.map(student => (
+                    <tr key={student.id}>
+                      <td className="id-cell">{student.id}</td>
+                      <td>{student.name}</td>
+                      <td>{student.grade}</td>
+                      <td>{student.main_center}</td>
+                      <td>{formatDate(student.deletedAt)}</td>
+                      <td>{student.deletedByName || student.deletedBy || 'N/A'}</td>
+                      <td>{formatDate(student.purgeAt)}</td>
+                      <td>
+                        <button
+                          className="restore-btn"
+                          onClick={() => restoreMutation.mutate(student)}
+                          disabled={restoreMutation.isPending}
+                        >
+                          ♻️ Restore
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <style jsx>{`
+          .archive-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .form-input {
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .archive-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .archive-table th, .archive-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .id-cell {
+            font-weight: bold;
+            color: #1FA8DC !important;
+          }
+          .restore-btn {
+            padding: 6px 12px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .restore-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          @media (max-width: 480px) {
+            .archive-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
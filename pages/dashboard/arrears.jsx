@@ -0,0 +1,222 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+import CenterSelect from '../../components/CenterSelect';
+import ExportButtons from '../../components/ExportButtons';
+
+// API functions
+const arrearsAPI = {
+  getArrears: async (params, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/payments/arrears`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const formatMoney = (amount, currency) => (amount === null ? 'No price' : `${Number(amount).toFixed(2)} ${currency}`);
+
+export default function Arrears() {
+  const router = useRouter();
+  const [selectedGrade, setSelectedGrade] = useState('');
+  const [selectedCenter, setSelectedCenter] = useState('');
+  const [openDropdown, setOpenDropdown] = useState(null);
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const params = { grade: selectedGrade || undefined, center: selectedCenter || undefined };
+
+  const { data: report, isLoading, error } = useQuery({
+    queryKey: ['arrears', selectedGrade, selectedCenter],
+    queryFn: () => arrearsAPI.getArrears(params, token),
+    enabled: !!token
+  });
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>🧾 Arrears</Title>
+
+        <div className="panel">
+          <div className="hint">
+            Sessions of the current term that were attended but not marked paid, valued at the session price before discounts.
+          </div>
+          <div className="filters">
+            <GradeSelect
+              selectedGrade={selectedGrade}
+              onGradeChange={setSelectedGrade}
+              required={false}
+              isOpen={openDropdown === 'grade'}
+              onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+              onClose={() => setOpenDropdown(null)}
+            />
+            <CenterSelect
+              selectedCenter={selectedCenter}
+              onCenterChange={setSelectedCenter}
+              required={false}
+              isOpen={openDropdown === 'center'}
+              onToggle={() => setOpenDropdown(openDropdown === 'center' ? null : 'center')}
+              onClose={() => setOpenDropdown(null)}
+            />
+          </div>
+          <ExportButtons path="/api/exports/arrears" params={params} disabled={!report || report.students.length === 0} />
+        </div>
+
+        {error && <div className="error-message">❌ {error.response?.data?.error || 'Failed to load arrears'}</div>}
+
+        {isLoading ? (
+          <div className="panel"><div className="hint">Loading arrears...</div></div>
+        ) : report && (
+          <>
+            <div className="panel">
+              <div className="section-title">
+                Total: {formatMoney(report.total.amountDue, report.currency)} for {report.total.sessions} session(s) by {report.total.students} student(s)
+              </div>
+              {report.centers.length > 0 && (
+                <div className="table-wrapper">
+                  <table className="arrears-table">
+                    <thead>
+                      <tr>
+                        <th>Center</th>
+                        <th>Students</th>
+                        <th>Sessions</th>
+                        <th>Amount Due</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.centers.map(center => (
+                        <tr key={center.center}>
+                          <td>{center.center}</td>
+                          <td>{center.students}</td>
+                          <td>{center.sessions}</td>
+                          <td>
+                            {formatMoney(center.amountDue, report.currency)}
+                            {center.unpriced > 0 && ` (+${center.unpriced} without a price)`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            <div className="panel">
+              <div className="section-title">Students</div>
+              {report.students.length === 0 ? (
+                <div className="hint">No arrears. 🎉</div>
+              ) : (
+                <div className="table-wrapper">
+                  <table className="arrears-table">
+                    <thead>
+                      <tr>
+                        <th>ID</th>
+                        <th>Name</th>
+                        <th>Grade</th>
+                        <th>Main Center</th>
+                        <th>Parent&apos;s Phone</th>
+                        <th>Unpaid Weeks</th>
+                        <th>Amount Due</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.students.map(student => (
+                        <tr
+                          key={student.id}
+                          className="clickable"
+                          onClick={() => router.push(`/dashboard/payments?id=${student.id}`)}
+                        >
+                          <td className="id-cell">{student.id}</td>
+                          <td>{student.name}</td>
+                          <td>{student.grade}</td>
+                          <td>{student.main_center}</td>
+                          <td>{student.parentsPhone || 'N/A'}</td>
+                          <td>{student.weeks.join(', ')}</td>
+                          <td>{formatMoney(student.amountDue, report.currency)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </>
+        )}
+
+        <style jsx>{`
+          .panel {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .filters {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .arrears-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .arrears-table th, .arrears-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .arrears-table tr.clickable {
+            cursor: pointer;
+          }
+          .arrears-table tr.clickable:hover td {
+            background: #f8f9fa;
+          }
+          .id-cell {
+            font-weight: bold;
+            color: #1FA8DC !important;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          @media (max-width: 480px) {
+            .panel {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,359 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import CenterSelect from '../../components/CenterSelect';
+import { hasPermission } from '../../lib/permissions';
+
+// API functions
+const cashAPI = {
+  getReport: async (params, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/cash/sessions`, {
+      params,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  closeSession: async (session, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/cash/sessions`, session, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  reopenSession: async ({ date, center }, token) => {
+    const response = await axios.delete(`${getApiBaseUrl()}/api/cash/sessions`, {
+      params: { date, center },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const formatMoney = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function decodeJWT(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch {
+    return null;
+  }
+}
+
+function Difference({ value, currency }) {
+  if (value === 0) return <span style={{ color: '#28a745', fontWeight: 600 }}>✅ Balanced</span>;
+  return (
+    <span style={{ color: '#dc3545', fontWeight: 600 }}>
+      ⚠️ {value > 0 ? 'Over' : 'Short'} by {formatMoney(Math.abs(value), currency)}
+    </span>
+  );
+}
+
+export default function CashReconciliation() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [date, setDate] = useState(today());
+  const [selectedCenter, setSelectedCenter] = useState('');
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [counts, setCounts] = useState({}); // { [center]: { [assistantId]: counted } }
+  const [notes, setNotes] = useState({});
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const user = token ? decodeJWT(token) : null;
+  const can = (permission) => !!user && hasPermission(user.role, permission);
+
+  const { data: report, isLoading, error: loadError } = useQuery({
+    queryKey: ['cash', date, selectedCenter],
+    queryFn: () => cashAPI.getReport({ date, center: selectedCenter || undefined }, token),
+    enabled: !!token && !!date
+  });
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const closeMutation = useMutation({
+    mutationFn: (center) => cashAPI.closeSession({ date, center, counted: counts[center] || {}, note: notes[center] || '' }, token),
+    onSuccess: ({ session }) => {
+      queryClient.invalidateQueries({ queryKey: ['cash'] });
+      setSuccess(`${session.center} session of ${session.date} closed. Payments of this session are now locked.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to close the session');
+    }
+  });
+
+  const reopenMutation = useMutation({
+    mutationFn: (center) => cashAPI.reopenSession({ date, center }, token),
+    onSuccess: (_, center) => {
+      queryClient.invalidateQueries({ queryKey: ['cash'] });
+      setSuccess(`${center} session of ${date} reopened.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to reopen the session');
+    }
+  });
+
+  const setCount = (center, assistantId, value) => {
+    setCounts({ ...counts, [center]: { ...(counts[center] || {}), [assistantId]: value } });
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const currency = report ? report.currency : '';
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>💵 Cash Reconciliation</Title>
+
+        {error && <div className="error-message">❌ {error}</div>}
+        {success && <div className="success-message">✅ {success}</div>}
+
+        <div className="panel">
+          <div className="hint">
+            Expected cash is what each assistant took with the payment toggle on the scan page plus their cash receipts.
+            Enter the cash they hand over and close the session; its payments can then only be changed by an admin.
+          </div>
+          <div className="filters">
+            <input
+              className="form-input"
+              type="date"
+              value={date}
+              max={today()}
+              onChange={(e) => setDate(e.target.value)}
+            />
+            <CenterSelect
+              selectedCenter={selectedCenter}
+              onCenterChange={setSelectedCenter}
+              required={false}
+              isOpen={openDropdown === 'center'}
+              onToggle={() => setOpenDropdown(openDropdown === 'center' ? null : 'center')}
+              onClose={() => setOpenDropdown(null)}
+            />
+          </div>
+        </div>
+
+        {loadError && <div className="error-message">❌ {loadError.response?.data?.error || 'Failed to load the cash report'}</div>}
+
+        {isLoading ? (
+          <div className="panel"><div className="hint">Loading sessions...</div></div>
+        ) : report && report.centers.length === 0 ? (
+          <div className="panel"><div className="hint">No cash was collected on {date}.</div></div>
+        ) : report && report.centers.map(entry => {
+          const closed = entry.closed;
+          return (
+            <div className="panel" key={entry.center}>
+              <div className="section-title">
+                {entry.center || 'No center'} - expected {formatMoney(entry.expected, currency)}
+                {closed && <span className="closed-badge">🔒 Closed</span>}
+              </div>
+              {closed && (
+                <div className="hint">
+                  Closed by {closed.closedByName || closed.closedBy} at {new Date(closed.closedAt).toLocaleString()}.
+                  Counted {formatMoney(closed.counted, currency)}: <Difference value={closed.difference} currency={currency} />
+                  {closed.note && <div>Note: {closed.note}</div>}
+                  {closed.expected !== entry.expected && (
+                    <div className="discrepancy">
+                      ⚠️ Payments changed after closing: expected is now {formatMoney(entry.expected, currency)}, it was {formatMoney(closed.expected, currency)}.
+                    </div>
+                  )}
+                </div>
+              )}
+              <div className="table-wrapper">
+                <table className="cash-table">
+                  <thead>
+                    <tr>
+                      <th>Assistant</th>
+                      <th>Toggles</th>
+                      <th>Cash Receipts</th>
+                      <th>Expected</th>
+                      <th>Counted</th>
+                      <th>Difference</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(closed ? closed.assistants : entry.assistants).map(assistant => {
+                      const live = entry.assistants.find(item => item.assistantId === assistant.assistantId);
+                      const typed = (counts[entry.center] || {})[assistant.assistantId];
+                      const difference = closed
+                        ? assistant.difference
+                        : (typed === undefined || typed === '' ? null : Number(typed) - assistant.expected);
+                      return (
+                        <tr key={assistant.assistantId}>
+                          <td>{assistant.name || assistant.assistantId}</td>
+                          <td>
+                            {live ? `${live.toggles} (${formatMoney(live.toggleAmount, currency)})` : '-'}
+                            {live && live.unpriced > 0 && <div className="discrepancy">{live.unpriced} without a price</div>}
+                          </td>
+                          <td>{live ? `${live.receipts} (${formatMoney(live.receiptAmount, currency)})` : '-'}</td>
+                          <td>{formatMoney(assistant.expected, currency)}</td>
+                          <td>
+                            {closed ? formatMoney(assistant.counted, currency) : (
+                              <input
+                                className="form-input count-input"
+                                type="number"
+                                min={0}
+                                value={typed === undefined ? '' : typed}
+                                onChange={(e) => setCount(entry.center, assistant.assistantId, e.target.value)}
+                                disabled={!can('cash.close')}
+                              />
+                            )}
+                          </td>
+                          <td>
+                            {difference === null ? '-' : <Difference value={Math.round(difference * 100) / 100} currency={currency} />}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              {!closed && can('cash.close') && (
+                <>
+                  <input
+                    className="form-input"
+                    type="text"
+                    placeholder="Note (optional), e.g. why cash is short"
+                    value={notes[entry.center] || ''}
+                    onChange={(e) => setNotes({ ...notes, [entry.center]: e.target.value })}
+                  />
+                  <button
+                    className="primary-btn"
+                    onClick={() => closeMutation.mutate(entry.center)}
+                    disabled={!entry.center || closeMutation.isPending}
+                  >
+                    {closeMutation.isPending ? 'Closing...' : '🔒 Close Session'}
+                  </button>
+                </>
+              )}
+              {closed && can('payments.unlock') && (
+                <button
+                  className="secondary-btn"
+                  onClick={() => reopenMutation.mutate(entry.center)}
+                  disabled={reopenMutation.isPending}
+                >
+                  🔓 Reopen Session
+                </button>
+              )}
+            </div>
+          );
+        })}
+
+        <style jsx>{`
+          .panel {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .closed-badge {
+            margin-left: 10px;
+            background: #6c757d;
+            color: white;
+            border-radius: 6px;
+            padding: 2px 8px;
+            font-size: 0.85rem;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .filters {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .form-input {
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .count-input {
+            width: 110px;
+            padding: 6px 8px;
+          }
+          .primary-btn, .secondary-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .primary-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .secondary-btn {
+            background: #6c757d;
+          }
+          .primary-btn:disabled, .secondary-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .cash-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .cash-table th, .cash-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .discrepancy {
+            color: #dc3545;
+            font-weight: 600;
+          }
+          .error-message, .success-message {
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
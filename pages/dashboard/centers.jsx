@@ -4,6 +4,16 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import axios from 'axios';
 import { getApiBaseUrl } from '../../config';
 import Title from '../../components/Title';
+import { hasPermission } from '../../lib/permissions';
+
+// Manual JWT decode function
+function decodeJWT(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch {
+    return null;
+  }
+}
 
 // API functions
 const centersAPI = {
@@ -52,6 +62,10 @@ export default function Centers() {
   // Get token from sessionStorage (consistent with rest of app)
   const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
   
+  // Only roles with centers.manage can add, rename or delete centers
+  const decoded = token ? decodeJWT(token) : null;
+  const canManage = hasPermission(decoded?.role, 'centers.manage');
+  
   // Debug token
   console.log('🔑 Token available:', !!token);
   if (token) {
@@ -265,28 +279,30 @@ export default function Centers() {
             </p>
           </div>
           
-          <button
-            className="add-center-btn"
-            onClick={() => setShowAddForm(true)}
-            style={{
-              padding: '12px 20px',
-              backgroundColor: '#28a745',
-              color: 'white',
-              border: 'none',
-              borderRadius: '8px',
-              cursor: 'pointer',
-              fontSize: '1rem',
-              fontWeight: '500',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-              transition: 'all 0.2s'
-            }}
-            onMouseEnter={(e) => e.target.style.backgroundColor = '#218838'}
-            onMouseLeave={(e) => e.target.style.backgroundColor = '#28a745'}
-          >
-            ➕ Add Center
-          </button>
+          {canManage && (
+            <button
+              className="add-center-btn"
+              onClick={() => setShowAddForm(true)}
+              style={{
+                padding: '12px 20px',
+                backgroundColor: '#28a745',
+                color: 'white',
+                border: 'none',
+                borderRadius: '8px',
+                cursor: 'pointer',
+                fontSize: '1rem',
+                fontWeight: '500',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                transition: 'all 0.2s'
+              }}
+              onMouseEnter={(e) => e.target.style.backgroundColor = '#218838'}
+              onMouseLeave={(e) => e.target.style.backgroundColor = '#28a745'}
+            >
+              ➕ Add Center
+            </button>
+          )}
         </div>
 
         {/* Error Display */}
@@ -366,44 +382,46 @@ export default function Centers() {
                     Created: {new Date(center.createdAt).toLocaleDateString()}
                   </p>
                 </div>
-                <div className="center-actions" style={{ display: 'flex', gap: '8px' }}>
-                  <button
-                    onClick={() => handleEditCenter(center)}
-                    style={{
-                      padding: '8px 16px',
-                      backgroundColor: '#007bff',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '6px',
-                      cursor: 'pointer',
-                      fontSize: '0.9rem',
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '4px'
-                    }}
-                  >
-                    ✏️ Rename
-                  </button>
-                  <button
-                    onClick={() => handleDeleteCenter(center)}
-                    disabled={deleteMutation.isLoading}
-                    style={{
-                      padding: '8px 16px',
-                      backgroundColor: '#dc3545',
-                      color: 'white',
-                      border: 'none',
-                      borderRadius: '6px',
-                      cursor: deleteMutation.isLoading ? 'not-allowed' : 'pointer',
-                      fontSize: '0.9rem',
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '4px',
-                      opacity: deleteMutation.isLoading ? 0.6 : 1
-                    }}
-                  >
-                    🗑️ Delete
-                  </button>
-                </div>
+                {canManage && (
+                  <div className="center-actions" style={{ display: 'flex', gap: '8px' }}>
+                    <button
+                      onClick={() => handleEditCenter(center)}
+                      style={{
+                        padding: '8px 16px',
+                        backgroundColor: '#007bff',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: 'pointer',
+                        fontSize: '0.9rem',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '4px'
+                      }}
+                    >
+                      ✏️ Rename
+                    </button>
+                    <button
+                      onClick={() => handleDeleteCenter(center)}
+                      disabled={deleteMutation.isLoading}
+                      style={{
+                        padding: '8px 16px',
+                        backgroundColor: '#dc3545',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        cursor: deleteMutation.isLoading ? 'not-allowed' : 'pointer',
+                        fontSize: '0.9rem',
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '4px',
+                        opacity: deleteMutation.isLoading ? 0.6 : 1
+                      }}
+                    >
+                      🗑️ Delete
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -0,0 +1,373 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+
+// API functions
+const calendarAPI = {
+  getCalendar: async (grade, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/calendar/${encodeURIComponent(grade)}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  saveCalendar: async (grade, sessions, token) => {
+    const response = await axios.put(`${getApiBaseUrl()}/api/calendar/${encodeURIComponent(grade)}`,
+      { sessions },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  },
+
+  getCenters: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/centers`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.centers;
+  }
+};
+
+const emptySession = () => ({ date: '', topic: '', type: 'lesson', schedule: [] });
+
+export default function CourseCalendar() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [selectedGrade, setSelectedGrade] = useState('');
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: calendarData, isLoading } = useQuery({
+    queryKey: ['course-calendar', selectedGrade],
+    queryFn: () => calendarAPI.getCalendar(selectedGrade, token),
+    enabled: !!token && !!selectedGrade,
+    staleTime: 0
+  });
+
+  const { data: centers = [] } = useQuery({
+    queryKey: ['centers'],
+    queryFn: () => calendarAPI.getCenters(token),
+    enabled: !!token
+  });
+
+  // Load the stored sessions into the editable form whenever the grade changes
+  useEffect(() => {
+    if (calendarData) {
+      setSessions(calendarData.calendar.sessions.map(session => ({
+        week: session.week,
+        date: session.date || '',
+        topic: session.topic || '',
+        type: session.type || 'lesson',
+        schedule: session.schedule || []
+      })));
+    }
+  }, [calendarData]);
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => calendarAPI.saveCalendar(selectedGrade, sessions.map(session => ({
+      ...session,
+      date: session.date || null
+    })), token),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['course-calendar', selectedGrade] });
+      const { extended, trimmed } = data.migration;
+      setSuccess(`Calendar saved. ${extended} student(s) extended, ${trimmed} trimmed.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to save calendar');
+    }
+  });
+
+  const updateSession = (index, changes) => {
+    setSessions(sessions.map((session, i) => i === index ? { ...session, ...changes } : session));
+  };
+
+  const addSession = (afterIndex) => {
+    const next = [...sessions];
+    next.splice(afterIndex + 1, 0, emptySession());
+    setSessions(next);
+  };
+
+  const removeSession = (index) => {
+    setSessions(sessions.filter((_, i) => i !== index));
+  };
+
+  // Start from the default number of sessions when a grade has no calendar yet
+  const fillDefault = () => {
+    const count = calendarData?.defaultSessionCount || 20;
+    setSessions(Array.from({ length: count }, emptySession));
+  };
+
+  const addScheduleEntry = (index) => {
+    const session = sessions[index];
+    updateSession(index, {
+      schedule: [...session.schedule, { center: centers[0]?.name || '', date: '', startTime: '', endTime: '' }]
+    });
+  };
+
+  const updateScheduleEntry = (index, entryIndex, changes) => {
+    const session = sessions[index];
+    updateSession(index, {
+      schedule: session.schedule.map((entry, i) => i === entryIndex ? { ...entry, ...changes } : entry)
+    });
+  };
+
+  const removeScheduleEntry = (index, entryIndex) => {
+    const session = sessions[index];
+    updateSession(index, { schedule: session.schedule.filter((_, i) => i !== entryIndex) });
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 800, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📅 Course Calendar</Title>
+
+        <div className="calendar-container">
+          <div className="filter-label">Grade</div>
+          <GradeSelect
+            selectedGrade={selectedGrade}
+            onGradeChange={(grade) => {
+              setSelectedGrade(grade);
+              setSessions([]);
+            }}
+            required={false}
+            isOpen={openDropdown === 'grade'}
+            onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+            onClose={() => setOpenDropdown(null)}
+          />
+
+          {error && <div className="error-message">❌ {error}</div>}
+          {success && <div className="success-message">✅ {success}</div>}
+
+          {selectedGrade && isLoading && <div className="hint">Loading calendar...</div>}
+
+          {selectedGrade && !isLoading && (
+            <>
+              <div className="hint">
+                {sessions.length} session(s). Each student in {selectedGrade} will have one week per session.
+              </div>
+
+              {sessions.length === 0 && (
+                <button className="secondary-btn" onClick={fillDefault}>
+                  ➕ Start with {calendarData?.defaultSessionCount || 20} sessions
+                </button>
+              )}
+
+              {sessions.map((session, index) => (
+                <div key={index} className={`session-card ${session.type === 'revision' ? 'revision' : ''}`}>
+                  <div className="session-header">
+                    <strong>Week {String(index + 1).padStart(2, '0')}</strong>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <button className="small-btn" onClick={() => addSession(index)}>➕ Insert after</button>
+                      <button className="small-btn danger" onClick={() => removeSession(index)}>🗑️</button>
+                    </div>
+                  </div>
+                  <div className="session-fields">
+                    <input
+                      type="date"
+                      className="form-input"
+                      value={session.date}
+                      onChange={(e) => updateSession(index, { date: e.target.value })}
+                    />
+                    <input
+                      type="text"
+                      className="form-input"
+                      placeholder="Topic"
+                      value={session.topic}
+                      onChange={(e) => updateSession(index, { topic: e.target.value })}
+                    />
+                    <select
+                      className="form-input"
+                      value={session.type}
+                      onChange={(e) => updateSession(index, { type: e.target.value })}
+                    >
+                      <option value="lesson">Lesson</option>
+                      <option value="revision">Revision</option>
+                    </select>
+                  </div>
+
+                  {session.schedule.map((entry, entryIndex) => (
+                    <div key={entryIndex} className="schedule-row">
+                      <select
+                        className="form-input"
+                        value={entry.center}
+                        onChange={(e) => updateScheduleEntry(index, entryIndex, { center: e.target.value })}
+                      >
+                        {centers.map(center => (
+                          <option key={center.id} value={center.name}>{center.name}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        className="form-input"
+                        value={entry.date || ''}
+                        onChange={(e) => updateScheduleEntry(index, entryIndex, { date: e.target.value })}
+                      />
+                      <input
+                        type="time"
+                        className="form-input"
+                        value={entry.startTime || ''}
+                        onChange={(e) => updateScheduleEntry(index, entryIndex, { startTime: e.target.value })}
+                      />
+                      <input
+                        type="time"
+                        className="form-input"
+                        value={entry.endTime || ''}
+                        onChange={(e) => updateScheduleEntry(index, entryIndex, { endTime: e.target.value })}
+                      />
+                      <button className="small-btn danger" onClick={() => removeScheduleEntry(index, entryIndex)}>✖</button>
+                    </div>
+                  ))}
+                  <button className="small-btn" onClick={() => addScheduleEntry(index)}>🏢 Add center schedule</button>
+                </div>
+              ))}
+
+              {sessions.length > 0 && (
+                <button
+                  className="save-btn"
+                  onClick={() => saveMutation.mutate()}
+                  disabled={saveMutation.isPending}
+                >
+                  {saveMutation.isPending ? 'Saving...' : '💾 Save Calendar'}
+                </button>
+              )}
+            </>
+          )}
+        </div>
+
+        <style jsx>{`
+          .calendar-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .filter-label {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .session-card {
+            border: 1px solid #dee2e6;
+            border-radius: 10px;
+            padding: 14px;
+            background: #f8f9fa;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+          }
+          .session-card.revision {
+            border-color: #ffc107;
+            background: #fff8e1;
+          }
+          .session-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            color: #1FA8DC;
+          }
+          .session-fields, .schedule-row {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .form-input {
+            flex: 1;
+            min-width: 120px;
+            padding: 8px 10px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            color: #000;
+            background: #fff;
+          }
+          .small-btn {
+            padding: 6px 12px;
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85rem;
+            align-self: flex-start;
+          }
+          .small-btn.danger {
+            background: #dc3545;
+          }
+          .secondary-btn, .save-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .secondary-btn {
+            background: #6c757d;
+          }
+          .save-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .save-btn:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          @media (max-width: 480px) {
+            .calendar-container {
+              padding: 14px;
+            }
+            .schedule-row .form-input {
+              min-width: 100%;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
@@ -468,7 +468,7 @@ export default function DeleteStudent() {
                 
                 <div style={{ marginTop: "20px" }}>
                   <p style={{ color: "#dc3545", fontWeight: "bold", marginBottom: "16px" }}>
-                    ⚠️ Are you sure you want to delete this student? This action cannot be undone.
+                    ⚠️ Are you sure you want to delete this student? The student will be archived and can be restored by an admin from Archived Students.
                   </p>
                   <button 
                     className="submit-btn"
@@ -487,7 +487,7 @@ export default function DeleteStudent() {
             <div className="confirm-content">
               <h3>Confirm Delete</h3>
               <p>Are you sure you want to delete student <strong>{student?.name}</strong> (ID: {studentId})?</p>
-              <p><strong>This action cannot be undone!</strong></p>
+              <p>The student and all their weeks are kept in the archive until an admin restores them or the archive period ends.</p>
               <div className="confirm-buttons">
                 <button
                   onClick={deleteStudent}
@@ -512,7 +512,7 @@ export default function DeleteStudent() {
             <div style={{ fontSize: "4rem", marginBottom: "20px" }}>✅</div>
             <h2 style={{ color: "#28a745", marginBottom: "16px" }}>Student Deleted Successfully!</h2>
             <p style={{ color: "#6c757d", marginBottom: "24px" }}>
-              Student ID <strong>{studentId}</strong> has been permanently deleted from the database.
+              Student ID <strong>{studentId}</strong> has been archived. An admin can restore it from Archived Students.
             </p>
             <button 
               className="submit-btn"
@@ -1,17 +1,25 @@
 import { useState, useEffect, useRef } from "react";
 import { useRouter } from "next/router";
 import { AVAILABLE_CENTERS } from "../../constants/centers";
-import { weeks } from "../../constants/weeks";
 import Title from "../../components/Title";
 import GradeSelect from "../../components/GradeSelect";
 import CenterSelect from "../../components/CenterSelect";
 import AttendanceWeekSelect from "../../components/AttendanceWeekSelect";
+import { useWeekOptions } from "../../lib/weeks";
 import { Table, ScrollArea } from '@mantine/core';
 import styles from '../../styles/TableScrollArea.module.css';
 import { IconArrowRight, IconSearch } from '@tabler/icons-react';
 import { ActionIcon, TextInput, useMantineTheme } from '@mantine/core';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
 import { useStudentsHistory } from '../../lib/api/students';
+import { getSelectedTerm } from '../../lib/terms';
+import TermSelect from '../../components/TermSelect';
 import LoadingSkeleton from '../../components/LoadingSkeleton';
+import ExportButtons from '../../components/ExportButtons';
+import { formatQuiz, getQuizPercentage } from '../../lib/quiz';
+import { HOMEWORK_LEVEL_ICONS, formatHomework, formatHomeworkLevel, isHomeworkDone } from '../../lib/homework';
 
 export function InputWithButton(props) {
   const theme = useMantineTheme();
@@ -32,6 +40,38 @@ export function InputWithButton(props) {
   );
 }
 
+const EVENT_LABELS = {
+  attend: '✅ Attended',
+  unattend: '↩️ Attendance undone',
+  hw: '📚 Homework',
+  paid: '💰 Payment',
+  quiz: '📝 Quiz score',
+  message: '💬 Message'
+};
+
+function formatEventValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return 'score' in value ? formatQuiz(value) : 'Cleared';
+  return String(value);
+}
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'N/A';
+}
+
+// History of a closed term; it can not change, so it is not polled like the open term
+const historyAPI = {
+  getTermHistory: async (termId) => {
+    const token = sessionStorage.getItem('token');
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/history`, {
+      params: { term: termId },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
 function decodeJWT(token) {
   try {
     return JSON.parse(atob(token.split('.')[1]));
@@ -49,12 +89,17 @@ export default function History() {
   const [filteredStudents, setFilteredStudents] = useState([]);
   const [openDropdown, setOpenDropdown] = useState(null); // 'grade', 'center', 'week', or null
   const [searchTerm, setSearchTerm] = useState("");
+  const [showUndone, setShowUndone] = useState(false);
+  const [selectedRecord, setSelectedRecord] = useState(null); // record whose event log is open
+  const [selectedTerm, setSelectedTerm] = useState(""); // "" = open term
+  const weekOptions = useWeekOptions(selectedGrade);
 
   // Load remembered filter values from sessionStorage
   useEffect(() => {
     const rememberedGrade = sessionStorage.getItem('historySelectedGrade');
     const rememberedCenter = sessionStorage.getItem('historySelectedCenter');
     const rememberedWeek = sessionStorage.getItem('historySelectedWeek');
+    setSelectedTerm(getSelectedTerm());
     
     if (rememberedGrade) {
       setSelectedGrade(rememberedGrade);
@@ -68,7 +113,8 @@ export default function History() {
   }, []);
 
   // React Query hook with real-time updates - 5 second polling
-  const { data: students = [], isLoading, error, refetch, isRefetching, dataUpdatedAt } = useStudentsHistory({
+  const liveHistory = useStudentsHistory({
+    enabled: !selectedTerm,
     // Aggressive real-time settings for immediate updates
     refetchInterval: 5 * 1000, // Refetch every 5 seconds for real-time updates
     refetchIntervalInBackground: true, // Continue when tab is not active
@@ -78,6 +124,12 @@ export default function History() {
     gcTime: 1000, // Keep in cache for only 1 second
     refetchOnMount: true, // Always refetch when component mounts/page entered
   });
+  const termHistory = useQuery({
+    queryKey: ['students-history', selectedTerm],
+    queryFn: () => historyAPI.getTermHistory(selectedTerm),
+    enabled: !!selectedTerm
+  });
+  const { data: students = [], isLoading, error, refetch, isRefetching, dataUpdatedAt } = selectedTerm ? termHistory : liveHistory;
 
   // Debug: Log React Query status
   useEffect(() => {
@@ -106,7 +158,7 @@ export default function History() {
 
   useEffect(() => {
     filterStudents();
-  }, [students, selectedGrade, selectedCenter, selectedWeek, searchTerm]);
+  }, [students, selectedGrade, selectedCenter, selectedWeek, searchTerm, showUndone]);
 
   // Debug: Log when data changes to confirm real-time updates
   useEffect(() => {
@@ -143,6 +195,11 @@ export default function History() {
     filtered = filtered.map(student => {
       let filteredRecords = [...student.historyRecords];
 
+      // Attendance that was later undone is hidden unless asked for
+      if (!showUndone) {
+        filteredRecords = filteredRecords.filter(record => record.status !== 'undone');
+      }
+
       if (selectedGrade) {
         // Filter by current student grade, not the grade stored in history record
         // This ensures that when a student's grade is edited, filtering works with the updated grade
@@ -290,6 +347,49 @@ export default function History() {
             margin-bottom: 20px;
             text-align: center;
           }
+          .log-btn {
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            padding: 4px 10px;
+            cursor: pointer;
+            font-weight: 600;
+          }
+          .log-btn:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+          }
+          .log-modal {
+            position: fixed;
+            top: 0; left: 0; right: 0; bottom: 0;
+            background: rgba(0,0,0,0.25);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+            padding: 20px;
+          }
+          .log-content {
+            background: #fff;
+            border-radius: 12px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.15);
+            max-width: 520px;
+            width: 100%;
+            max-height: 80vh;
+            overflow-y: auto;
+            color: #000;
+          }
+          .log-item {
+            border-left: 3px solid #1FA8DC;
+            padding: 6px 12px;
+            margin-bottom: 10px;
+          }
+          .log-meta {
+            color: #6c757d;
+            font-size: 0.85rem;
+          }
           .no-results {
             text-align: center;
             color: #6c757d;
@@ -299,6 +399,12 @@ export default function History() {
         `}</style>
 
         <div className="filters-container">
+          <div className="filter-row">
+            <div className="filter-group">
+              <label className="filter-label">Term</label>
+              <TermSelect selectedTerm={selectedTerm} onTermChange={setSelectedTerm} />
+            </div>
+          </div>
           <div className="filter-row">
             <div className="filter-group">
               <label className="filter-label">Filter by Grade</label>
@@ -339,6 +445,7 @@ export default function History() {
             <div className="filter-group">
               <label className="filter-label">Filter by Week</label>
               <AttendanceWeekSelect
+                weeks={weekOptions}
                 selectedWeek={selectedWeek}
                 onWeekChange={(week) => {
                   setSelectedWeek(week);
@@ -355,12 +462,34 @@ export default function History() {
               />
             </div>
           </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, color: '#495057', fontWeight: 600, cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={showUndone}
+              onChange={(e) => setShowUndone(e.target.checked)}
+            />
+            Show undone attendance
+          </label>
         </div>
 
         <div className="history-container">
           <div className="history-title">
             Attendance History ({filteredStudents.reduce((total, student) => total + student.historyRecords.length, 0)} records)
           </div>
+          <div style={{ marginBottom: 16 }}>
+            <ExportButtons
+              path="/api/exports/history"
+              params={{
+                term: selectedTerm || undefined,
+                grade: selectedGrade || undefined,
+                center: selectedCenter || undefined,
+                week: (selectedWeek.match(/week (\d+)/) || [])[1],
+                q: searchTerm.trim() || undefined,
+                showUndone: showUndone || undefined
+              }}
+              disabled={filteredStudents.length === 0}
+            />
+          </div>
           
           {error && (
             <div style={{
@@ -385,7 +514,7 @@ export default function History() {
             </div>
           ) : (
             <ScrollArea h={400} type="hover" className={styles.scrolled}>
-              <Table striped highlightOnHover withTableBorder withColumnBorders style={{ minWidth: '1400px' }}>
+              <Table striped highlightOnHover withTableBorder withColumnBorders style={{ minWidth: '1900px' }}>
                 <Table.Thead style={{ position: 'sticky', top: 0, backgroundColor: '#f8f9fa', zIndex: 10 }}>
                   <Table.Tr>
                     <Table.Th style={{ width: '60px', minWidth: '60px', textAlign: 'center' }}>ID</Table.Th>
@@ -401,6 +530,10 @@ export default function History() {
                     <Table.Th style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>Paid Session</Table.Th>
                     <Table.Th style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>Quiz Degree</Table.Th>
                     <Table.Th style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>Message State</Table.Th>
+                    <Table.Th style={{ width: '110px', minWidth: '110px', textAlign: 'center' }}>Status</Table.Th>
+                    <Table.Th style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>Marked By</Table.Th>
+                    <Table.Th style={{ width: '160px', minWidth: '160px', textAlign: 'center' }}>Marked At</Table.Th>
+                    <Table.Th style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>Log</Table.Th>
                   </Table.Tr>
                 </Table.Thead>
                 <Table.Tbody>
@@ -417,12 +550,20 @@ export default function History() {
                         <Table.Td style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>{record.main_center || 'N/A'}</Table.Td>
                         <Table.Td style={{ width: '140px', minWidth: '140px', textAlign: 'center' }}>{record.attendanceDate || 'N/A'}</Table.Td>
                         <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>
-                          <span style={{ 
-                            color: record.hwDone ? '#28a745' : '#dc3545',
-                            fontWeight: 'bold'
-                          }}>
-                            {record.hwDone ? '✅ Done' : '❌ Not Done'}
+                          <span
+                            title={formatHomework(record.homework) || undefined}
+                            style={{ 
+                              color: isHomeworkDone(record.homework) ? '#28a745' : '#dc3545',
+                              fontWeight: 'bold'
+                            }}
+                          >
+                            {record.homework
+                              ? `${HOMEWORK_LEVEL_ICONS[record.homework.level]} ${formatHomeworkLevel(record.homework)}`
+                              : '❌ Not Done'}
                           </span>
+                          {record.homework && record.homework.note && (
+                            <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{record.homework.note}</div>
+                          )}
                         </Table.Td>
                         <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>
                           <span style={{ 
@@ -432,7 +573,7 @@ export default function History() {
                             {record.paidSession ? '✅ Paid' : '❌ Not Paid'}
                           </span>
                         </Table.Td>
-                        <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>{record.quizDegree || '0/0'}</Table.Td>
+                        <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>{record.quiz ? `${formatQuiz(record.quiz)} (${getQuizPercentage(record.quiz)}%)` : '0/0'}</Table.Td>
                         <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>
                           <span style={{ 
                             color: record.message_state ? '#28a745' : '#dc3545',
@@ -441,6 +582,25 @@ export default function History() {
                             {record.message_state ? '✓ Sent' : '✗ Not Sent'}
                           </span>
                         </Table.Td>
+                        <Table.Td style={{ width: '110px', minWidth: '110px', textAlign: 'center' }}>
+                          <span style={{ 
+                            color: record.status === 'undone' ? '#dc3545' : '#28a745',
+                            fontWeight: 'bold'
+                          }}>
+                            {record.status === 'undone' ? '↩️ Undone' : '✅ Attended'}
+                          </span>
+                        </Table.Td>
+                        <Table.Td style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>{record.markedByName || record.markedBy || 'N/A'}</Table.Td>
+                        <Table.Td style={{ width: '160px', minWidth: '160px', textAlign: 'center' }}>{formatTimestamp(record.markedAt)}</Table.Td>
+                        <Table.Td style={{ width: '100px', minWidth: '100px', textAlign: 'center' }}>
+                          <button
+                            className="log-btn"
+                            onClick={() => setSelectedRecord({ student, record })}
+                            disabled={!record.events || record.events.length === 0}
+                          >
+                            📜 {record.events ? record.events.length : 0}
+                          </button>
+                        </Table.Td>
                       </Table.Tr>
                     ))
                   )}
@@ -449,6 +609,28 @@ export default function History() {
             </ScrollArea>
           )}
         </div>
+
+        {/* Event log for one student-week */}
+        {selectedRecord && (
+          <div className="log-modal" onClick={() => setSelectedRecord(null)}>
+            <div className="log-content" onClick={(e) => e.stopPropagation()}>
+              <h3 style={{ marginTop: 0 }}>
+                {selectedRecord.student.name} - week {String(selectedRecord.record.week).padStart(2, '0')}
+              </h3>
+              {selectedRecord.record.events.map((event, index) => (
+                <div key={index} className="log-item">
+                  <div style={{ fontWeight: 600 }}>
+                    {EVENT_LABELS[event.action] || event.action}: {formatEventValue(event.previousValue)} → {formatEventValue(event.value)}
+                  </div>
+                  <div className="log-meta">
+                    {event.actorName || event.actor || 'Unknown'} • {formatTimestamp(event.createdAt)}{event.center ? ` • ${event.center}` : ''}
+                  </div>
+                </div>
+              ))}
+              <button className="log-btn" onClick={() => setSelectedRecord(null)}>Close</button>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,376 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useMutation } from '@tanstack/react-query';
+import axios from 'axios';
+import * as XLSX from 'xlsx';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import { STUDENT_INPUT_FIELDS, STUDENT_FIELD_LABELS } from '../../lib/studentValidation';
+
+// API functions
+const importAPI = {
+  importStudents: async (rows, dryRun, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/students/import`,
+      { rows, dryRun },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  }
+};
+
+// Header names the columns are matched against when a file is loaded
+const HEADER_GUESSES = {
+  name: ['name', 'student name', 'full name'],
+  grade: ['grade', 'class', 'year'],
+  phone: ['phone', 'student phone', 'mobile', 'student mobile'],
+  parents_phone: ['parents phone', "parent's phone", 'parent phone', 'parents_phone', 'guardian phone'],
+  main_center: ['main center', 'main_center', 'center', 'centre'],
+  age: ['age'],
+  school: ['school']
+};
+
+const cleanHeader = (header) => String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+
+function guessMapping(headers) {
+  const mapping = {};
+  STUDENT_INPUT_FIELDS.forEach(field => {
+    const index = headers.findIndex(header => HEADER_GUESSES[field].includes(cleanHeader(header)));
+    mapping[field] = index === -1 ? '' : String(index);
+  });
+  return mapping;
+}
+
+// First sheet of a CSV/XLSX file as { headers, rows } of display strings
+async function readSpreadsheet(file) {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headers = [], ...rows] = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+  return {
+    headers: headers.map((header, index) => String(header).trim() || `Column ${index + 1}`),
+    rows: rows.filter(row => row.some(cell => String(cell).trim() !== ''))
+  };
+}
+
+const STATUS_LABELS = {
+  ok: '✅ Ready',
+  imported: '✅ Imported',
+  invalid: '❌ Invalid',
+  duplicate: '⚠️ Duplicate'
+};
+
+function describeDuplicate(duplicate) {
+  if (duplicate.type === 'existing') return `Phone already registered to student #${duplicate.studentId}`;
+  if (duplicate.type === 'archived') return `Phone belongs to archived student #${duplicate.studentId} (restore it instead)`;
+  return `Same phone as row ${duplicate.row}`;
+}
+
+export default function ImportStudents() {
+  const router = useRouter();
+  const [fileName, setFileName] = useState('');
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const mappedRows = () => sheet.rows.map(row => {
+    const student = {};
+    STUDENT_INPUT_FIELDS.forEach(field => {
+      student[field] = mapping[field] === '' ? '' : row[Number(mapping[field])];
+    });
+    return student;
+  });
+
+  const importMutation = useMutation({
+    mutationFn: (dryRun) => importAPI.importStudents(mappedRows(), dryRun, token),
+    onSuccess: (data) => {
+      setReport(data);
+      if (!data.dryRun) {
+        const ids = data.inserted;
+        setSuccess(ids.length > 0
+          ? `${ids.length} student(s) imported with IDs ${ids[0]} to ${ids[ids.length - 1]}.`
+          : 'No rows were imported.');
+      }
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to import students');
+    }
+  });
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setReport(null);
+    try {
+      const data = await readSpreadsheet(file);
+      if (data.rows.length === 0) {
+        setError('The file has no student rows');
+        return;
+      }
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessMapping(data.headers));
+    } catch (err) {
+      console.error('Failed to read spreadsheet:', err);
+      setError('Could not read the file, please upload a CSV or XLSX file');
+    }
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const missingColumns = STUDENT_INPUT_FIELDS.filter(field => field !== 'age' && mapping[field] === '');
+  const previewed = report && report.dryRun;
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 1000, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📥 Import Students</Title>
+
+        <div className="import-container">
+          <div className="hint">
+            Upload a CSV or XLSX file with one student per row and a header row. Rows are checked with the same rules as Add Student before anything is saved.
+          </div>
+          <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} className="file-input" />
+
+          {error && <div className="error-message">❌ {error}</div>}
+          {success && <div className="success-message">✅ {success}</div>}
+
+          {sheet && (
+            <>
+              <div className="section-title">Columns of {fileName} ({sheet.rows.length} rows)</div>
+              <div className="mapping-grid">
+                {STUDENT_INPUT_FIELDS.map(field => (
+                  <label key={field} className="mapping-item">
+                    <span>{STUDENT_FIELD_LABELS[field]}</span>
+                    <select
+                      className="form-input"
+                      value={mapping[field]}
+                      onChange={(e) => {
+                        setMapping({ ...mapping, [field]: e.target.value });
+                        setReport(null);
+                      }}
+                    >
+                      <option value="">- Not in file -</option>
+                      {sheet.headers.map((header, index) => (
+                        <option key={index} value={String(index)}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {missingColumns.length > 0 && (
+                <div className="hint">
+                  Unmapped required columns: {missingColumns.map(field => STUDENT_FIELD_LABELS[field]).join(', ')}
+                </div>
+              )}
+
+              <div className="actions">
+                <button
+                  className="preview-btn"
+                  onClick={() => importMutation.mutate(true)}
+                  disabled={importMutation.isPending}
+                >
+                  {importMutation.isPending && importMutation.variables === true ? 'Checking...' : '🔍 Check Rows'}
+                </button>
+                <button
+                  className="import-btn"
+                  onClick={() => importMutation.mutate(false)}
+                  disabled={!previewed || report.summary.ok === 0 || importMutation.isPending}
+                >
+                  {importMutation.isPending && importMutation.variables === false
+                    ? 'Importing...'
+                    : `📥 Import ${previewed ? report.summary.ok : ''} Student(s)`}
+                </button>
+              </div>
+            </>
+          )}
+
+          {report && (
+            <>
+              <div className="summary">
+                <span>Total: {report.summary.total}</span>
+                <span className="ok">Ready: {report.summary.ok}</span>
+                <span className="invalid">Invalid: {report.summary.invalid}</span>
+                <span className="duplicate">Duplicates: {report.summary.duplicate}</span>
+                {!report.dryRun && <span className="ok">Imported: {report.summary.imported || 0}</span>}
+              </div>
+              <div className="table-wrapper">
+                <table className="report-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Status</th>
+                      <th>Name</th>
+                      <th>Grade</th>
+                      <th>Phone</th>
+                      <th>Center</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.rows.map(row => (
+                      <tr key={row.row} className={row.status}>
+                        <td>{row.row}</td>
+                        <td>{STATUS_LABELS[row.status]}</td>
+                        <td>{row.student.name}</td>
+                        <td>{row.student.grade}</td>
+                        <td>{row.student.phone}</td>
+                        <td>{row.student.main_center}</td>
+                        <td>
+                          {row.status === 'imported' && `ID ${row.studentId}`}
+                          {row.errors.join('; ')}
+                          {row.errors.length === 0 && row.duplicate && describeDuplicate(row.duplicate)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+
+        <style jsx>{`
+          .import-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .file-input {
+            color: #495057;
+          }
+          .mapping-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 10px;
+          }
+          .mapping-item {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            font-size: 0.9rem;
+            color: #495057;
+          }
+          .form-input {
+            padding: 8px 10px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            color: #000;
+            background: #fff;
+          }
+          .actions {
+            display: flex;
+            gap: 10px;
+            flex-wrap: wrap;
+          }
+          .preview-btn, .import-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .preview-btn {
+            background: linear-gradient(135deg, #1FA8DC 0%, #87CEEB 100%);
+          }
+          .import-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .preview-btn:disabled, .import-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .summary {
+            display: flex;
+            gap: 16px;
+            flex-wrap: wrap;
+            font-weight: 600;
+            color: #495057;
+          }
+          .summary .ok {
+            color: #28a745;
+          }
+          .summary .invalid {
+            color: #dc3545;
+          }
+          .summary .duplicate {
+            color: #e0a800;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .report-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .report-table th, .report-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: left;
+            color: #212529;
+          }
+          .report-table tr.invalid td {
+            background: #fdecea;
+          }
+          .report-table tr.duplicate td {
+            background: #fff8e1;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          @media (max-width: 480px) {
+            .import-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
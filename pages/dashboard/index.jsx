@@ -1,6 +1,9 @@
 import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import Image from 'next/image';
+import { hasPermission } from '../../lib/permissions';
+import { getSelectedTerm } from '../../lib/terms';
+import TermSelect from '../../components/TermSelect';
 
 // Manual JWT decode function
 function decodeJWT(token) {
@@ -14,6 +17,7 @@ function decodeJWT(token) {
 export default function Dashboard() {
   const router = useRouter();
   const [userRole, setUserRole] = useState("");
+  const [selectedTerm, setSelectedTerm] = useState("");
 
   useEffect(() => {
     const token = sessionStorage.getItem("token");
@@ -31,8 +35,11 @@ export default function Dashboard() {
     
     // Set user role for conditional rendering
     setUserRole(decoded.role);
+    setSelectedTerm(getSelectedTerm());
   }, [router]);
 
+  const can = (permission) => hasPermission(userRole, permission);
+
   return (
     <div style={{ 
       // height: "calc(100dvh - 10rem)",
@@ -120,12 +127,18 @@ export default function Dashboard() {
         }
       `}</style>
           <div style={{ marginTop: 30 }}>
-        <button 
-          className="dashboard-btn"
-          onClick={() => router.push("/dashboard/scan_page")}
-        >
-          📱 QR Code Scanner
-        </button>
+        {/* Term switcher: history and student info open on the chosen term */}
+        <div style={{ marginBottom: 16, textAlign: "left" }}>
+          <TermSelect selectedTerm={selectedTerm} onTermChange={setSelectedTerm} />
+        </div>
+        {can("attendance.mark") && (
+          <button 
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/scan_page")}
+          >
+            📱 QR Code Scanner
+          </button>
+        )}
 
         <button
           className="dashboard-btn"
@@ -139,25 +152,55 @@ export default function Dashboard() {
         >
           📋 Student Info
         </button>
-        <button
-          className="dashboard-btn"
-          onClick={() => router.push("/dashboard/add_student")}
-        >
-              ➕ Add Student
-        </button>
-        <button
-          className="dashboard-btn"
-          onClick={() => router.push("/dashboard/edit_student")}
-        >
-              ✏️ Edit Student
-        </button>
-        <button 
-          className="dashboard-btn"
-          onClick={() => router.push("/dashboard/delete_student")}
-          style={{ background: "linear-gradient(90deg, #dc3545 0%, #ff6b6b 100%)" }}
-        >
-          🗑️ Delete Student
-        </button>
+        {can("students.create") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/add_student")}
+          >
+                ➕ Add Student
+          </button>
+        )}
+        {can("students.create") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/import_students")}
+          >
+            📥 Import Students
+          </button>
+        )}
+        {can("students.edit") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/edit_student")}
+          >
+                ✏️ Edit Student
+          </button>
+        )}
+        {can("students.delete") && (
+          <button 
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/delete_student")}
+            style={{ background: "linear-gradient(90deg, #dc3545 0%, #ff6b6b 100%)" }}
+          >
+            🗑️ Delete Student
+          </button>
+        )}
+        {can("students.restore") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/archived_students")}
+          >
+            🗄️ Archived Students
+          </button>
+        )}
+        {can("snapshots.manage") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/snapshots")}
+          >
+            📸 Snapshots &amp; Term Reset
+          </button>
+        )}
         <button
           className="dashboard-btn"
           onClick={() => router.push("/dashboard/qr_generator")}
@@ -182,6 +225,76 @@ export default function Dashboard() {
         >
           📋 History
         </button>
+        <button
+          className="dashboard-btn"
+          onClick={() => router.push("/dashboard/report_cards")}
+        >
+          🖨️ Report Cards
+        </button>
+        {can("messages.send") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/messages")}
+          >
+            📨 WhatsApp Messages
+          </button>
+        )}
+        {can("payments.view") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/payments")}
+          >
+            💰 Payments
+          </button>
+        )}
+        {can("payments.view") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/arrears")}
+          >
+            🧾 Arrears
+          </button>
+        )}
+        {can("payments.view") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/cash")}
+          >
+            💵 Cash Reconciliation
+          </button>
+        )}
+        {can("pricing.manage") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/pricing")}
+          >
+            💲 Pricing
+          </button>
+        )}
+        {can("calendar.manage") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/course_calendar")}
+          >
+            📅 Course Calendar
+          </button>
+        )}
+        {can("quizzes.manage") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/quizzes")}
+          >
+            🧪 Quizzes
+          </button>
+        )}
+        {can("templates.manage") && (
+          <button
+            className="dashboard-btn"
+            onClick={() => router.push("/dashboard/message_templates")}
+          >
+            📝 Message Templates
+          </button>
+        )}
       </div>
       </div>
     </div>
@@ -0,0 +1,388 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import {
+  TEMPLATE_TYPES,
+  TEMPLATE_TYPE_LABELS,
+  TEMPLATE_LANGUAGES,
+  TEMPLATE_LANGUAGE_LABELS,
+  buildTemplateContext,
+  renderTemplate,
+  validateTemplate
+} from '../../lib/messageTemplates';
+
+// API functions
+const templatesAPI = {
+  getTemplates: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/message-templates`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  saveTemplate: async (type, language, body, token) => {
+    const response = await axios.put(`${getApiBaseUrl()}/api/message-templates/${type}`,
+      { language, body },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  },
+
+  resetTemplate: async (type, language, token) => {
+    const response = await axios.delete(`${getApiBaseUrl()}/api/message-templates/${type}`, {
+      params: { language },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  getStudent: async (id, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/${id}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+export default function MessageTemplates() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const textareaRef = useRef(null);
+  const [type, setType] = useState('weekly_report');
+  const [language, setLanguage] = useState('en');
+  const [body, setBody] = useState('');
+  const [studentId, setStudentId] = useState('');
+  const [previewId, setPreviewId] = useState('');
+  const [previewWeek, setPreviewWeek] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['message-templates'],
+    queryFn: () => templatesAPI.getTemplates(token),
+    enabled: !!token,
+    staleTime: 0
+  });
+
+  const { data: student, error: studentError } = useQuery({
+    queryKey: ['student', previewId],
+    queryFn: () => templatesAPI.getStudent(previewId, token),
+    enabled: !!token && !!previewId,
+    retry: false
+  });
+
+  const current = data?.templates.find(t => t.type === type && t.language === language);
+
+  // Load the stored text whenever another template is selected
+  useEffect(() => {
+    if (current) setBody(current.body);
+  }, [current?.type, current?.language, current?.body]);
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => templatesAPI.saveTemplate(type, language, body, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['message-templates'] });
+      setSuccess('Template saved');
+    },
+    onError: (err) => {
+      const details = err.response?.data?.details;
+      setError(details ? details.join(', ') : err.response?.data?.error || 'Failed to save template');
+    }
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: () => templatesAPI.resetTemplate(type, language, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['message-templates'] });
+      setSuccess('Template reset to default');
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to reset template');
+    }
+  });
+
+  // Insert a placeholder at the cursor position
+  const insertText = (text) => {
+    const textarea = textareaRef.current;
+    if (!textarea) {
+      setBody(body + text);
+      return;
+    }
+    const start = textarea.selectionStart;
+    const end = textarea.selectionEnd;
+    setBody(body.slice(0, start) + text + body.slice(end));
+    setTimeout(() => {
+      textarea.focus();
+      textarea.selectionStart = textarea.selectionEnd = start + text.length;
+    }, 0);
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const validationErrors = validateTemplate(body);
+  let preview = '';
+  if (student) {
+    const weeks = student.weeks || [];
+    const weekNumber = parseInt(previewWeek);
+    const weekData = weekNumber
+      ? weeks[weekNumber - 1] || { week: weekNumber }
+      : weeks.find(w => w.attended) || weeks[0] || { week: 1 };
+    preview = renderTemplate(body, buildTemplateContext(student, weekData, language));
+  }
+  const hasChanges = current && body !== current.body;
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📝 Message Templates</Title>
+
+        <div className="templates-container">
+          <div className="selectors">
+            <select className="form-input" value={type} onChange={(e) => setType(e.target.value)}>
+              {TEMPLATE_TYPES.map(t => (
+                <option key={t} value={t}>{TEMPLATE_TYPE_LABELS[t]}</option>
+              ))}
+            </select>
+            <select className="form-input" value={language} onChange={(e) => setLanguage(e.target.value)}>
+              {TEMPLATE_LANGUAGES.map(l => (
+                <option key={l} value={l}>{TEMPLATE_LANGUAGE_LABELS[l]}</option>
+              ))}
+            </select>
+          </div>
+
+          {isLoading ? (
+            <div className="hint">Loading templates...</div>
+          ) : (
+            <>
+              <div className="hint">
+                {current?.isDefault
+                  ? 'Using the built-in default template.'
+                  : `Last edited${current?.updatedByName ? ` by ${current.updatedByName}` : ''}${current?.updatedAt ? ` on ${new Date(current.updatedAt).toLocaleString()}` : ''}.`}
+              </div>
+
+              <div className="chips">
+                {data && Object.entries(data.placeholders).map(([key, description]) => (
+                  <button key={key} className="chip" title={description} onClick={() => insertText(`{${key}}`)}>
+                    {`{${key}}`}
+                  </button>
+                ))}
+              </div>
+              <div className="chips">
+                {data && Object.entries(data.sections).map(([key, description]) => (
+                  <button
+                    key={key}
+                    className="chip section"
+                    title={`Only when: ${description}`}
+                    onClick={() => insertText(`{#${key}}{/${key}}`)}
+                  >
+                    {`{#${key}}…{/${key}}`}
+                  </button>
+                ))}
+              </div>
+              <div className="hint">
+                Use {'{^attended}...{/attended}'} for text shown only when the condition is false.
+              </div>
+
+              <textarea
+                ref={textareaRef}
+                className="form-input template-text"
+                dir={language === 'ar' ? 'rtl' : 'ltr'}
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                rows={14}
+              />
+
+              {validationErrors.length > 0 && (
+                <div className="validation">
+                  {validationErrors.map(message => <div key={message}>⚠️ {message}</div>)}
+                </div>
+              )}
+
+              <div className="section-title">Live preview</div>
+              <form
+                className="selectors"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  setPreviewId(studentId.trim());
+                }}
+              >
+                <input
+                  className="form-input"
+                  placeholder="Student ID"
+                  value={studentId}
+                  onChange={(e) => setStudentId(e.target.value)}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  className="form-input"
+                  placeholder="Week (default: current)"
+                  value={previewWeek}
+                  onChange={(e) => setPreviewWeek(e.target.value)}
+                />
+                <button type="submit" className="small-btn">🔍 Load student</button>
+              </form>
+              {studentError && <div className="validation">⚠️ Student not found</div>}
+              {student && (
+                <pre className="preview" dir={language === 'ar' ? 'rtl' : 'ltr'}>{preview}</pre>
+              )}
+
+              {error && <div className="error-message">❌ {error}</div>}
+              {success && <div className="success-message">✅ {success}</div>}
+
+              <div className="actions">
+                <button
+                  className="save-btn"
+                  onClick={() => saveMutation.mutate()}
+                  disabled={!hasChanges || validationErrors.length > 0 || saveMutation.isPending}
+                >
+                  {saveMutation.isPending ? 'Saving...' : '💾 Save Template'}
+                </button>
+                <button
+                  className="secondary-btn"
+                  onClick={() => resetMutation.mutate()}
+                  disabled={current?.isDefault || resetMutation.isPending}
+                >
+                  ↩️ Reset to Default
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <style jsx>{`
+          .templates-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .selectors, .actions {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          .form-input {
+            flex: 1;
+            min-width: 140px;
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            color: #000;
+            background: #fff;
+          }
+          .template-text {
+            font-family: monospace;
+            resize: vertical;
+          }
+          .chips {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+          }
+          .chip {
+            padding: 4px 10px;
+            border: 1px solid #1FA8DC;
+            border-radius: 14px;
+            background: #e8f6fc;
+            color: #1FA8DC;
+            font-family: monospace;
+            cursor: pointer;
+          }
+          .chip.section {
+            border-color: #FEB954;
+            background: #fff8e1;
+            color: #b7791f;
+          }
+          .preview {
+            white-space: pre-wrap;
+            background: #dcf8c6;
+            color: #000;
+            border-radius: 10px;
+            padding: 14px;
+            margin: 0;
+            font-family: inherit;
+          }
+          .validation {
+            color: #dc3545;
+            font-size: 0.9rem;
+          }
+          .small-btn {
+            padding: 8px 14px;
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            cursor: pointer;
+          }
+          .secondary-btn, .save-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .secondary-btn {
+            background: #6c757d;
+          }
+          .save-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .save-btn:disabled, .secondary-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
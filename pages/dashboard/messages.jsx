@@ -0,0 +1,379 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+import { TEMPLATE_LANGUAGES, TEMPLATE_LANGUAGE_LABELS } from '../../lib/messageTemplates';
+
+// API functions
+const messagesAPI = {
+  getMessages: async (batchId, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/messages`, {
+      params: batchId ? { batchId } : {},
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  queueSession: async (session, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/messages/batches`, session, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  retryMessage: async (id, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/messages/${id}/retry`, {}, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  getCenters: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/centers`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.centers;
+  }
+};
+
+const STATUS_COLORS = {
+  queued: '#6c757d',
+  sending: '#1FA8DC',
+  sent: '#28a745',
+  failed: '#dc3545'
+};
+
+export default function Messages() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [selectedCenter, setSelectedCenter] = useState('');
+  const [selectedGrade, setSelectedGrade] = useState('');
+  const [selectedWeek, setSelectedWeek] = useState('');
+  const [language, setLanguage] = useState('en');
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: centers = [] } = useQuery({
+    queryKey: ['centers'],
+    queryFn: () => messagesAPI.getCenters(token),
+    enabled: !!token
+  });
+
+  // Poll the queue while messages are still waiting to be sent
+  const { data: queueData } = useQuery({
+    queryKey: ['message-queue', batch?.batchId || 'all'],
+    queryFn: () => messagesAPI.getMessages(batch?.batchId, token),
+    enabled: !!token,
+    staleTime: 0,
+    refetchInterval: (query) => {
+      const counts = query.state.data?.counts;
+      return counts && counts.queued + counts.sending > 0 ? 3000 : false;
+    }
+  });
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const queueMutation = useMutation({
+    mutationFn: () => messagesAPI.queueSession({
+      center: selectedCenter,
+      grade: selectedGrade || undefined,
+      week: parseInt(selectedWeek),
+      language
+    }, token),
+    onSuccess: (data) => {
+      setBatch(data.batch);
+      setSuccess(`${data.batch.counts.queued} report(s) queued, ${data.batch.counts.skipped} skipped.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to queue reports');
+    }
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: (id) => messagesAPI.retryMessage(id, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['message-queue'] });
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to retry message');
+    }
+  });
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const counts = queueData?.counts || { queued: 0, sending: 0, sent: 0, failed: 0 };
+  const total = counts.queued + counts.sending + counts.sent + counts.failed;
+  const done = counts.sent + counts.failed;
+  const messages = queueData?.messages || [];
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📨 WhatsApp Messages</Title>
+
+        <div className="messages-container">
+          {queueData && !queueData.workerRunning && (
+            <div className="error-message">
+              ⚠️ The message worker is not running, so queued messages are not being sent. Start one server instance with MESSAGE_WORKER=on.
+            </div>
+          )}
+          <div className="section-title">Queue a session's parent reports</div>
+          <div className="filters">
+            <select
+              className="form-input"
+              value={selectedCenter}
+              onChange={(e) => setSelectedCenter(e.target.value)}
+            >
+              <option value="">Select center</option>
+              {centers.map(center => (
+                <option key={center.id} value={center.name}>{center.name}</option>
+              ))}
+            </select>
+            <div style={{ flex: 1, minWidth: 160 }}>
+              <GradeSelect
+                selectedGrade={selectedGrade}
+                onGradeChange={setSelectedGrade}
+                required={false}
+                isOpen={openDropdown === 'grade'}
+                onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+                onClose={() => setOpenDropdown(null)}
+              />
+            </div>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              placeholder="Week"
+              value={selectedWeek}
+              onChange={(e) => setSelectedWeek(e.target.value)}
+            />
+            <select
+              className="form-input"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+            >
+              {TEMPLATE_LANGUAGES.map(l => (
+                <option key={l} value={l}>{TEMPLATE_LANGUAGE_LABELS[l]}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            className="queue-btn"
+            onClick={() => queueMutation.mutate()}
+            disabled={!selectedCenter || !selectedWeek || queueMutation.isPending}
+          >
+            {queueMutation.isPending ? 'Queueing...' : '📤 Queue Parent Reports'}
+          </button>
+
+          {error && <div className="error-message">❌ {error}</div>}
+          {success && <div className="success-message">✅ {success}</div>}
+
+          {batch && batch.counts.skipped > 0 && (
+            <details className="skipped">
+              <summary>{batch.counts.skipped} student(s) skipped</summary>
+              {batch.outcomes.filter(item => item.status === 'skipped').map(item => (
+                <div key={item.studentId}>#{item.studentId} {item.name} - {item.reason}</div>
+              ))}
+            </details>
+          )}
+
+          <div className="section-title" style={{ marginTop: 16 }}>
+            {batch ? 'Batch progress' : 'Recent messages'}
+            {batch && (
+              <button className="small-btn" onClick={() => setBatch(null)}>Show all</button>
+            )}
+          </div>
+
+          <div className="progress-bar">
+            <div className="progress-fill" style={{ width: total ? `${(done / total) * 100}%` : 0 }} />
+          </div>
+          <div className="counts">
+            {Object.keys(counts).map(status => (
+              <span key={status} style={{ color: STATUS_COLORS[status] }}>
+                {status}: {counts[status]}
+              </span>
+            ))}
+          </div>
+
+          <div className="table-wrapper">
+            <table className="messages-table">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Week</th>
+                  <th>Phone</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Last Error</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {messages.length === 0 ? (
+                  <tr><td colSpan={7} style={{ textAlign: 'center', color: '#6c757d' }}>No messages</td></tr>
+                ) : messages.map(message => (
+                  <tr key={message._id}>
+                    <td>#{message.studentId} {message.studentName || ''}</td>
+                    <td>{message.week || '-'}</td>
+                    <td>{message.phone}</td>
+                    <td style={{ color: STATUS_COLORS[message.status], fontWeight: 600 }}>{message.status}</td>
+                    <td>{message.attempts}/{message.maxAttempts}</td>
+                    <td>{message.lastError || '-'}</td>
+                    <td>
+                      {message.status === 'failed' && (
+                        <button
+                          className="small-btn"
+                          onClick={() => retryMutation.mutate(message._id)}
+                          disabled={retryMutation.isPending}
+                        >
+                          🔁 Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <style jsx>{`
+          .messages-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+          }
+          .filters {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+            align-items: center;
+          }
+          .form-input {
+            flex: 1;
+            min-width: 120px;
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            color: #000;
+            background: #fff;
+          }
+          .queue-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .queue-btn:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+          }
+          .small-btn {
+            padding: 6px 12px;
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            cursor: pointer;
+            font-size: 0.85rem;
+          }
+          .skipped {
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          .progress-bar {
+            height: 12px;
+            background: #e9ecef;
+            border-radius: 6px;
+            overflow: hidden;
+          }
+          .progress-fill {
+            height: 100%;
+            background: linear-gradient(90deg, #1FA8DC 0%, #28a745 100%);
+            transition: width 0.3s ease;
+          }
+          .counts {
+            display: flex;
+            gap: 16px;
+            flex-wrap: wrap;
+            font-weight: 600;
+            text-transform: capitalize;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .messages-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .messages-table th, .messages-table td {
+            border: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: left;
+            color: #212529;
+          }
+          .messages-table th {
+            background: #f8f9fa;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          @media (max-width: 480px) {
+            .messages-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
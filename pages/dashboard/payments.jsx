@@ -0,0 +1,587 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import { downloadFile, getDownloadError } from '../../lib/download';
+import { hasPermission } from '../../lib/permissions';
+
+// API functions
+const paymentsAPI = {
+  getLedger: async (id, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/${id}/payments`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  submit: async (id, payment, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/students/${id}/payments`, payment, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  voidReceipt: async (receiptNumber, reason, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/payments/${receiptNumber}/void`, { reason }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const METHOD_LABELS = { cash: '💵 Cash', card: '💳 Card', transfer: '🏦 Bank transfer', wallet: '📱 Mobile wallet' };
+
+const formatMoney = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+function decodeJWT(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch {
+    return null;
+  }
+}
+
+export default function Payments() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [studentId, setStudentId] = useState('');
+  const [searchId, setSearchId] = useState('');
+  const [type, setType] = useState('session');
+  const [selectedWeeks, setSelectedWeeks] = useState([]);
+  const [fromWeek, setFromWeek] = useState('');
+  const [discount, setDiscount] = useState('');
+  const [discountReason, setDiscountReason] = useState('');
+  const [method, setMethod] = useState('cash');
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [voiding, setVoiding] = useState(null); // receipt being voided
+  const [voidReason, setVoidReason] = useState('');
+  const [printing, setPrinting] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const user = token ? decodeJWT(token) : null;
+  const can = (permission) => !!user && hasPermission(user.role, permission);
+
+  // Opened for one student with ?id=
+  useEffect(() => {
+    if (router.query.id) {
+      setStudentId(String(router.query.id));
+      setSearchId(String(router.query.id));
+    }
+  }, [router.query.id]);
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const { data: ledger, error: ledgerError } = useQuery({
+    queryKey: ['payments', searchId],
+    queryFn: () => paymentsAPI.getLedger(searchId, token),
+    enabled: !!token && !!searchId,
+    retry: false
+  });
+
+  // Any change to the form invalidates the amount shown
+  useEffect(() => {
+    setQuote(null);
+    setAmount('');
+  }, [searchId, type, selectedWeeks, fromWeek, discount, discountReason]);
+
+  const paymentBody = () => ({
+    type,
+    weeks: type === 'session' ? selectedWeeks : undefined,
+    fromWeek: type === 'package' ? fromWeek : undefined,
+    discount: discount || 0,
+    discountReason
+  });
+
+  const quoteMutation = useMutation({
+    mutationFn: () => paymentsAPI.submit(searchId, { ...paymentBody(), dryRun: true }, token),
+    onSuccess: (data) => {
+      setQuote(data.quote);
+      setAmount(String(data.quote.amount));
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to calculate the amount');
+    }
+  });
+
+  const payMutation = useMutation({
+    mutationFn: () => paymentsAPI.submit(searchId, { ...paymentBody(), method, amount, note }, token),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['payments', searchId] });
+      queryClient.invalidateQueries({ queryKey: ['arrears'] });
+      setSelectedWeeks([]);
+      setFromWeek('');
+      setDiscount('');
+      setDiscountReason('');
+      setNote('');
+      setSuccess(`Receipt #${data.payment.receiptNumber} saved for ${formatMoney(data.payment.amount, data.currency)}.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to record the payment');
+    }
+  });
+
+  const voidMutation = useMutation({
+    mutationFn: () => paymentsAPI.voidReceipt(voiding.receiptNumber, voidReason, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['payments', searchId] });
+      queryClient.invalidateQueries({ queryKey: ['arrears'] });
+      setSuccess(`Receipt #${voiding.receiptNumber} voided.`);
+      setVoiding(null);
+      setVoidReason('');
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to void the receipt');
+    }
+  });
+
+  const printReceipt = async (receiptNumber) => {
+    setPrinting(receiptNumber);
+    try {
+      await downloadFile(`/api/payments/${receiptNumber}/receipt`, {}, token, `receipt-${receiptNumber}.pdf`);
+    } catch (err) {
+      console.error('Receipt download failed:', err);
+      setError(await getDownloadError(err, 'Failed to generate the receipt'));
+    } finally {
+      setPrinting(null);
+    }
+  };
+
+  const toggleWeek = (week) => {
+    setSelectedWeeks(selectedWeeks.includes(week)
+      ? selectedWeeks.filter(w => w !== week)
+      : [...selectedWeeks, week].sort((a, b) => a - b));
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const currency = ledger ? ledger.currency : '';
+  const unpaidWeeks = ledger ? ledger.weeks.filter(week => week.attended && !week.paidSession).map(week => week.week) : [];
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>💰 Payments</Title>
+
+        {error && <div className="error-message">❌ {error}</div>}
+        {success && <div className="success-message">✅ {success}</div>}
+
+        <div className="panel">
+          <form
+            className="row"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setSearchId(studentId.trim());
+            }}
+          >
+            <input
+              className="form-input"
+              placeholder="Student ID"
+              value={studentId}
+              onChange={(e) => setStudentId(e.target.value)}
+            />
+            <button type="submit" className="secondary-btn">🔍 Select</button>
+          </form>
+
+          {searchId && ledgerError && (
+            <div className="hint">
+              {ledgerError.response?.status === 404 ? 'Student not found' : ledgerError.response?.data?.error || 'Failed to load payments'}
+            </div>
+          )}
+
+          {ledger && (
+            <>
+              <div className="hint">
+                {ledger.price
+                  ? <>
+                      Session {formatMoney(ledger.price.sessionPrice, currency)}
+                      {ledger.price.packagePrice !== null && ` • ${ledger.price.packageWeeks}-week package ${formatMoney(ledger.price.packagePrice, currency)}`}
+                      {ledger.price.siblingDiscountPercent > 0 && ` • ${ledger.price.siblingDiscountPercent}% sibling rate`}
+                    </>
+                  : 'No price is set for this grade and centre yet.'}
+              </div>
+              {ledger.siblings.length > 0 && (
+                <div className="hint">
+                  👨‍👩‍👧 Siblings: {ledger.siblings.map(sibling => `${sibling.name} (#${sibling.id})`).join(', ')}
+                </div>
+              )}
+              <div className={unpaidWeeks.length > 0 ? 'arrears' : 'hint'}>
+                {unpaidWeeks.length > 0
+                  ? `Attended but unpaid: week${unpaidWeeks.length > 1 ? 's' : ''} ${unpaidWeeks.join(', ')}`
+                  : 'No unpaid attended weeks.'}
+              </div>
+            </>
+          )}
+        </div>
+
+        {ledger && ledger.price && can('payments.record') && (
+          <div className="panel">
+            <div className="section-title">Record a payment</div>
+            <div className="row">
+              <select className="form-input" value={type} onChange={(e) => setType(e.target.value)}>
+                <option value="session">Per session</option>
+                <option value="package" disabled={ledger.price.packagePrice === null}>Package</option>
+              </select>
+              <select className="form-input" value={method} onChange={(e) => setMethod(e.target.value)}>
+                {ledger.methods.map(m => <option key={m} value={m}>{METHOD_LABELS[m] || m}</option>)}
+              </select>
+            </div>
+
+            {type === 'session' ? (
+              <div className="week-chips">
+                {ledger.weeks.map(week => (
+                  <label
+                    key={week.week}
+                    className={`week-chip ${selectedWeeks.includes(week.week) ? 'selected' : ''} ${week.attended && !week.paidSession ? 'unpaid' : ''}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedWeeks.includes(week.week)}
+                      onChange={() => toggleWeek(week.week)}
+                    />
+                    W{String(week.week).padStart(2, '0')}{week.paidSession ? ' ✓' : ''}
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <input
+                className="form-input"
+                type="number"
+                min={1}
+                placeholder={`First week of the ${ledger.price.packageWeeks}-week package`}
+                value={fromWeek}
+                onChange={(e) => setFromWeek(e.target.value)}
+              />
+            )}
+
+            <div className="row">
+              <input
+                className="form-input"
+                type="number"
+                min={0}
+                placeholder="Discount (optional)"
+                value={discount}
+                onChange={(e) => setDiscount(e.target.value)}
+              />
+              <input
+                className="form-input"
+                placeholder="Discount reason"
+                value={discountReason}
+                onChange={(e) => setDiscountReason(e.target.value)}
+                disabled={!Number(discount)}
+              />
+            </div>
+
+            <button
+              className="secondary-btn"
+              onClick={() => quoteMutation.mutate()}
+              disabled={quoteMutation.isPending || (type === 'session' ? selectedWeeks.length === 0 : !fromWeek)}
+            >
+              {quoteMutation.isPending ? 'Calculating...' : '🧮 Calculate Amount'}
+            </button>
+
+            {quote && (
+              <>
+                <div className="quote">
+                  <div>Price: {formatMoney(quote.listPrice, currency)}</div>
+                  {quote.siblingDiscount > 0 && <div>Sibling rate: - {formatMoney(quote.siblingDiscount, currency)}</div>}
+                  {quote.discount > 0 && <div>Discount: - {formatMoney(quote.discount, currency)}</div>}
+                  <div className="quote-total">Due: {formatMoney(quote.amount, currency)}</div>
+                </div>
+                <div className="row">
+                  <input
+                    className="form-input"
+                    type="number"
+                    min={0}
+                    placeholder="Amount received"
+                    value={amount}
+                    onChange={(e) => setAmount(e.target.value)}
+                  />
+                  <input
+                    className="form-input"
+                    placeholder="Note (optional)"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                  />
+                </div>
+                <button
+                  className="primary-btn"
+                  onClick={() => payMutation.mutate()}
+                  disabled={payMutation.isPending || amount === ''}
+                >
+                  {payMutation.isPending ? 'Saving...' : '💰 Record Payment'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {ledger && (
+          <div className="panel">
+            <div className="section-title">Receipts</div>
+            {ledger.payments.length === 0 ? (
+              <div className="hint">No payments recorded yet.</div>
+            ) : (
+              <div className="table-wrapper">
+                <table className="ledger-table">
+                  <thead>
+                    <tr>
+                      <th>Receipt</th>
+                      <th>Date</th>
+                      <th>Weeks</th>
+                      <th>Amount</th>
+                      <th>Method</th>
+                      <th>Received By</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledger.payments.map(payment => (
+                      <tr key={payment.receiptNumber} className={payment.voidedAt ? 'void' : ''}>
+                        <td>#{payment.receiptNumber}</td>
+                        <td>{new Date(payment.createdAt).toLocaleString()}</td>
+                        <td>{payment.type === 'package' ? '📦 ' : ''}{payment.weeks.join(', ')}</td>
+                        <td>{formatMoney(payment.amount, currency)}</td>
+                        <td>{METHOD_LABELS[payment.method] || payment.method}</td>
+                        <td>{payment.receivedByName || payment.receivedBy}</td>
+                        <td className="actions">
+                          <button
+                            className="small-btn"
+                            onClick={() => printReceipt(payment.receiptNumber)}
+                            disabled={printing === payment.receiptNumber}
+                          >
+                            🖨️
+                          </button>
+                          {payment.voidedAt ? (
+                            <span title={payment.voidReason}>🚫 Void</span>
+                          ) : can('payments.void') && (
+                            <button className="small-btn danger" onClick={() => setVoiding(payment)}>Void</button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {voiding && (
+          <div className="confirm-modal" onClick={() => setVoiding(null)}>
+            <div className="confirm-content" onClick={(e) => e.stopPropagation()}>
+              <h3 style={{ marginTop: 0 }}>Void receipt #{voiding.receiptNumber}</h3>
+              <p>
+                The receipt stays in the ledger marked void, and week{voiding.weeks.length > 1 ? 's' : ''} {voiding.weeks.join(', ')} go back to unpaid.
+              </p>
+              <input
+                className="form-input"
+                placeholder="Reason"
+                value={voidReason}
+                onChange={(e) => setVoidReason(e.target.value)}
+              />
+              <div className="row" style={{ justifyContent: 'flex-end' }}>
+                <button
+                  className="small-btn danger"
+                  onClick={() => voidMutation.mutate()}
+                  disabled={!voidReason.trim() || voidMutation.isPending}
+                >
+                  {voidMutation.isPending ? 'Voiding...' : 'Void Receipt'}
+                </button>
+                <button className="small-btn" onClick={() => setVoiding(null)} disabled={voidMutation.isPending}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <style jsx>{`
+          .panel {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .arrears {
+            color: #dc3545;
+            font-weight: 600;
+          }
+          .row {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .form-input {
+            flex: 1;
+            min-width: 160px;
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .week-chips {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+          }
+          .week-chip {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding: 6px 10px;
+            border: 2px solid #e9ecef;
+            border-radius: 16px;
+            cursor: pointer;
+            color: #495057;
+            font-size: 0.9rem;
+          }
+          .week-chip.unpaid {
+            border-color: #f5c2c7;
+          }
+          .week-chip.selected {
+            border-color: #1FA8DC;
+            background: #e8f6fc;
+            color: #1FA8DC;
+          }
+          .quote {
+            background: #f8f9fa;
+            border-radius: 8px;
+            padding: 12px 16px;
+            color: #495057;
+          }
+          .quote-total {
+            font-weight: 700;
+            color: #212529;
+            margin-top: 4px;
+          }
+          .primary-btn, .secondary-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .primary-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .secondary-btn {
+            background: linear-gradient(135deg, #1FA8DC 0%, #87CEEB 100%);
+          }
+          .small-btn {
+            padding: 4px 10px;
+            border: none;
+            border-radius: 6px;
+            background: #1FA8DC;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          .small-btn.danger {
+            background: #dc3545;
+          }
+          .primary-btn:disabled, .secondary-btn:disabled, .small-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .ledger-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .ledger-table th, .ledger-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .ledger-table tr.void td {
+            color: #adb5bd;
+            text-decoration: line-through;
+          }
+          .ledger-table .actions {
+            display: flex;
+            gap: 6px;
+            justify-content: center;
+            text-decoration: none;
+          }
+          .confirm-modal {
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+          }
+          .confirm-content {
+            background: white;
+            border-radius: 12px;
+            padding: 24px;
+            max-width: 440px;
+            width: 90%;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            color: #212529;
+          }
+          .error-message, .success-message {
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          @media (max-width: 480px) {
+            .panel {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,324 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+import CenterSelect from '../../components/CenterSelect';
+
+// API functions
+const pricingAPI = {
+  getPrices: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/pricing`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  savePrice: async (price, token) => {
+    const response = await axios.put(`${getApiBaseUrl()}/api/pricing`, price, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  deletePrice: async ({ grade, center }, token) => {
+    const response = await axios.delete(`${getApiBaseUrl()}/api/pricing`, {
+      params: { grade, center: center || undefined },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const EMPTY_FORM = { grade: '', center: '', sessionPrice: '', packagePrice: '', packageWeeks: '', siblingDiscountPercent: '' };
+
+export default function Pricing() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['prices'],
+    queryFn: () => pricingAPI.getPrices(token),
+    enabled: !!token
+  });
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => pricingAPI.savePrice(form, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['prices'] });
+      setSuccess(`Price for ${form.grade}${form.center ? ` at ${form.center}` : ''} saved.`);
+      setForm(EMPTY_FORM);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to save the price');
+    }
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (price) => pricingAPI.deletePrice(price, token),
+    onSuccess: (_, price) => {
+      queryClient.invalidateQueries({ queryKey: ['prices'] });
+      setSuccess(`Price for ${price.grade}${price.center ? ` at ${price.center}` : ''} removed.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to remove the price');
+    }
+  });
+
+  const editPrice = (price) => {
+    setForm({
+      grade: price.grade,
+      center: price.center || '',
+      sessionPrice: String(price.sessionPrice),
+      packagePrice: price.packagePrice === null ? '' : String(price.packagePrice),
+      packageWeeks: price.packageWeeks === null ? '' : String(price.packageWeeks),
+      siblingDiscountPercent: price.siblingDiscountPercent ? String(price.siblingDiscountPercent) : ''
+    });
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const currency = data ? data.currency : '';
+  const prices = data ? data.prices : [];
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>💲 Session Pricing</Title>
+
+        {error && <div className="error-message">❌ {error}</div>}
+        {success && <div className="success-message">✅ {success}</div>}
+
+        <div className="panel">
+          <div className="section-title">Set a price</div>
+          <div className="hint">
+            Leave the centre empty for the grade&apos;s default price; a centre price overrides it for students of that centre.
+          </div>
+          <div className="row">
+            <GradeSelect
+              selectedGrade={form.grade}
+              onGradeChange={(grade) => setForm({ ...form, grade })}
+              isOpen={openDropdown === 'grade'}
+              onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+              onClose={() => setOpenDropdown(null)}
+            />
+            <CenterSelect
+              selectedCenter={form.center}
+              onCenterChange={(center) => setForm({ ...form, center })}
+              required={false}
+              isOpen={openDropdown === 'center'}
+              onToggle={() => setOpenDropdown(openDropdown === 'center' ? null : 'center')}
+              onClose={() => setOpenDropdown(null)}
+            />
+          </div>
+          <div className="row">
+            <label className="field">
+              <span>Session price ({currency})</span>
+              <input className="form-input" type="number" min={0} value={form.sessionPrice}
+                onChange={(e) => setForm({ ...form, sessionPrice: e.target.value })} />
+            </label>
+            <label className="field">
+              <span>Package price ({currency})</span>
+              <input className="form-input" type="number" min={0} placeholder="Optional" value={form.packagePrice}
+                onChange={(e) => setForm({ ...form, packagePrice: e.target.value })} />
+            </label>
+            <label className="field">
+              <span>Weeks per package</span>
+              <input className="form-input" type="number" min={1} value={form.packageWeeks}
+                onChange={(e) => setForm({ ...form, packageWeeks: e.target.value })} disabled={!form.packagePrice} />
+            </label>
+            <label className="field">
+              <span>Sibling discount (%)</span>
+              <input className="form-input" type="number" min={0} max={100} placeholder="0" value={form.siblingDiscountPercent}
+                onChange={(e) => setForm({ ...form, siblingDiscountPercent: e.target.value })} />
+            </label>
+          </div>
+          <div className="row">
+            <button
+              className="primary-btn"
+              onClick={() => saveMutation.mutate()}
+              disabled={!form.grade || form.sessionPrice === '' || saveMutation.isPending}
+            >
+              {saveMutation.isPending ? 'Saving...' : '💾 Save Price'}
+            </button>
+            <button className="secondary-btn" onClick={() => setForm(EMPTY_FORM)}>Clear</button>
+          </div>
+        </div>
+
+        <div className="panel">
+          <div className="section-title">Prices</div>
+          {isLoading ? (
+            <div className="hint">Loading prices...</div>
+          ) : prices.length === 0 ? (
+            <div className="hint">No prices set yet. Payments can not be recorded until the grade has one.</div>
+          ) : (
+            <div className="table-wrapper">
+              <table className="price-table">
+                <thead>
+                  <tr>
+                    <th>Grade</th>
+                    <th>Center</th>
+                    <th>Session</th>
+                    <th>Package</th>
+                    <th>Sibling Rate</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {prices.map(price => (
+                    <tr key={`${price.grade}-${price.center}`}>
+                      <td>{price.grade}</td>
+                      <td>{price.center || 'All centers'}</td>
+                      <td>{price.sessionPrice} {currency}</td>
+                      <td>{price.packagePrice === null ? '-' : `${price.packagePrice} ${currency} / ${price.packageWeeks} weeks`}</td>
+                      <td>{price.siblingDiscountPercent ? `${price.siblingDiscountPercent}%` : '-'}</td>
+                      <td className="actions">
+                        <button className="small-btn" onClick={() => editPrice(price)}>Edit</button>
+                        <button
+                          className="small-btn danger"
+                          onClick={() => deleteMutation.mutate(price)}
+                          disabled={deleteMutation.isPending}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <style jsx>{`
+          .panel {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .row {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .field {
+            flex: 1;
+            min-width: 150px;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            font-size: 0.9rem;
+            color: #495057;
+          }
+          .form-input {
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .primary-btn, .secondary-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .primary-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .secondary-btn {
+            background: #6c757d;
+          }
+          .small-btn {
+            padding: 4px 10px;
+            border: none;
+            border-radius: 6px;
+            background: #1FA8DC;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          .small-btn.danger {
+            background: #dc3545;
+          }
+          .primary-btn:disabled, .small-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .price-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .price-table th, .price-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .price-table .actions {
+            display: flex;
+            gap: 6px;
+            justify-content: center;
+          }
+          .error-message, .success-message {
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
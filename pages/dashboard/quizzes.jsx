@@ -0,0 +1,268 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+
+// API functions
+const quizzesAPI = {
+  getQuizzes: async (grade, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/quizzes/${encodeURIComponent(grade)}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  saveQuizzes: async (grade, quizzes, token) => {
+    const response = await axios.put(`${getApiBaseUrl()}/api/quizzes/${encodeURIComponent(grade)}`,
+      { quizzes },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  }
+};
+
+const emptyRow = () => ({ title: '', maxScore: '', passMark: '' });
+
+export default function Quizzes() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [selectedGrade, setSelectedGrade] = useState('');
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: quizData, isLoading } = useQuery({
+    queryKey: ['quizzes', selectedGrade],
+    queryFn: () => quizzesAPI.getQuizzes(selectedGrade, token),
+    enabled: !!token && !!selectedGrade,
+    staleTime: 0
+  });
+
+  // One editable row per week of the grade's calendar
+  useEffect(() => {
+    if (quizData) {
+      setRows(Array.from({ length: quizData.sessionCount }, (_, index) => {
+        const quiz = quizData.quizzes.find(q => q.week === index + 1);
+        return quiz
+          ? { title: quiz.title || '', maxScore: String(quiz.maxScore), passMark: quiz.passMark === null ? '' : String(quiz.passMark) }
+          : emptyRow();
+      }));
+    }
+  }, [quizData]);
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  // Weeks without a maximum score have no quiz
+  const saveMutation = useMutation({
+    mutationFn: () => quizzesAPI.saveQuizzes(selectedGrade, rows
+      .map((row, index) => ({ week: index + 1, ...row }))
+      .filter(row => row.maxScore !== '')
+      .map(row => ({
+        week: row.week,
+        title: row.title,
+        maxScore: Number(row.maxScore),
+        passMark: row.passMark === '' ? null : Number(row.passMark)
+      })), token),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['quizzes', selectedGrade] });
+      setSuccess(`${data.quizzes.length} quiz(zes) saved for ${selectedGrade}.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to save quizzes');
+    }
+  });
+
+  const updateRow = (index, changes) => {
+    setRows(rows.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 800, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>🧪 Quizzes</Title>
+
+        <div className="quizzes-container">
+          <div className="filter-label">Grade</div>
+          <GradeSelect
+            selectedGrade={selectedGrade}
+            onGradeChange={(grade) => {
+              setSelectedGrade(grade);
+              setRows([]);
+            }}
+            required={false}
+            isOpen={openDropdown === 'grade'}
+            onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+            onClose={() => setOpenDropdown(null)}
+          />
+
+          {error && <div className="error-message">❌ {error}</div>}
+          {success && <div className="success-message">✅ {success}</div>}
+
+          {selectedGrade && isLoading && <div className="hint">Loading quizzes...</div>}
+
+          {selectedGrade && !isLoading && (
+            <>
+              <div className="hint">
+                Leave the maximum empty for weeks without a quiz. Assistants only enter the score on the scan page.
+              </div>
+
+              <div className="quiz-row header">
+                <span className="week-label">Week</span>
+                <span className="title-cell">Title</span>
+                <span className="number-cell">Max</span>
+                <span className="number-cell">Pass mark</span>
+              </div>
+              {rows.map((row, index) => (
+                <div key={index} className="quiz-row">
+                  <span className="week-label">{String(index + 1).padStart(2, '0')}</span>
+                  <input
+                    type="text"
+                    className="form-input title-cell"
+                    placeholder="Quiz title"
+                    value={row.title}
+                    onChange={(e) => updateRow(index, { title: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className="form-input number-cell"
+                    placeholder="-"
+                    value={row.maxScore}
+                    onChange={(e) => updateRow(index, { maxScore: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    className="form-input number-cell"
+                    placeholder="-"
+                    value={row.passMark}
+                    onChange={(e) => updateRow(index, { passMark: e.target.value })}
+                    disabled={row.maxScore === ''}
+                  />
+                </div>
+              ))}
+
+              <button
+                className="save-btn"
+                onClick={() => saveMutation.mutate()}
+                disabled={saveMutation.isPending}
+              >
+                {saveMutation.isPending ? 'Saving...' : '💾 Save Quizzes'}
+              </button>
+            </>
+          )}
+        </div>
+
+        <style jsx>{`
+          .quizzes-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .filter-label {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .quiz-row {
+            display: flex;
+            gap: 8px;
+            align-items: center;
+          }
+          .quiz-row.header {
+            font-weight: 600;
+            color: #495057;
+            font-size: 0.9rem;
+          }
+          .week-label {
+            width: 48px;
+            color: #1FA8DC;
+            font-weight: 600;
+          }
+          .title-cell {
+            flex: 2;
+          }
+          .number-cell {
+            flex: 1;
+          }
+          .form-input {
+            min-width: 0;
+            padding: 8px 10px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            color: #000;
+            background: #fff;
+          }
+          .form-input:disabled {
+            background: #f8f9fa;
+          }
+          .save-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .save-btn:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+          }
+          @media (max-width: 480px) {
+            .quizzes-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
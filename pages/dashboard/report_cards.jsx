@@ -0,0 +1,306 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import GradeSelect from '../../components/GradeSelect';
+import CenterSelect from '../../components/CenterSelect';
+import { downloadFile, getDownloadError } from '../../lib/download';
+import { hasPermission } from '../../lib/permissions';
+
+// API functions
+const reportsAPI = {
+  getComment: async (id, month, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/reports/${id}/comment`, {
+      params: { month },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  saveComment: async (id, month, comment, token) => {
+    const response = await axios.put(`${getApiBaseUrl()}/api/reports/${id}/comment`,
+      { month, comment },
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    return response.data;
+  }
+};
+
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+function decodeJWT(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1]));
+  } catch {
+    return null;
+  }
+}
+
+export default function ReportCards() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [month, setMonth] = useState(thisMonth());
+  const [studentId, setStudentId] = useState('');
+  const [searchId, setSearchId] = useState('');
+  const [comment, setComment] = useState('');
+  const [selectedGrade, setSelectedGrade] = useState('');
+  const [selectedCenter, setSelectedCenter] = useState('');
+  const [openDropdown, setOpenDropdown] = useState(null);
+  const [downloading, setDownloading] = useState(null); // 'student', 'batch' or null
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const user = token ? decodeJWT(token) : null;
+  const canComment = !!user && hasPermission(user.role, 'students.edit');
+
+  // Opened from student info with ?id=
+  useEffect(() => {
+    if (router.query.id) {
+      setStudentId(String(router.query.id));
+      setSearchId(String(router.query.id));
+    }
+  }, [router.query.id]);
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const { data: commentData, error: commentError } = useQuery({
+    queryKey: ['report-comment', searchId, month],
+    queryFn: () => reportsAPI.getComment(searchId, month, token),
+    enabled: !!token && !!searchId && !!month,
+    retry: false
+  });
+
+  useEffect(() => {
+    setComment(commentData ? commentData.comment : '');
+  }, [commentData]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => reportsAPI.saveComment(searchId, month, comment, token),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['report-comment', searchId, month] });
+      setSuccess('Comment saved.');
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to save comment');
+    }
+  });
+
+  const download = async (kind) => {
+    setDownloading(kind);
+    setError('');
+    try {
+      if (kind === 'student') {
+        await downloadFile(`/api/reports/${searchId}`, { month }, token, `report-card-${searchId}.pdf`);
+      } else {
+        await downloadFile('/api/reports/batch', {
+          month,
+          grade: selectedGrade || undefined,
+          center: selectedCenter || undefined
+        }, token, 'report-cards.pdf');
+      }
+    } catch (err) {
+      console.error('Report card download failed:', err);
+      setError(await getDownloadError(err, 'Failed to generate the report card'));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 800, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>🖨️ Report Cards</Title>
+
+        {error && <div className="error-message">❌ {error}</div>}
+        {success && <div className="success-message">✅ {success}</div>}
+
+        <div className="report-container">
+          <label className="field">
+            <span className="field-label">Month</span>
+            <input type="month" className="form-input" value={month} onChange={(e) => setMonth(e.target.value)} />
+          </label>
+
+          <div className="section-title">One student</div>
+          <form
+            className="search-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              setSearchId(studentId.trim());
+            }}
+          >
+            <input
+              className="form-input"
+              placeholder="Student ID"
+              value={studentId}
+              onChange={(e) => setStudentId(e.target.value)}
+            />
+            <button type="submit" className="secondary-btn">🔍 Select</button>
+          </form>
+
+          {searchId && commentError && (
+            <div className="hint">
+              {commentError.response?.status === 404 ? 'Student not found' : commentError.response?.data?.error || 'Failed to load the comment'}
+            </div>
+          )}
+
+          {searchId && commentData && (
+            <>
+              <label className="field">
+                <span className="field-label">Teacher&apos;s comment for student #{searchId}</span>
+                <textarea
+                  className="form-input"
+                  rows={4}
+                  maxLength={1000}
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  disabled={!canComment}
+                  placeholder="Printed on the report card; leave empty to write it by hand"
+                />
+              </label>
+              <div className="actions">
+                {canComment && (
+                  <button
+                    className="secondary-btn"
+                    onClick={() => saveMutation.mutate()}
+                    disabled={saveMutation.isPending || comment === commentData.comment}
+                  >
+                    {saveMutation.isPending ? 'Saving...' : '💾 Save Comment'}
+                  </button>
+                )}
+                <button className="primary-btn" onClick={() => download('student')} disabled={!!downloading}>
+                  {downloading === 'student' ? 'Generating...' : '🖨️ Download PDF'}
+                </button>
+              </div>
+            </>
+          )}
+
+          <div className="section-title">Whole grade or centre</div>
+          <div className="hint">One PDF with a page per student, using each student&apos;s saved comment for the month.</div>
+          <GradeSelect
+            selectedGrade={selectedGrade}
+            onGradeChange={setSelectedGrade}
+            required={false}
+            isOpen={openDropdown === 'grade'}
+            onToggle={() => setOpenDropdown(openDropdown === 'grade' ? null : 'grade')}
+            onClose={() => setOpenDropdown(null)}
+          />
+          <CenterSelect
+            selectedCenter={selectedCenter}
+            onCenterChange={setSelectedCenter}
+            required={false}
+            isOpen={openDropdown === 'center'}
+            onToggle={() => setOpenDropdown(openDropdown === 'center' ? null : 'center')}
+            onClose={() => setOpenDropdown(null)}
+          />
+          <button
+            className="primary-btn"
+            onClick={() => download('batch')}
+            disabled={(!selectedGrade && !selectedCenter) || !!downloading}
+          >
+            {downloading === 'batch' ? 'Generating...' : '🖨️ Download Merged PDF'}
+          </button>
+        </div>
+
+        <style jsx>{`
+          .report-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+          }
+          .field {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+          }
+          .field-label, .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .section-title {
+            margin-top: 8px;
+            border-top: 1px solid #e9ecef;
+            padding-top: 12px;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          .search-form, .actions {
+            display: flex;
+            gap: 8px;
+            flex-wrap: wrap;
+          }
+          .form-input {
+            flex: 1;
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+            font-family: inherit;
+          }
+          .primary-btn, .secondary-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            font-size: 1rem;
+            cursor: pointer;
+          }
+          .primary-btn {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .secondary-btn {
+            background: linear-gradient(135deg, #1FA8DC 0%, #87CEEB 100%);
+          }
+          .primary-btn:disabled, .secondary-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .error-message, .success-message {
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          @media (max-width: 480px) {
+            .report-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
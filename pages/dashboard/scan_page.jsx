@@ -5,7 +5,26 @@ import Title from "../../components/Title";
 import AttendanceWeekSelect from "../../components/AttendanceWeekSelect";
 import CenterSelect from "../../components/CenterSelect";
 import QRScanner from "../../components/QRScanner";
-import { useStudents, useStudent, useToggleAttendance, useUpdateHomework, useUpdatePayment, useUpdateQuizGrade } from "../../lib/api/students";
+import { useStudent, useToggleAttendance, useUpdateHomework, useUpdatePayment, useUpdateQuizGrade } from "../../lib/api/students";
+import { formatQuiz, validateQuiz } from "../../lib/quiz";
+import { HOMEWORK_LEVELS, HOMEWORK_LEVEL_ICONS, HOMEWORK_LEVEL_LABELS, MAX_HOMEWORK_NOTE_LENGTH, isHomeworkDone, validateHomework } from "../../lib/homework";
+import { useWeekOptions } from "../../lib/weeks";
+import { OFFLINE_ACTION_LABELS, cacheCenterRoster, cacheStudents, clearConflicts, getCachedStudent, isNetworkError, listConflicts, listQueue, queueChange, syncQueue } from "../../lib/offlineQueue";
+import { useQuery } from "@tanstack/react-query";
+import axios from "axios";
+import { getApiBaseUrl } from "../../config";
+
+// Name search runs on the server so the page never downloads the whole student list
+const studentsAPI = {
+  searchStudents: async (term) => {
+    const token = sessionStorage.getItem("token");
+    const response = await axios.get(`${getApiBaseUrl()}/api/students`, {
+      params: { q: term, page: 1, pageSize: 20, sort: 'name', fields: 'id,name,grade,main_center' },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.students;
+  }
+};
 
 // Helper to extract student ID from QR text (URL or plain number)
 function extractStudentId(qrText) {
@@ -36,12 +55,20 @@ export default function QR() {
   const [quizDegreeOutOf, setQuizDegreeOutOf] = useState("");
   const [openDropdown, setOpenDropdown] = useState(null); // 'week', 'center', or null
   // Simple optimistic state for immediate UI feedback
-  const [optimisticHwDone, setOptimisticHwDone] = useState(null);
+  const [optimisticHwLevel, setOptimisticHwLevel] = useState(null); // '' when cleared
+  const [hwScoreInput, setHwScoreInput] = useState("");
+  const [hwNoteInput, setHwNoteInput] = useState("");
   const [optimisticPaidSession, setOptimisticPaidSession] = useState(null);
   const [optimisticAttended, setOptimisticAttended] = useState(null);
   const [isQRScanned, setIsQRScanned] = useState(false); // Track if student was found via QR scan
   const [searchResults, setSearchResults] = useState([]); // Store multiple search results
   const [showSearchResults, setShowSearchResults] = useState(false); // Show/hide search results
+  // Offline scanning: changes are queued on this device and synced in order (lib/offlineQueue.js)
+  const [isOffline, setIsOffline] = useState(false);
+  const [offlineStudent, setOfflineStudent] = useState(null); // cached copy, includes queued changes
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [syncStatus, setSyncStatus] = useState("");
   const router = useRouter();
 
   // React Query hooks with enhanced real-time updates
@@ -57,12 +84,96 @@ export default function QR() {
     retryDelay: 500, // Retry after 500ms instead of default longer delay
   });
   
-  // Get all students for name-based search
-  const { data: allStudents } = useStudents();
   const toggleAttendanceMutation = useToggleAttendance();
   const updateHomeworkMutation = useUpdateHomework();
   const updatePaymentMutation = useUpdatePayment();
   const updateQuizGradeMutation = useUpdateQuizGrade();
+  const mutations = {
+    attend: { mutation: toggleAttendanceMutation, key: 'attendanceData' },
+    hw: { mutation: updateHomeworkMutation, key: 'homeworkData' },
+    paid: { mutation: updatePaymentMutation, key: 'paymentData' },
+    quiz: { mutation: updateQuizGradeMutation, key: 'quizData' }
+  };
+
+  // Requests that never reach the server count as offline even if the browser thinks otherwise
+  const offlineMode = isOffline || (!!studentError && isNetworkError(studentError));
+
+  const refreshOfflineState = async () => {
+    try {
+      const [queue, conflicts] = await Promise.all([listQueue(), listConflicts()]);
+      setPendingCount(queue.length);
+      setSyncConflicts(conflicts);
+    } catch (err) {
+      console.error('Offline storage unavailable:', err);
+    }
+  };
+
+  const runSync = async () => {
+    const token = sessionStorage.getItem("token");
+    if (!token || !navigator.onLine) return;
+    try {
+      const result = await syncQueue(token);
+      if (result.sent > 0 || result.conflicts > 0) {
+        console.log('🔄 Offline queue synced:', result);
+        setSyncStatus(`Synced ${result.sent} change(s)${result.conflicts > 0 ? `, ${result.conflicts} conflict(s)` : ''}${result.remaining > 0 ? `, ${result.remaining} still waiting` : ''}`);
+      }
+      setIsOffline(result.offline);
+    } catch (err) {
+      console.error('Offline sync failed:', err);
+    }
+    refreshOfflineState();
+  };
+
+  // Follow the connection and send what was queued as soon as it is back
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOffline(false);
+      runSync();
+    };
+    const goOffline = () => setIsOffline(true);
+    setIsOffline(!navigator.onLine);
+    refreshOfflineState();
+    runSync();
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  // Retry every 30 seconds while changes are waiting: the server may have been down while
+  // the browser still reported a connection, so no 'online' event will come
+  useEffect(() => {
+    if (pendingCount === 0) return;
+    const timer = setInterval(runSync, 30 * 1000);
+    return () => clearInterval(timer);
+  }, [pendingCount]);
+
+  // Keep the last copy of every loaded student, and the selected centre's roster, for offline scans
+  useEffect(() => {
+    if (rawStudent) cacheStudents([rawStudent]).catch(err => console.error('Failed to cache student:', err));
+  }, [rawStudent]);
+
+  useEffect(() => {
+    const token = sessionStorage.getItem("token");
+    if (!attendanceCenter || !token || isOffline) return;
+    cacheCenterRoster(attendanceCenter, token)
+      .then(count => console.log(`📥 Cached ${count} students of ${attendanceCenter} for offline scanning`))
+      .catch(err => console.error('Failed to cache centre roster:', err));
+  }, [attendanceCenter, isOffline]);
+
+  useEffect(() => {
+    if (!searchId || !offlineMode) {
+      setOfflineStudent(null);
+      return;
+    }
+    getCachedStudent(searchId)
+      .then(setOfflineStudent)
+      .catch(() => setOfflineStudent(null));
+  }, [searchId, offlineMode]);
+
+  const sourceStudent = offlineMode && offlineStudent ? offlineStudent : rawStudent;
 
   // Load remembered values from sessionStorage
   useEffect(() => {
@@ -136,19 +247,39 @@ export default function QR() {
       attended_the_session: weekData.attended,
       lastAttendance: weekData.lastAttendance,
       lastAttendanceCenter: weekData.lastAttendanceCenter,
-      hwDone: weekData.hwDone,
+      homework: weekData.homework || null,
+      hwDone: isHomeworkDone(weekData.homework),
       paidSession: weekData.paidSession,
-      quizDegree: weekData.quizDegree
+      quiz: weekData.quiz || null,
+      quizDegree: formatQuiz(weekData.quiz)
     };
   };
 
   // Update student data with current week information using useMemo
   const student = useMemo(() => {
-    if (rawStudent && selectedWeek) {
-      return updateStudentWithWeekData(rawStudent, selectedWeek);
+    if (sourceStudent && selectedWeek) {
+      return updateStudentWithWeekData(sourceStudent, selectedWeek);
     }
-    return rawStudent;
-  }, [rawStudent, selectedWeek]);
+    return sourceStudent;
+  }, [sourceStudent, selectedWeek]);
+
+  // Weeks of the scanned student's grade, or of the longest calendar before a scan
+  const weekOptions = useWeekOptions(sourceStudent?.grade);
+
+  // Quiz catalogue of the student's grade; weeks with a quiz only need the score
+  const { data: gradeQuizzes = [] } = useQuery({
+    queryKey: ['quizzes', sourceStudent?.grade],
+    queryFn: async () => {
+      const token = sessionStorage.getItem("token");
+      const response = await axios.get(`${getApiBaseUrl()}/api/quizzes/${encodeURIComponent(sourceStudent.grade)}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data.quizzes;
+    },
+    enabled: !!sourceStudent?.grade
+  });
+  const weekQuiz = selectedWeek ? gradeQuizzes.find(q => q.week === getWeekNumber(selectedWeek)) || null : null;
+  const quizIncomplete = quizDegreeInput === "" || (!weekQuiz && quizDegreeOutOf === "");
 
   const handleManualSubmit = async (e) => {
     e.preventDefault();
@@ -166,11 +297,9 @@ export default function QR() {
       // It's a numeric ID, search directly
       setSearchId(searchTerm);
     } else {
-      // It's a name, search through all students (case-insensitive, includes)
-      if (allStudents) {
-        const matchingStudents = allStudents.filter(student => 
-          student.name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+      // It's a name, search on the server (case-insensitive, includes)
+      try {
+        const matchingStudents = await studentsAPI.searchStudents(searchTerm);
         
         if (matchingStudents.length === 1) {
           // Single match, use it directly
@@ -186,8 +315,10 @@ export default function QR() {
           setError(`No student found with name starting with "${searchTerm}"`);
           setSearchId("");
         }
-      } else {
-        setError("Student data not loaded. Please try again.");
+      } catch (err) {
+        setError(offlineMode || isNetworkError(err)
+          ? "Name search needs a connection. Scan the QR code or enter the student ID."
+          : "Failed to search students. Please try again.");
       }
     }
   };
@@ -235,11 +366,8 @@ export default function QR() {
         attendanceWeek: weekNumber 
       };
       
-      // Call the attendance API
-      toggleAttendanceMutation.mutate({
-        id: student.id,
-        attendanceData
-      });
+      // Call the attendance API (or queue it while offline)
+      submitChange('attend', attendanceData, !!student.attended_the_session, () => setOptimisticAttended(null));
       
     } catch (error) {
       console.error('Error in auto-attend:', error);
@@ -274,6 +402,14 @@ export default function QR() {
     }
   };
 
+  // Auto-hide the sync summary; conflicts stay until dismissed
+  useEffect(() => {
+    if (syncStatus) {
+      const timer = setTimeout(() => setSyncStatus(""), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [syncStatus]);
+
   // Auto-hide error after 6 seconds
   useEffect(() => {
     if (error) {
@@ -284,7 +420,7 @@ export default function QR() {
 
   // Handle student errors from React Query with immediate feedback
   useEffect(() => {
-    if (studentError) {
+    if (studentError && !isNetworkError(studentError)) {
       setError("Student not found or unauthorized.");
     }
   }, [studentError]);
@@ -293,22 +429,33 @@ export default function QR() {
   useEffect(() => {
     if (searchId && !studentLoading) {
       const timer = setTimeout(() => {
-        if (!rawStudent && !studentError) {
+        if (offlineMode && !offlineStudent) {
+          setError("Offline and this student is not saved on this device.");
+        } else if (!rawStudent && !studentError && !offlineMode) {
           setError("Student not found or unauthorized.");
         }
       }, 1000); // Show error after 1 second if no data and no error
       
       return () => clearTimeout(timer);
     }
-  }, [searchId, studentLoading, rawStudent, studentError]);
+  }, [searchId, studentLoading, rawStudent, studentError, offlineMode, offlineStudent]);
 
   // Clear optimistic state when student or week changes
   useEffect(() => {
-    setOptimisticHwDone(null);
+    setOptimisticHwLevel(null);
     setOptimisticPaidSession(null);
     setOptimisticAttended(null);
   }, [student?.id, selectedWeek]);
 
+  // Show the week's homework score and note for editing. Depends on the values, not the
+  // object, so the 2 second refetch does not wipe what is being typed.
+  const savedHwScore = student?.homework ? student.homework.score : null;
+  const savedHwNote = student?.homework ? student.homework.note : null;
+  useEffect(() => {
+    setHwScoreInput(savedHwScore !== null && savedHwScore !== undefined ? String(savedHwScore) : "");
+    setHwNoteInput(savedHwNote || "");
+  }, [student?.id, selectedWeek, savedHwScore, savedHwNote]);
+
   // Auto-attend student when conditions are met (ONLY for QR scans with pre-selected center/week)
   useEffect(() => {
     // Only auto-attend if:
@@ -332,7 +479,7 @@ export default function QR() {
     const currentAttended = optimisticAttended !== null ? optimisticAttended : student?.attended_the_session;
     if (currentAttended === false) {
       // If attendance is false, reset other optimistic states to false/null
-      setOptimisticHwDone(false);
+      setOptimisticHwLevel('');
       setOptimisticPaidSession(false);
       // Clear quiz degree inputs as well
       setQuizDegreeInput("");
@@ -344,6 +491,47 @@ export default function QR() {
 
 
 
+  // Queue the change on this device when offline, or behind changes still waiting to sync
+  // so they reach the server in order. `expected` is the value shown before the change.
+  const submitChange = (action, body, expected, onError) => {
+    const enqueue = async () => {
+      try {
+        const updated = await queueChange({
+          studentId: student.id,
+          studentName: student.name,
+          action,
+          week: body.week || body.attendanceWeek,
+          body,
+          expected
+        });
+        if (updated) setOfflineStudent(updated);
+        console.log('📴 Queued offline change:', { action, studentId: student.id, body });
+      } catch (err) {
+        console.error('Failed to queue offline change:', err);
+        if (onError) onError(err);
+        return;
+      }
+      await refreshOfflineState();
+      if (navigator.onLine) runSync();
+    };
+
+    if (offlineMode || pendingCount > 0) {
+      enqueue();
+      return;
+    }
+    const { mutation, key } = mutations[action];
+    mutation.mutate({ id: student.id, [key]: body }, {
+      onError: (err) => {
+        if (isNetworkError(err)) {
+          setIsOffline(true);
+          enqueue();
+        } else if (onError) {
+          onError(err);
+        }
+      }
+    });
+  };
+
   const toggleAttendance = async () => {
     if (!student || !selectedWeek || !attendanceCenter) return;
     
@@ -386,13 +574,18 @@ export default function QR() {
       weekNumber
     });
 
-    toggleAttendanceMutation.mutate({
-      id: student.id,
-      attendanceData
+    submitChange('attend', attendanceData, !!currentAttended, (err) => {
+      setOptimisticAttended(null);
+      setError(err.response?.data?.error || "Failed to update attendance.");
     });
   };
 
-  const toggleHwDone = async () => {
+  // Homework level shown on the page: optimistic if available, otherwise DB state ('' when none)
+  const currentHwLevel = optimisticHwLevel !== null
+    ? optimisticHwLevel
+    : (student && student.homework ? student.homework.level : '');
+
+  const saveHomework = async (level) => {
     if (!student || !selectedWeek || !attendanceCenter) return;
     
     // Check if student is attended - can't do homework if not attended
@@ -402,16 +595,23 @@ export default function QR() {
       return;
     }
     
-    // Use current displayed state (optimistic if available, otherwise DB state)
-    const currentHwDone = optimisticHwDone !== null ? optimisticHwDone : student.hwDone;
-    const newHwDone = !currentHwDone;
-    setOptimisticHwDone(newHwDone);
+    const homework = {
+      level,
+      score: hwScoreInput === "" ? null : parseFloat(hwScoreInput),
+      note: hwNoteInput.trim() || null
+    };
+    const validationError = validateHomework(homework);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setOptimisticHwLevel(level);
     
     const weekNumber = getWeekNumber(selectedWeek);
     
-    updateHomeworkMutation.mutate({
-      id: student.id,
-      homeworkData: { hwDone: newHwDone, week: weekNumber }
+    submitChange('hw', { ...homework, week: weekNumber }, student.homework || null, (err) => {
+      setOptimisticHwLevel(null);
+      setError(err.response?.data?.error || "Failed to update homework.");
     });
   };
 
@@ -432,9 +632,10 @@ export default function QR() {
     
     const weekNumber = getWeekNumber(selectedWeek);
     
-    updatePaymentMutation.mutate({
-      id: student.id,
-      paymentData: { paidSession: newPaidSession, week: weekNumber }
+    // Fails e.g. when the centre's cash session is already closed
+    submitChange('paid', { paidSession: newPaidSession, week: weekNumber, center: attendanceCenter }, !!currentPaidSession, (err) => {
+      setOptimisticPaidSession(null);
+      setError(err.response?.data?.error || "Failed to update payment.");
     });
   };
 
@@ -446,7 +647,7 @@ export default function QR() {
 
   const handleQuizDegreeSubmit = async () => {
     if (!student || !selectedWeek || !attendanceCenter) return;
-    if (quizDegreeInput === "" || quizDegreeOutOf === "") return;
+    if (quizIncomplete) return;
     
     // Check if student is attended - can't enter quiz if not attended
     const currentAttended = optimisticAttended !== null ? optimisticAttended : student.attended_the_session;
@@ -455,12 +656,18 @@ export default function QR() {
       return;
     }
     
-    const quizDegreeValue = `${quizDegreeInput} / ${quizDegreeOutOf}`;
+    const score = parseFloat(quizDegreeInput);
+    const outOf = weekQuiz ? weekQuiz.maxScore : parseFloat(quizDegreeOutOf);
+    const validationError = validateQuiz(score, outOf);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
     const weekNumber = getWeekNumber(selectedWeek);
     
-    updateQuizGradeMutation.mutate({
-      id: student.id,
-      quizData: { quizDegree: quizDegreeValue, week: weekNumber }
+    // outOf is ignored by the server when the week has a catalogue quiz, but the offline copy needs it
+    submitChange('quiz', { score, outOf, week: weekNumber }, student.quiz || null, (err) => {
+      setError(err.response?.data?.error || "Failed to update quiz degree.");
     });
     
     // Clear inputs after submission
@@ -578,6 +785,52 @@ export default function QR() {
           font-weight: 600;
           box-shadow: 0 4px 16px rgba(220, 53, 69, 0.3);
         }
+        .offline-panel {
+          background: #e7f5ff;
+          border: 1px solid #74c0fc;
+          color: #1864ab;
+          border-radius: 10px;
+          padding: 12px 16px;
+          margin-bottom: 16px;
+          font-size: 0.9rem;
+        }
+        .offline-panel.offline {
+          background: #fff4e6;
+          border-color: #ffa94d;
+          color: #d9480f;
+        }
+        .offline-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 8px;
+          font-weight: 600;
+        }
+        .offline-status {
+          margin-top: 6px;
+        }
+        .offline-conflicts {
+          margin-top: 10px;
+          border-top: 1px solid rgba(0,0,0,0.1);
+          padding-top: 8px;
+        }
+        .offline-conflict {
+          margin-bottom: 8px;
+        }
+        .offline-conflict-detail {
+          color: #495057;
+          font-size: 0.85rem;
+        }
+        .offline-btn {
+          background: white;
+          border: 1px solid currentColor;
+          color: inherit;
+          border-radius: 6px;
+          padding: 4px 10px;
+          font-size: 0.8rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
         .student-card {
           background: white;
           border-radius: 16px;
@@ -791,6 +1044,45 @@ export default function QR() {
 
              <Title>QR Code Scanner</Title>
 
+      {(offlineMode || pendingCount > 0 || syncConflicts.length > 0 || syncStatus) && (
+        <div className={`offline-panel ${offlineMode ? 'offline' : ''}`}>
+          <div className="offline-header">
+            <span>
+              {offlineMode ? '📴 Offline: changes are saved on this device' : '🔄 Offline sync'}
+              {pendingCount > 0 && ` · ${pendingCount} change(s) waiting`}
+            </span>
+            {!offlineMode && pendingCount > 0 && (
+              <button className="offline-btn" onClick={runSync}>Sync now</button>
+            )}
+          </div>
+          {syncStatus && <div className="offline-status">{syncStatus}</div>}
+          {syncConflicts.length > 0 && (
+            <div className="offline-conflicts">
+              {syncConflicts.map(item => (
+                <div key={item.seq} className="offline-conflict">
+                  <strong>{item.resolution === 'overwritten' ? '🔀' : item.resolution === 'kept' ? '↩️' : '⛔'} {OFFLINE_ACTION_LABELS[item.action]}</strong>
+                  {' · '}{item.studentName || `#${item.studentId}`} (#{item.studentId}), week {item.week}
+                  <div className="offline-conflict-detail">
+                    {item.resolution === 'overwritten' && 'Your offline change was applied. '}
+                    {item.resolution === 'kept' && 'Your offline change was not applied. '}
+                    {item.resolution === 'rejected' && 'Your offline change was refused: '}
+                    {item.resolution === 'rejected' ? item.message : item.conflict && item.conflict.changedBy
+                      ? `${item.resolution === 'kept' ? 'Newer' : 'Older'} change by ${item.conflict.changedBy}${item.conflict.changedAt ? ` at ${new Date(item.conflict.changedAt).toLocaleTimeString()}` : ''}.`
+                      : ''}
+                  </div>
+                </div>
+              ))}
+              <button
+                className="offline-btn"
+                onClick={() => clearConflicts().then(refreshOfflineState)}
+              >
+                Dismiss
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="input-section">
         <form onSubmit={handleManualSubmit} className="input-group">
                   <input
@@ -918,6 +1210,7 @@ export default function QR() {
               Attendance Week
             </div>
             <AttendanceWeekSelect
+              weeks={weekOptions}
               selectedWeek={selectedWeek}
               onWeekChange={(week) => {
                 console.log('Week selected:', week);
@@ -982,14 +1275,12 @@ export default function QR() {
             </span>
             <span className={`status-badge ${(!attendanceCenter || !selectedWeek) 
               ? 'status-not-attended' 
-              : (optimisticHwDone !== null ? optimisticHwDone : student.hwDone) 
+              : isHomeworkDone({ level: currentHwLevel }) 
                 ? 'status-attended' 
                 : 'status-not-attended'}`}>
-              {(!attendanceCenter || !selectedWeek) 
-                ? '❌ H.W: Not Done' 
-                : (optimisticHwDone !== null ? optimisticHwDone : student.hwDone) 
-                  ? '✅ H.W: Done' 
-                  : '❌ H.W: Not Done'}
+              {(!attendanceCenter || !selectedWeek || !currentHwLevel) 
+                ? '❌ H.W: Not Graded' 
+                : `${HOMEWORK_LEVEL_ICONS[currentHwLevel]} H.W: ${HOMEWORK_LEVEL_LABELS[currentHwLevel]}`}
             </span>
             <span className={`status-badge ${(!attendanceCenter || !selectedWeek) 
               ? 'status-not-attended' 
@@ -1076,39 +1367,75 @@ export default function QR() {
                   : '✅ Mark as Attended'}
             </button>
 
-            {/* Homework Toggle Button */}
-            <button
-              className="toggle-btn"
-              onClick={toggleHwDone}
-              disabled={!attendanceCenter || !selectedWeek || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
-              style={{
-                width: '100%',
-                background: (!attendanceCenter || !selectedWeek) 
-                  ? 'linear-gradient(135deg, #28a745 0%, #20c997 100%)' // Default "Not Done" state
-                  : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) 
-                      ? 'linear-gradient(135deg, #6c757d 0%, #495057 100%)' // Gray when not attended
-                    : (optimisticHwDone !== null ? optimisticHwDone : student.hwDone) 
-                      ? 'linear-gradient(135deg, #dc3545 0%, #e74c3c 100%)' 
-                      : 'linear-gradient(135deg, #28a745 0%, #20c997 100%)',
-                color: 'white',
-                border: 'none',
-                borderRadius: 10,
-                fontWeight: 600,
-                fontSize: '1.1rem',
-                padding: '14px 0',
-                cursor: (!attendanceCenter || !selectedWeek || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'pointer',
-                opacity: (!attendanceCenter || !selectedWeek || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 0.5 : 1,
-                transition: 'all 0.3s ease'
-              }}
-            >
-              {(!attendanceCenter || !selectedWeek) 
-                ? '✅ Mark as H.W Done' 
-                : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) 
-                  ? '🚫 Must Attend First' 
-                  : (optimisticHwDone !== null ? optimisticHwDone : student.hwDone) 
-                    ? '❌ Mark as H.W Not Done' 
-                    : '✅ Mark as H.W Done'}
-            </button>
+            {/* Homework level buttons, with an optional score and note */}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: 8 }}>
+              {HOMEWORK_LEVELS.map(level => {
+                const disabled = !attendanceCenter || !selectedWeek || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session);
+                const active = !!attendanceCenter && !!selectedWeek && currentHwLevel === level;
+                return (
+                  <button
+                    key={level}
+                    className="toggle-btn"
+                    onClick={() => saveHomework(level)}
+                    disabled={disabled}
+                    style={{
+                      background: disabled
+                        ? 'linear-gradient(135deg, #6c757d 0%, #495057 100%)'
+                        : active
+                          ? 'linear-gradient(135deg, #1FA8DC 0%, #0d8bc0 100%)'
+                          : '#e9ecef',
+                      color: active || disabled ? 'white' : '#212529',
+                      border: 'none',
+                      borderRadius: 10,
+                      fontWeight: 600,
+                      fontSize: '1rem',
+                      padding: '12px 0',
+                      cursor: disabled ? 'not-allowed' : 'pointer',
+                      opacity: disabled ? 0.5 : 1,
+                      transition: 'all 0.3s ease'
+                    }}
+                  >
+                    {HOMEWORK_LEVEL_ICONS[level]} H.W {HOMEWORK_LEVEL_LABELS[level]}
+                  </button>
+                );
+              })}
+            </div>
+            {currentHwLevel && attendanceCenter && selectedWeek && (
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <input
+                  type="number"
+                  min={0}
+                  step="any"
+                  placeholder="H.W score (optional)"
+                  value={hwScoreInput}
+                  onChange={(e) => setHwScoreInput(e.target.value)}
+                  style={{ flex: 1, minWidth: 120, padding: '10px 12px', border: '2px solid #e9ecef', borderRadius: 8, fontSize: '1rem' }}
+                />
+                <input
+                  type="text"
+                  maxLength={MAX_HOMEWORK_NOTE_LENGTH}
+                  placeholder='Note, e.g. "copied" or "forgot notebook"'
+                  value={hwNoteInput}
+                  onChange={(e) => setHwNoteInput(e.target.value)}
+                  style={{ flex: 2, minWidth: 180, padding: '10px 12px', border: '2px solid #e9ecef', borderRadius: 8, fontSize: '1rem' }}
+                />
+                <button
+                  className="toggle-btn"
+                  onClick={() => saveHomework(currentHwLevel)}
+                  style={{
+                    background: 'linear-gradient(135deg, #28a745 0%, #20c997 100%)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: 10,
+                    fontWeight: 600,
+                    padding: '10px 16px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  💾 Save H.W
+                </button>
+              </div>
+            )}
 
             {/* Payment Toggle Button */}
             <button
@@ -1149,6 +1476,12 @@ export default function QR() {
           {/* Quiz degree input section */}
           <div className="info-label" style={{ marginBottom: 6, marginTop: 10, textAlign: 'start', fontWeight: 600 }}>
             Quiz Degree
+            {weekQuiz && (
+              <span style={{ fontWeight: 400, marginLeft: 8 }}>
+                {weekQuiz.title ? `${weekQuiz.title} - ` : ''}out of {weekQuiz.maxScore}
+                {weekQuiz.passMark !== null ? `, pass mark ${weekQuiz.passMark}` : ''}
+              </span>
+            )}
           </div>
           <form onSubmit={handleQuizFormSubmit} className="quiz-row">
             <div className="quiz-inputs-container">
@@ -1160,8 +1493,9 @@ export default function QR() {
               placeholder={
                 (!selectedWeek || !attendanceCenter) ? "Select week and center first..." 
                 : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) ? "Must attend first..."
-                : "degree ..."
+                : weekQuiz ? `score out of ${weekQuiz.maxScore} ...` : "degree ..."
               }
+              max={weekQuiz ? weekQuiz.maxScore : undefined}
               value={quizDegreeInput}
               onChange={e => setQuizDegreeInput(e.target.value)}
               disabled={updateQuizGradeMutation.isPending || !selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
@@ -1170,39 +1504,41 @@ export default function QR() {
                 cursor: (!selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'text'
               }}
             />
-            <input
-              type="number"
-              step="any"
-              min="0"
-              className="manual-input quiz-input"
-              placeholder={
-                (!selectedWeek || !attendanceCenter) ? "Select week and center first..." 
-                : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) ? "Must attend first..."
-                : "out of ..."
-              }
-              value={quizDegreeOutOf}
-              onChange={e => setQuizDegreeOutOf(e.target.value)}
-              disabled={updateQuizGradeMutation.isPending || !selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
-              style={{
-                opacity: (!selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 0.5 : 1,
-                cursor: (!selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'text'
-              }}
-            />
+            {!weekQuiz && (
+              <input
+                type="number"
+                step="any"
+                min="0"
+                className="manual-input quiz-input"
+                placeholder={
+                  (!selectedWeek || !attendanceCenter) ? "Select week and center first..." 
+                  : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) ? "Must attend first..."
+                  : "out of ..."
+                }
+                value={quizDegreeOutOf}
+                onChange={e => setQuizDegreeOutOf(e.target.value)}
+                disabled={updateQuizGradeMutation.isPending || !selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
+                style={{
+                  opacity: (!selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 0.5 : 1,
+                  cursor: (!selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'text'
+                }}
+              />
+            )}
             </div>
             <button
               type="submit"
               className="fetch-btn quiz-btn"
-              disabled={updateQuizGradeMutation.isPending || quizDegreeInput === "" || quizDegreeOutOf === "" || !selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
+              disabled={updateQuizGradeMutation.isPending || quizIncomplete || !selectedWeek || !attendanceCenter || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)}
               style={{
-                opacity: (!selectedWeek || !attendanceCenter || quizDegreeInput === "" || quizDegreeOutOf === "" || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 0.5 : 1,
-                cursor: (!selectedWeek || !attendanceCenter || quizDegreeInput === "" || quizDegreeOutOf === "" || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'pointer',
+                opacity: (!selectedWeek || !attendanceCenter || quizIncomplete || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 0.5 : 1,
+                cursor: (!selectedWeek || !attendanceCenter || quizIncomplete || !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session)) ? 'not-allowed' : 'pointer',
                 transition: 'all 0.3s ease'
               }}
               title={
                 !selectedWeek ? 'Please select a week first' 
                 : !attendanceCenter ? 'Please select an attendance center first' 
                 : !(optimisticAttended !== null ? optimisticAttended : student.attended_the_session) ? 'Student must attend first'
-                : (quizDegreeInput === "" || quizDegreeOutOf === "") ? 'Please fill both fields' 
+                : quizIncomplete ? (weekQuiz ? 'Please enter the score' : 'Please fill both fields') 
                 : ''
               }
             >
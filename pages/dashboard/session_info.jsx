@@ -1,15 +1,31 @@
 import { useEffect, useState, useRef, useMemo } from 'react';
-import { AVAILABLE_CENTERS } from '../../constants/centers';
 import GradeSelect from '../../components/GradeSelect';
 import CenterSelect from '../../components/CenterSelect';
 import AttendanceWeekSelect from '../../components/AttendanceWeekSelect';
+import { useWeekOptions } from '../../lib/weeks';
 import { SessionTable } from '../../components/SessionTable.jsx';
 import Title from '../../components/Title';
+import ExportButtons from '../../components/ExportButtons';
 import { IconArrowDownRight, IconArrowUpRight } from '@tabler/icons-react';
 import { Center, Group, Paper, RingProgress, SimpleGrid, Text } from '@mantine/core';
 import { useRouter } from 'next/router';
-import { useStudents } from '../../lib/api/students';
 import LoadingSkeleton from '../../components/LoadingSkeleton';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import { TEMPLATE_LANGUAGES, TEMPLATE_LANGUAGE_LABELS } from '../../lib/messageTemplates';
+import { HOMEWORK_LEVELS, HOMEWORK_LEVEL_ICONS, HOMEWORK_LEVEL_LABELS } from '../../lib/homework';
+
+// API functions
+const sessionAPI = {
+  getStats: async ({ center, grade, week }, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/sessions/stats`, {
+      params: { center, grade, week: week || undefined },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
 
 export default function SessionInfo() {
   const containerRef = useRef(null);
@@ -17,39 +33,43 @@ export default function SessionInfo() {
   const [selectedCenter, setSelectedCenter] = useState('');
   const [selectedGrade, setSelectedGrade] = useState('');
   const [selectedWeek, setSelectedWeek] = useState('');
-  const [filtered, setFiltered] = useState(null);
   const [showHW, setShowHW] = useState(false);
   const [showPaid, setShowPaid] = useState(false);
   const [showQuiz, setShowQuiz] = useState(false);
   const [openDropdown, setOpenDropdown] = useState(null); // 'grade', 'center', 'week', or null
 
-  // React Query hook with real-time updates - 5 second polling like history page
-  const { data: students = [], isLoading, error, refetch, isRefetching, dataUpdatedAt } = useStudents({}, {
-    // Aggressive real-time settings for immediate updates
+  // Helper function to get week number from week string
+  const getWeekNumber = (weekString) => {
+    if (!weekString) return null;
+    const match = weekString.match(/week (\d+)/);
+    return match ? parseInt(match[1]) : null;
+  };
+
+  // Get the week number for filtering
+  const weekNumber = getWeekNumber(selectedWeek);
+  const weekOptions = useWeekOptions(selectedGrade);
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  // Counts and student lists are aggregated on the server; poll every 5 seconds like history page
+  const { data: stats, isLoading, error, refetch, isRefetching, dataUpdatedAt } = useQuery({
+    queryKey: ['session-stats', selectedCenter, selectedGrade, weekNumber],
+    queryFn: () => sessionAPI.getStats({ center: selectedCenter, grade: selectedGrade, week: weekNumber }, token),
+    enabled: !!token && !!selectedCenter && !!selectedGrade,
     refetchInterval: 5 * 1000, // Refetch every 5 seconds for real-time updates
     refetchIntervalInBackground: true, // Continue when tab is not active
     refetchOnWindowFocus: true, // Immediate update when switching back to tab
     refetchOnReconnect: true, // Refetch when reconnecting to internet
     staleTime: 0, // Always consider data stale to force refetch
-    gcTime: 1000, // Keep in cache for only 1 second
-    refetchOnMount: true, // Always refetch when component mounts/page entered
   });
 
-  useEffect(() => {
-    if (error) {
-      const timer = setTimeout(() => setError(""), 5000);
-      return () => clearTimeout(timer);
-    }
-  }, [error]);
-
   // Handle message state updates (simplified - SessionTable handles the local state)
   const handleMessageStateChange = (studentId, messageState) => {
     console.log('Message state changed for student:', studentId, 'to:', messageState);
     // SessionTable now handles the local state directly, so this is just for logging
   };
 
-
-
   useEffect(() => {
     // Listen for manual refresh events
     const handleRefresh = () => {
@@ -68,12 +88,10 @@ export default function SessionInfo() {
       isLoading,
       isRefetching,
       dataUpdatedAt: new Date(dataUpdatedAt).toLocaleTimeString(),
-      studentsCount: students.length,
+      attendedCount: stats ? stats.attended.length : 0,
       timestamp: new Date().toLocaleTimeString()
     });
-  }, [isLoading, isRefetching, dataUpdatedAt, students.length]);
-
-  // No need for complex state merging - SessionTable handles message states locally
+  }, [isLoading, isRefetching, dataUpdatedAt, stats]);
 
   // Load remembered values from sessionStorage on component mount
   useEffect(() => {
@@ -115,259 +133,16 @@ export default function SessionInfo() {
     };
   }, [openDropdown]);
 
-  // Get all possible centers for dropdown
-  const allCenters = AVAILABLE_CENTERS;
-
-  // Filtering logic
+  // The query follows the selects; the button forces a fresh load
   const handleFilterFormSubmit = (e) => {
     e.preventDefault();
-    handleFilter();
+    if (selectedCenter && selectedGrade) refetch();
   };
 
-  const handleFilter = () => {
-    let filteredList = students;
-    if (selectedGrade) {
-      filteredList = filteredList.filter(s => s.grade && s.grade.toLowerCase().includes(selectedGrade.toLowerCase()));
-    }
-    setFiltered(filteredList);
-  };
-
-  // Trigger filtering when students data or filters change
-  useEffect(() => {
-    handleFilter();
-  }, [students, selectedGrade, selectedCenter, selectedWeek]);
-
-  // Helper function to get week number from week string
-  const getWeekNumber = (weekString) => {
-    if (!weekString) return null;
-    const match = weekString.match(/week (\d+)/);
-    return match ? parseInt(match[1]) : null;
-  };
-
-  // Helper function to get student data for specific week
-  const getStudentWeekData = (student, weekNumber) => {
-    if (!student.weeks || !weekNumber) return student;
-    const weekIndex = weekNumber - 1;
-    const weekData = student.weeks[weekIndex];
-    if (!weekData) return student;
-    
-    return {
-      ...student,
-      attended_the_session: weekData.attended,
-      lastAttendance: weekData.lastAttendance,
-      lastAttendanceCenter: weekData.lastAttendanceCenter,
-      hwDone: weekData.hwDone,
-      paidSession: weekData.paidSession,
-      quizDegree: weekData.quizDegree,
-      message_state: weekData.message_state,
-      // Store the week number for WhatsApp button to use
-      currentWeekNumber: weekNumber
-    };
-  };
-
-  const dataToCount = filtered !== null ? filtered : students;
-
-  // Helper function to check if student attended in specific week
-  const didStudentAttendInWeek = (student, weekNumber) => {
-    if (!student.weeks || !weekNumber) return false;
-    const weekIndex = weekNumber - 1;
-    const weekData = student.weeks[weekIndex];
-    return weekData && weekData.attended;
-  };
-
-  // Helper function to check if student attended in specific center in specific week
-  const didStudentAttendInCenterInWeek = (student, center, weekNumber) => {
-    if (!student.weeks || !weekNumber || !center) return false;
-    const weekIndex = weekNumber - 1;
-    const weekData = student.weeks[weekIndex];
-    return weekData && weekData.attended && weekData.lastAttendanceCenter && 
-           weekData.lastAttendanceCenter.toLowerCase() === center.toLowerCase();
-  };
-
-  // Get the week number for filtering
-  const weekNumber = getWeekNumber(selectedWeek);
-
-  // Counts - now based on specific week if selected
-  const attendedCount = weekNumber ? 
-    dataToCount.filter(s => didStudentAttendInWeek(s, weekNumber)).length :
-    dataToCount.filter(s => s.weeks && s.weeks.some(week => week.attended)).length;
-    
-  const notAttendedCount = weekNumber ? 
-    dataToCount.filter(s => !didStudentAttendInWeek(s, weekNumber)).length :
-    dataToCount.filter(s => !s.weeks || !s.weeks.some(week => week.attended)).length;
-    
-  const hwDoneCount = weekNumber ? 
-    dataToCount.filter(s => {
-      if (!s.weeks || !weekNumber) return false;
-      const weekIndex = weekNumber - 1;
-      const weekData = s.weeks[weekIndex];
-      return weekData && weekData.hwDone;
-    }).length :
-    dataToCount.filter(s => s.weeks && s.weeks.some(week => week.hwDone)).length;
-    
-  const hwNotDoneCount = weekNumber ? 
-    dataToCount.filter(s => {
-      if (!s.weeks || !weekNumber) return false;
-      const weekIndex = weekNumber - 1;
-      const weekData = s.weeks[weekIndex];
-      return weekData && !weekData.hwDone;
-    }).length :
-    dataToCount.filter(s => !s.weeks || !s.weeks.some(week => week.hwDone)).length;
-    
-  const paidCount = weekNumber ? 
-    dataToCount.filter(s => {
-      if (!s.weeks || !weekNumber) return false;
-      const weekIndex = weekNumber - 1;
-      const weekData = s.weeks[weekIndex];
-      return weekData && weekData.paidSession;
-    }).length :
-    dataToCount.filter(s => s.weeks && s.weeks.some(week => week.paidSession)).length;
-    
-  const notPaidCount = weekNumber ? 
-    dataToCount.filter(s => {
-      if (!s.weeks || !weekNumber) return false;
-      const weekIndex = weekNumber - 1;
-      const weekData = s.weeks[weekIndex];
-      return weekData && !weekData.paidSession;
-    }).length :
-    dataToCount.filter(s => !s.weeks || !s.weeks.some(week => week.paidSession)).length;
-
-  const centerCounts = {};
-  dataToCount.forEach(s => {
-    if (s.weeks) {
-      s.weeks.forEach(week => {
-        if (week.lastAttendanceCenter) {
-          // If week is selected, only count that week
-          if (weekNumber && week.week !== weekNumber) return;
-          centerCounts[week.lastAttendanceCenter] = (centerCounts[week.lastAttendanceCenter] || 0) + 1;
-        }
-      });
-    }
-  });
-
-  // --- NEW METRICS LOGIC ---
-  // MC: Main Center Attended (in specific week if selected)
-  const MC = dataToCount.filter(s => {
-    if (!selectedGrade || !selectedCenter) return false;
-    
-    const gradeMatch = s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '');
-    const centerMatch = s.main_center && s.main_center.toLowerCase() === selectedCenter.toLowerCase();
-    
-    if (!gradeMatch || !centerMatch) return false;
-    
-    if (weekNumber) {
-      // Check if attended in selected week and in selected center
-      return didStudentAttendInCenterInWeek(s, selectedCenter, weekNumber);
-    } else {
-      // Check if attended in any week in selected center
-      return s.weeks && s.weeks.some(week => 
-        week.attended && week.lastAttendanceCenter && 
-        week.lastAttendanceCenter.toLowerCase() === selectedCenter.toLowerCase()
-      );
-    }
-  }).length;
-
-  // NAMC: Not Attended but Main Center (in specific week if selected)
-  const NAMC_students = dataToCount.filter(s => {
-    if (!selectedGrade || !selectedCenter) return false;
-    
-    const gradeMatch = s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '');
-    const centerMatch = s.main_center && s.main_center.toLowerCase() === selectedCenter.toLowerCase();
-    
-    if (!gradeMatch || !centerMatch) return false;
-    
-    if (weekNumber) {
-      // Check if NOT attended in selected week
-      return !didStudentAttendInWeek(s, weekNumber);
-    } else {
-      // Check if NOT attended in any week
-      return !s.weeks || !s.weeks.some(week => week.attended);
-    }
-  });
-  const NAMC = NAMC_students.length;
-  const NAMC_ids = NAMC_students.map(s => s.id).join(', ');
-
-  // Main Center denominator: all students with main_center === selectedCenter and grade === selectedGrade (regardless of attendance)
-  const mainCenterTotal = dataToCount.filter(s =>
-    s.main_center && s.main_center.toLowerCase() === selectedCenter.toLowerCase() &&
-    s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '')
-  ).length;
-
-  // NMC: Not Main Center Attended (in specific week if selected)
-  const NMC = dataToCount.filter(s => {
-    if (!selectedGrade || !selectedCenter) return false;
-    
-    const gradeMatch = s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '');
-    const centerMatch = s.main_center && s.main_center.toLowerCase() !== selectedCenter.toLowerCase();
-    
-    if (!gradeMatch || !centerMatch) return false;
-    
-    if (weekNumber) {
-      // Check if attended in selected week and in selected center
-      return didStudentAttendInCenterInWeek(s, selectedCenter, weekNumber);
-    } else {
-      // Check if attended in any week in selected center
-      return s.weeks && s.weeks.some(week => 
-        week.attended && week.lastAttendanceCenter && 
-        week.lastAttendanceCenter.toLowerCase() === selectedCenter.toLowerCase()
-      );
-    }
-  }).length;
-
-  // Total Attended: MC + NMC
-  const totalAttended = MC + NMC;
-
-  // MC percent (show as MC / mainCenterTotal and percent)
-  const MC_percent = mainCenterTotal > 0 ? Math.round((MC / mainCenterTotal) * 100) : 0;
-
-  // Filtered students for table (by grade, center, and week if selected)
-  let filteredStudents = (filtered !== null ? filtered : students).filter(s => {
-    if (!selectedGrade || !selectedCenter) return false;
-    
-    const gradeMatch = s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '');
-    if (!gradeMatch) return false;
-    
-    if (weekNumber) {
-      // If week is selected, check if attended in that specific week and center
-      return didStudentAttendInCenterInWeek(s, selectedCenter, weekNumber);
-    } else {
-      // If no week selected, check if attended in any week in selected center
-      return s.weeks && s.weeks.some(week => 
-        week.attended && week.lastAttendanceCenter && 
-        week.lastAttendanceCenter.toLowerCase() === selectedCenter.toLowerCase()
-      );
-    }
-  });
-
-  // If a specific week is selected, update the student data to show that week's information
-  if (selectedWeek && weekNumber) {
-    filteredStudents = filteredStudents.map(student => getStudentWeekData(student, weekNumber));
-  }
-
-  // Filter for not attended students (considering week if selected)
-  const notAttendedStudents = (filtered !== null ? filtered : students).filter(s => {
-    if (!selectedGrade || !selectedCenter) return false;
-    
-    const gradeMatch = s.grade && s.grade.toLowerCase().replace(/\./g, '') === selectedGrade.toLowerCase().replace(/\./g, '');
-    const centerMatch = s.main_center && s.main_center.toLowerCase() === selectedCenter.toLowerCase();
-    
-    if (!gradeMatch || !centerMatch) return false;
-    
-    if (weekNumber) {
-      // Check if NOT attended in selected week
-      return !didStudentAttendInWeek(s, weekNumber);
-    } else {
-      // Check if NOT attended in any week
-      return !s.weeks || !s.weeks.some(week => week.attended);
-    }
-  });
-
-  // Update not attended students with week data if week is selected
-  if (selectedWeek && weekNumber) {
-    notAttendedStudents.forEach(student => {
-      Object.assign(student, getStudentWeekData(student, weekNumber));
-    });
-  }
+  const counts = stats ? stats.counts : { mainCenterAttended: 0, otherCenterAttended: 0, totalAttended: 0, mainCenterTotal: 0 };
+  const filteredStudents = stats ? stats.attended : [];
+  const notAttendedStudents = stats ? stats.notAttended : [];
+  const errorMessage = error ? error.response?.data?.error || 'Failed to load session info' : '';
 
   return (
     <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
@@ -575,7 +350,7 @@ export default function SessionInfo() {
           }
         `}</style>
         <Title>Session Info</Title>
-        {error && <div className="error-message">❌ {error}</div>}
+        {errorMessage && <div className="error-message">❌ {errorMessage}</div>}
         
         {/* Show week info if week is selected */}
         {selectedWeek && (
@@ -620,6 +395,7 @@ export default function SessionInfo() {
           />
           <div className="filter-label">Week (Optional)</div>
           <AttendanceWeekSelect
+            weeks={weekOptions}
             selectedWeek={selectedWeek}
             onWeekChange={(week) => {
               setSelectedWeek(week);
@@ -637,7 +413,17 @@ export default function SessionInfo() {
           <button type="submit" className="filter-btn">Filter Students</button>
         </form>
 
-        <StatsRing MC={MC} NMC={NMC} totalAttended={totalAttended} mainCenterTotal={mainCenterTotal} selectedWeek={selectedWeek} />
+        <StatsRing
+          MC={counts.mainCenterAttended}
+          NMC={counts.otherCenterAttended}
+          totalAttended={counts.totalAttended}
+          mainCenterTotal={counts.mainCenterTotal}
+          selectedWeek={selectedWeek}
+        />
+
+        {counts.hwLevels && counts.totalAttended > 0 && (
+          <HomeworkLevels levels={counts.hwLevels} totalAttended={counts.totalAttended} />
+        )}
         
         {/* Table toggles and table */}
         <div className="table-container" style={{ margin: '24px 0', background: '#fff', borderRadius: 12, padding: '18px', boxShadow: '0 2px 8px rgba(0,0,0,0.07)' }}>
@@ -676,6 +462,26 @@ export default function SessionInfo() {
           />
         </div>
         
+        {/* Attendees and absentees of the selected session as a spreadsheet */}
+        {selectedCenter && selectedGrade && stats && (
+          <div style={{ margin: '0 0 24px 0', display: 'flex', justifyContent: 'center' }}>
+            <ExportButtons
+              path="/api/exports/session"
+              params={{ center: selectedCenter, grade: selectedGrade, week: weekNumber || undefined }}
+            />
+          </div>
+        )}
+
+        {/* Bulk WhatsApp reports for the selected session */}
+        {selectedCenter && weekNumber && (
+          <BulkSendPanel center={selectedCenter} grade={selectedGrade} week={weekNumber} />
+        )}
+
+        {/* Absence notices for the selected session */}
+        {selectedCenter && weekNumber && (
+          <AbsencePanel center={selectedCenter} grade={selectedGrade} week={weekNumber} />
+        )}
+        
         {/* Second table: Not attended, grade and main_center match selection */}
         <div className="table-container" style={{ margin: '24px 0', background: '#fff', borderRadius: 12, padding: '18px', boxShadow: '0 2px 8px rgba(0,0,0,0.07)' }}>
           <div style={{ fontWeight: 600, marginBottom: 12, textAlign: 'center', color: '#000' }}>
@@ -745,4 +551,380 @@ function StatsRing({ MC, NMC, totalAttended, mainCenterTotal, selectedWeek }) {
       ))}
     </SimpleGrid>
   );
-} 
\ No newline at end of file
+} 
+
+const HOMEWORK_LEVEL_COLORS = {
+  not_done: '#dc3545',
+  partial: '#b7791f',
+  complete: '#28a745',
+  excellent: '#1FA8DC',
+  ungraded: '#6c757d'
+};
+
+// Attendees per homework level
+function HomeworkLevels({ levels, totalAttended }) {
+  const entries = [
+    ...HOMEWORK_LEVELS.map(level => ({ key: level, label: `${HOMEWORK_LEVEL_ICONS[level]} ${HOMEWORK_LEVEL_LABELS[level]}` })),
+    { key: 'ungraded', label: 'No grade' }
+  ];
+
+  return (
+    <SimpleGrid cols={{ base: 2, sm: 5 }} style={{ marginBottom: 24 }}>
+      {entries.map(entry => (
+        <Paper withBorder radius="md" p="xs" key={entry.key}>
+          <Text c="dimmed" size="xs" tt="uppercase" fw={700} align="center">
+            {entry.label}
+          </Text>
+          <Text fw={700} size="xl" align="center" style={{ color: HOMEWORK_LEVEL_COLORS[entry.key] }}>
+            {levels[entry.key]}
+          </Text>
+          <Text c="dimmed" size="xs" align="center">
+            {Math.round((levels[entry.key] / totalAttended) * 100)}% of attendees
+          </Text>
+        </Paper>
+      ))}
+    </SimpleGrid>
+  );
+}
+
+const OUTCOME_COLORS = {
+  queued: '#6c757d',
+  sending: '#1FA8DC',
+  sent: '#28a745',
+  failed: '#dc3545',
+  skipped: '#b7791f'
+};
+
+// Send the weekly report to every parent of the session who has not been messaged yet.
+// Progress comes from the server, so leaving and reopening the page picks the batch up again.
+function BulkSendPanel({ center, grade, week }) {
+  const queryClient = useQueryClient();
+  const [language, setLanguage] = useState('en');
+  const [sendError, setSendError] = useState('');
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const queryKey = ['session-batch', center, grade || '', week];
+
+  // { batch, workerRunning }
+  const { data, error: batchError } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const response = await axios.get(`${getApiBaseUrl()}/api/messages/batches`, {
+        params: { center, grade: grade || undefined, week },
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    },
+    enabled: !!token,
+    staleTime: 0,
+    retry: false,
+    refetchInterval: (query) => (query.state.data?.batch && !query.state.data.batch.done ? 3000 : false)
+  });
+  const batch = data?.batch;
+
+  const sendMutation = useMutation({
+    mutationFn: async () => {
+      const response = await axios.post(`${getApiBaseUrl()}/api/messages/batches`,
+        { center, grade: grade || undefined, week, language },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      return response.data;
+    },
+    onSuccess: ({ batch: newBatch, workerRunning }) => {
+      setSendError('');
+      queryClient.setQueryData(queryKey, { batch: newBatch, workerRunning });
+    },
+    onError: (err) => {
+      setSendError(err.response?.data?.error || 'Failed to queue reports');
+    }
+  });
+
+  // Roles without messages.send do not get the panel
+  if (batchError?.response?.status === 403) return null;
+
+  const total = batch ? batch.outcomes.length : 0;
+  const finished = batch ? batch.counts.sent + batch.counts.failed + batch.counts.skipped : 0;
+  const inProgress = batch && !batch.done;
+
+  return (
+    <div className="table-container" style={{ margin: '24px 0', background: '#fff', borderRadius: 12, padding: '18px', boxShadow: '0 2px 8px rgba(0,0,0,0.07)' }}>
+      <div style={{ fontWeight: 600, marginBottom: 12, textAlign: 'center', color: '#000' }}>
+        📨 Parent Reports - week {week}
+      </div>
+      <div className="bulk-actions">
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} className="bulk-select">
+          {TEMPLATE_LANGUAGES.map(l => (
+            <option key={l} value={l}>{TEMPLATE_LANGUAGE_LABELS[l]}</option>
+          ))}
+        </select>
+        <button
+          className="bulk-send-btn"
+          onClick={() => sendMutation.mutate()}
+          disabled={sendMutation.isPending || inProgress}
+        >
+          {sendMutation.isPending ? 'Queueing...' : inProgress ? 'Sending...' : '📤 Send reports to all parents'}
+        </button>
+      </div>
+      {sendError && <div className="bulk-error">❌ {sendError}</div>}
+      {data && !data.workerRunning && (
+        <div className="bulk-error">⚠️ The message worker is not running, so queued reports are not being sent.</div>
+      )}
+
+      {batch && (
+        <>
+          <div className="bulk-progress">
+            <div className="bulk-progress-fill" style={{ width: total ? `${(finished / total) * 100}%` : 0 }} />
+          </div>
+          <div className="bulk-counts">
+            {Object.keys(batch.counts).map(status => (
+              <span key={status} style={{ color: OUTCOME_COLORS[status] }}>{status}: {batch.counts[status]}</span>
+            ))}
+          </div>
+          <div className="bulk-meta">
+            Started {new Date(batch.createdAt).toLocaleString()}{batch.createdByName ? ` by ${batch.createdByName}` : ''}
+            {batch.done && ' - finished. Sending again only messages parents who were not reached.'}
+          </div>
+          {batch.done && (
+            <div className="bulk-outcomes">
+              {batch.outcomes.map(outcome => (
+                <div key={outcome.studentId} className="bulk-outcome">
+                  <span>#{outcome.studentId} {outcome.name}{outcome.attended ? '' : ' (absent)'}</span>
+                  <span style={{ color: OUTCOME_COLORS[outcome.status], fontWeight: 600 }}>
+                    {outcome.status}{outcome.reason ? ` - ${outcome.reason}` : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+      <style jsx>{`
+        .bulk-actions {
+          display: flex;
+          gap: 8px;
+          flex-wrap: wrap;
+          justify-content: center;
+        }
+        .bulk-select {
+          padding: 10px 12px;
+          border: 2px solid #e9ecef;
+          border-radius: 8px;
+          color: #000;
+          background: #fff;
+        }
+        .bulk-send-btn {
+          padding: 10px 18px;
+          border: none;
+          border-radius: 8px;
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+          background: linear-gradient(135deg, #25D366 0%, #128C7E 100%);
+        }
+        .bulk-send-btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+        .bulk-error {
+          color: #dc3545;
+          text-align: center;
+          margin-top: 8px;
+        }
+        .bulk-progress {
+          height: 10px;
+          background: #e9ecef;
+          border-radius: 5px;
+          overflow: hidden;
+          margin-top: 14px;
+        }
+        .bulk-progress-fill {
+          height: 100%;
+          background: linear-gradient(90deg, #1FA8DC 0%, #28a745 100%);
+          transition: width 0.3s ease;
+        }
+        .bulk-counts {
+          display: flex;
+          gap: 12px;
+          flex-wrap: wrap;
+          justify-content: center;
+          margin-top: 8px;
+          font-weight: 600;
+          text-transform: capitalize;
+        }
+        .bulk-meta {
+          color: #6c757d;
+          font-size: 0.85rem;
+          text-align: center;
+          margin-top: 6px;
+        }
+        .bulk-outcomes {
+          max-height: 240px;
+          overflow-y: auto;
+          margin-top: 10px;
+          border-top: 1px solid #dee2e6;
+        }
+        .bulk-outcome {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 6px 0;
+          border-bottom: 1px solid #f1f3f5;
+          color: #212529;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+const ABSENCE_STATUS_LABELS = {
+  claimed: 'sending',
+  queued: 'notified',
+  skipped: 'skipped'
+};
+
+// Students of the session who were not marked attended, and whether their parents got
+// the absence notice. Notices go out by themselves once the attendance window closes;
+// the button sends them early.
+function AbsencePanel({ center, grade, week }) {
+  const queryClient = useQueryClient();
+  const [language, setLanguage] = useState('en');
+  const [notice, setNotice] = useState('');
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+  const queryKey = ['session-absences', center, grade || '', week];
+
+  const { data, error } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const response = await axios.get(`${getApiBaseUrl()}/api/messages/absences`, {
+        params: { center, grade: grade || undefined, week },
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    },
+    enabled: !!token,
+    staleTime: 0,
+    retry: false
+  });
+
+  const notifyMutation = useMutation({
+    mutationFn: async () => {
+      const response = await axios.post(`${getApiBaseUrl()}/api/messages/absences`,
+        { center, grade: grade || undefined, week, language },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      return response.data;
+    },
+    onSuccess: (summary) => {
+      setNotice(`✅ ${summary.queued} notice(s) queued, ${summary.skipped} skipped, ${summary.alreadyNotified} already notified.`
+        + (summary.workerRunning ? '' : ' ⚠️ The message worker is not running, so they are not being sent.'));
+      queryClient.invalidateQueries({ queryKey });
+    },
+    onError: (err) => {
+      setNotice(`❌ ${err.response?.data?.error || 'Failed to send absence notices'}`);
+    }
+  });
+
+  // Roles without messages.send do not get the panel
+  if (error?.response?.status === 403) return null;
+
+  const absentees = data?.absentees || [];
+  const pending = absentees.filter(student => !student.notified).length;
+  const closesAt = data?.windowClosesAt ? new Date(data.windowClosesAt) : null;
+
+  return (
+    <div className="table-container" style={{ margin: '24px 0', background: '#fff', borderRadius: 12, padding: '18px', boxShadow: '0 2px 8px rgba(0,0,0,0.07)' }}>
+      <div style={{ fontWeight: 600, marginBottom: 12, textAlign: 'center', color: '#000' }}>
+        📭 Absence Notices - week {week}
+      </div>
+      <div className="absence-meta">
+        {absentees.length} absent, {absentees.length - pending} notified
+        {closesAt && (closesAt > new Date()
+          ? ` - sent automatically after ${closesAt.toLocaleString()}`
+          : ` - attendance closed ${closesAt.toLocaleString()}`)}
+      </div>
+      <div className="absence-actions">
+        <select value={language} onChange={(e) => setLanguage(e.target.value)} className="absence-select">
+          {TEMPLATE_LANGUAGES.map(l => (
+            <option key={l} value={l}>{TEMPLATE_LANGUAGE_LABELS[l]}</option>
+          ))}
+        </select>
+        <button
+          className="absence-btn"
+          onClick={() => notifyMutation.mutate()}
+          disabled={notifyMutation.isPending || pending === 0}
+        >
+          {notifyMutation.isPending ? 'Queueing...' : `📤 Notify absent parents (${pending})`}
+        </button>
+      </div>
+      {notice && <div className="absence-notice">{notice}</div>}
+      {absentees.length > 0 && (
+        <div className="absence-list">
+          {absentees.map(student => (
+            <div key={student.id} className="absence-row">
+              <span>#{student.id} {student.name}</span>
+              <span style={{ color: student.notified ? OUTCOME_COLORS[student.status === 'skipped' ? 'skipped' : 'sent'] : '#6c757d', fontWeight: 600 }}>
+                {student.notified
+                  ? `${ABSENCE_STATUS_LABELS[student.status]}${student.reason ? ` - ${student.reason}` : ''}${student.trigger === 'auto' ? ' (auto)' : ''}`
+                  : 'not notified'}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+      <style jsx>{`
+        .absence-meta {
+          color: #6c757d;
+          font-size: 0.9rem;
+          text-align: center;
+          margin-bottom: 10px;
+        }
+        .absence-actions {
+          display: flex;
+          gap: 8px;
+          flex-wrap: wrap;
+          justify-content: center;
+        }
+        .absence-select {
+          padding: 10px 12px;
+          border: 2px solid #e9ecef;
+          border-radius: 8px;
+          color: #000;
+          background: #fff;
+        }
+        .absence-btn {
+          padding: 10px 18px;
+          border: none;
+          border-radius: 8px;
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+          background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+        }
+        .absence-btn:disabled {
+          opacity: 0.7;
+          cursor: not-allowed;
+        }
+        .absence-notice {
+          text-align: center;
+          margin-top: 8px;
+          color: #212529;
+        }
+        .absence-list {
+          max-height: 240px;
+          overflow-y: auto;
+          margin-top: 10px;
+          border-top: 1px solid #dee2e6;
+        }
+        .absence-row {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 6px 0;
+          border-bottom: 1px solid #f1f3f5;
+          color: #212529;
+          font-size: 0.9rem;
+        }
+      `}</style>
+    </div>
+  );
+}
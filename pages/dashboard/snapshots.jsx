@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import { RESET_ALL_PHRASE, RESTORE_SNAPSHOT_PHRASE } from '../../lib/resets';
+
+// API functions
+const snapshotsAPI = {
+  getSnapshots: async (token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/snapshots`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.snapshots;
+  },
+
+  restore: async (id, confirm, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/snapshots/${id}/restore`, { confirm }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  resetAll: async (termName, nextTermName, confirm, token) => {
+    const response = await axios.post(`${getApiBaseUrl()}/api/students/reset-all`, { termName, nextTermName, confirm }, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const KIND_LABELS = {
+  'reset-all': '🔄 Reset all students',
+  'reset-student': '👤 Reset one student',
+  'pre-restore': '♻️ Before a restore'
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+export default function Snapshots() {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [termName, setTermName] = useState('');
+  const [nextTermName, setNextTermName] = useState('');
+  const [resetPhrase, setResetPhrase] = useState('');
+  const [restoring, setRestoring] = useState(null); // snapshot being confirmed
+  const [restorePhrase, setRestorePhrase] = useState('');
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  const { data: snapshots = [], isLoading } = useQuery({
+    queryKey: ['snapshots'],
+    queryFn: () => snapshotsAPI.getSnapshots(token),
+    enabled: !!token
+  });
+
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const resetMutation = useMutation({
+    mutationFn: () => snapshotsAPI.resetAll(termName.trim(), nextTermName.trim(), resetPhrase, token),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['snapshots'] });
+      queryClient.invalidateQueries({ queryKey: ['students'] });
+      queryClient.invalidateQueries({ queryKey: ['terms'] });
+      setTermName('');
+      setNextTermName('');
+      setResetPhrase('');
+      setSuccess(`${data.message}. A snapshot was saved first.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to reset students');
+    }
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: () => snapshotsAPI.restore(restoring._id, restorePhrase, token),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['snapshots'] });
+      queryClient.invalidateQueries({ queryKey: ['students'] });
+      setRestoring(null);
+      setRestorePhrase('');
+      setSuccess(`${data.restored} student(s) restored${data.skipped ? `, ${data.skipped} archived or removed since then were skipped` : ''}. Their previous state was saved as a new snapshot.`);
+    },
+    onError: (err) => {
+      setError(err.response?.data?.error || 'Failed to restore snapshot');
+    }
+  });
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📸 Snapshots &amp; Term Reset</Title>
+
+        {error && <div className="error-message">❌ {error}</div>}
+        {success && <div className="success-message">✅ {success}</div>}
+
+        <div className="panel">
+          <div className="section-title">Start a new term</div>
+          <div className="hint">
+            The current term is closed and stays available read-only from the term switcher. Every student then starts the new term with empty weeks. A snapshot of all active students is also saved below; it can put their weeks back while the new term is open. Other snapshots of a closed term cannot be restored.
+          </div>
+          <input
+            className="form-input"
+            placeholder="Name of the term being closed (leave empty to keep its name)"
+            value={termName}
+            onChange={(e) => setTermName(e.target.value)}
+          />
+          <input
+            className="form-input"
+            placeholder="Name of the new term, e.g. Term 2 2026"
+            value={nextTermName}
+            onChange={(e) => setNextTermName(e.target.value)}
+          />
+          <input
+            className="form-input"
+            placeholder={`Type ${RESET_ALL_PHRASE} to confirm`}
+            value={resetPhrase}
+            onChange={(e) => setResetPhrase(e.target.value)}
+          />
+          <button
+            className="danger-btn"
+            onClick={() => resetMutation.mutate()}
+            disabled={!nextTermName.trim() || resetPhrase !== RESET_ALL_PHRASE || resetMutation.isPending}
+          >
+            {resetMutation.isPending ? 'Starting...' : '🔄 Start New Term'}
+          </button>
+        </div>
+
+        <div className="panel">
+          <div className="section-title">Snapshots</div>
+          {isLoading ? (
+            <div className="hint">Loading snapshots...</div>
+          ) : snapshots.length === 0 ? (
+            <div className="hint">No snapshots yet. One is taken automatically before every reset.</div>
+          ) : (
+            <div className="table-wrapper">
+              <table className="snapshot-table">
+                <thead>
+                  <tr>
+                    <th>Taken</th>
+                    <th>Type</th>
+                    <th>Term</th>
+                    <th>Students</th>
+                    <th>By</th>
+                    <th>Restored</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {snapshots.map(snapshot => (
+                    <tr key={snapshot._id}>
+                      <td>{formatDate(snapshot.createdAt)}</td>
+                      <td>{KIND_LABELS[snapshot.kind] || snapshot.kind}</td>
+                      <td>{snapshot.termName || '-'}</td>
+                      <td>{snapshot.count}</td>
+                      <td>{snapshot.createdByName || snapshot.createdBy}</td>
+                      <td>{formatDate(snapshot.restoredAt)}</td>
+                      <td>
+                        <button
+                          className="restore-btn"
+                          onClick={() => {
+                            setRestoring(snapshot);
+                            setRestorePhrase('');
+                          }}
+                          disabled={snapshot.count === 0 || !snapshot.restorable}
+                          title={snapshot.restorable ? undefined : 'Taken in a closed term'}
+                        >
+                          ♻️ Restore
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {restoring && (
+          <div className="confirm-modal" onClick={() => setRestoring(null)}>
+            <div className="confirm-content" onClick={(e) => e.stopPropagation()}>
+              <h3 style={{ marginTop: 0 }}>Restore snapshot</h3>
+              <p>
+                {restoring.count} student(s) will be put back as they were on {formatDate(restoring.createdAt)}
+                {restoring.termName ? ` (${restoring.termName})` : ''}. Their weeks are replaced by the saved ones; profile changes and archived students are left as they are now.
+              </p>
+              <input
+                className="form-input"
+                placeholder={`Type ${RESTORE_SNAPSHOT_PHRASE} to confirm`}
+                value={restorePhrase}
+                onChange={(e) => setRestorePhrase(e.target.value)}
+              />
+              <div className="confirm-buttons">
+                <button
+                  className="danger-btn"
+                  onClick={() => restoreMutation.mutate()}
+                  disabled={restorePhrase !== RESTORE_SNAPSHOT_PHRASE || restoreMutation.isPending}
+                >
+                  {restoreMutation.isPending ? 'Restoring...' : 'Restore'}
+                </button>
+                <button className="cancel-btn" onClick={() => setRestoring(null)} disabled={restoreMutation.isPending}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <style jsx>{`
+          .panel {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            margin-bottom: 20px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.95rem;
+          }
+          .form-input {
+            padding: 10px 12px;
+            border: 2px solid #e9ecef;
+            border-radius: 8px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .danger-btn, .restore-btn, .cancel-btn {
+            padding: 10px 18px;
+            border: none;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          .danger-btn {
+            background: linear-gradient(90deg, #dc3545 0%, #ff6b6b 100%);
+          }
+          .restore-btn {
+            padding: 6px 12px;
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+          .cancel-btn {
+            background: #6c757d;
+          }
+          .danger-btn:disabled, .restore-btn:disabled, .cancel-btn:disabled {
+            opacity: 0.6;
+            cursor: not-allowed;
+          }
+          .table-wrapper {
+            overflow-x: auto;
+          }
+          .snapshot-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+          }
+          .snapshot-table th, .snapshot-table td {
+            border-bottom: 1px solid #dee2e6;
+            padding: 8px;
+            text-align: center;
+            color: #212529;
+          }
+          .confirm-modal {
+            position: fixed;
+            inset: 0;
+            background: rgba(0,0,0,0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 1000;
+          }
+          .confirm-content {
+            background: white;
+            border-radius: 12px;
+            padding: 24px;
+            max-width: 440px;
+            width: 90%;
+            display: flex;
+            flex-direction: column;
+            gap: 12px;
+            color: #212529;
+          }
+          .confirm-buttons {
+            display: flex;
+            gap: 10px;
+            justify-content: flex-end;
+          }
+          .error-message, .success-message {
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+          }
+          .success-message {
+            background: linear-gradient(135deg, #28a745 0%, #20c997 100%);
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
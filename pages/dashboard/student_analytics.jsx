@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useQuery } from '@tanstack/react-query';
+import axios from 'axios';
+import { getApiBaseUrl } from '../../config';
+import Title from '../../components/Title';
+import { HOMEWORK_LEVELS, HOMEWORK_LEVEL_ICONS, HOMEWORK_LEVEL_LABELS } from '../../lib/homework';
+
+// API functions
+const analyticsAPI = {
+  getAnalytics: async (id, token) => {
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/${id}/analytics`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  }
+};
+
+const TREND_LABELS = {
+  improving: '📈 Improving',
+  declining: '📉 Declining',
+  steady: '➡️ Steady'
+};
+
+function formatRate(rate) {
+  return rate === null ? 'N/A' : `${rate}%`;
+}
+
+function StatCard({ label, value, detail, color }) {
+  return (
+    <div className="stat-card">
+      <div className="stat-label">{label}</div>
+      <div className="stat-value" style={{ color }}>{value}</div>
+      {detail && <div className="stat-detail">{detail}</div>}
+      <style jsx>{`
+        .stat-card {
+          background: #f8f9fa;
+          border: 1px solid #dee2e6;
+          border-radius: 12px;
+          padding: 14px;
+          text-align: center;
+        }
+        .stat-label {
+          color: #6c757d;
+          font-size: 0.85rem;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+        .stat-value {
+          font-size: 1.8rem;
+          font-weight: 700;
+          margin: 4px 0;
+        }
+        .stat-detail {
+          color: #495057;
+          font-size: 0.85rem;
+        }
+      `}</style>
+    </div>
+  );
+}
+
+export default function StudentAnalytics() {
+  const router = useRouter();
+  const [studentId, setStudentId] = useState('');
+  const [searchId, setSearchId] = useState('');
+
+  // Get token from sessionStorage (consistent with rest of app)
+  const token = typeof window !== 'undefined' ? sessionStorage.getItem('token') : null;
+
+  // Opened from student info with ?id=
+  useEffect(() => {
+    if (router.query.id) {
+      setStudentId(String(router.query.id));
+      setSearchId(String(router.query.id));
+    }
+  }, [router.query.id]);
+
+  const { data: analytics, isLoading, error } = useQuery({
+    queryKey: ['student-analytics', searchId],
+    queryFn: () => analyticsAPI.getAnalytics(searchId, token),
+    enabled: !!token && !!searchId,
+    retry: false
+  });
+
+  if (!token) {
+    router.push('/');
+    return null;
+  }
+
+  const rateColor = (rate) => (rate === null ? '#6c757d' : rate >= 75 ? '#28a745' : rate >= 50 ? '#FEB954' : '#dc3545');
+
+  return (
+    <div style={{ minHeight: '100vh', padding: '20px 5px 20px 5px' }}>
+      <div style={{ maxWidth: 900, margin: '40px auto', padding: '20px 15px' }}>
+        <Title>📊 Student Analytics</Title>
+
+        <form
+          className="search-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            setSearchId(studentId.trim());
+          }}
+        >
+          <input
+            className="form-input"
+            placeholder="Student ID"
+            value={studentId}
+            onChange={(e) => setStudentId(e.target.value)}
+          />
+          <button type="submit" className="search-btn" disabled={isLoading}>
+            {isLoading ? 'Loading...' : '🔍 Show'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="error-message">
+            ❌ {error.response?.status === 404 ? 'Student not found' : error.response?.data?.error || 'Failed to load analytics'}
+          </div>
+        )}
+
+        {analytics && (
+          <div className="analytics-container">
+            <div className="student-header">
+              <strong>#{analytics.studentId} {analytics.name}</strong>
+              <span>{analytics.grade} - {analytics.main_center} - {analytics.heldWeeks} week(s) held so far</span>
+            </div>
+
+            <div className="stats-grid">
+              <StatCard
+                label="Attendance"
+                value={formatRate(analytics.attendance.rate)}
+                detail={`${analytics.attendance.attended} of ${analytics.attendance.held} weeks`}
+                color={rateColor(analytics.attendance.rate)}
+              />
+              <StatCard
+                label="Homework"
+                value={formatRate(analytics.homework.rate)}
+                detail={`${analytics.homework.done} of ${analytics.homework.attended} attended weeks complete or excellent`}
+                color={rateColor(analytics.homework.rate)}
+              />
+              <StatCard
+                label="Unpaid sessions"
+                value={analytics.payments.arrearsCount}
+                detail={analytics.payments.arrearsCount > 0 ? `Weeks ${analytics.payments.arrearsWeeks.join(', ')}` : 'All attended sessions paid'}
+                color={analytics.payments.arrearsCount > 0 ? '#dc3545' : '#28a745'}
+              />
+              <StatCard
+                label="Quiz average"
+                value={formatRate(analytics.quizzes.averagePercentage)}
+                detail={analytics.quizzes.direction ? TREND_LABELS[analytics.quizzes.direction] : `${analytics.quizzes.taken} quiz(zes)`}
+                color={rateColor(analytics.quizzes.averagePercentage)}
+              />
+              <StatCard
+                label="Rank in grade"
+                value={analytics.rank ? `${analytics.rank.position} / ${analytics.rank.outOf}` : 'N/A'}
+                detail="By quiz average"
+                color="#1FA8DC"
+              />
+              <StatCard
+                label="Absence streak"
+                value={analytics.absences.current}
+                detail={`Longest: ${analytics.absences.longest} week(s)`}
+                color={analytics.absences.current >= 2 ? '#dc3545' : '#28a745'}
+              />
+            </div>
+
+            <div className="section-title">Quiz results over the weeks</div>
+            {analytics.quizzes.points.length === 0 ? (
+              <div className="hint">No quiz results yet.</div>
+            ) : (
+              <div className="quiz-chart">
+                {analytics.quizzes.points.map(point => (
+                  <div key={point.week} className="quiz-bar-column" title={`${point.score} / ${point.outOf}`}>
+                    <div className="quiz-bar-value">{point.percentage}%</div>
+                    <div className="quiz-bar-track">
+                      <div
+                        className="quiz-bar"
+                        style={{ height: `${point.percentage}%`, background: rateColor(point.percentage) }}
+                      />
+                    </div>
+                    <div className="quiz-bar-label">W{point.week}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="section-title">Homework levels</div>
+            <div className="hint">
+              {HOMEWORK_LEVELS
+                .map(level => `${HOMEWORK_LEVEL_ICONS[level]} ${HOMEWORK_LEVEL_LABELS[level]}: ${analytics.homework.levels[level]}`)
+                .join(' · ')}
+            </div>
+
+            <div className="section-title">Absences</div>
+            <div className="hint">
+              {analytics.attendance.missedWeeks.length === 0
+                ? 'No missed weeks.'
+                : `Missed weeks: ${analytics.attendance.missedWeeks.join(', ')}`}
+            </div>
+            {analytics.absences.streaks.map(streak => (
+              <div key={streak.from} className="streak">
+                ⚠️ {streak.length} weeks in a row (weeks {streak.from}-{streak.to})
+              </div>
+            ))}
+          </div>
+        )}
+
+        <style jsx>{`
+          .search-form {
+            display: flex;
+            gap: 8px;
+            margin-bottom: 16px;
+          }
+          .form-input {
+            flex: 1;
+            padding: 12px 14px;
+            border: 2px solid #e9ecef;
+            border-radius: 10px;
+            font-size: 1rem;
+            color: #000;
+            background: #fff;
+          }
+          .search-btn {
+            padding: 12px 20px;
+            border: none;
+            border-radius: 10px;
+            color: white;
+            font-weight: 600;
+            cursor: pointer;
+            background: linear-gradient(135deg, #1FA8DC 0%, #87CEEB 100%);
+          }
+          .search-btn:disabled {
+            opacity: 0.7;
+            cursor: not-allowed;
+          }
+          .analytics-container {
+            background: white;
+            border-radius: 16px;
+            padding: 24px;
+            box-shadow: 0 8px 32px rgba(0,0,0,0.1);
+            display: flex;
+            flex-direction: column;
+            gap: 14px;
+          }
+          .student-header {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            color: #212529;
+          }
+          .student-header span {
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+            gap: 12px;
+          }
+          .section-title {
+            font-weight: 600;
+            color: #495057;
+          }
+          .hint {
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          .quiz-chart {
+            display: flex;
+            gap: 8px;
+            align-items: flex-end;
+            overflow-x: auto;
+            padding-bottom: 4px;
+          }
+          .quiz-bar-column {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            min-width: 40px;
+          }
+          .quiz-bar-value {
+            font-size: 0.75rem;
+            color: #495057;
+          }
+          .quiz-bar-track {
+            height: 140px;
+            width: 24px;
+            background: #e9ecef;
+            border-radius: 6px;
+            display: flex;
+            align-items: flex-end;
+            overflow: hidden;
+          }
+          .quiz-bar {
+            width: 100%;
+            border-radius: 6px;
+          }
+          .quiz-bar-label {
+            font-size: 0.8rem;
+            color: #6c757d;
+            margin-top: 4px;
+          }
+          .streak {
+            color: #dc3545;
+            font-size: 0.9rem;
+          }
+          .error-message {
+            background: linear-gradient(135deg, #dc3545 0%, #e74c3c 100%);
+            color: white;
+            border-radius: 10px;
+            padding: 12px;
+            text-align: center;
+            font-weight: 600;
+            margin-bottom: 16px;
+          }
+          @media (max-width: 480px) {
+            .analytics-container {
+              padding: 14px;
+            }
+          }
+        `}</style>
+      </div>
+    </div>
+  );
+}
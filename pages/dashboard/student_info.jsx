@@ -2,10 +2,50 @@ import { useState, useEffect, useRef } from "react";
 import { useRouter } from "next/router";
 import Title from "../../components/Title";
 import { Table, ScrollArea } from '@mantine/core';
-import { weeks } from "../../constants/weeks";
 import styles from '../../styles/TableScrollArea.module.css';
-import { useStudents, useStudent } from '../../lib/api/students';
+import { useStudent } from '../../lib/api/students';
 import LoadingSkeleton from '../../components/LoadingSkeleton';
+import ExportButtons from '../../components/ExportButtons';
+import { formatQuiz, getQuizPercentage } from '../../lib/quiz';
+import { HOMEWORK_LEVEL_ICONS, formatHomework, formatHomeworkLevel, isHomeworkDone } from '../../lib/homework';
+import axios from 'axios';
+import { useQuery } from '@tanstack/react-query';
+import { getApiBaseUrl } from '../../config';
+import { getSelectedTerm, setSelectedTerm as rememberTerm } from '../../lib/terms';
+import TermSelect from '../../components/TermSelect';
+
+// API functions
+const studentsAPI = {
+  searchStudents: async (term) => {
+    const token = sessionStorage.getItem('token');
+    const response = await axios.get(`${getApiBaseUrl()}/api/students`, {
+      params: { q: term, page: 1, pageSize: 20, sort: 'name', fields: 'id,name,grade,main_center' },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.students;
+  },
+
+  // The student as enrolled in a closed term
+  getTermStudent: async (id, termId) => {
+    const token = sessionStorage.getItem('token');
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/${id}`, {
+      params: { term: termId },
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data;
+  },
+
+  // Headline figures of every term the student was enrolled in
+  getTermComparison: async (id) => {
+    const token = sessionStorage.getItem('token');
+    const response = await axios.get(`${getApiBaseUrl()}/api/students/${id}/terms`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return response.data.terms;
+  }
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? 'N/A' : `${rate}%`);
 
 export default function StudentInfo() {
   const containerRef = useRef(null);
@@ -15,14 +55,13 @@ export default function StudentInfo() {
   const [studentDeleted, setStudentDeleted] = useState(false);
   const [searchResults, setSearchResults] = useState([]); // Store multiple search results
   const [showSearchResults, setShowSearchResults] = useState(false); // Show/hide search results
+  const [selectedTerm, setSelectedTerm] = useState(""); // "" = open term, closed terms are read-only
   const router = useRouter();
 
-  // Get all students for name-based search
-  const { data: allStudents } = useStudents();
   
   // React Query hook with real-time updates - 5 second polling
-  const { data: student, isLoading: studentLoading, error: studentError, refetch: refetchStudent, isRefetching, dataUpdatedAt } = useStudent(searchId, { 
-    enabled: !!searchId,
+  const liveStudent = useStudent(searchId, { 
+    enabled: !!searchId && !selectedTerm,
     // Aggressive real-time settings for immediate updates
     refetchInterval: 5 * 1000, // Refetch every 5 seconds for real-time updates
     refetchIntervalInBackground: true, // Continue when tab is not active
@@ -32,6 +71,24 @@ export default function StudentInfo() {
     gcTime: 1000, // Keep in cache for only 1 second
     refetchOnMount: true, // Always refetch when component mounts/page entered
   });
+  const termStudent = useQuery({
+    queryKey: ['student', searchId, 'term', selectedTerm],
+    queryFn: () => studentsAPI.getTermStudent(searchId, selectedTerm),
+    enabled: !!searchId && !!selectedTerm,
+    retry: false
+  });
+  const { data: student, isLoading: studentLoading, error: studentError, refetch: refetchStudent, isRefetching, dataUpdatedAt } = selectedTerm ? termStudent : liveStudent;
+
+  const { data: termComparison = [] } = useQuery({
+    queryKey: ['student-terms', searchId],
+    queryFn: () => studentsAPI.getTermComparison(searchId),
+    enabled: !!searchId
+  });
+
+  const switchTerm = (termId) => {
+    rememberTerm(termId);
+    setSelectedTerm(termId);
+  };
 
   // Debug logging for React Query status
   useEffect(() => {
@@ -57,7 +114,11 @@ export default function StudentInfo() {
   // Handle student error
   useEffect(() => {
     if (studentError) {
-      if (studentError.response?.status === 404) {
+      if (studentError.response?.status === 404 && selectedTerm) {
+        // Enrolled in other terms, just not the one being viewed
+        setStudentDeleted(true);
+        setError(studentError.response.data?.error || "Student was not enrolled in this term");
+      } else if (studentError.response?.status === 404) {
         console.log('❌ Student Info Page - Student not found:', {
           searchId,
           error: 'Student deleted or does not exist',
@@ -81,7 +142,7 @@ export default function StudentInfo() {
         setError("");
       }
     }
-  }, [studentError, searchId, student]);
+  }, [studentError, searchId, student, selectedTerm]);
 
   useEffect(() => {
     const token = sessionStorage.getItem("token");
@@ -89,6 +150,7 @@ export default function StudentInfo() {
       router.push("/");
       return;
     }
+    setSelectedTerm(getSelectedTerm());
   }, [router]);
 
   // Force refetch student data when searchId changes (when student is searched)
@@ -114,11 +176,9 @@ export default function StudentInfo() {
       // It's a numeric ID, search directly
       setSearchId(searchTerm);
     } else {
-      // It's a name, search through all students (case-insensitive, includes)
-      if (allStudents) {
-        const matchingStudents = allStudents.filter(student => 
-          student.name.toLowerCase().includes(searchTerm.toLowerCase())
-        );
+      // It's a name, search on the server (case-insensitive, includes)
+      try {
+        const matchingStudents = await studentsAPI.searchStudents(searchTerm);
         
         if (matchingStudents.length === 1) {
           // Single match, use it directly
@@ -134,8 +194,8 @@ export default function StudentInfo() {
           setError(`No student found with name starting with "${searchTerm}"`);
           setSearchId("");
         }
-      } else {
-        setError("Student data not loaded. Please try again.");
+      } catch (err) {
+        setError("Failed to search students. Please try again.");
       }
     }
   };
@@ -164,16 +224,16 @@ export default function StudentInfo() {
 
   // Helper function to get attendance status for a week
   const getWeekAttendance = (weekNumber) => {
-    if (!student || !student.weeks) return { attended: false, hwDone: false, paidSession: false, quizDegree: null, message_state: false, lastAttendance: null };
+    if (!student || !student.weeks) return { attended: false, homework: null, paidSession: false, quiz: null, message_state: false, lastAttendance: null };
     
     const weekData = student.weeks.find(w => w.week === weekNumber);
-    if (!weekData) return { attended: false, hwDone: false, paidSession: false, quizDegree: null, message_state: false, lastAttendance: null };
+    if (!weekData) return { attended: false, homework: null, paidSession: false, quiz: null, message_state: false, lastAttendance: null };
     
     return {
       attended: weekData.attended || false,
-      hwDone: weekData.hwDone || false,
+      homework: weekData.homework || null,
       paidSession: weekData.paidSession || false,
-      quizDegree: weekData.quizDegree || null,
+      quiz: weekData.quiz || null,
       message_state: weekData.message_state || false,
       lastAttendance: weekData.lastAttendance || null
     };
@@ -298,6 +358,28 @@ export default function StudentInfo() {
             font-weight: 600;
             line-height: 1.4;
           }
+          .analytics-btn {
+            margin: 0 auto 24px auto;
+          }
+          .read-only-note {
+            background: #fff8e1;
+            border: 2px solid #ffe08a;
+            color: #856404;
+            border-radius: 10px;
+            padding: 12px 16px;
+            margin-bottom: 16px;
+            font-weight: 600;
+            text-align: center;
+          }
+          .view-term-btn {
+            background: #1FA8DC;
+            color: white;
+            border: none;
+            border-radius: 6px;
+            padding: 4px 10px;
+            cursor: pointer;
+            font-weight: 600;
+          }
           .weeks-title {
             font-size: 1.5rem;
             font-weight: 700;
@@ -364,6 +446,8 @@ export default function StudentInfo() {
               {studentLoading ? "Loading..." : "🔍 Search"}
         </button>
           </form>
+
+          <TermSelect selectedTerm={selectedTerm} onTermChange={setSelectedTerm} />
           
           {/* Show search results if multiple matches found */}
           {showSearchResults && searchResults.length > 0 && (
@@ -453,7 +537,81 @@ export default function StudentInfo() {
               </div>
             </div>
             
-            <div className="weeks-title">Attendance Records - All Weeks</div>
+            {termComparison.length > 1 && (
+              <>
+                <div className="weeks-title">Term Comparison</div>
+                <div style={{ overflowX: 'auto', marginBottom: 24 }}>
+                  <Table striped withTableBorder withColumnBorders style={{ minWidth: '640px' }}>
+                    <Table.Thead>
+                      <Table.Tr>
+                        <Table.Th style={{ textAlign: 'center' }}>Term</Table.Th>
+                        <Table.Th style={{ textAlign: 'center' }}>Grade</Table.Th>
+                        <Table.Th style={{ textAlign: 'center' }}>Attendance</Table.Th>
+                        <Table.Th style={{ textAlign: 'center' }}>Homework</Table.Th>
+                        <Table.Th style={{ textAlign: 'center' }}>Quiz Average</Table.Th>
+                        <Table.Th style={{ textAlign: 'center' }}>Unpaid</Table.Th>
+                        <Table.Th></Table.Th>
+                      </Table.Tr>
+                    </Table.Thead>
+                    <Table.Tbody>
+                      {termComparison.map(entry => {
+                        const termValue = entry.term.current ? '' : String(entry.term.id);
+                        return (
+                          <Table.Tr key={entry.term.id}>
+                            <Table.Td style={{ fontWeight: 'bold', textAlign: 'center' }}>
+                              {entry.term.name}{entry.term.current ? ' (current)' : ''}
+                            </Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>{entry.grade || 'N/A'}</Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>
+                              {entry.attendance.attended}/{entry.attendance.held} ({formatRate(entry.attendance.rate)})
+                            </Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>{formatRate(entry.homework.rate)}</Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>{formatRate(entry.quizzes.averagePercentage)}</Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>{entry.payments.arrearsCount}</Table.Td>
+                            <Table.Td style={{ textAlign: 'center' }}>
+                              {termValue !== selectedTerm && (
+                                <button className="view-term-btn" onClick={() => switchTerm(termValue)}>View</button>
+                              )}
+                            </Table.Td>
+                          </Table.Tr>
+                        );
+                      })}
+                    </Table.Tbody>
+                  </Table>
+                </div>
+              </>
+            )}
+
+            {student.readOnly ? (
+              <div className="read-only-note">
+                📚 {student.termName} is closed - these records are read-only.
+              </div>
+            ) : (
+              <>
+                <button
+                  className="fetch-btn analytics-btn"
+                  onClick={() => router.push(`/dashboard/student_analytics?id=${student.id}`)}
+                >
+                  📊 View Performance Analytics
+                </button>
+
+                <button
+                  className="fetch-btn analytics-btn"
+                  onClick={() => router.push(`/dashboard/report_cards?id=${student.id}`)}
+                >
+                  🖨️ Report Card
+                </button>
+              </>
+            )}
+
+            <div style={{ marginBottom: 24 }}>
+              <ExportButtons
+                path={`/api/exports/students/${student.id}`}
+                params={{ term: selectedTerm || undefined }}
+              />
+            </div>
+            
+            <div className="weeks-title">Attendance Records - {student.termName || 'All Weeks'}</div>
             <ScrollArea h={400} type="hover" className={styles.scrolled}>
               <Table striped highlightOnHover withTableBorder withColumnBorders style={{ minWidth: '950px' }}>
                 <Table.Thead style={{ position: 'sticky', top: 0, backgroundColor: '#f8f9fa', zIndex: 10 }}>
@@ -467,8 +625,10 @@ export default function StudentInfo() {
                   </Table.Tr>
                 </Table.Thead>
                 <Table.Tbody>
-                  {weeks.map((weekName, index) => {
-                    const weekNumber = index + 1;
+                  {(student.weeks || []).map((week) => {
+                    // One row per stored week, so the table follows the grade's course calendar
+                    const weekNumber = week.week;
+                    const weekName = `week ${String(weekNumber).padStart(2, '0')}`;
                     const weekData = getWeekAttendance(weekNumber);
                     
                     return (
@@ -486,13 +646,23 @@ export default function StudentInfo() {
                           </span>
                         </Table.Td>
                         <Table.Td style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>
-                          <span style={{ 
-                            color: weekData.hwDone ? '#28a745' : '#dc3545',
-                            fontWeight: 'bold',
-                            fontSize: '1rem'
-                          }}>
-                            {weekData.hwDone ? '✅ Done' : '❌ Not Done'}
+                          <span
+                            title={formatHomework(weekData.homework) || undefined}
+                            style={{ 
+                              color: isHomeworkDone(weekData.homework) ? '#28a745' : '#dc3545',
+                              fontWeight: 'bold',
+                              fontSize: '1rem'
+                            }}
+                          >
+                            {weekData.homework
+                              ? `${HOMEWORK_LEVEL_ICONS[weekData.homework.level]} ${formatHomeworkLevel(weekData.homework)}`
+                              : '❌ Not Done'}
                           </span>
+                          {weekData.homework && (weekData.homework.score !== null || weekData.homework.note) && (
+                            <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>
+                              {[weekData.homework.score !== null ? `Score ${weekData.homework.score}` : null, weekData.homework.note].filter(Boolean).join(' - ')}
+                            </div>
+                          )}
                         </Table.Td>
                         <Table.Td style={{ width: '120px', minWidth: '120px', textAlign: 'center' }}>
                           <span style={{ 
@@ -507,9 +677,9 @@ export default function StudentInfo() {
                           <span style={{ 
                             fontWeight: 'bold',
                             fontSize: '1rem',
-                            color: weekData.quizDegree !== null ? '#1FA8DC' : '#6c757d'
+                            color: weekData.quiz ? '#1FA8DC' : '#6c757d'
                           }}>
-                            {weekData.quizDegree !== null ? weekData.quizDegree : '0/0'}
+                            {weekData.quiz ? `${formatQuiz(weekData.quiz)} (${getQuizPercentage(weekData.quiz)}%)` : '0/0'}
                           </span>
                         </Table.Td>
                         <Table.Td style={{ width: '130px', minWidth: '130px', textAlign: 'center' }}>
@@ -2,7 +2,8 @@ import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import bcrypt from "bcryptjs";
 import Title from "../../components/Title";
-import RoleSelect from "../../components/RoleSelect";
+import AssistantCentersSelect from "../../components/AssistantCentersSelect";
+import { hasPermission, ROLES, ROLE_LABELS } from "../../lib/permissions";
 import { useCreateAssistant, useCheckUsername } from '../../lib/api/assistants';
 
 function decodeJWT(token) {
@@ -15,7 +16,7 @@ function decodeJWT(token) {
 
 export default function AddAssistant() {
   const router = useRouter();
-  const [form, setForm] = useState({ id: "", name: "", phone: "", password: "", role: "assistant" });
+  const [form, setForm] = useState({ id: "", name: "", phone: "", password: "", role: "assistant", centers: [] });
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState("");
   const [newId, setNewId] = useState(""); // Added for success message
@@ -34,8 +35,8 @@ export default function AddAssistant() {
       return;
     }
     const decoded = token ? decodeJWT(token) : null;
-    if (!decoded || decoded.role !== "admin") {
-      console.log("🚫 Access denied: User is not admin, redirecting to dashboard");
+    if (!decoded || !hasPermission(decoded.role, "assistants.manage")) {
+      console.log("🚫 Access denied: User cannot manage assistants, redirecting to dashboard");
       // Use window.location to avoid router conflicts
       window.location.href = "/dashboard";
     }
@@ -89,7 +90,7 @@ export default function AddAssistant() {
     createAssistantMutation.mutate(payload, {
       onSuccess: (data) => {
         setSuccess(true);
-        setForm({ id: "", name: "", phone: "", password: "", role: "assistant" });
+        setForm({ id: "", name: "", phone: "", password: "", role: "assistant", centers: [] });
         setNewId(data.assistant_id);
       },
       onError: (err) => {
@@ -342,10 +343,22 @@ export default function AddAssistant() {
             </div>
             <div className="form-group">
               <label>Role <span style={{color: 'red'}}>*</span></label>
-              <RoleSelect 
-                selectedRole={form.role}
-                onRoleChange={(role) => setForm({ ...form, role })}
-                required={true}
+              <select
+                className="form-input"
+                value={form.role}
+                onChange={(e) => setForm({ ...form, role: e.target.value })}
+                required
+              >
+                {ROLES.map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Assigned Centers</label>
+              <AssistantCentersSelect
+                selectedCenters={form.centers}
+                onCentersChange={(centers) => setForm({ ...form, centers })}
               />
             </div>
             <button 
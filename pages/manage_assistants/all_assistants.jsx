@@ -1,6 +1,14 @@
 import { useState, useEffect, useRef } from "react";
 import { useRouter } from "next/router";
 import Title from "../../components/Title";
+import { hasPermission, ROLE_LABELS } from '../../lib/permissions';
+
+const ROLE_COLORS = {
+  admin: '#dc3545',
+  supervisor: '#fd7e14',
+  assistant: '#28a745',
+  viewer: '#6c757d'
+};
 import { Table, ScrollArea } from '@mantine/core';
 import { IconArrowRight, IconSearch } from '@tabler/icons-react';
 import { ActionIcon, TextInput, useMantineTheme } from '@mantine/core';
@@ -61,8 +69,8 @@ export default function AllAssistants() {
       return;
     }
     const decoded = token ? decodeJWT(token) : null;
-    if (!decoded || decoded.role !== 'admin') {
-      console.log("🚫 Access denied: User is not admin, redirecting to dashboard");
+    if (!decoded || !hasPermission(decoded.role, 'assistants.manage')) {
+      console.log("🚫 Access denied: User cannot manage assistants, redirecting to dashboard");
       // Use window.location to avoid router conflicts
       window.location.href = "/dashboard";
     }
@@ -224,8 +232,8 @@ export default function AllAssistants() {
                       <Table.Td style={{ fontFamily: 'monospace', fontSize: '0.9rem' }}>{assistant.phone}</Table.Td>
                       <Table.Td style={{ 
                         fontWeight: '600',
-                        color: assistant.role === 'admin' ? '#dc3545' : '#28a745'
-                      }}>{assistant.role}</Table.Td>
+                        color: ROLE_COLORS[assistant.role] || '#28a745'
+                      }}>{ROLE_LABELS[assistant.role] || assistant.role}</Table.Td>
                     </Table.Tr>
                   ))}
                 </Table.Tbody>
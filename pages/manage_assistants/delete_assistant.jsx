@@ -1,6 +1,7 @@
 import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import Title from "../../components/Title";
+import { hasPermission } from "../../lib/permissions";
 import ContactDeveloper from "../../components/ContactDeveloper";
 import { useAssistant, useAssistants, useDeleteAssistant } from '../../lib/api/assistants';
 
@@ -37,8 +38,8 @@ export default function DeleteAssistant() {
       return;
     }
     const decoded = token ? decodeJWT(token) : null;
-    if (!decoded || decoded.role !== "admin") {
-      console.log("🚫 Access denied: User is not admin, redirecting to dashboard");
+    if (!decoded || !hasPermission(decoded.role, "assistants.manage")) {
+      console.log("🚫 Access denied: User cannot manage assistants, redirecting to dashboard");
       // Use window.location to avoid router conflicts
       window.location.href = "/dashboard";
       return;
@@ -1,7 +1,8 @@
 import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import Title from "../../components/Title";
-import RoleSelect from "../../components/RoleSelect";
+import AssistantCentersSelect from "../../components/AssistantCentersSelect";
+import { hasPermission, ROLES, ROLE_LABELS } from "../../lib/permissions";
 import { useAssistant, useAssistants, useUpdateAssistant } from '../../lib/api/assistants';
 
 function decodeJWT(token) {
@@ -17,7 +18,7 @@ export default function EditAssistant() {
   const [step, setStep] = useState(1);
   const [id, setId] = useState("");
   const [searchId, setSearchId] = useState(""); // Separate state for search
-  const [form, setForm] = useState({ id: "", name: "", phone: "", password: "", role: "" });
+  const [form, setForm] = useState({ id: "", name: "", phone: "", password: "", role: "", centers: [] });
   const [originalForm, setOriginalForm] = useState(null); // Store original data for comparison
   const [success, setSuccess] = useState(false);
   const [error, setError] = useState("");
@@ -39,8 +40,8 @@ export default function EditAssistant() {
       return;
     }
     const decoded = token ? decodeJWT(token) : null;
-    if (!decoded || decoded.role !== "admin") {
-      console.log("🚫 Access denied: User is not admin, redirecting to dashboard");
+    if (!decoded || !hasPermission(decoded.role, "assistants.manage")) {
+      console.log("🚫 Access denied: User cannot manage assistants, redirecting to dashboard");
       // Use window.location to avoid router conflicts
       window.location.href = "/dashboard";
     }
@@ -68,7 +69,8 @@ export default function EditAssistant() {
         name: assistant.name, 
         phone: assistant.phone, 
         password: "", 
-        role: assistant.role || "assistant" 
+        role: assistant.role || "assistant",
+        centers: assistant.centers || []
       };
       setForm(formData);
       setOriginalForm({ ...formData });
@@ -136,7 +138,7 @@ export default function EditAssistant() {
     setId(value);
     setSearchId(""); // Clear search ID to prevent auto-fetch
     if (!value.trim()) {
-      const emptyForm = { id: "", name: "", phone: "", password: "", role: "assistant" };
+      const emptyForm = { id: "", name: "", phone: "", password: "", role: "assistant", centers: [] };
       setForm(emptyForm);
       setOriginalForm(null);
       setStep(1);
@@ -630,9 +632,21 @@ export default function EditAssistant() {
               </div>
               <div className="form-group">
                 <label>Role</label>
-                <RoleSelect 
-                  selectedRole={form.role}
-                  onRoleChange={(role) => setForm({ ...form, role })}
+                <select
+                  className="form-input"
+                  value={form.role}
+                  onChange={(e) => setForm({ ...form, role: e.target.value })}
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Assigned Centers</label>
+                <AssistantCentersSelect
+                  selectedCenters={form.centers}
+                  onCentersChange={(centers) => setForm({ ...form, centers })}
                 />
               </div>
               <button type="submit" disabled={updateAssistantMutation.isPending || !hasChanges()} className="submit-btn">
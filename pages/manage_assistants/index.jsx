@@ -2,6 +2,7 @@ import { useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Image from 'next/image';
 import Title from '../../components/Title';
+import { hasPermission } from '../../lib/permissions';
 
 function decodeJWT(token) {
   try {
@@ -23,8 +24,8 @@ export default function ManageAssistants() {
     }
     
     const decoded = token ? decodeJWT(token) : null;
-    if (!decoded || decoded.role !== 'admin') {
-      console.log("🚫 Access denied: User is not admin, redirecting to dashboard");
+    if (!decoded || !hasPermission(decoded.role, 'assistants.manage')) {
+      console.log("🚫 Access denied: User cannot manage assistants, redirecting to dashboard");
       // Use window.location to avoid router conflicts
       window.location.href = '/dashboard';
     }